@@ -0,0 +1,28 @@
+const ResourceApi = require('./ResourceApi');
+const CommentDTO = require('../dto/CommentDTO');
+
+/**
+ * Typed client for the /comments resource
+ */
+class CommentsApi extends ResourceApi {
+  /**
+   * Create a CommentsApi instance
+   * @param {HttpClient} httpClient - HTTP client used for requests
+   */
+  constructor(httpClient) {
+    super(httpClient, '/comments', CommentDTO);
+  }
+
+  /**
+   * List the comments of a post
+   * @param {number} postId - Post ID
+   * @param {object} filters - Additional query parameters
+   * @param {object} config - Additional request config
+   * @returns {Promise<{data: CommentDTO[], response: object}>} Comments and raw response
+   */
+  async forPost(postId, filters = {}, config = {}) {
+    return this.list({ ...filters, postId }, config);
+  }
+}
+
+module.exports = CommentsApi;
\ No newline at end of file
@@ -0,0 +1,29 @@
+const ResourceApi = require('./ResourceApi');
+const PostDTO = require('../dto/PostDTO');
+const CommentDTO = require('../dto/CommentDTO');
+
+/**
+ * Typed client for the /posts resource
+ */
+class PostsApi extends ResourceApi {
+  /**
+   * Create a PostsApi instance
+   * @param {HttpClient} httpClient - HTTP client used for requests
+   */
+  constructor(httpClient) {
+    super(httpClient, '/posts', PostDTO);
+  }
+
+  /**
+   * List the comments of a post
+   * @param {number} postId - Post ID
+   * @param {object} filters - Query parameters
+   * @param {object} config - Additional request config
+   * @returns {Promise<{data: CommentDTO[], response: object}>} Comments and raw response
+   */
+  async comments(postId, filters = {}, config = {}) {
+    return this.listRelated(postId, 'comments', CommentDTO, filters, config);
+  }
+}
+
+module.exports = PostsApi;
\ No newline at end of file
@@ -0,0 +1,148 @@
+/**
+ * Base class for typed resource clients
+ * Wraps HttpClient calls for one REST collection and hydrates responses into DTO instances
+ */
+class ResourceApi {
+  /**
+   * Create a ResourceApi instance
+   * @param {HttpClient} httpClient - HTTP client used for requests
+   * @param {string} path - Collection path, e.g. '/posts'
+   * @param {Function} dtoClass - DTO class with a static fromJson method, or null to return plain data
+   */
+  constructor(httpClient, path, dtoClass) {
+    this.httpClient = httpClient;
+    this.path = path;
+    this.dtoClass = dtoClass;
+  }
+
+  /**
+   * Build the URL of a single item
+   * @param {number|string} id - Item ID
+   * @returns {string} Item URL
+   */
+  itemUrl(id) {
+    return `${this.path}/${encodeURIComponent(id)}`;
+  }
+
+  /**
+   * Convert a DTO or plain object into a request body
+   * @param {object} body - DTO instance or plain object
+   * @returns {object} JSON request body
+   */
+  toBody(body) {
+    return body && typeof body.toJson === 'function' ? body.toJson() : body;
+  }
+
+  /**
+   * Hydrate response data into DTO instances
+   * @param {object|object[]} data - Response data
+   * @param {Function} dtoClass - DTO class to hydrate into
+   * @returns {object|object[]} DTO instance or array of DTO instances
+   */
+  hydrate(data, dtoClass = this.dtoClass) {
+    if (!dtoClass) {
+      return data;
+    }
+    return Array.isArray(data) ? data.map(item => dtoClass.fromJson(item)) : dtoClass.fromJson(data);
+  }
+
+  /**
+   * List items, optionally filtered by query parameters
+   * @param {object} filters - Query parameters, e.g. { userId: 1 } or { userId: [1, 2] }
+   * @param {object} config - Additional request config
+   * @returns {Promise<{data: object[], response: object}>} DTO instances and raw response
+   */
+  async list(filters = {}, config = {}) {
+    return this.listAt(this.path, this.dtoClass, filters, config);
+  }
+
+  /**
+   * Get a single item by ID
+   * @param {number|string} id - Item ID
+   * @param {object} config - Additional request config
+   * @returns {Promise<{data: object, response: object}>} DTO instance and raw response
+   */
+  async get(id, config = {}) {
+    const response = await this.httpClient.get(this.itemUrl(id), config);
+    return { data: this.hydrate(response.data), response };
+  }
+
+  /**
+   * Create a new item
+   * @param {object} dto - DTO instance or plain object
+   * @param {object} config - Additional request config
+   * @returns {Promise<{data: object, response: object}>} Created DTO instance and raw response
+   */
+  async create(dto, config = {}) {
+    const response = await this.httpClient.post(this.path, this.toBody(dto), config);
+    return { data: this.hydrate(response.data), response };
+  }
+
+  /**
+   * Replace an existing item
+   * @param {number|string} id - Item ID
+   * @param {object} dto - DTO instance or plain object
+   * @param {object} config - Additional request config
+   * @returns {Promise<{data: object, response: object}>} Updated DTO instance and raw response
+   */
+  async replace(id, dto, config = {}) {
+    const response = await this.httpClient.put(this.itemUrl(id), this.toBody(dto), config);
+    return { data: this.hydrate(response.data), response };
+  }
+
+  /**
+   * Partially update an existing item
+   * @param {number|string} id - Item ID
+   * @param {object} partial - Fields to change, or a DTO instance
+   * @param {object} config - Additional request config
+   * @returns {Promise<{data: object, response: object}>} Updated DTO instance and raw response
+   */
+  async patch(id, partial, config = {}) {
+    const response = await this.httpClient.patch(this.itemUrl(id), this.toBody(partial), config);
+    return { data: this.hydrate(response.data), response };
+  }
+
+  /**
+   * Delete an item
+   * @param {number|string} id - Item ID
+   * @param {object} config - Additional request config
+   * @returns {Promise<{data: null, response: object}>} Raw response
+   */
+  async delete(id, config = {}) {
+    const response = await this.httpClient.delete(this.itemUrl(id), config);
+    return { data: null, response };
+  }
+
+  /**
+   * List items of a related collection nested under one of this collection's items
+   * @param {number|string} id - Parent item ID
+   * @param {string} relation - Nested collection name, e.g. 'comments'
+   * @param {Function} dtoClass - DTO class of the nested collection
+   * @param {object} filters - Query parameters
+   * @param {object} config - Additional request config
+   * @returns {Promise<{data: object[], response: object}>} DTO instances and raw response
+   */
+  async listRelated(id, relation, dtoClass, filters = {}, config = {}) {
+    return this.listAt(`${this.itemUrl(id)}/${relation}`, dtoClass, filters, config);
+  }
+
+  /**
+   * List a collection at a given URL
+   * @param {string} url - Collection URL
+   * @param {Function} dtoClass - DTO class to hydrate into
+   * @param {object} filters - Query parameters
+   * @param {object} config - Additional request config
+   * @returns {Promise<{data: object[], response: object}>} DTO instances and raw response
+   */
+  async listAt(url, dtoClass, filters, config) {
+    const response = await this.httpClient.get(url, {
+      ...config,
+      params: { ...config.params, ...filters },
+      // Repeat array filters as userId=1&userId=2, the JSONPlaceholder convention
+      paramsSerializer: { indexes: null }
+    });
+    return { data: this.hydrate(response.data, dtoClass), response };
+  }
+}
+
+module.exports = ResourceApi;
\ No newline at end of file
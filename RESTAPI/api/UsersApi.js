@@ -0,0 +1,29 @@
+const ResourceApi = require('./ResourceApi');
+const PostDTO = require('../dto/PostDTO');
+const { UserDTO } = require('../dto/UserDTO');
+
+/**
+ * Typed client for the /users resource
+ */
+class UsersApi extends ResourceApi {
+  /**
+   * Create a UsersApi instance
+   * @param {HttpClient} httpClient - HTTP client used for requests
+   */
+  constructor(httpClient) {
+    super(httpClient, '/users', UserDTO);
+  }
+
+  /**
+   * List the posts of a user
+   * @param {number} userId - User ID
+   * @param {object} filters - Query parameters
+   * @param {object} config - Additional request config
+   * @returns {Promise<{data: PostDTO[], response: object}>} Posts and raw response
+   */
+  async posts(userId, filters = {}, config = {}) {
+    return this.listRelated(userId, 'posts', PostDTO, filters, config);
+  }
+}
+
+module.exports = UsersApi;
\ No newline at end of file
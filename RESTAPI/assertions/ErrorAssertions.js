@@ -0,0 +1,240 @@
+const { expect } = require('chai');
+
+// Chains that were created but not awaited yet; checked after every test by verifyErrorAssertions
+const pendingChains = new Set();
+
+/**
+ * Fluent assertion helpers for failed requests
+ * Collects assertions and runs them once the request settles, so a chain is awaited as a whole:
+ * await expectError(httpClient.get('/posts/999999')).toHaveStatus(404)
+ * A request counts as failed when it rejects, or when it resolves with a 4xx/5xx response
+ * in non-throwing mode. A chain without `await` would pass before its assertions run, so
+ * chains left unawaited are run after the test by tests/setup/error-assertions.js.
+ */
+class ErrorAssertions {
+  /**
+   * Create an ErrorAssertions instance
+   * @param {Promise|Error} actual - Request promise, or an error that was already caught
+   */
+  constructor(actual) {
+    this.actual = actual;
+    this.checks = [];
+    pendingChains.add(this);
+    if (actual && typeof actual.then === 'function') {
+      // A request that is never awaited must not surface as an unhandled rejection
+      Promise.resolve(actual).catch(() => {});
+    }
+  }
+
+  /**
+   * Assert that the request failed with a specific error code (e.g. ECONNABORTED, ENOTFOUND)
+   * @param {string} expectedCode - Expected error code
+   * @returns {ErrorAssertions} This instance for chaining
+   */
+  toHaveCode(expectedCode) {
+    return this.check(error => {
+      expect(error.code).to.equal(expectedCode, `Expected error code ${expectedCode}, but got ${error.code}`);
+    });
+  }
+
+  /**
+   * Assert that the request failed without receiving a response
+   * @returns {ErrorAssertions} This instance for chaining
+   */
+  toBeNetworkError() {
+    return this.check(error => {
+      expect(error.response, `Expected a network error, but got status ${error.response?.status}`).to.be.undefined;
+    });
+  }
+
+  /**
+   * Assert that the request timed out
+   * @returns {ErrorAssertions} This instance for chaining
+   */
+  toBeTimeout() {
+    return this.check(error => {
+      expect(error.code).to.be.oneOf(['ECONNABORTED', 'ETIMEDOUT'], `Expected a timeout, but got ${error.code}`);
+    });
+  }
+
+  /**
+   * Assert that the request failed with a specific status code
+   * @param {number} expectedStatus - Expected HTTP status code
+   * @returns {ErrorAssertions} This instance for chaining
+   */
+  toHaveStatus(expectedStatus) {
+    return this.check(error => {
+      const status = this.getStatus(error);
+      expect(status).to.equal(expectedStatus, `Expected status ${expectedStatus}, but got ${status}`);
+    });
+  }
+
+  /**
+   * Assert that the error status is in a range (e.g., 4xx for client errors)
+   * @param {number} minStatus - Minimum status code
+   * @param {number} maxStatus - Maximum status code
+   * @returns {ErrorAssertions} This instance for chaining
+   */
+  toHaveStatusInRange(minStatus, maxStatus) {
+    return this.check(error => {
+      const status = this.getStatus(error);
+      expect(status).to.be.within(minStatus, maxStatus,
+        `Expected status between ${minStatus}-${maxStatus}, but got ${status}`);
+    });
+  }
+
+  /**
+   * Assert on the error response body
+   * Without an argument, only checks that a body is present
+   * @param {object} expectedBody - Expected body
+   * @returns {ErrorAssertions} This instance for chaining
+   */
+  toHaveBody(expectedBody) {
+    return this.check(error => {
+      const body = this.getResponse(error).data;
+      if (expectedBody === undefined) {
+        expect(body).to.not.be.undefined;
+        expect(body).to.not.be.null;
+      } else {
+        expect(body).to.deep.equal(expectedBody);
+      }
+    });
+  }
+
+  /**
+   * Assert that the error response body contains specific JSON data
+   * @param {object} expectedData - Expected JSON structure
+   * @returns {ErrorAssertions} This instance for chaining
+   */
+  toContain(expectedData) {
+    return this.check(error => {
+      expect(this.getResponse(error).data).to.deep.include(expectedData);
+    });
+  }
+
+  /**
+   * Assert on the error message
+   * @param {string|RegExp} expected - Substring or pattern the message must match
+   * @returns {ErrorAssertions} This instance for chaining
+   */
+  toHaveMessage(expected) {
+    return this.check(error => {
+      if (expected instanceof RegExp) {
+        expect(error.message).to.match(expected);
+      } else {
+        expect(error.message).to.include(expected);
+      }
+    });
+  }
+
+  /**
+   * Chainable method for fluent API
+   * @returns {ErrorAssertions} This instance for chaining
+   */
+  and() {
+    return this;
+  }
+
+  /**
+   * Queue an assertion
+   * @param {Function} assertion - Assertion receiving the error
+   * @returns {ErrorAssertions} This instance for chaining
+   */
+  check(assertion) {
+    this.checks.push(assertion);
+    return this;
+  }
+
+  /**
+   * Get the status of an error, failing if it has no response
+   * @param {object} error - Request error
+   * @returns {number} HTTP status
+   */
+  getStatus(error) {
+    return this.getResponse(error).status;
+  }
+
+  /**
+   * Get the response of an error, failing if there is none
+   * @param {object} error - Request error
+   * @returns {object} Response
+   */
+  getResponse(error) {
+    expect(error.response, `Expected an HTTP error response, but the request failed with ${error.code || error.message}`)
+      .to.be.an('object');
+    return error.response;
+  }
+
+  /**
+   * Wait for the request to fail and run the queued assertions
+   * @returns {Promise<object>} The error, or the 4xx/5xx response in non-throwing mode
+   */
+  async run() {
+    if (this.actual instanceof Error) {
+      this.checks.forEach(assertion => assertion(this.actual));
+      return this.actual;
+    }
+
+    let response;
+    try {
+      response = await this.actual;
+    } catch (error) {
+      this.checks.forEach(assertion => assertion(error));
+      return error;
+    }
+
+    const status = response && response.status;
+    expect(status >= 400, `Expected request to fail, but it resolved with status ${status}`).to.be.true;
+    this.checks.forEach(assertion => assertion({ message: `Request failed with status code ${status}`, response }));
+    return response;
+  }
+
+  /**
+   * Make the assertion chain awaitable
+   * @param {Function} onFulfilled - Called with the error once all assertions passed
+   * @param {Function} onRejected - Called with the first failed assertion
+   * @returns {Promise} Promise settling with the assertion result
+   */
+  then(onFulfilled, onRejected) {
+    pendingChains.delete(this);
+    return this.run().then(onFulfilled, onRejected);
+  }
+}
+
+/**
+ * Factory function to create error assertions
+ * @param {Promise|Error} actual - Request promise, or an error that was already caught
+ * @returns {ErrorAssertions} Error assertions instance
+ */
+function expectError(actual) {
+  return new ErrorAssertions(actual);
+}
+
+/**
+ * Run the chains that were never awaited and report their failures
+ * Run after every test by the error assertions setup file, so a forgotten await cannot hide a failure.
+ * @returns {Promise<void>} Rejects with the failures of the unawaited chains
+ */
+async function verifyErrorAssertions() {
+  const chains = [...pendingChains];
+  pendingChains.clear();
+
+  const failures = [];
+  for (const chain of chains) {
+    try {
+      await chain.run();
+    } catch (error) {
+      failures.push(error.message);
+    }
+  }
+
+  if (failures.length > 0) {
+    expect.fail(`${failures.length} error assertion chain(s) were not awaited and failed:\n${failures.map(message => `  - ${message}`).join('\n')}\nAwait expectError(...) so the test waits for its assertions.`);
+  }
+}
+
+module.exports = {
+  ErrorAssertions,
+  expectError,
+  verifyErrorAssertions
+};
\ No newline at end of file
@@ -1,4 +1,265 @@
-const { expect } = require('chai');
+const { expect, AssertionError, util: chaiUtil } = require('chai');
+const BaseDTO = require('../dto/BaseDTO');
+const { validateSchema, resolveSchema, formatSchemaErrors } = require('../utils/json-schema');
+const jsonPath = require('../utils/json-path');
+const { matchResponseSnapshot } = require('../utils/response-snapshot');
+const Redactor = require('../logger/Redactor');
+const { getEnvironmentConfig, getCurrentEnvironment } = require('../config/config');
+
+// Types accepted by toHaveTypeAt
+const VALUE_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+// Longest value shown in a failure message
+const MAX_VALUE_LENGTH = 200;
+
+// Methods that chain or configure rather than assert; every other method is collected in soft mode
+const CHAIN_METHODS = ['constructor', 'and', 'getActual', 'soft', 'assertAll'];
+
+// Soft chains whose failures have not been reported yet
+const pendingChains = new Set();
+
+// Chains created inside the softly() block being run, or null outside one
+let softScope = null;
+
+// Masks secrets in the requests shown by soft assertion reports, created from the config on first use
+let requestRedactor = null;
+
+/**
+ * Format a value for a failure message
+ * @param {*} value - Value to show
+ * @returns {string} JSON text, shortened if it is long
+ */
+function formatValue(value) {
+  if (value === undefined) {
+    return 'undefined';
+  }
+  const text = JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}...` : text;
+}
+
+/**
+ * Describe a Jest asymmetric matcher, e.g. 'Any<String>' or 'StringContaining "Ervin"'
+ * @param {object} matcher - Asymmetric matcher
+ * @returns {string} Description
+ */
+function describeMatcher(matcher) {
+  if (typeof matcher.toAsymmetricMatcher === 'function') {
+    return matcher.toAsymmetricMatcher();
+  }
+  return matcher.sample === undefined ? String(matcher) : `${String(matcher)} ${formatValue(matcher.sample)}`;
+}
+
+/**
+ * Get the JSON type of a value
+ * @param {*} value - Value
+ * @returns {string} 'null', 'array', or the typeof of the value
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Describe a value with its type, e.g. 'a string ("3")'
+ * @param {*} value - Value
+ * @returns {string} Description
+ */
+function describeValue(value) {
+  const type = typeOf(value);
+  if (type === 'null' || type === 'undefined') {
+    return type;
+  }
+  return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type} (${formatValue(value)})`;
+}
+
+/**
+ * Resolve a path in a response body, failing if it matches nothing
+ * A definite path (no wildcards, unions, slices, filters or ..) resolves to its single value;
+ * any other path resolves to the array of every matched value.
+ * @param {*} data - Response body
+ * @param {string} path - JSONPath or dot path
+ * @param {string} expectation - What the assertion expected, used if the path is missing
+ * @returns {object} { value, matches }
+ */
+function resolvePath(data, path, expectation) {
+  const matches = jsonPath.query(data, path);
+
+  if (jsonPath.isDefinite(path)) {
+    if (matches.length === 0) {
+      const deepest = jsonPath.resolveDeepest(data, path);
+      expect.fail(`Expected ${path} ${expectation}, but it does not exist: ${deepest.path} resolved to ${formatValue(deepest.value)}`);
+    }
+    return { value: matches[0].value, matches };
+  }
+
+  if (matches.length === 0) {
+    expect.fail(`Expected ${path} ${expectation}, but it matched nothing in ${formatValue(data)}`);
+  }
+  return { value: matches.map(match => match.value), matches };
+}
+
+/**
+ * Get the items of an array response body, failing if the body is not an array
+ * @param {*} data - Response body
+ * @returns {Array} Items
+ */
+function itemsOf(data) {
+  if (!Array.isArray(data)) {
+    expect.fail(`Expected the response body to be an array, but it was ${describeValue(data)}`);
+  }
+  return data;
+}
+
+/**
+ * Check an item against a partial object
+ * Nested objects are matched partially as well; Jest asymmetric matchers are applied to their field.
+ * @param {*} item - Item to check
+ * @param {object} partial - Expected fields
+ * @returns {boolean} True if every field of the partial matches
+ */
+function matchesPartial(item, partial) {
+  if (item === null || typeof item !== 'object') {
+    return false;
+  }
+  return Object.keys(partial).every(key => {
+    const expected = partial[key];
+    const actual = item[key];
+    if (expected && typeof expected.asymmetricMatch === 'function') {
+      return expected.asymmetricMatch(actual);
+    }
+    if (expected !== null && typeof expected === 'object' && !Array.isArray(expected)) {
+      return matchesPartial(actual, expected);
+    }
+    return chaiUtil.eql(actual, expected);
+  });
+}
+
+/**
+ * Check an item against a predicate or a partial object
+ * A predicate fails an item by returning false or by throwing, e.g. from an expect() call.
+ * @param {*} item - Item to check
+ * @param {number} index - Index of the item
+ * @param {Function|object} condition - Predicate (item, index) or partial object
+ * @returns {string|null} Why the item does not match, or null if it matches
+ */
+function checkItem(item, index, condition) {
+  if (typeof condition !== 'function') {
+    return matchesPartial(item, condition) ? null : formatValue(item);
+  }
+  try {
+    return condition(item, index) === false ? formatValue(item) : null;
+  } catch (error) {
+    return error.message.split('\n')[0];
+  }
+}
+
+/**
+ * Describe a predicate or partial object for a failure message
+ * @param {Function|object} condition - Predicate or partial object
+ * @returns {string} Description
+ */
+function describeCondition(condition) {
+  if (typeof condition === 'function') {
+    return `to satisfy ${condition.name || 'the predicate'}`;
+  }
+  return `to match ${formatValue(condition)}`;
+}
+
+/**
+ * Read a field of an item
+ * @param {*} item - Item
+ * @param {string} field - Field name or dot path, e.g. 'address.city'
+ * @returns {*} Value, or undefined if the item has no such field
+ */
+function fieldOf(item, field) {
+  const [match] = jsonPath.query(item, field);
+  return match ? match.value : undefined;
+}
+
+/**
+ * Describe the request that produced a response
+ * @param {object} response - HTTP response
+ * @returns {string} Description such as 'GET http://localhost:3000/posts?userId=1 -> 200'
+ */
+function describeRequest(response) {
+  const config = response && response.config;
+  if (!config || !config.url) {
+    return `Unknown request -> ${response ? response.status : 'no response'}`;
+  }
+
+  let url = config.url;
+  if (config.baseURL && !/^[a-z][a-z\d+.-]*:/i.test(url)) {
+    url = `${config.baseURL.replace(/\/$/, '')}/${url.replace(/^\//, '')}`;
+  }
+  // Query parameters such as an API key sent by ApiKeyProvider are masked like logged values
+  const redactor = getRequestRedactor();
+  const query = config.params
+    ? new URLSearchParams(redactor.redact(config.params)).toString()
+      .split(encodeURIComponent(redactor.replacement)).join(redactor.replacement)
+    : '';
+  const request = `${(config.method || 'get').toUpperCase()} ${url}${query ? `?${query}` : ''}`;
+  return `${redactor.redactString(request)} -> ${response.status}`;
+}
+
+/**
+ * Get the redactor for request descriptions, configured like the HttpClient's
+ * @returns {Redactor} Redactor
+ */
+function getRequestRedactor() {
+  if (!requestRedactor) {
+    requestRedactor = new Redactor(getEnvironmentConfig(getCurrentEnvironment()).redaction);
+  }
+  return requestRedactor;
+}
+
+/**
+ * Format an assertion argument for a soft assertion report
+ * @param {*} argument - Argument
+ * @returns {string} Function names, matcher descriptions, or JSON text
+ */
+function formatArgument(argument) {
+  if (typeof argument === 'function') {
+    return argument.name || 'function';
+  }
+  if (argument && typeof argument.asymmetricMatch === 'function') {
+    return describeMatcher(argument);
+  }
+  return formatValue(argument);
+}
+
+/**
+ * Throw one error for every failure collected by soft chains
+ * @param {FluentAssertions[]} chains - Soft chains to report
+ * @throws {AssertionError} Report grouped by request, with the collected failures as `failures`
+ */
+function reportSoftFailures(chains) {
+  const failed = chains.filter(chain => chain.softFailures.length > 0);
+  if (failed.length === 0) {
+    return;
+  }
+
+  const failures = failed.flatMap(chain => chain.softFailures);
+  const total = chains.reduce((count, chain) => count + chain.assertionCount, 0);
+  const lines = [`${failures.length} of ${total} soft assertion(s) failed:`];
+  let number = 0;
+
+  failed.forEach(chain => {
+    lines.push('', describeRequest(chain.actual));
+    chain.softFailures.forEach(failure => {
+      number++;
+      lines.push(`  ${number}) ${failure.assertion}`);
+      failure.message.split('\n').forEach(line => lines.push(`     ${line}`));
+      if (failure.expected !== undefined) {
+        lines.push(`     expected: ${formatValue(failure.expected)}`, `     actual:   ${formatValue(failure.actual)}`);
+      }
+    });
+    chain.softFailures = [];
+  });
+
+  throw new AssertionError(lines.join('\n'), { failures });
+}
 
 /**
  * Fluent assertion helpers for API testing
@@ -7,10 +268,43 @@ const { expect } = require('chai');
 class FluentAssertions {
   /**
    * Create a FluentAssertions instance
+   * Inside a softly() block the instance starts in soft mode.
    * @param {object} actual - The actual response object to assert against
    */
   constructor(actual) {
     this.actual = actual;
+    this.softFailures = null;
+    this.assertionCount = 0;
+
+    if (softScope) {
+      this.soft();
+      softScope.push(this);
+    }
+  }
+
+  /**
+   * Collect failed assertions instead of throwing on the first one
+   * The failures are thrown together by assertAll(), or after the test if assertAll() is not called.
+   * @returns {FluentAssertions} This instance for chaining
+   */
+  soft() {
+    if (!this.softFailures) {
+      this.softFailures = [];
+      pendingChains.add(this);
+    }
+    return this;
+  }
+
+  /**
+   * Throw the failures collected in soft mode, if any
+   * @returns {FluentAssertions} This instance for chaining
+   */
+  assertAll() {
+    if (this.softFailures) {
+      pendingChains.delete(this);
+      reportSoftFailures([this]);
+    }
+    return this;
   }
 
   /**
@@ -77,17 +371,105 @@ class FluentAssertions {
   }
 
   /**
-   * Assert that the response body matches a schema (basic structure check)
-   * @param {object} schema - Expected schema structure
+   * Assert that a JSONPath or dot path matches at least one value in the response body
+   * @param {string} path - Path such as '$.address.geo.lat', 'address.geo.lat' or '$[?(@.id > 5)]'
    * @returns {FluentAssertions} This instance for chaining
    */
-  toMatchSchema(schema) {
-    Object.keys(schema).forEach(key => {
-      expect(this.actual.data).to.have.property(key);
-      if (typeof schema[key] === 'object' && schema[key] !== null) {
-        expect(this.actual.data[key]).to.be.an(typeof schema[key]);
+  toHaveJsonPath(path) {
+    resolvePath(this.actual.data, path, 'to exist');
+    return this;
+  }
+
+  /**
+   * Assert the value at a path in the response body
+   * Definite paths are compared by their single value; wildcard and filter paths by the array of
+   * every matched value, e.g. toHaveValueAt('$[*].userId', [1, 1, 2]).
+   * @param {string} path - JSONPath or dot path
+   * @param {*|Function} expected - Expected value (compared deeply), an asymmetric matcher such as
+   *   expect.any(Number), or a predicate function receiving the value
+   * @returns {FluentAssertions} This instance for chaining
+   */
+  toHaveValueAt(path, expected) {
+    if (typeof expected === 'function') {
+      const { value } = resolvePath(this.actual.data, path, `to satisfy ${expected.name || 'the predicate'}`);
+      if (!expected(value)) {
+        expect.fail(`Expected ${path} to satisfy ${expected.name || 'the predicate'}, but it was ${formatValue(value)}`);
       }
-    });
+    } else if (expected && typeof expected.asymmetricMatch === 'function') {
+      const description = describeMatcher(expected);
+      const { value } = resolvePath(this.actual.data, path, `to match ${description}`);
+      if (!expected.asymmetricMatch(value)) {
+        expect.fail(`Expected ${path} to match ${description}, but it was ${formatValue(value)}`);
+      }
+    } else {
+      const { value } = resolvePath(this.actual.data, path, `to equal ${formatValue(expected)}`);
+      if (!chaiUtil.eql(value, expected)) {
+        expect.fail(`Expected ${path} to equal ${formatValue(expected)}, but it was ${formatValue(value)}`);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Assert the JSON type of the value at a path in the response body
+   * For wildcard and filter paths, every matched value must have the type.
+   * @param {string} path - JSONPath or dot path
+   * @param {string} type - One of string, number, integer, boolean, object, array, null
+   * @returns {FluentAssertions} This instance for chaining
+   */
+  toHaveTypeAt(path, type) {
+    if (!VALUE_TYPES.includes(type)) {
+      throw new Error(`Unknown type: ${type}. Expected one of ${VALUE_TYPES.join(', ')}`);
+    }
+
+    const article = /^[aeiou]/.test(type) ? 'an' : 'a';
+    const { matches } = resolvePath(this.actual.data, path, `to be ${article} ${type}`);
+    const mismatches = matches.filter(match => (type === 'integer' ? !Number.isInteger(match.value) : typeOf(match.value) !== type));
+
+    if (mismatches.length > 0 && jsonPath.isDefinite(path)) {
+      expect.fail(`Expected ${path} to be ${article} ${type}, but it was ${describeValue(mismatches[0].value)}`);
+    }
+    if (mismatches.length > 0) {
+      const list = mismatches.map(match => `  - ${match.path} was ${describeValue(match.value)}`).join('\n');
+      expect.fail(`Expected every value at ${path} to be ${article} ${type}, but ${mismatches.length} of ${matches.length} were not:\n${list}`);
+    }
+    return this;
+  }
+
+  /**
+   * Assert that the response body matches a JSON Schema
+   * Fails with every violation and its JSON pointer
+   * @param {object|Function} schema - JSON Schema (draft 2020-12), a DTO class to take the schema from,
+   *   or a map of property types such as { id: 'number', title: 'string' }
+   * @returns {FluentAssertions} This instance for chaining
+   */
+  toMatchSchema(schema) {
+    const jsonSchema = resolveSchema(schema);
+    // DTO schemas use the DTO format names (e.g. 'zipcode'), so the validator needs their checks
+    const errors = validateSchema(jsonSchema, this.actual.data, { formats: BaseDTO.FORMATS });
+
+    if (errors.length > 0) {
+      expect.fail(`Expected the response body to match ${jsonSchema.title || 'the schema'}, but found ${errors.length} violation(s):\n${formatSchemaErrors(errors)}`);
+    }
+    return this;
+  }
+
+  /**
+   * Assert that the response matches its stored snapshot
+   * The status, selected headers and body are stored in __snapshots__/<test file>.responses.json the first
+   * time; later runs fail with a structural diff when they change. Run Jest with -u to accept changes.
+   * @param {object} options - Snapshot options
+   * @param {string[]} options.ignore - Dynamic values to mask: body paths such as '$.id' or '$[*].id', and headers such as 'headers.date'
+   * @param {string[]} options.headers - Header names to store (default: content-type)
+   * @param {string} options.placeholder - Replacement of masked values (default: 'type', e.g. '<number>')
+   * @param {string} options.name - Snapshot name added to the test name, instead of a number
+   * @returns {FluentAssertions} This instance for chaining
+   */
+  toMatchResponseSnapshot(options = {}) {
+    const result = matchResponseSnapshot(this.actual, options);
+    if (!result.pass) {
+      expect.fail(result.message);
+    }
     return this;
   }
 
@@ -110,6 +492,134 @@ class FluentAssertions {
     return this;
   }
 
+  /**
+   * Assert that the response body is an array whose length is within a range (inclusive)
+   * @param {number} min - Minimum length
+   * @param {number} max - Maximum length
+   * @returns {FluentAssertions} This instance for chaining
+   */
+  toHaveLengthBetween(min, max) {
+    const items = itemsOf(this.actual.data);
+    if (items.length < min || items.length > max) {
+      expect.fail(`Expected between ${min} and ${max} items, but got ${items.length}`);
+    }
+    return this;
+  }
+
+  /**
+   * Assert that every item of an array response body matches
+   * @param {Function|object} condition - Predicate (item, index) that fails by returning false or throwing,
+   *   or a partial object such as { userId: 1 } (nested objects match partially, asymmetric matchers are applied)
+   * @returns {FluentAssertions} This instance for chaining
+   */
+  everyItem(condition) {
+    const items = itemsOf(this.actual.data);
+    const failures = items
+      .map((item, index) => ({ index, reason: checkItem(item, index, condition) }))
+      .filter(failure => failure.reason !== null);
+
+    if (failures.length > 0) {
+      const list = failures.map(failure => `  - [${failure.index}]: ${failure.reason}`).join('\n');
+      expect.fail(`Expected every item ${describeCondition(condition)}, but ${failures.length} of ${items.length} did not:\n${list}`);
+    }
+    return this;
+  }
+
+  /**
+   * Assert that at least one item of an array response body matches
+   * @param {Function|object} condition - Predicate (item, index) or partial object, as for everyItem
+   * @returns {FluentAssertions} This instance for chaining
+   */
+  someItem(condition) {
+    const items = itemsOf(this.actual.data);
+    if (!items.some((item, index) => checkItem(item, index, condition) === null)) {
+      expect.fail(`Expected some item ${describeCondition(condition)}, but none of the ${items.length} items did`);
+    }
+    return this;
+  }
+
+  /**
+   * Assert that an array response body is sorted by a field
+   * Values are compared as numbers or strings; items with any other value count as out of order.
+   * @param {string} field - Field name or dot path, e.g. 'id' or 'address.city'
+   * @param {string} direction - 'asc' (default) or 'desc'
+   * @returns {FluentAssertions} This instance for chaining
+   */
+  toBeSortedBy(field, direction = 'asc') {
+    if (!['asc', 'desc'].includes(direction)) {
+      throw new Error(`Unknown sort direction: ${direction}. Expected asc or desc`);
+    }
+
+    const items = itemsOf(this.actual.data);
+    const values = items.map(item => fieldOf(item, field));
+    const comparable = value => typeof value === 'number' || typeof value === 'string';
+    const failures = [];
+
+    for (let i = 1; i < values.length; i++) {
+      const previous = values[i - 1];
+      const current = values[i];
+      const inOrder = comparable(previous) && comparable(current) && typeof previous === typeof current
+        && (direction === 'asc' ? previous <= current : previous >= current);
+      if (!inOrder) {
+        failures.push(`  - [${i}] (${formatValue(current)}) after [${i - 1}] (${formatValue(previous)})`);
+      }
+    }
+
+    if (failures.length > 0) {
+      const order = direction === 'asc' ? 'ascending' : 'descending';
+      expect.fail(`Expected the items to be sorted by ${field} in ${order} order, but ${failures.length} item(s) were out of order:\n${failures.join('\n')}`);
+    }
+    return this;
+  }
+
+  /**
+   * Assert that no two items of an array response body share a field value
+   * @param {string} field - Field name or dot path, e.g. 'id' or 'email'
+   * @returns {FluentAssertions} This instance for chaining
+   */
+  toBeUniqueBy(field) {
+    const items = itemsOf(this.actual.data);
+    const indexes = new Map();
+
+    items.forEach((item, index) => {
+      const key = formatValue(fieldOf(item, field));
+      indexes.set(key, [...(indexes.get(key) || []), index]);
+    });
+
+    const duplicates = [...indexes.entries()].filter(([, positions]) => positions.length > 1);
+    if (duplicates.length > 0) {
+      const list = duplicates.map(([key, positions]) => `  - ${key} at ${positions.map(index => `[${index}]`).join(', ')}`).join('\n');
+      expect.fail(`Expected every item to have a unique ${field}, but found ${duplicates.length} duplicate value(s):\n${list}`);
+    }
+    return this;
+  }
+
+  /**
+   * Assert that every item of an array response body matches a JSON Schema
+   * Fails with the violations of every item, using JSON pointers that start with the item index
+   * @param {object|Function} schema - JSON Schema of one item, or a DTO class to take the schema from
+   * @returns {FluentAssertions} This instance for chaining
+   */
+  eachItemToMatchSchema(schema) {
+    const jsonSchema = resolveSchema(schema);
+    const items = itemsOf(this.actual.data);
+    const invalid = [];
+    const errors = [];
+
+    items.forEach((item, index) => {
+      const itemErrors = validateSchema(jsonSchema, item, { formats: BaseDTO.FORMATS });
+      if (itemErrors.length > 0) {
+        invalid.push(`[${index}]`);
+        errors.push(...itemErrors.map(error => ({ ...error, pointer: `/${index}${error.pointer}` })));
+      }
+    });
+
+    if (invalid.length > 0) {
+      expect.fail(`Expected every item to match ${jsonSchema.title || 'the schema'}, but ${invalid.length} of ${items.length} did not (${invalid.join(', ')}):\n${formatSchemaErrors(errors)}`);
+    }
+    return this;
+  }
+
   /**
    * Assert that the response body is an object
    * @returns {FluentAssertions} This instance for chaining
@@ -156,14 +666,17 @@ class FluentAssertions {
   /**
    * Assert that the response time is within acceptable limits
    * @param {number} maxTime - Maximum response time in milliseconds
+   * @param {string} phase - Timing phase to check (total, dns, connect, tls, ttfb, download)
    * @returns {FluentAssertions} This instance for chaining
    */
-  toRespondWithin(maxTime) {
-    // Note: This would require timing data from the HTTP client
-    // For now, we'll assume response time is available in the response object
-    if (this.actual.responseTime !== undefined) {
-      expect(this.actual.responseTime).to.be.below(maxTime);
-    }
+  toRespondWithin(maxTime, phase = 'total') {
+    const timings = this.actual.timings || {};
+    const actualTime = phase === 'total' ? this.actual.responseTime : timings[phase];
+
+    expect(actualTime, `Expected ${phase} timing data on the response, but none was recorded`)
+      .to.be.a('number');
+    expect(actualTime).to.be.below(maxTime,
+      `Expected ${phase} time below ${maxTime}ms, but got ${actualTime.toFixed(1)}ms`);
     return this;
   }
 
@@ -184,6 +697,36 @@ class FluentAssertions {
   }
 }
 
+// In soft mode an assertion records its failure and returns the chain; errors other than
+// assertion failures (e.g. an unknown type passed to toHaveTypeAt) are still thrown
+Object.getOwnPropertyNames(FluentAssertions.prototype)
+  .filter(name => !CHAIN_METHODS.includes(name))
+  .forEach(name => {
+    const assertion = FluentAssertions.prototype[name];
+    FluentAssertions.prototype[name] = function softAware(...args) {
+      if (!this.softFailures) {
+        return assertion.apply(this, args);
+      }
+
+      this.assertionCount++;
+      try {
+        assertion.apply(this, args);
+      } catch (error) {
+        if (!(error instanceof AssertionError)) {
+          throw error;
+        }
+        this.softFailures.push({
+          assertion: `${name}(${args.map(formatArgument).join(', ')})`,
+          message: error.message,
+          expected: error.expected,
+          actual: error.actual,
+          request: describeRequest(this.actual)
+        });
+      }
+      return this;
+    };
+  });
+
 /**
  * Factory function to create fluent assertions
  * @param {object} response - HTTP response object
@@ -193,7 +736,85 @@ function expectResponse(response) {
   return new FluentAssertions(response);
 }
 
+/**
+ * Run assertions softly: every expectResponse() chain created in the callback collects its failures,
+ * and one report with all of them is thrown when the callback finishes
+ * @param {Function} callback - Sync or async function making the assertions
+ * @returns {*|Promise} The callback's result, or a promise of it for async callbacks
+ */
+function softly(callback) {
+  const outerScope = softScope;
+  const scope = [];
+  softScope = scope;
+
+  const finish = () => {
+    softScope = outerScope;
+    scope.forEach(chain => pendingChains.delete(chain));
+  };
+
+  let result;
+  try {
+    result = callback();
+  } catch (error) {
+    finish();
+    throw withSoftFailures(error, scope);
+  }
+
+  if (result && typeof result.then === 'function') {
+    return result.then(value => {
+      finish();
+      reportSoftFailures(scope);
+      return value;
+    }, error => {
+      finish();
+      throw withSoftFailures(error, scope);
+    });
+  }
+
+  finish();
+  reportSoftFailures(scope);
+  return result;
+}
+
+/**
+ * Add the failures collected before a softly() block threw to its error, so they are not lost
+ * @param {*} error - Error thrown by the block
+ * @param {FluentAssertions[]} scope - Chains created in the block
+ * @returns {*} The same error; an Error gets the report appended to its message and the failures as `softFailures`
+ */
+function withSoftFailures(error, scope) {
+  if (!(error instanceof Error)) {
+    // Nothing to attach the report to; verifySoftAssertions() reports the chains after the test
+    scope.forEach(chain => pendingChains.add(chain));
+    return error;
+  }
+
+  try {
+    reportSoftFailures(scope);
+  } catch (report) {
+    const message = error.message;
+    error.message = `${message}\n\n${report.message}`;
+    if (typeof error.stack === 'string') {
+      error.stack = error.stack.replace(message, () => error.message);
+    }
+    error.softFailures = report.failures;
+  }
+  return error;
+}
+
+/**
+ * Report soft chains that were not asserted with assertAll()
+ * Run after every test by the soft assertions setup file, so collected failures are never lost.
+ */
+function verifySoftAssertions() {
+  const chains = [...pendingChains];
+  pendingChains.clear();
+  reportSoftFailures(chains);
+}
+
 module.exports = {
   FluentAssertions,
-  expectResponse
+  expectResponse,
+  softly,
+  verifySoftAssertions
 };
\ No newline at end of file
@@ -0,0 +1,41 @@
+const IAuthProvider = require('./IAuthProvider');
+
+/**
+ * API key authentication provider
+ * Sends the key either as a request header or as a query parameter
+ */
+class ApiKeyProvider extends IAuthProvider {
+  /**
+   * Create an ApiKeyProvider instance
+   * @param {object} options - Provider options
+   * @param {string} options.key - API key
+   * @param {string} options.name - Header or query parameter name
+   * @param {string} options.in - Where to send the key: 'header' or 'query'
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.key) {
+      throw new Error('ApiKeyProvider requires a key');
+    }
+    if (options.in && !['header', 'query'].includes(options.in)) {
+      throw new Error(`ApiKeyProvider cannot send the key in: ${options.in}. Expected header or query`);
+    }
+    this.key = options.key;
+    this.in = options.in || 'header';
+    this.name = options.name || (this.in === 'header' ? 'X-API-Key' : 'api_key');
+  }
+
+  /**
+   * Add the API key to the request
+   * @param {object} request - Normalized request
+   */
+  async authenticate(request) {
+    if (this.in === 'query') {
+      request.params = { ...request.params, [this.name]: this.key };
+    } else {
+      request.headers[this.name] = this.key;
+    }
+  }
+}
+
+module.exports = ApiKeyProvider;
\ No newline at end of file
@@ -0,0 +1,32 @@
+const IAuthProvider = require('./IAuthProvider');
+
+/**
+ * HTTP Basic authentication provider
+ */
+class BasicAuthProvider extends IAuthProvider {
+  /**
+   * Create a BasicAuthProvider instance
+   * @param {object} options - Provider options
+   * @param {string} options.username - Username
+   * @param {string} options.password - Password
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.username) {
+      throw new Error('BasicAuthProvider requires a username');
+    }
+    this.username = options.username;
+    this.password = options.password || '';
+  }
+
+  /**
+   * Set the Authorization header
+   * @param {object} request - Normalized request
+   */
+  async authenticate(request) {
+    const credentials = Buffer.from(`${this.username}:${this.password}`).toString('base64');
+    request.headers.Authorization = `Basic ${credentials}`;
+  }
+}
+
+module.exports = BasicAuthProvider;
\ No newline at end of file
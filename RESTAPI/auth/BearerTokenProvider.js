@@ -0,0 +1,29 @@
+const IAuthProvider = require('./IAuthProvider');
+
+/**
+ * Static bearer token authentication provider
+ */
+class BearerTokenProvider extends IAuthProvider {
+  /**
+   * Create a BearerTokenProvider instance
+   * @param {object} options - Provider options
+   * @param {string} options.token - Bearer token
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.token) {
+      throw new Error('BearerTokenProvider requires a token');
+    }
+    this.token = options.token;
+  }
+
+  /**
+   * Set the Authorization header
+   * @param {object} request - Normalized request
+   */
+  async authenticate(request) {
+    request.headers.Authorization = `Bearer ${this.token}`;
+  }
+}
+
+module.exports = BearerTokenProvider;
\ No newline at end of file
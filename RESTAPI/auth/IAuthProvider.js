@@ -0,0 +1,25 @@
+/**
+ * Authentication Provider Interface
+ * Defines the contract for applying credentials to outgoing requests
+ */
+class IAuthProvider {
+  /**
+   * Apply credentials to a request before it is sent
+   * @param {object} request - Normalized request from the middleware context ({ method, url, headers, params, data })
+   * @returns {Promise<void>} Resolves once the request carries credentials
+   */
+  async authenticate(request) {
+    throw new Error('authenticate method must be implemented by auth provider implementation');
+  }
+
+  /**
+   * React to a 401 response
+   * @param {object} response - The 401 response
+   * @returns {Promise<boolean>} True if credentials were renewed and the request should be retried once
+   */
+  async onUnauthorized(response) {
+    return false;
+  }
+}
+
+module.exports = IAuthProvider;
\ No newline at end of file
@@ -0,0 +1,17 @@
+const OAuth2Provider = require('./OAuth2Provider');
+
+/**
+ * OAuth2 client credentials grant provider
+ * For service-to-service access where the client acts on its own behalf
+ */
+class OAuth2ClientCredentialsProvider extends OAuth2Provider {
+  /**
+   * Client credentials grant parameters
+   * @returns {object} Token request parameters
+   */
+  grantParams() {
+    return { grant_type: 'client_credentials' };
+  }
+}
+
+module.exports = OAuth2ClientCredentialsProvider;
\ No newline at end of file
@@ -0,0 +1,32 @@
+const OAuth2Provider = require('./OAuth2Provider');
+
+/**
+ * OAuth2 resource owner password grant provider
+ * For test accounts whose username and password are known to the suite
+ */
+class OAuth2PasswordProvider extends OAuth2Provider {
+  /**
+   * Create an OAuth2PasswordProvider instance
+   * @param {object} options - OAuth2Provider options plus the resource owner credentials
+   * @param {string} options.username - Username
+   * @param {string} options.password - Password
+   */
+  constructor(options = {}) {
+    super(options);
+    if (!options.username) {
+      throw new Error('OAuth2PasswordProvider requires a username');
+    }
+    this.username = options.username;
+    this.password = options.password || '';
+  }
+
+  /**
+   * Password grant parameters
+   * @returns {object} Token request parameters
+   */
+  grantParams() {
+    return { grant_type: 'password', username: this.username, password: this.password };
+  }
+}
+
+module.exports = OAuth2PasswordProvider;
\ No newline at end of file
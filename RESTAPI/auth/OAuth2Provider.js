@@ -0,0 +1,203 @@
+const axios = require('axios');
+const IAuthProvider = require('./IAuthProvider');
+
+/**
+ * Base class for OAuth2 token grants
+ * Fetches access tokens from a token endpoint, caches them until shortly before they expire,
+ * prefers the refresh_token grant when the server issued a refresh token, and drops the cached
+ * token when a request comes back 401 so the request can be retried once with a new token.
+ * Subclasses supply the grant parameters.
+ */
+class OAuth2Provider extends IAuthProvider {
+  /**
+   * Create an OAuth2Provider instance
+   * @param {object} options - Provider options
+   * @param {string} options.tokenUrl - Token endpoint; relative URLs resolve against baseUrl
+   * @param {string} options.clientId - Client ID
+   * @param {string} options.clientSecret - Client secret
+   * @param {string} options.scope - Space-separated scopes to request
+   * @param {string} options.clientAuthentication - How to send client credentials: 'basic' (Authorization header) or 'body'
+   * @param {number} options.refreshSkew - Seconds before expiry at which a cached token is renewed
+   * @param {number} options.timeout - Token request timeout in milliseconds
+   * @param {string} options.baseUrl - Base URL for a relative tokenUrl
+   * @param {ILogger} options.logger - Logger instance
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.tokenUrl) {
+      throw new Error(`${this.constructor.name} requires a tokenUrl`);
+    }
+    if (!options.clientId) {
+      throw new Error(`${this.constructor.name} requires a clientId`);
+    }
+    if (options.clientAuthentication && !['basic', 'body'].includes(options.clientAuthentication)) {
+      throw new Error(`Unknown OAuth2 client authentication: ${options.clientAuthentication}. Expected basic or body`);
+    }
+
+    this.tokenUrl = options.tokenUrl;
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret || '';
+    this.scope = options.scope || null;
+    this.clientAuthentication = options.clientAuthentication || 'basic';
+    this.refreshSkew = options.refreshSkew !== undefined ? options.refreshSkew : 30;
+    this.logger = options.logger || null;
+    this.client = axios.create({
+      baseURL: options.baseUrl,
+      timeout: options.timeout || 10000
+    });
+
+    this.token = null;
+    this.pending = null;
+  }
+
+  /**
+   * Grant-specific token request parameters
+   * @returns {object} Parameters including grant_type
+   */
+  grantParams() {
+    throw new Error('grantParams method must be implemented by OAuth2 provider implementation');
+  }
+
+  /**
+   * Set the Authorization header, fetching a token first if needed
+   * @param {object} request - Normalized request
+   */
+  async authenticate(request) {
+    const token = await this.getToken();
+    request.headers.Authorization = `${token.tokenType} ${token.accessToken}`;
+  }
+
+  /**
+   * Drop the cached access token so the retried request fetches a new one
+   * The refresh token is kept, so renewal can still use the refresh_token grant
+   * @returns {Promise<boolean>} Always true
+   */
+  async onUnauthorized() {
+    if (this.token) {
+      this.token.expiresAt = 0;
+    }
+    return true;
+  }
+
+  /**
+   * Forget the cached token entirely
+   */
+  invalidate() {
+    this.token = null;
+  }
+
+  /**
+   * Get a valid access token
+   * Concurrent callers share a single token request
+   * @returns {Promise<object>} Token with accessToken, tokenType, expiresAt and refreshToken
+   */
+  async getToken() {
+    if (this.token && !this.isExpiring(this.token)) {
+      return this.token;
+    }
+
+    if (!this.pending) {
+      this.pending = this.renew().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Check whether a token expires within the refresh skew
+   * @param {object} token - Cached token
+   * @returns {boolean} True if the token should be renewed
+   */
+  isExpiring(token) {
+    return Date.now() >= token.expiresAt - this.refreshSkew * 1000;
+  }
+
+  /**
+   * Renew the token, using the refresh token when one is available
+   * Falls back to the provider's own grant when the refresh is rejected
+   * @returns {Promise<object>} New token
+   */
+  async renew() {
+    const refreshToken = this.token && this.token.refreshToken;
+
+    if (refreshToken) {
+      try {
+        this.token = await this.requestToken({ grant_type: 'refresh_token', refresh_token: refreshToken });
+        return this.token;
+      } catch (error) {
+        this.log('warn', 'OAuth2 token refresh failed, requesting a new token', { status: error.response?.status });
+      }
+    }
+
+    this.token = await this.requestToken(this.grantParams());
+    return this.token;
+  }
+
+  /**
+   * Call the token endpoint
+   * @param {object} params - Grant parameters
+   * @returns {Promise<object>} Parsed token
+   */
+  async requestToken(params) {
+    const body = new URLSearchParams();
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    Object.entries({ ...params, scope: params.scope || this.scope || undefined }).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        body.append(key, value);
+      }
+    });
+
+    if (this.clientAuthentication === 'basic') {
+      const credentials = `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.append('client_id', this.clientId);
+      body.append('client_secret', this.clientSecret);
+    }
+
+    const response = await this.client.post(this.tokenUrl, body.toString(), { headers });
+    const { access_token: accessToken, token_type: tokenType, expires_in: expiresIn, refresh_token: newRefreshToken } = response.data || {};
+
+    if (!accessToken) {
+      throw new Error(`OAuth2 token response from ${this.tokenUrl} did not include an access_token`);
+    }
+
+    this.log('debug', 'Fetched OAuth2 access token', { grantType: params.grant_type, expiresIn });
+
+    return {
+      accessToken,
+      tokenType: normalizeTokenType(tokenType),
+      // Tokens without expires_in are treated as valid until the server rejects them
+      expiresAt: expiresIn ? Date.now() + Number(expiresIn) * 1000 : Infinity,
+      refreshToken: newRefreshToken || params.refresh_token || null
+    };
+  }
+
+  /**
+   * Log through the configured logger, if any
+   * @param {string} level - Log level
+   * @param {string} message - Message
+   * @param {object} meta - Metadata (never includes token values)
+   */
+  log(level, message, meta) {
+    if (this.logger) {
+      this.logger[level](message, meta);
+    }
+  }
+}
+
+/**
+ * Normalize the token_type returned by the server (e.g. "bearer" -> "Bearer")
+ * @param {string} tokenType - Token type from the token response
+ * @returns {string} Authorization scheme
+ */
+function normalizeTokenType(tokenType) {
+  if (!tokenType || tokenType.toLowerCase() === 'bearer') {
+    return 'Bearer';
+  }
+  return tokenType;
+}
+
+module.exports = OAuth2Provider;
\ No newline at end of file
@@ -0,0 +1,36 @@
+/**
+ * Auth provider factory
+ * Maps the auth block of an environment config to a provider instance
+ */
+
+const BasicAuthProvider = require('./BasicAuthProvider');
+const BearerTokenProvider = require('./BearerTokenProvider');
+const ApiKeyProvider = require('./ApiKeyProvider');
+const OAuth2ClientCredentialsProvider = require('./OAuth2ClientCredentialsProvider');
+const OAuth2PasswordProvider = require('./OAuth2PasswordProvider');
+
+const PROVIDERS = {
+  basic: BasicAuthProvider,
+  bearer: BearerTokenProvider,
+  apiKey: ApiKeyProvider,
+  'oauth2-client-credentials': OAuth2ClientCredentialsProvider,
+  'oauth2-password': OAuth2PasswordProvider
+};
+
+/**
+ * Create an auth provider from configuration
+ * @param {object} authConfig - Auth configuration with a type and the provider's options
+ * @param {object} defaults - Options every provider receives (e.g. baseUrl, logger)
+ * @returns {IAuthProvider} Auth provider
+ */
+function createAuthProvider(authConfig, defaults = {}) {
+  const { type, ...options } = authConfig;
+  if (!Object.prototype.hasOwnProperty.call(PROVIDERS, type)) {
+    throw new Error(`Unknown auth provider type: ${type}. Expected one of ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const Provider = PROVIDERS[type];
+  return new Provider({ ...defaults, ...options });
+}
+
+module.exports = createAuthProvider;
\ No newline at end of file
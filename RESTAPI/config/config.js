@@ -3,6 +3,18 @@
  * Manages base URLs, headers, timeouts, and other global settings
  */
 
+const path = require('path');
+
+/**
+ * Check whether the tests run on CI
+ * CI providers set CI to 'true' or '1'; any non-empty value other than 'false' or '0' counts
+ * @returns {boolean} True on CI
+ */
+function isCi() {
+  const value = (process.env.CI || '').trim().toLowerCase();
+  return value !== '' && value !== 'false' && value !== '0';
+}
+
 const config = {
   // Base URL for the API
   baseUrl: 'https://jsonplaceholder.typicode.com',
@@ -17,10 +29,70 @@ const config = {
   // Request timeout in milliseconds
   timeout: 10000,
 
+  // Reject 4xx/5xx responses as errors; set to false to resolve them as normal responses
+  // Can also be overridden per request with { throwHttpErrors: false }
+  throwHttpErrors: true,
+
   // Retry configuration
+  // Only idempotent methods are retried, on network errors, 429 and 5xx responses
   retry: {
     attempts: 3,
-    delay: 1000
+    delay: 1000,
+    factor: 2,
+    maxDelay: 10000,
+    jitter: 0.5,
+    methods: ['get', 'head', 'options', 'put', 'delete'],
+    respectRetryAfter: true
+  },
+
+  // Record/replay configuration
+  // mode: off (live requests), record, replay or auto (replay when recorded, record otherwise)
+  cassette: {
+    mode: process.env.HTTP_CASSETTE_MODE || 'off',
+    dir: path.join(__dirname, '../tests/__cassettes__'),
+    match: {
+      method: true,
+      url: true,
+      body: true,
+      headers: []
+    },
+    strict: process.env.HTTP_CASSETTE_STRICT === 'true'
+  },
+
+  // Pagination defaults for httpClient.paginate()
+  // strategy: page (_page/_limit), offset (_start/_limit), cursor or link (RFC 5988 Link header)
+  // endpoints override the defaults per path; paths may contain :params
+  pagination: {
+    strategy: 'page',
+    pageSize: 10,
+    totalCountHeader: 'x-total-count',
+    endpoints: {
+      '/comments': { strategy: 'offset', pageSize: 50 },
+      '/posts/:id/comments': { strategy: 'offset', pageSize: 5 }
+    }
+  },
+
+  // Authentication
+  // null sends no credentials (JSONPlaceholder is public). Otherwise an object with a type and the
+  // provider's options, see auth/createAuthProvider.js:
+  //   { type: 'basic', username, password }
+  //   { type: 'bearer', token }
+  //   { type: 'apiKey', key, name, in: 'header' | 'query' }
+  //   { type: 'oauth2-client-credentials', tokenUrl, clientId, clientSecret, scope }
+  //   { type: 'oauth2-password', tokenUrl, clientId, clientSecret, username, password, scope }
+  // Override it per environment and read real secrets from environment variables
+  auth: null,
+
+  // Redaction of secrets before anything is logged
+  // The defaults in logger/Redactor.js always apply (Authorization, Cookie and X-API-Key headers,
+  // password/token/secret fields, bearer tokens and secret query parameters); list additions here.
+  // LOG_UNREDACTED=true turns redaction off for local debugging; it is ignored on CI
+  redaction: {
+    enabled: process.env.LOG_UNREDACTED !== 'true' || isCi(),
+    replacement: '[REDACTED]',
+    headers: [],
+    paths: [],
+    patterns: []
   },
 
   // Environment-specific configurations
@@ -31,26 +103,58 @@ const config = {
     },
     staging: {
       baseUrl: 'https://jsonplaceholder-staging.typicode.com',
-      timeout: 10000
+      timeout: 10000,
+      auth: process.env.STAGING_CLIENT_ID ? {
+        type: 'oauth2-client-credentials',
+        tokenUrl: process.env.STAGING_TOKEN_URL || '/oauth/token',
+        clientId: process.env.STAGING_CLIENT_ID,
+        clientSecret: process.env.STAGING_CLIENT_SECRET
+      } : null
     },
     production: {
       baseUrl: 'https://jsonplaceholder.typicode.com',
       timeout: 5000
+    },
+    // Offline environment served by the bundled mock server (server/MockServer.js)
+    // tests/setup/mock-server.js starts one server per test file and exports its URL as MOCK_SERVER_URL
+    local: {
+      baseUrl: 'http://127.0.0.1:3000',
+      timeout: 5000,
+      // Credentials for the mock server's token endpoint; they are test fixtures, not secrets
+      auth: {
+        type: 'oauth2-client-credentials',
+        tokenUrl: '/oauth/token',
+        clientId: 'local-client',
+        clientSecret: 'local-secret'
+      },
+      mockServer: {
+        port: 0,
+        auth: {
+          clients: [{ clientId: 'local-client', clientSecret: 'local-secret' }],
+          users: [{ username: 'Bret', password: 'local-password' }],
+          tokenTtl: 3600,
+          required: false
+        }
+      }
     }
   }
 };
 
 /**
  * Get configuration for a specific environment
- * @param {string} environment - The environment name (development, staging, production)
+ * @param {string} environment - The environment name (development, staging, production, local)
  * @returns {object} Environment-specific configuration merged with base config
  */
 function getEnvironmentConfig(environment = 'development') {
   const envConfig = config.environments[environment] || config.environments.development;
+  const baseUrl = envConfig.mockServer && process.env.MOCK_SERVER_URL
+    ? process.env.MOCK_SERVER_URL
+    : envConfig.baseUrl;
 
   return {
     ...config,
     ...envConfig,
+    baseUrl,
     headers: {
       ...config.headers,
       ...envConfig.headers
@@ -60,10 +164,11 @@ function getEnvironmentConfig(environment = 'development') {
 
 /**
  * Get the current environment from environment variables or default to development
+ * TEST_ENV takes precedence because Jest always sets NODE_ENV to "test"
  * @returns {string} Current environment name
  */
 function getCurrentEnvironment() {
-  return process.env.NODE_ENV || process.env.TEST_ENV || 'development';
+  return process.env.TEST_ENV || process.env.NODE_ENV || 'development';
 }
 
 module.exports = {
@@ -0,0 +1,570 @@
+const { isDeepStrictEqual } = require('util');
+
+/**
+ * Named string formats available to field definitions
+ */
+const FORMATS = {
+  email: {
+    test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    description: 'a valid email address'
+  },
+  url: {
+    test: value => {
+      // Bare host names such as 'hildegard.org' are accepted as well
+      if (/^([a-z0-9-]+\.)+[a-z]{2,}(\/\S*)?$/i.test(value)) {
+        return true;
+      }
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+      } catch (error) {
+        return false;
+      }
+    },
+    description: 'a valid URL'
+  },
+  numeric: {
+    test: value => /^-?\d+(\.\d+)?$/.test(value),
+    description: 'a numeric string'
+  },
+  zipcode: {
+    test: value => /^\d{5}(-\d{4})?$/.test(value),
+    description: 'a valid ZIP code'
+  },
+  phone: {
+    test: value => /^\+?[\d\s().-]+( x\d+)?$/.test(value) && value.replace(/ x\d+$/, '').replace(/\D/g, '').length >= 7,
+    description: 'a valid phone number'
+  }
+};
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value)
+};
+
+const PARSE_MODES = ['strict', 'lenient'];
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * Check whether a field type refers to a nested DTO class
+ * @param {string|Function} type - Field type
+ * @returns {boolean} True for DTO classes
+ */
+function isDtoType(type) {
+  return typeof type === 'function' && typeof type.fromJson === 'function';
+}
+
+/**
+ * Describe a field type for error messages
+ * @param {string|Function} type - Field type
+ * @returns {string} Type with its article, e.g. 'an integer'
+ */
+function describeType(type) {
+  const name = isDtoType(type) ? type.name : type;
+  return `${/^[aeiou]/i.test(name) ? 'an' : 'a'} ${name}`;
+}
+
+/**
+ * Describe a JSON value for error messages
+ * @param {*} value - JSON value
+ * @returns {string} Value with its type, e.g. 'a string ("1")'
+ */
+function describeValue(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'an array';
+  }
+  if (typeof value === 'object') {
+    return 'an object';
+  }
+  return `${describeType(typeof value)} (${JSON.stringify(value)})`;
+}
+
+/**
+ * Convert a JSON value to a field type when no information is lost
+ * @param {string} type - Field type name
+ * @param {*} value - JSON value of another type
+ * @returns {*} Converted value, or undefined if it cannot be converted
+ */
+function coerce(type, value) {
+  if ((type === 'number' || type === 'integer') && typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value)) {
+    const number = Number(value);
+    return type === 'number' || Number.isInteger(number) ? number : undefined;
+  }
+  if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+    return String(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return undefined;
+}
+
+/**
+ * Resolve the default value of a field
+ * @param {object} field - Field definition
+ * @returns {*} Default value; functions are called so each instance gets its own copy
+ */
+function defaultValue(field) {
+  if (typeof field.default === 'function') {
+    return field.default();
+  }
+  return field.default !== undefined ? field.default : null;
+}
+
+/**
+ * Hydrate plain objects given for nested DTO fields
+ * @param {object} field - Field definition
+ * @param {*} value - Field value
+ * @returns {*} Value, with plain objects converted to the DTO class of the field or its items
+ */
+function hydrate(field, value) {
+  if (isDtoType(field.type) && TYPE_CHECKS.object(value) && !(value instanceof BaseDTO)) {
+    return field.type.fromJson(value);
+  }
+  if (field.type === 'array' && isDtoType(field.items) && Array.isArray(value)) {
+    return value.map(item => hydrate({ type: field.items }, item));
+  }
+  return value;
+}
+
+/**
+ * Base class for data transfer objects
+ * Subclasses declare their fields once in `static fields`; the constructor, fromJson,
+ * toJson, validate, copy and equals are derived from that declaration.
+ *
+ * Field definition options:
+ * - `type` - 'string', 'number', 'integer', 'boolean', 'object', 'array' or a DTO class
+ * - `items` - element type of an 'array' field (a type name or a DTO class)
+ * - `required` - value must be present; required strings must also be non-empty.
+ *   Empty optional strings count as not given and skip the checks below
+ * - `default` - value used when none is given; use a function for objects and arrays
+ * - `omitIfNull` - leave the field out of toJson() while it is null (e.g. unsaved IDs)
+ * - `format` - named format: 'email', 'url', 'numeric', 'zipcode' or 'phone'
+ * - `min`/`max` - numeric range, also applied to numeric strings; `minLength`/`maxLength` - string length
+ * - `pattern` - regular expression a string must match
+ * - `enum` - list of allowed values
+ * - `validate` - custom check `(value, dto) => message|null`
+ *
+ * Positional constructor arguments follow the declaration order of the fields.
+ */
+class BaseDTO {
+  /**
+   * Create a DTO instance from positional field values
+   * @param {...*} values - Field values in declaration order; null or undefined use the field default.
+   *   Plain objects given for nested DTO fields are hydrated, e.g. { lat, lng } for a GeoDTO
+   */
+  constructor(...values) {
+    this.constructor.fieldNames().forEach((name, index) => {
+      const value = values[index];
+      const field = this.constructor.fields[name];
+      this[name] = value === undefined || value === null ? defaultValue(field) : hydrate(field, value);
+    });
+  }
+
+  /**
+   * Get the declared field names in order
+   * @returns {string[]} Field names
+   */
+  static fieldNames() {
+    return Object.keys(this.fields || {});
+  }
+
+  /**
+   * Create a DTO instance from named field values
+   * @param {object} values - Field values keyed by name
+   * @returns {BaseDTO} New DTO instance
+   */
+  static create(values = {}) {
+    return new this(...this.fieldNames().map(name => values[name]));
+  }
+
+  /**
+   * Create a DTO from JSON data, hydrating nested DTOs
+   * Without a mode the data is read as-is. In 'strict' mode unknown fields, missing required
+   * fields and type mismatches throw one error listing every issue; in 'lenient' mode they are
+   * returned as warnings and values that can be converted losslessly (e.g. '1' to 1) are coerced.
+   * Data that is not an object (null, an array, a string) is read as an empty object and reported at '$'.
+   * @param {object} json - JSON object
+   * @param {object} options - Parse options
+   * @param {string} options.mode - 'strict' or 'lenient'
+   * @returns {BaseDTO|{dto: BaseDTO, warnings: object[]}} DTO instance, or the DTO and warnings in lenient mode
+   */
+  static fromJson(json = {}, options = {}) {
+    const { mode } = options;
+    if (mode !== undefined && !PARSE_MODES.includes(mode)) {
+      throw new Error(`Unknown parse mode: ${mode}. Expected one of ${PARSE_MODES.join(', ')}`);
+    }
+
+    const issues = [];
+    if (!TYPE_CHECKS.object(json)) {
+      issues.push({ path: '$', kind: 'type', message: `$ must be an object but was ${describeValue(json)}` });
+    }
+    const dto = this.parse(TYPE_CHECKS.object(json) ? json : {}, '$', mode, issues);
+
+    if (mode === 'lenient') {
+      return { dto, warnings: issues };
+    }
+    if (mode === 'strict' && issues.length > 0) {
+      const error = new Error(`${this.name} does not match the JSON data:\n${issues.map(issue => `  - ${issue.message}`).join('\n')}`);
+      error.dto = this.name;
+      error.issues = issues;
+      throw error;
+    }
+    return dto;
+  }
+
+  /**
+   * Parse a JSON object into a DTO, collecting issues
+   * @param {object} json - JSON object
+   * @param {string} path - JSON path of the object, e.g. '$.address'
+   * @param {string} mode - Parse mode; values are only coerced in 'lenient' mode
+   * @param {object[]} issues - Issues found so far, as { path, kind, message }
+   * @returns {BaseDTO} New DTO instance
+   */
+  static parse(json, path, mode, issues) {
+    const fields = this.fields || {};
+    const values = {};
+
+    for (const key of Object.keys(json)) {
+      if (!Object.prototype.hasOwnProperty.call(fields, key)) {
+        issues.push({ path: `${path}.${key}`, kind: 'unknown', message: `${path}.${key} is not a field of ${this.name}` });
+      }
+    }
+
+    for (const [name, field] of Object.entries(fields)) {
+      values[name] = BaseDTO.parseValue(field, json[name], `${path}.${name}`, mode, issues);
+    }
+
+    return this.create(values);
+  }
+
+  /**
+   * Parse a single JSON value into the declared field type
+   * @param {object} field - Field definition
+   * @param {*} value - JSON value
+   * @param {string} path - JSON path of the value
+   * @param {string} mode - Parse mode
+   * @param {object[]} issues - Issues found so far
+   * @returns {*} Parsed value
+   */
+  static parseValue(field, value, path, mode, issues) {
+    if (value === undefined || value === null) {
+      if (field.required) {
+        issues.push({ path, kind: 'missing', message: `${path} is required` });
+      }
+      return value;
+    }
+
+    const mismatch = () => {
+      issues.push({ path, kind: 'type', message: `${path} must be ${describeType(field.type)} but was ${describeValue(value)}` });
+      return value;
+    };
+
+    if (isDtoType(field.type)) {
+      return TYPE_CHECKS.object(value) ? field.type.parse(value, path, mode, issues) : mismatch();
+    }
+    if (!field.type || TYPE_CHECKS[field.type](value)) {
+      if (field.type === 'array' && field.items) {
+        return value.map((item, index) => BaseDTO.parseValue({ type: field.items }, item, `${path}[${index}]`, mode, issues));
+      }
+      return value;
+    }
+    if (mode === 'lenient') {
+      const coerced = coerce(field.type, value);
+      if (coerced !== undefined) {
+        issues.push({ path, kind: 'coerced', message: `${path} was coerced from ${describeValue(value)} to ${describeType(field.type)}` });
+        return coerced;
+      }
+    }
+    return mismatch();
+  }
+
+  /**
+   * Export the field declarations as a JSON Schema (draft 2020-12)
+   * Nested DTOs are placed in $defs and referenced with $ref. Range checks on numeric strings
+   * and custom validate functions have no JSON Schema equivalent and are left out.
+   * @param {object} options - Export options
+   * @param {boolean} options.array - Describe an array of this DTO, e.g. a list response
+   * @returns {object} JSON Schema
+   */
+  static toJsonSchema(options = {}) {
+    const defs = {};
+    const schema = { $schema: JSON_SCHEMA_DIALECT, title: this.name };
+
+    if (options.array) {
+      Object.assign(schema, { type: 'array', items: BaseDTO.fieldSchema({ type: this, required: true }, defs) });
+    } else {
+      Object.assign(schema, this.objectSchema(defs));
+    }
+
+    return Object.keys(defs).length > 0 ? { ...schema, $defs: defs } : schema;
+  }
+
+  /**
+   * Build the object schema of this DTO
+   * @param {object} defs - Schemas of nested DTOs collected so far, keyed by class name
+   * @returns {object} JSON Schema of an object
+   */
+  static objectSchema(defs) {
+    const properties = {};
+    const required = [];
+
+    for (const [name, field] of Object.entries(this.fields || {})) {
+      properties[name] = BaseDTO.fieldSchema(field, defs);
+      if (field.required) {
+        required.push(name);
+      }
+    }
+
+    return { type: 'object', properties, required, additionalProperties: false };
+  }
+
+  /**
+   * Build the JSON Schema of a single field
+   * @param {object} field - Field definition
+   * @param {object} defs - Schemas of nested DTOs collected so far
+   * @returns {object} JSON Schema
+   */
+  static fieldSchema(field, defs) {
+    const nullable = !field.required && defaultValue(field) === null;
+
+    if (isDtoType(field.type)) {
+      if (!defs[field.type.name]) {
+        defs[field.type.name] = {};
+        defs[field.type.name] = field.type.objectSchema(defs);
+      }
+      const ref = { $ref: `#/$defs/${field.type.name}` };
+      return nullable ? { anyOf: [ref, { type: 'null' }] } : ref;
+    }
+
+    const schema = {};
+    if (field.type) {
+      schema.type = nullable ? [field.type, 'null'] : field.type;
+    }
+    if (field.type === 'array' && field.items) {
+      schema.items = BaseDTO.fieldSchema({ type: field.items, required: true }, defs);
+    }
+    if (field.enum) {
+      schema.enum = nullable ? [...field.enum, null] : field.enum;
+    }
+    if (field.format) {
+      schema.format = field.format;
+    }
+    if (field.pattern) {
+      // JSON Schema patterns have no flags; only those that do not change what matches can be dropped
+      const flags = field.pattern.flags.replace(/[dguy]/g, '');
+      if (flags) {
+        throw new Error(`Cannot export pattern ${field.pattern} to JSON Schema: flags "${flags}" have no JSON Schema equivalent`);
+      }
+      schema.pattern = field.pattern.source;
+    }
+    if (field.type === 'number' || field.type === 'integer') {
+      if (field.min !== undefined) {
+        schema.minimum = field.min;
+      }
+      if (field.max !== undefined) {
+        schema.maximum = field.max;
+      }
+    }
+    if (field.type === 'string') {
+      const minLength = field.minLength !== undefined ? field.minLength : (field.required ? 1 : undefined);
+      if (minLength !== undefined) {
+        schema.minLength = minLength;
+      }
+      if (field.maxLength !== undefined) {
+        schema.maxLength = field.maxLength;
+      }
+    }
+
+    return schema;
+  }
+
+  /**
+   * Convert the DTO to JSON for requests
+   * @returns {object} JSON representation; fields marked omitIfNull are left out while null
+   */
+  toJson() {
+    const result = {};
+
+    for (const [name, field] of Object.entries(this.constructor.fields)) {
+      const value = this[name];
+      if (field.omitIfNull && value === null) {
+        continue;
+      }
+      result[name] = Array.isArray(value) ? value.map(serialize) : serialize(value);
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate the DTO data, including nested DTOs
+   * @returns {object} Validation result with isValid boolean and errors array
+   */
+  validate() {
+    const errors = this.collectErrors('');
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Collect the validation errors of all fields
+   * @param {string} prefix - Path of this DTO inside its parent, e.g. 'address.'
+   * @returns {string[]} Path-qualified error messages
+   */
+  collectErrors(prefix) {
+    const errors = [];
+
+    for (const [name, field] of Object.entries(this.constructor.fields)) {
+      errors.push(...this.validateField(`${prefix}${name}`, field, this[name]));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a single field value
+   * @param {string} path - Field path used in messages
+   * @param {object} field - Field definition
+   * @param {*} value - Field value
+   * @returns {string[]} Error messages
+   */
+  validateField(path, field, value) {
+    if (value === null || value === undefined) {
+      if (!field.required) {
+        return [];
+      }
+      return [field.type === 'string' ? `${path} must be a non-empty string` : `${path} is required`];
+    }
+
+    if (isDtoType(field.type)) {
+      if (!(value instanceof field.type)) {
+        return [`${path} must be ${describeType(field.type)}`];
+      }
+      return value.collectErrors(`${path}.`);
+    }
+
+    if (field.type && !TYPE_CHECKS[field.type](value)) {
+      return [`${path} must be ${describeType(field.type)}`];
+    }
+
+    if (field.type === 'array') {
+      return field.items ? value.flatMap((item, index) => this.validateItem(`${path}[${index}]`, field.items, item)) : [];
+    }
+
+    if (field.type === 'string' && value.trim().length === 0) {
+      return field.required ? [`${path} must be a non-empty string`] : [];
+    }
+
+    const message = this.checkConstraints(field, value);
+    return message ? [`${path} ${message}`] : [];
+  }
+
+  /**
+   * Validate one element of an array field
+   * @param {string} path - Element path, e.g. 'tags[0]'
+   * @param {string|Function} type - Element type
+   * @param {*} item - Element value
+   * @returns {string[]} Error messages
+   */
+  validateItem(path, type, item) {
+    if (isDtoType(type)) {
+      return item instanceof type ? item.collectErrors(`${path}.`) : [`${path} must be ${describeType(type)}`];
+    }
+    return TYPE_CHECKS[type](item) ? [] : [`${path} must be ${describeType(type)}`];
+  }
+
+  /**
+   * Check format, range, length, pattern, enum and custom constraints
+   * @param {object} field - Field definition
+   * @param {*} value - Field value of the right type
+   * @returns {string|null} Message without the field path, or null when valid
+   */
+  checkConstraints(field, value) {
+    if (field.enum && !field.enum.includes(value)) {
+      return `must be one of ${field.enum.join(', ')}`;
+    }
+
+    if (field.format) {
+      const format = FORMATS[field.format];
+      if (!format) {
+        throw new Error(`Unknown format: ${field.format}`);
+      }
+      if (!format.test(value)) {
+        return `must be ${format.description}`;
+      }
+    }
+
+    if (field.pattern && !field.pattern.test(value)) {
+      return `must match ${field.pattern}`;
+    }
+
+    const hasMin = field.min !== undefined;
+    const hasMax = field.max !== undefined;
+    const number = Number(value);
+    if ((hasMin && number < field.min) || (hasMax && number > field.max)) {
+      if (hasMin && hasMax) {
+        return `must be between ${field.min} and ${field.max}`;
+      }
+      return hasMin ? `must be at least ${field.min}` : `must be at most ${field.max}`;
+    }
+
+    if (field.minLength !== undefined && value.length < field.minLength) {
+      return `must be at least ${field.minLength} characters long`;
+    }
+    if (field.maxLength !== undefined && value.length > field.maxLength) {
+      return `must be at most ${field.maxLength} characters long`;
+    }
+
+    return field.validate ? field.validate(value, this) || null : null;
+  }
+
+  /**
+   * Create a copy of the DTO with optional property overrides
+   * @param {object} overrides - Properties to override
+   * @returns {BaseDTO} New DTO instance of the same class
+   */
+  copy(overrides = {}) {
+    const values = {};
+
+    for (const name of this.constructor.fieldNames()) {
+      values[name] = overrides[name] !== undefined ? overrides[name] : this[name];
+    }
+
+    return this.constructor.create(values);
+  }
+
+  /**
+   * Compare with another DTO by class and JSON representation
+   * @param {BaseDTO} other - DTO to compare with
+   * @returns {boolean} True if both are the same kind of DTO with equal data
+   */
+  equals(other) {
+    return other instanceof BaseDTO
+      && other.constructor === this.constructor
+      && isDeepStrictEqual(this.toJson(), other.toJson());
+  }
+}
+
+/**
+ * Serialize a field value, converting nested DTOs to JSON
+ * @param {*} value - Field value
+ * @returns {*} JSON value
+ */
+function serialize(value) {
+  return value instanceof BaseDTO ? value.toJson() : value;
+}
+
+BaseDTO.FORMATS = FORMATS;
+
+module.exports = BaseDTO;
\ No newline at end of file
@@ -0,0 +1,32 @@
+const Factory = require('./Factory');
+const CommentDTO = require('../dto/CommentDTO');
+const { WORDS, FIRST_NAMES, LAST_NAMES } = require('./vocabulary');
+
+/**
+ * Factory for CommentDTO
+ * Comments get sequential IDs and unique email addresses, and belong to one of the 100 seeded posts
+ */
+class CommentFactory extends Factory {
+  static dto = CommentDTO;
+
+  static traits = {
+    // Rejected by validation: the email format is checked
+    invalidEmail: { email: 'not-an-email' }
+  };
+
+  /**
+   * Generate the values of a new comment
+   * @returns {object} JSON values
+   */
+  defaults() {
+    return {
+      id: this.sequence('comment'),
+      postId: this.random.integer(1, 100),
+      name: this.random.words(WORDS, 2, 5),
+      email: this.uniqueEmail(`${this.random.pick(FIRST_NAMES)}.${this.random.pick(LAST_NAMES)}`),
+      body: this.random.words(WORDS, 10, 25)
+    };
+  }
+}
+
+module.exports = CommentFactory;
\ No newline at end of file
@@ -0,0 +1,350 @@
+const BaseDTO = require('../dto/BaseDTO');
+const SeededRandom = require('./SeededRandom');
+const { UNICODE_SAMPLES } = require('./vocabulary');
+
+// Length used by maxLength() for fields that do not declare one
+const DEFAULT_MAX_LENGTH = 255;
+
+// Seed, random stream and sequences shared by all factories
+const state = {
+  seed: null,
+  random: null,
+  sequences: new Map()
+};
+
+/**
+ * Parse a seed value
+ * @param {number|string} value - Seed, e.g. from FACTORY_SEED
+ * @returns {number} 32-bit unsigned integer seed
+ */
+function parseSeed(value) {
+  if (!/^\d+$/.test(String(value)) || Number(value) > 0xffffffff) {
+    throw new Error(`Invalid factory seed: ${value}. Expected an integer between 0 and 4294967295`);
+  }
+  return Number(value);
+}
+
+/**
+ * Get the current seed, taking it from FACTORY_SEED or picking one on first use
+ * @returns {number} Seed
+ */
+function getSeed() {
+  if (state.seed === null) {
+    const configured = process.env.FACTORY_SEED;
+    state.seed = configured ? parseSeed(configured) : Math.floor(Math.random() * 0x100000000);
+  }
+  return state.seed;
+}
+
+/**
+ * Check whether a value is a plain JSON object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects that are neither arrays nor null
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a field holds free text, i.e. a string without a format, pattern or enum
+ * @param {object} field - Field definition
+ * @returns {boolean} True for free text fields
+ */
+function isFreeText(field) {
+  return field.type === 'string' && !field.format && !field.pattern && !field.enum;
+}
+
+/**
+ * Merge overrides into generated values
+ * Nested DTO fields are merged field by field, so { address: { city: 'X' } } keeps the other address fields.
+ * @param {Function} dtoClass - DTO class the values belong to
+ * @param {object} values - Generated JSON values
+ * @param {object} overrides - Values to set; DTO instances are converted to JSON
+ * @returns {object} New values
+ */
+function merge(dtoClass, values, overrides) {
+  const fields = dtoClass.fields || {};
+  const result = { ...values };
+
+  for (const [name, override] of Object.entries(overrides)) {
+    const field = fields[name];
+    if (!field) {
+      throw new Error(`Unknown field: ${name}. ${dtoClass.name} has the fields ${Object.keys(fields).join(', ')}`);
+    }
+
+    const value = override instanceof BaseDTO ? override.toJson() : override;
+    const nested = typeof field.type === 'function' && isPlainObject(value) && isPlainObject(result[name]);
+    result[name] = nested ? merge(field.type, result[name], value) : value;
+  }
+
+  return result;
+}
+
+/**
+ * Replace every free text value, including those of nested DTOs
+ * @param {Function} dtoClass - DTO class the values belong to
+ * @param {object} values - JSON values
+ * @param {Function} replace - Called as (value, field) and returning the new string
+ * @returns {object} New values
+ */
+function mapFreeText(dtoClass, values, replace) {
+  const result = { ...values };
+
+  for (const [name, field] of Object.entries(dtoClass.fields || {})) {
+    if (isFreeText(field) && typeof result[name] === 'string') {
+      result[name] = replace(result[name], field);
+    } else if (typeof field.type === 'function' && isPlainObject(result[name])) {
+      result[name] = mapFreeText(field.type, result[name], replace);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Base class for seeded test data factories
+ * Subclasses set `static dto` and implement `defaults()`, which returns the JSON values of a new
+ * object and draws everything random from `this.random`. Factories are immutable: `with`, `trait`,
+ * `withUnicode` and `maxLength` return a new factory with one more step, and steps are applied in
+ * call order when building. Every static method starts from a fresh factory, e.g. `PostFactory.build()`.
+ *
+ * All factories share one seeded random stream, so a run is reproduced by setting FACTORY_SEED to
+ * the seed it reported. The stream is reseeded for every test from the seed and the test name
+ * (see tests/setup/factories.js), which keeps a test's data stable when other tests are added or skipped.
+ */
+class Factory {
+  // DTO class built by the factory
+  static dto = null;
+
+  // Named traits: overrides, or a function (values, factory) returning overrides
+  static traits = {};
+
+  /**
+   * Create a factory
+   * @param {Function[]} steps - Functions applied to the generated values in order
+   */
+  constructor(steps = []) {
+    this.steps = steps;
+  }
+
+  /**
+   * Generate the values of a new object
+   * @returns {object} JSON values keyed by field name
+   */
+  defaults() {
+    throw new Error(`${this.constructor.name} must implement defaults()`);
+  }
+
+  /**
+   * Get the shared random stream
+   * @returns {SeededRandom} Random stream
+   */
+  get random() {
+    if (!state.random) {
+      state.random = new SeededRandom(getSeed());
+    }
+    return state.random;
+  }
+
+  /**
+   * Get the next value of a named sequence
+   * Sequences are shared by all factories and count from 1
+   * @param {string} name - Sequence name, e.g. 'post' or 'email'
+   * @returns {number} Next value
+   */
+  sequence(name) {
+    const value = (state.sequences.get(name) || 0) + 1;
+    state.sequences.set(name, value);
+    return value;
+  }
+
+  /**
+   * Build an email address that no other factory call returns
+   * @param {string} name - Local part before the sequence number, e.g. 'ada.lovelace'
+   * @returns {string} Email address, e.g. 'ada.lovelace.3@example.com'
+   */
+  uniqueEmail(name) {
+    const localPart = name.toLowerCase().replace(/[^a-z0-9.]+/g, '.');
+    return `${localPart}.${this.sequence('email')}@example.com`;
+  }
+
+  /**
+   * Add a step to a copy of this factory
+   * @param {Function} step - Called as (values) and returning the new values
+   * @returns {Factory} New factory
+   */
+  step(step) {
+    return new this.constructor([...this.steps, step]);
+  }
+
+  /**
+   * Override generated values
+   * @param {object} overrides - Values keyed by field name; nested DTO fields may be partial
+   * @returns {Factory} New factory
+   */
+  with(overrides) {
+    return this.step(values => merge(this.constructor.dto, values, overrides));
+  }
+
+  /**
+   * Apply a named trait from `static traits`
+   * @param {string} name - Trait name
+   * @returns {Factory} New factory
+   */
+  trait(name) {
+    const traits = this.constructor.traits;
+    if (!Object.prototype.hasOwnProperty.call(traits, name)) {
+      const known = Object.keys(traits);
+      throw new Error(`Unknown trait: ${name}. ${this.constructor.name} has ${known.length > 0 ? `the traits ${known.join(', ')}` : 'no traits'}`);
+    }
+
+    const trait = traits[name];
+    return this.step(values => merge(this.constructor.dto, values, typeof trait === 'function' ? trait(values, this) : trait));
+  }
+
+  /**
+   * Replace free text with non-ASCII text (accents, other scripts, right-to-left text, emoji)
+   * Fields with a format, pattern or enum keep their values.
+   * @returns {Factory} New factory
+   */
+  withUnicode() {
+    return this.step(values => mapFreeText(this.constructor.dto, values, () => this.random.pick(UNICODE_SAMPLES)));
+  }
+
+  /**
+   * Stretch free text to its maximum length by repeating the generated words
+   * @param {number} length - Length to use instead of the field's maxLength (default 255)
+   * @returns {Factory} New factory
+   */
+  maxLength(length = null) {
+    return this.step(values => mapFreeText(this.constructor.dto, values, (value, field) => {
+      const target = length || field.maxLength || DEFAULT_MAX_LENGTH;
+      const text = value || 'x';
+      return text.padEnd(target, ` ${text}`).slice(0, target);
+    }));
+  }
+
+  /**
+   * Generate the JSON values of a new object
+   * @param {object} overrides - Values applied after all steps
+   * @returns {object} JSON values
+   */
+  attributes(overrides = {}) {
+    // Lets the test environment report the seed when the test fails
+    global.factorySeed = getSeed();
+
+    const values = this.steps.reduce((current, step) => step(current), this.defaults());
+    return merge(this.constructor.dto, values, overrides);
+  }
+
+  /**
+   * Build a new DTO
+   * @param {object} overrides - Values applied after all steps
+   * @returns {BaseDTO} DTO instance
+   */
+  build(overrides = {}) {
+    return this.constructor.dto.fromJson(this.attributes(overrides));
+  }
+
+  /**
+   * Build several DTOs
+   * @param {number} count - Number of DTOs
+   * @param {object|Function} overrides - Values applied after all steps, or a function (index) returning them
+   * @returns {BaseDTO[]} DTO instances
+   */
+  buildList(count, overrides = {}) {
+    return Array.from({ length: count }, (_, index) => this.build(typeof overrides === 'function' ? overrides(index) : overrides));
+  }
+
+  /**
+   * Start a factory with overrides
+   * @param {object} overrides - Values keyed by field name
+   * @returns {Factory} New factory
+   */
+  static with(overrides) {
+    return new this().with(overrides);
+  }
+
+  /**
+   * Start a factory with a named trait
+   * @param {string} name - Trait name
+   * @returns {Factory} New factory
+   */
+  static trait(name) {
+    return new this().trait(name);
+  }
+
+  /**
+   * Start a factory that generates non-ASCII free text
+   * @returns {Factory} New factory
+   */
+  static withUnicode() {
+    return new this().withUnicode();
+  }
+
+  /**
+   * Start a factory that generates free text of maximum length
+   * @param {number} length - Length to use instead of the field's maxLength (default 255)
+   * @returns {Factory} New factory
+   */
+  static maxLength(length = null) {
+    return new this().maxLength(length);
+  }
+
+  /**
+   * Generate the JSON values of a new object
+   * @param {object} overrides - Values keyed by field name
+   * @returns {object} JSON values
+   */
+  static attributes(overrides = {}) {
+    return new this().attributes(overrides);
+  }
+
+  /**
+   * Build a new DTO
+   * @param {object} overrides - Values keyed by field name
+   * @returns {BaseDTO} DTO instance
+   */
+  static build(overrides = {}) {
+    return new this().build(overrides);
+  }
+
+  /**
+   * Build several DTOs
+   * @param {number} count - Number of DTOs
+   * @param {object|Function} overrides - Values, or a function (index) returning them
+   * @returns {BaseDTO[]} DTO instances
+   */
+  static buildList(count, overrides = {}) {
+    return new this().buildList(count, overrides);
+  }
+
+  /**
+   * Get the seed of the current run
+   * @returns {number} Seed
+   */
+  static getSeed() {
+    return getSeed();
+  }
+
+  /**
+   * Restart all factories from a seed, resetting the sequences
+   * @param {number|string} seed - 32-bit unsigned integer seed
+   */
+  static setSeed(seed) {
+    state.seed = parseSeed(seed);
+    state.random = new SeededRandom(state.seed);
+    state.sequences.clear();
+  }
+
+  /**
+   * Restart the random stream for a label, such as a test name
+   * The stream depends only on the seed and the label. Sequences keep counting.
+   * @param {string} label - Label mixed into the seed
+   */
+  static reseed(label) {
+    state.random = new SeededRandom(SeededRandom.hash(`${getSeed()}:${label}`));
+  }
+}
+
+module.exports = Factory;
\ No newline at end of file
@@ -0,0 +1,229 @@
+const UsersApi = require('../api/UsersApi');
+const PostsApi = require('../api/PostsApi');
+const CommentsApi = require('../api/CommentsApi');
+const UserFactory = require('./UserFactory');
+const PostFactory = require('./PostFactory');
+const CommentFactory = require('./CommentFactory');
+
+/**
+ * Resources the graph builder can create
+ * `children` maps each nested resource to the foreign key that points back to the parent
+ */
+const RESOURCES = {
+  users: { api: UsersApi, factory: UserFactory, children: { posts: 'userId' } },
+  posts: { api: PostsApi, factory: PostFactory, children: { comments: 'postId' } },
+  comments: { api: CommentsApi, factory: CommentFactory, children: {} }
+};
+
+// Options of a shape entry; every other key names a nested resource
+const SHAPE_OPTIONS = ['count', 'factory', 'with'];
+
+/**
+ * Normalize one entry of a graph shape
+ * @param {string} resource - Resource the entry describes
+ * @param {number|object} spec - Count, or { count, factory, with, <child>: spec }
+ * @param {string} path - Position in the shape for error messages, e.g. 'users.posts'
+ * @returns {object} Entry with count, factory, overrides and normalized children
+ */
+function normalizeShape(resource, spec, path) {
+  const options = typeof spec === 'number' ? { count: spec } : { count: 1, ...spec };
+  if (!Number.isInteger(options.count) || options.count < 0) {
+    throw new Error(`Invalid count for ${path}: ${options.count}. Expected a non-negative integer`);
+  }
+
+  const relations = RESOURCES[resource].children;
+  const children = Object.keys(options)
+    .filter(key => !SHAPE_OPTIONS.includes(key))
+    .map(child => {
+      if (!Object.prototype.hasOwnProperty.call(relations, child)) {
+        const known = Object.keys(relations);
+        throw new Error(`Unknown relation: ${path}.${child}. ${resource} ${known.length > 0 ? `can have ${known.join(', ')}` : 'have no nested resources'}`);
+      }
+      return { resource: child, foreignKey: relations[child], ...normalizeShape(child, options[child], `${path}.${child}`) };
+    });
+
+  return {
+    count: options.count,
+    factory: options.factory || RESOURCES[resource].factory,
+    overrides: options.with || {},
+    children
+  };
+}
+
+/**
+ * Created item in a graph
+ * Holds the DTO (with its server-assigned ID), the parent node, and one array per nested resource
+ */
+class GraphNode {
+  /**
+   * Create a GraphNode instance
+   * @param {string} resource - Resource name, e.g. 'posts'
+   * @param {BaseDTO} dto - Created DTO
+   * @param {GraphNode} parent - Parent node, or null at the top level
+   */
+  constructor(resource, dto, parent) {
+    this.resource = resource;
+    this.dto = dto;
+    this.parent = parent;
+    Object.keys(RESOURCES[resource].children).forEach(child => {
+      this[child] = [];
+    });
+  }
+
+  /**
+   * Get the server-assigned ID
+   * @returns {number} ID
+   */
+  get id() {
+    return this.dto.id;
+  }
+}
+
+/**
+ * Object graph created by GraphBuilder
+ * Top-level nodes are available by resource name, e.g. graph.users[0].posts[1].comments[4]
+ */
+class Graph {
+  /**
+   * Create a Graph instance
+   * @param {object} apis - Resource clients keyed by resource name
+   * @param {string[]} resources - Top-level resources of the shape
+   */
+  constructor(apis, resources) {
+    this.apis = apis;
+    this.created = [];
+    resources.forEach(resource => {
+      this[resource] = [];
+    });
+  }
+
+  /**
+   * Get the DTOs of every created item of a resource, at any depth
+   * @param {string} resource - Resource name
+   * @returns {BaseDTO[]} DTOs in creation order
+   */
+  all(resource) {
+    return this.created.filter(node => node.resource === resource).map(node => node.dto);
+  }
+
+  /**
+   * Delete every created item, in reverse creation order
+   * Items that are already gone (404) are skipped. Other failures do not stop the teardown;
+   * they are reported together once every item has been tried.
+   * @returns {Promise<void>}
+   */
+  async teardown() {
+    const failures = [];
+
+    while (this.created.length > 0) {
+      const node = this.created.pop();
+      try {
+        const { response } = await this.apis[node.resource].delete(node.id, { throwHttpErrors: false });
+        if (response.status >= 400 && response.status !== 404) {
+          failures.push(`${node.resource}/${node.id}: status ${response.status}`);
+        }
+      } catch (error) {
+        failures.push(`${node.resource}/${node.id}: ${error.message}`);
+      }
+    }
+
+    if (failures.length > 0) {
+      const error = new Error(`Graph teardown failed for ${failures.length} item(s):\n${failures.map(failure => `  - ${failure}`).join('\n')}`);
+      error.failures = failures;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Creates related users, posts and comments from a declared shape
+ * Items are built with the factories and created level by level (users, then posts, then comments),
+ * so every foreign key refers to an ID the server has already assigned.
+ *
+ * const graph = await new GraphBuilder(httpClient).build({ users: { count: 3, posts: { count: 2, comments: 5 } } });
+ * graph.users[0].posts[1].comments[4].dto;
+ * await graph.teardown();
+ */
+class GraphBuilder {
+  /**
+   * Create a GraphBuilder instance
+   * @param {HttpClient} httpClient - HTTP client used for requests
+   */
+  constructor(httpClient) {
+    this.apis = {};
+    Object.entries(RESOURCES).forEach(([resource, definition]) => {
+      this.apis[resource] = new definition.api(httpClient);
+    });
+  }
+
+  /**
+   * Create a graph
+   * Each shape entry is a count or { count, factory, with, <nested resource>: entry }, where `factory`
+   * replaces the resource's default factory and `with` holds overrides. If a request fails, the items
+   * created so far are deleted before the error is rethrown.
+   * @param {object} shape - Entries keyed by top-level resource, e.g. { users: { count: 3, posts: 2 } }
+   * @returns {Promise<Graph>} Created graph
+   */
+  async build(shape) {
+    const entries = Object.entries(shape).map(([resource, spec]) => {
+      if (!Object.prototype.hasOwnProperty.call(RESOURCES, resource)) {
+        throw new Error(`Unknown resource: ${resource}. Expected one of ${Object.keys(RESOURCES).join(', ')}`);
+      }
+      return { resource, foreignKey: null, ...normalizeShape(resource, spec, resource) };
+    });
+
+    const graph = new Graph(this.apis, entries.map(entry => entry.resource));
+    let level = entries.map(entry => ({ entry, parent: null }));
+
+    try {
+      while (level.length > 0) {
+        const next = [];
+        for (const { entry, parent } of level) {
+          const nodes = parent ? parent[entry.resource] : graph[entry.resource];
+          for (let i = 0; i < entry.count; i++) {
+            const node = await this.create(entry, parent, graph);
+            nodes.push(node);
+            entry.children.forEach(child => next.push({ entry: child, parent: node }));
+          }
+        }
+        level = next;
+      }
+    } catch (error) {
+      try {
+        await graph.teardown();
+      } catch (teardownError) {
+        error.teardownError = teardownError;
+      }
+      throw error;
+    }
+
+    return graph;
+  }
+
+  /**
+   * Create one item and record it in the graph
+   * @param {object} entry - Normalized shape entry
+   * @param {GraphNode} parent - Parent node, or null at the top level
+   * @param {Graph} graph - Graph being built
+   * @returns {Promise<GraphNode>} Created node
+   */
+  async create(entry, parent, graph) {
+    const overrides = { ...entry.overrides, id: null };
+    if (parent) {
+      overrides[entry.foreignKey] = parent.id;
+    }
+
+    const dto = entry.factory.build(overrides);
+    const { data } = await this.apis[entry.resource].create(dto);
+    if (!data || data.id === undefined || data.id === null) {
+      throw new Error(`Expected the server to assign an id to the created ${entry.resource} item, but the response had none`);
+    }
+
+    dto.id = data.id;
+    const node = new GraphNode(entry.resource, dto, parent);
+    graph.created.push(node);
+    return node;
+  }
+}
+
+module.exports = GraphBuilder;
\ No newline at end of file
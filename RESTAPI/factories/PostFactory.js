@@ -0,0 +1,37 @@
+const Factory = require('./Factory');
+const PostDTO = require('../dto/PostDTO');
+const { WORDS } = require('./vocabulary');
+
+/**
+ * Factory for PostDTO
+ * Posts get sequential IDs and belong to one of the ten seeded users
+ */
+class PostFactory extends Factory {
+  static dto = PostDTO;
+
+  static traits = {
+    // Rejected by validation: title and body are required
+    empty: { title: '', body: '' }
+  };
+
+  /**
+   * Generate the values of a new post
+   * @returns {object} JSON values
+   */
+  defaults() {
+    const lines = this.random.integer(2, 4);
+    const body = [];
+    for (let i = 0; i < lines; i++) {
+      body.push(this.random.words(WORDS, 6, 12));
+    }
+
+    return {
+      id: this.sequence('post'),
+      userId: this.random.integer(1, 10),
+      title: this.random.words(WORDS, 3, 8),
+      body: body.join('\n')
+    };
+  }
+}
+
+module.exports = PostFactory;
\ No newline at end of file
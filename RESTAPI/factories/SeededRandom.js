@@ -0,0 +1,110 @@
+/**
+ * Deterministic pseudo-random number generator (mulberry32)
+ * The same seed always yields the same sequence of values, so generated test data can be reproduced
+ */
+class SeededRandom {
+  /**
+   * Create a SeededRandom instance
+   * @param {number} seed - 32-bit unsigned integer seed
+   */
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Hash a string to a 32-bit unsigned integer seed (FNV-1a)
+   * @param {string} text - Text to hash
+   * @returns {number} Seed
+   */
+  static hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Get the next value
+   * @returns {number} Float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get an integer in a range
+   * @param {number} min - Lowest value (inclusive)
+   * @param {number} max - Highest value (inclusive)
+   * @returns {number} Integer
+   */
+  integer(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * Get a decimal number in a range as a fixed-point string
+   * @param {number} min - Lowest value (inclusive)
+   * @param {number} max - Highest value (exclusive)
+   * @param {number} decimals - Number of decimals
+   * @returns {string} Number, e.g. '-37.3159'
+   */
+  decimal(min, max, decimals = 4) {
+    return (min + this.next() * (max - min)).toFixed(decimals);
+  }
+
+  /**
+   * Get a coin flip
+   * @param {number} probability - Chance of true
+   * @returns {boolean} Random boolean
+   */
+  boolean(probability = 0.5) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Pick an element of a list
+   * @param {Array} list - Non-empty list
+   * @returns {*} Element
+   */
+  pick(list) {
+    return list[Math.floor(this.next() * list.length)];
+  }
+
+  /**
+   * Get a string of random digits
+   * @param {number} length - Number of digits
+   * @returns {string} Digits, e.g. '07291'
+   */
+  digits(length) {
+    let result = '';
+    for (let i = 0; i < length; i++) {
+      result += this.integer(0, 9);
+    }
+    return result;
+  }
+
+  /**
+   * Get random words
+   * @param {string[]} vocabulary - Words to pick from
+   * @param {number} min - Fewest words
+   * @param {number} max - Most words
+   * @returns {string} Words joined with spaces
+   */
+  words(vocabulary, min, max = min) {
+    const count = this.integer(min, max);
+    const words = [];
+    for (let i = 0; i < count; i++) {
+      words.push(this.pick(vocabulary));
+    }
+    return words.join(' ');
+  }
+}
+
+module.exports = SeededRandom;
\ No newline at end of file
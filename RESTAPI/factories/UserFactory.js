@@ -0,0 +1,61 @@
+const Factory = require('./Factory');
+const { UserDTO } = require('../dto/UserDTO');
+const {
+  FIRST_NAMES,
+  LAST_NAMES,
+  STREETS,
+  CITIES,
+  TOP_LEVEL_DOMAINS,
+  CATCH_PHRASE_WORDS,
+  BS_WORDS
+} = require('./vocabulary');
+
+/**
+ * Factory for UserDTO, including the nested address, geo and company
+ * Users get sequential IDs and unique email addresses; every generated value passes validation
+ */
+class UserFactory extends Factory {
+  static dto = UserDTO;
+
+  static traits = {
+    // Rejected by validation: email, phone and website formats are checked
+    invalidContact: { email: 'not-an-email', phone: 'n/a', website: 'not a website' },
+    // Rejected by validation: coordinates must be within -90..90 and -180..180
+    outOfRangeGeo: { address: { geo: { lat: '91.0000', lng: '-180.5000' } } }
+  };
+
+  /**
+   * Generate the values of a new user
+   * @returns {object} JSON values
+   */
+  defaults() {
+    const firstName = this.random.pick(FIRST_NAMES);
+    const lastName = this.random.pick(LAST_NAMES);
+
+    return {
+      id: this.sequence('user'),
+      name: `${firstName} ${lastName}`,
+      username: `${firstName}_${lastName}`,
+      email: this.uniqueEmail(`${firstName}.${lastName}`),
+      address: {
+        street: this.random.pick(STREETS),
+        suite: `Apt. ${this.random.integer(100, 999)}`,
+        city: this.random.pick(CITIES),
+        zipcode: `${this.random.digits(5)}-${this.random.digits(4)}`,
+        geo: {
+          lat: this.random.decimal(-90, 90),
+          lng: this.random.decimal(-180, 180)
+        }
+      },
+      phone: `1-${this.random.digits(3)}-${this.random.digits(3)}-${this.random.digits(4)} x${this.random.digits(5)}`,
+      website: `${lastName.toLowerCase()}.${this.random.pick(TOP_LEVEL_DOMAINS)}`,
+      company: {
+        name: `${this.random.pick(LAST_NAMES)}-${this.random.pick(LAST_NAMES)}`,
+        catchPhrase: this.random.words(CATCH_PHRASE_WORDS, 3),
+        bs: this.random.words(BS_WORDS, 3)
+      }
+    };
+  }
+}
+
+module.exports = UserFactory;
\ No newline at end of file
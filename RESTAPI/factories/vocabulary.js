@@ -0,0 +1,61 @@
+/**
+ * Word lists the factories draw from
+ */
+
+const WORDS = [
+  'lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit',
+  'sed', 'do', 'eiusmod', 'tempor', 'incididunt', 'ut', 'labore', 'et', 'dolore',
+  'magna', 'aliqua', 'enim', 'ad', 'minim', 'veniam', 'quis', 'nostrud',
+  'exercitation', 'ullamco', 'laboris', 'nisi', 'aliquip', 'ex', 'ea', 'commodo'
+];
+
+const FIRST_NAMES = [
+  'Leanne', 'Ervin', 'Clementine', 'Patricia', 'Chelsey', 'Dennis', 'Kurtis', 'Nicholas',
+  'Glenna', 'Clementina', 'Ada', 'Grace', 'Alan', 'Linus', 'Barbara', 'Edsger'
+];
+
+const LAST_NAMES = [
+  'Graham', 'Howell', 'Bauch', 'Lebsack', 'Dietrich', 'Schulist', 'Weissnat', 'Runolfsdottir',
+  'Reichert', 'DuBuque', 'Lovelace', 'Hopper', 'Turing', 'Torvalds', 'Liskov', 'Dijkstra'
+];
+
+const STREETS = [
+  'Kulas Light', 'Victor Plains', 'Douglas Extension', 'Hoeger Mall', 'Skiles Walks',
+  'Norberto Crossing', 'Rex Trail', 'Ellsworth Summit', 'Dayna Park', 'Kattie Turnpike'
+];
+
+const CITIES = [
+  'Gwenborough', 'Wisokyburgh', 'McKenziehaven', 'South Elvis', 'Roscoeview',
+  'South Christy', 'Howemouth', 'Aliyaview', 'Bartholomebury', 'Lebsackbury'
+];
+
+const TOP_LEVEL_DOMAINS = ['org', 'net', 'info', 'biz', 'io', 'com'];
+
+const CATCH_PHRASE_WORDS = [
+  'multi-layered', 'proactive', 'face to face', 'synchronised', 'client-server', 'didactic',
+  'user-centric', 'neural-net', 'bifurcated', 'configurable', 'zero tolerance', 'encoding'
+];
+
+const BS_WORDS = [
+  'harness', 'synergize', 'e-enable', 'transition', 'revolutionize', 'real-time',
+  'scalable', 'cutting-edge', 'e-markets', 'supply-chains', 'models', 'web services'
+];
+
+// Scripts, combining marks, right-to-left text and astral-plane emoji that tend to break encodings
+const UNICODE_SAMPLES = [
+  'Zoë Ångström', 'naïve café', 'Straße', 'Привет мир', 'Γειά σου κόσμε', 'こんにちは世界',
+  '東京の投稿', '안녕하세요', 'مرحبا بالعالم', 'שלום עולם', 'नमस्ते दुनिया', '🚀 ✨ 👩‍💻',
+  'Cafe\u0301 cre\u0300me'
+];
+
+module.exports = {
+  WORDS,
+  FIRST_NAMES,
+  LAST_NAMES,
+  STREETS,
+  CITIES,
+  TOP_LEVEL_DOMAINS,
+  CATCH_PHRASE_WORDS,
+  BS_WORDS,
+  UNICODE_SAMPLES
+};
\ No newline at end of file
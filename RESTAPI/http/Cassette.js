@@ -0,0 +1,327 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+/**
+ * Record/replay cassettes for HTTP interactions
+ * A cassette is a JSON file holding request/response pairs for one test file,
+ * so suites can be replayed offline once they have been recorded against a live API
+ */
+
+const MODES = ['off', 'record', 'replay', 'auto'];
+
+// Cassette files already cleared for recording by this process; later clients append to them
+const clearedFiles = new Set();
+
+/**
+ * Parse a raw body into JSON when possible
+ * @param {*} body - Raw request or response body
+ * @returns {object} Stored body and whether it was kept as raw text
+ */
+function encodeBody(body) {
+  if (typeof body !== 'string') {
+    return { body: body === undefined ? null : body, raw: false };
+  }
+
+  try {
+    return { body: JSON.parse(body), raw: false };
+  } catch (error) {
+    return { body, raw: true };
+  }
+}
+
+/**
+ * Serialize a value with sorted object keys so equal bodies compare equal
+ * @param {*} value - Value to serialize
+ * @returns {string} Stable JSON string
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+class Cassette {
+  /**
+   * Create a Cassette instance
+   * @param {string} filePath - Path of the cassette file
+   * @param {object} options - Cassette options
+   * @param {object} options.match - Request matching rules
+   * @param {boolean} options.match.method - Match on HTTP method
+   * @param {boolean} options.match.url - Match on full URL including query string
+   * @param {boolean} options.match.body - Match on request body
+   * @param {string[]} options.match.headers - Request header names that must match
+   * @param {boolean} options.strict - Fail on requests without a recorded match
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.match = {
+      method: true,
+      url: true,
+      body: true,
+      headers: [],
+      ...options.match
+    };
+    this.match.headers = this.match.headers.map(name => name.toLowerCase());
+    this.strict = options.strict === true;
+    this.interactions = [];
+    this.used = new Set();
+    this.load();
+  }
+
+  /**
+   * Load interactions from the cassette file, if it exists
+   */
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.interactions = content.interactions || [];
+    }
+  }
+
+  /**
+   * Write all interactions to the cassette file
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ interactions: this.interactions }, null, 2));
+  }
+
+  /**
+   * Remove all recorded interactions
+   */
+  clear() {
+    this.interactions = [];
+    this.used.clear();
+  }
+
+  /**
+   * Build the stored representation of an axios request config
+   * @param {object} config - Axios request config
+   * @returns {object} Normalized request
+   */
+  serializeRequest(config) {
+    const headers = axios.AxiosHeaders.from(config.headers).toJSON();
+    const selectedHeaders = {};
+
+    Object.keys(headers).forEach(name => {
+      if (this.match.headers.includes(name.toLowerCase())) {
+        selectedHeaders[name.toLowerCase()] = String(headers[name]);
+      }
+    });
+
+    return {
+      method: (config.method || 'get').toUpperCase(),
+      url: axios.getUri(config),
+      headers: selectedHeaders,
+      ...encodeBody(config.data)
+    };
+  }
+
+  /**
+   * Check whether a recorded request matches a live one
+   * @param {object} recorded - Recorded request
+   * @param {object} request - Normalized live request
+   * @returns {boolean} True if the requests match
+   */
+  matches(recorded, request) {
+    if (this.match.method && recorded.method !== request.method) {
+      return false;
+    }
+
+    if (this.match.url && recorded.url !== request.url) {
+      return false;
+    }
+
+    if (this.match.body && stableStringify(recorded.body) !== stableStringify(request.body)) {
+      return false;
+    }
+
+    return this.match.headers.every(name => (recorded.headers || {})[name] === request.headers[name]);
+  }
+
+  /**
+   * Find the interaction to replay for a request
+   * Unused interactions are preferred so repeated identical requests replay in recorded order
+   * @param {object} request - Normalized request
+   * @returns {object|null} Matching interaction, or null if none was recorded
+   */
+  find(request) {
+    let fallback = null;
+
+    for (let index = 0; index < this.interactions.length; index++) {
+      if (!this.matches(this.interactions[index].request, request)) {
+        continue;
+      }
+
+      if (!this.used.has(index)) {
+        this.used.add(index);
+        return this.interactions[index];
+      }
+
+      fallback = this.interactions[index];
+    }
+
+    return fallback;
+  }
+
+  /**
+   * Record a new interaction and persist the cassette
+   * The file is read again first, so interactions recorded by other clients are kept.
+   * @param {object} request - Normalized request
+   * @param {object} outcome - Recorded response or network error
+   */
+  record(request, outcome) {
+    this.load();
+    this.interactions.push({ request, ...outcome });
+    this.used.add(this.interactions.length - 1);
+    this.save();
+  }
+}
+
+/**
+ * Convert an axios response into its stored representation
+ * @param {object} response - Axios response returned by the adapter
+ * @returns {object} Stored response
+ */
+function serializeResponse(response) {
+  const { body, raw } = encodeBody(response.data);
+
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    headers: axios.AxiosHeaders.from(response.headers).toJSON(),
+    body,
+    raw
+  };
+}
+
+/**
+ * Rebuild a recorded outcome, resolving or rejecting like the real adapter would
+ * @param {object} interaction - Recorded interaction
+ * @param {object} config - Axios request config
+ * @returns {Promise} Axios response promise
+ */
+function replay(interaction, config) {
+  if (interaction.error) {
+    return Promise.reject(new axios.AxiosError(interaction.error.message, interaction.error.code, config));
+  }
+
+  const recorded = interaction.response;
+  const response = {
+    status: recorded.status,
+    statusText: recorded.statusText,
+    headers: axios.AxiosHeaders.from(recorded.headers),
+    data: recorded.raw ? recorded.body : JSON.stringify(recorded.body),
+    config,
+    request: null
+  };
+
+  if (!config.validateStatus || config.validateStatus(response.status)) {
+    return Promise.resolve(response);
+  }
+
+  const code = response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST;
+  return Promise.reject(new axios.AxiosError(
+    `Request failed with status code ${response.status}`, code, config, null, response
+  ));
+}
+
+/**
+ * Resolve the cassette file for the currently running test file
+ * @param {object} options - Cassette options
+ * @returns {string} Absolute cassette path
+ */
+function resolveCassettePath(options) {
+  if (options.name) {
+    return path.join(options.dir, `${options.name}.json`);
+  }
+
+  const testPath = typeof expect !== 'undefined' && expect.getState ? expect.getState().testPath : null;
+  const name = testPath ? path.basename(testPath) : 'default';
+  return path.join(options.dir, `${name}.json`);
+}
+
+/**
+ * Create an axios adapter that records or replays interactions
+ * @param {object} options - Cassette configuration
+ * @param {string} options.mode - off, record, replay or auto (replay when recorded, record otherwise)
+ * @param {string} options.dir - Directory that holds cassette files
+ * @param {string} options.name - Explicit cassette name (defaults to the running test file name)
+ * @param {object} options.match - Request matching rules
+ * @param {boolean} options.strict - Fail on requests without a recorded match
+ * @param {ILogger} logger - Logger instance
+ * @returns {Function} Axios adapter
+ */
+function createCassetteAdapter(options, logger) {
+  if (!MODES.includes(options.mode)) {
+    throw new Error(`Unknown cassette mode: ${options.mode}. Expected one of ${MODES.join(', ')}`);
+  }
+
+  const networkAdapter = axios.getAdapter(axios.defaults.adapter);
+  const cassettes = new Map();
+
+  function getCassette() {
+    const filePath = resolveCassettePath(options);
+
+    if (!cassettes.has(filePath)) {
+      const cassette = new Cassette(filePath, options);
+      if (options.mode === 'record' && !clearedFiles.has(filePath)) {
+        cassette.clear();
+        cassette.save();
+        clearedFiles.add(filePath);
+      }
+      cassettes.set(filePath, cassette);
+    }
+
+    return cassettes.get(filePath);
+  }
+
+  return async function cassetteAdapter(config) {
+    const cassette = getCassette();
+    const request = cassette.serializeRequest(config);
+
+    if (options.mode !== 'record') {
+      const interaction = cassette.find(request);
+
+      if (interaction) {
+        logger.debug(`Replaying ${request.method} ${request.url} from cassette`, { cassette: cassette.filePath });
+        return replay(interaction, config);
+      }
+
+      if (options.mode === 'replay' && cassette.strict) {
+        throw new Error(`No cassette interaction matches ${request.method} ${request.url} in ${cassette.filePath}`);
+      }
+    }
+
+    if (options.mode === 'replay') {
+      logger.warn(`No cassette interaction matches ${request.method} ${request.url}, sending it to the network`);
+      return networkAdapter(config);
+    }
+
+    try {
+      const response = await networkAdapter(config);
+      cassette.record(request, { response: serializeResponse(response) });
+      return response;
+    } catch (error) {
+      if (error.response) {
+        cassette.record(request, { response: serializeResponse(error.response) });
+      } else if (error.code) {
+        cassette.record(request, { error: { code: error.code, message: error.message } });
+      }
+      throw error;
+    }
+  };
+}
+
+module.exports = {
+  Cassette,
+  createCassetteAdapter
+};
\ No newline at end of file
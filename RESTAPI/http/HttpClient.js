@@ -1,6 +1,22 @@
 const axios = require('axios');
-const { getEnvironmentConfig } = require('../config/config');
-const ConsoleLogger = require('../logger/ConsoleLogger');
+const { randomUUID } = require('crypto');
+const { performance } = require('perf_hooks');
+const { getEnvironmentConfig, getCurrentEnvironment } = require('../config/config');
+const createDefaultLogger = require('../logger/createDefaultLogger');
+const RedactingLogger = require('../logger/RedactingLogger');
+const Redactor = require('../logger/Redactor');
+const ChildLogger = require('../logger/ChildLogger');
+const RetryPolicy = require('./RetryPolicy');
+const createRetryMiddleware = require('./middleware/retry');
+const createLoggingMiddleware = require('./middleware/logging');
+const createAuthMiddleware = require('./middleware/auth');
+const createTrackingMiddleware = require('./middleware/tracking');
+const ResourceTracker = require('./ResourceTracker');
+const createAuthProvider = require('../auth/createAuthProvider');
+const { HttpTimingAgent, HttpsTimingAgent, getRequestTimings } = require('./TimingAgent');
+const { createCassetteAdapter } = require('./Cassette');
+const Paginator = require('./Paginator');
+const { resolvePaginationOptions } = require('./pagination');
 
 /**
  * HTTP Client wrapper with configuration and logging
@@ -13,50 +29,251 @@ class HttpClient {
    * @param {ILogger} logger - Logger instance
    */
   constructor(config = null, logger = null) {
-    this.config = config || getEnvironmentConfig();
-    this.logger = logger || new ConsoleLogger();
+    this.config = config || getEnvironmentConfig(getCurrentEnvironment());
+    this.redactor = new Redactor(this.config.redaction);
+
+    // Everything the client and its middleware log goes through the redactor first
+    const baseLogger = logger || createDefaultLogger();
+    this.logger = this.redactor.enabled && !(baseLogger instanceof RedactingLogger)
+      ? new RedactingLogger(baseLogger, this.redactor)
+      : baseLogger;
+    this.retryPolicy = new RetryPolicy(this.config.retry);
 
     // Create axios instance with default config
     this.client = axios.create({
       baseURL: this.config.baseUrl,
       timeout: this.config.timeout,
-      headers: this.config.headers
+      headers: this.config.headers,
+      httpAgent: new HttpTimingAgent({ keepAlive: true }),
+      httpsAgent: new HttpsTimingAgent({ keepAlive: true })
     });
+    // Keep-alive sockets stay open until close() is called
 
-    // Add request interceptor for logging
-    this.client.interceptors.request.use(
-      (request) => {
-        this.logger.debug(`Making ${request.method?.toUpperCase()} request to ${request.url}`, {
-          headers: request.headers,
-          data: request.data
-        });
-        return request;
-      },
+    // Record or replay interactions when a cassette mode is configured
+    if (this.config.cassette && this.config.cassette.mode !== 'off') {
+      this.client.defaults.adapter = createCassetteAdapter(this.config.cassette, this.logger);
+    }
+
+    // Add timing interceptors first so they run closest to the network
+    // (request interceptors run in reverse order, response interceptors in order)
+    this.client.interceptors.request.use((request) => {
+      request.metadata = { ...request.metadata, startTime: performance.now() };
+      return request;
+    });
+
+    this.client.interceptors.response.use(
+      (response) => this.recordTiming(response),
       (error) => {
-        this.logger.error('Request error', error);
+        if (error.response) {
+          this.recordTiming(error.response);
+        }
         return Promise.reject(error);
       }
     );
 
-    // Add response interceptor for logging
-    this.client.interceptors.response.use(
-      (response) => {
-        this.logger.debug(`Received ${response.status} response from ${response.config.url}`, {
-          status: response.status,
-          headers: response.headers,
-          dataSize: JSON.stringify(response.data).length
-        });
-        return response;
+    // Built-in middleware: retry wraps the whole pipeline, logging sees the final request
+    this.middleware = [];
+    this.use(createRetryMiddleware(this.retryPolicy), { name: 'retry' });
+    this.use(createLoggingMiddleware(), { name: 'logging' });
+
+    this.resourceTracker = null;
+    this.authProvider = null;
+    if (this.config.auth) {
+      this.setAuthProvider(createAuthProvider(this.config.auth, {
+        baseUrl: this.config.baseUrl,
+        timeout: this.config.timeout,
+        logger: this.logger
+      }));
+    }
+  }
+
+  /**
+   * Add a middleware to the request pipeline
+   * Middleware are async functions (ctx, next) => response. They can rewrite ctx.request before
+   * calling next(), transform or replace the response, short-circuit by returning a response
+   * without calling next(), or call next() again to retry.
+   * Without a position, middleware are added after the existing ones but before the built-in logging
+   * middleware, so the logged request is the one actually sent.
+   * @param {Function} middleware - Middleware function
+   * @param {object} options - Middleware options
+   * @param {string} options.name - Name used to position or remove the middleware
+   * @param {string} options.before - Insert before the middleware with this name
+   * @param {string} options.after - Insert after the middleware with this name
+   * @returns {Function} Function that removes the middleware again
+   */
+  use(middleware, options = {}) {
+    if (typeof middleware !== 'function') {
+      throw new Error('Middleware must be a function (ctx, next) => response');
+    }
+
+    const entry = { name: options.name || middleware.name || null, handler: middleware };
+    const anchor = options.before || options.after || (options.name === 'logging' ? null : 'logging');
+    const anchorIndex = anchor ? this.middleware.findIndex(item => item.name === anchor) : -1;
+
+    if ((options.before || options.after) && anchorIndex === -1) {
+      throw new Error(`Cannot position middleware relative to unknown middleware: ${anchor}`);
+    }
+
+    if (anchorIndex === -1) {
+      this.middleware.push(entry);
+    } else {
+      this.middleware.splice(options.after ? anchorIndex + 1 : anchorIndex, 0, entry);
+    }
+
+    return () => this.eject(middleware);
+  }
+
+  /**
+   * Remove a middleware from the request pipeline
+   * @param {Function|string} middleware - Middleware function or name
+   * @returns {boolean} True if a middleware was removed
+   */
+  eject(middleware) {
+    const index = this.middleware.findIndex(item =>
+      item.handler === middleware || (typeof middleware === 'string' && item.name === middleware));
+
+    if (index === -1) {
+      return false;
+    }
+
+    this.middleware.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Get the names of the middleware in pipeline order
+   * @returns {string[]} Middleware names (null for unnamed middleware)
+   */
+  getMiddleware() {
+    return this.middleware.map(item => item.name);
+  }
+
+  /**
+   * Stamp a response with its total duration and, when available, a phase breakdown
+   * @param {object} response - Axios response
+   * @returns {object} The same response with responseTime and timings set
+   */
+  recordTiming(response) {
+    const startTime = response.config?.metadata?.startTime;
+    if (startTime === undefined) {
+      return response;
+    }
+
+    const total = performance.now() - startTime;
+    response.responseTime = total;
+    response.timings = {
+      ...getRequestTimings(response.request),
+      total
+    };
+    return response;
+  }
+
+  /**
+   * Make a request through the middleware pipeline
+   * @param {object} config - Axios request config
+   * @param {object|boolean} config.retry - Per-request retry overrides, or false to disable retries
+   * @param {boolean} config.throwHttpErrors - Reject on 4xx/5xx responses (defaults to config.throwHttpErrors)
+   * @param {string} config.requestId - ID bound to the request's log records (generated if omitted)
+   * @param {boolean} config.track - Set to false to keep a created resource out of the resource tracker
+   * @returns {Promise} Axios response promise
+   */
+  async request(config) {
+    const {
+      method = 'get',
+      url,
+      headers,
+      params,
+      data,
+      throwHttpErrors = this.config.throwHttpErrors !== false,
+      requestId = randomUUID(),
+      ...options
+    } = config;
+
+    // Loggers that only implement the ILogger methods get the generic child logger
+    const logger = typeof this.logger.child === 'function'
+      ? this.logger.child({ requestId })
+      : new ChildLogger(this.logger, { requestId });
+
+    const ctx = {
+      request: {
+        method: method.toUpperCase(),
+        url,
+        headers: this.resolveHeaders(method, headers),
+        params,
+        data
       },
-      (error) => {
-        this.logger.error(`HTTP Error: ${error.response?.status || 'Unknown'}`, error, {
-          url: error.config?.url,
-          method: error.config?.method,
-          status: error.response?.status
-        });
-        return Promise.reject(error);
+      options,
+      requestId,
+      attempt: 1,
+      state: {},
+      logger,
+      client: this
+    };
+
+    // Snapshot the pipeline so middleware added or removed mid-request do not affect it
+    try {
+      return await this.dispatch(this.middleware.slice(), 0, ctx);
+    } catch (error) {
+      // In non-throwing mode HTTP errors resolve once retries and auth renewal are exhausted;
+      // network errors and timeouts still reject because there is no response to return
+      if (!throwHttpErrors && error.response) {
+        return error.response;
       }
-    );
+      throw error;
+    }
+  }
+
+  /**
+   * Run the middleware at the given index, or send the request once the pipeline is exhausted
+   * @param {object[]} pipeline - Middleware entries
+   * @param {number} index - Index of the middleware to run
+   * @param {object} ctx - Request context
+   * @returns {Promise} Axios response promise
+   */
+  async dispatch(pipeline, index, ctx) {
+    const entry = pipeline[index];
+    if (!entry) {
+      return this.send(ctx);
+    }
+
+    return entry.handler(ctx, () => this.dispatch(pipeline, index + 1, ctx));
+  }
+
+  /**
+   * Send the request described by a context through axios
+   * @param {object} ctx - Request context
+   * @returns {Promise} Axios response promise
+   */
+  async send(ctx) {
+    const { retry, track, ...options } = ctx.options;
+    const { method, url, headers, params, data } = ctx.request;
+
+    return this.client.request({ ...options, method, url, headers, params, data });
+  }
+
+  /**
+   * Merge default headers with per-request headers into a plain object
+   * @param {string} method - HTTP method
+   * @param {object} headers - Per-request headers
+   * @returns {object} Headers that will be sent with the request
+   */
+  resolveHeaders(method, headers = {}) {
+    const defaults = this.client.defaults.headers;
+    const methodKeys = ['common', 'get', 'head', 'options', 'post', 'put', 'patch', 'delete'];
+    const merged = {};
+
+    Object.keys(defaults).forEach(name => {
+      if (!methodKeys.includes(name)) {
+        merged[name] = defaults[name];
+      }
+    });
+
+    return axios.AxiosHeaders.concat(
+      defaults.common,
+      defaults[method.toLowerCase()],
+      merged,
+      headers
+    ).toJSON();
   }
 
   /**
@@ -66,7 +283,7 @@ class HttpClient {
    * @returns {Promise} Axios response promise
    */
   async get(url, config = {}) {
-    return this.client.get(url, config);
+    return this.request({ ...config, method: 'get', url });
   }
 
   /**
@@ -77,7 +294,7 @@ class HttpClient {
    * @returns {Promise} Axios response promise
    */
   async post(url, data = {}, config = {}) {
-    return this.client.post(url, data, config);
+    return this.request({ ...config, method: 'post', url, data });
   }
 
   /**
@@ -88,7 +305,7 @@ class HttpClient {
    * @returns {Promise} Axios response promise
    */
   async put(url, data = {}, config = {}) {
-    return this.client.put(url, data, config);
+    return this.request({ ...config, method: 'put', url, data });
   }
 
   /**
@@ -99,7 +316,7 @@ class HttpClient {
    * @returns {Promise} Axios response promise
    */
   async patch(url, data = {}, config = {}) {
-    return this.client.patch(url, data, config);
+    return this.request({ ...config, method: 'patch', url, data });
   }
 
   /**
@@ -109,7 +326,7 @@ class HttpClient {
    * @returns {Promise} Axios response promise
    */
   async delete(url, config = {}) {
-    return this.client.delete(url, config);
+    return this.request({ ...config, method: 'delete', url });
   }
 
   /**
@@ -119,7 +336,7 @@ class HttpClient {
    * @returns {Promise} Axios response promise
    */
   async head(url, config = {}) {
-    return this.client.head(url, config);
+    return this.request({ ...config, method: 'head', url });
   }
 
   /**
@@ -129,7 +346,21 @@ class HttpClient {
    * @returns {Promise} Axios response promise
    */
   async options(url, config = {}) {
-    return this.client.options(url, config);
+    return this.request({ ...config, method: 'options', url });
+  }
+
+  /**
+   * Iterate over a paginated collection
+   * Options are merged over config.pagination, including the entry for the matching endpoint
+   * @param {string} url - Collection URL
+   * @param {object} options - Pagination options (see Paginator)
+   * @returns {Paginator} Async iterable of items, with pages() for whole pages
+   */
+  paginate(url, options = {}) {
+    return new Paginator(this, url, {
+      ...resolvePaginationOptions(this.config.pagination, url),
+      ...options
+    });
   }
 
   /**
@@ -159,6 +390,39 @@ class HttpClient {
     this.logger.debug('Cleared authorization header');
   }
 
+  /**
+   * Authenticate every request with an auth provider
+   * The provider runs inside the retry middleware, so each attempt carries fresh credentials,
+   * and its credentials take precedence over a header set with setAuthorization
+   * @param {IAuthProvider} provider - Auth provider, or null to remove the current one
+   */
+  setAuthProvider(provider) {
+    this.eject('auth');
+    this.authProvider = provider;
+
+    if (provider) {
+      this.use(createAuthMiddleware(provider), { name: 'auth', after: 'retry' });
+    }
+    this.logger.debug('Set auth provider', { provider: provider ? provider.constructor.name : null });
+  }
+
+  /**
+   * Record the resources created through this client so they can be deleted after a test
+   * The tracking middleware wraps the retry middleware, so a POST is recorded once, after its final attempt.
+   * One tracker can be shared by several clients; each resource is deleted through the client that created it.
+   * @param {ResourceTracker} tracker - Tracker to record into (a new one by default), or null to stop tracking
+   * @returns {ResourceTracker|null} The tracker in use
+   */
+  trackResources(tracker = new ResourceTracker()) {
+    this.eject('tracking');
+    this.resourceTracker = tracker;
+
+    if (tracker) {
+      this.use(createTrackingMiddleware(tracker), { name: 'tracking', before: 'retry' });
+    }
+    return tracker;
+  }
+
   /**
    * Update base URL
    * @param {string} baseUrl - New base URL
@@ -179,6 +443,15 @@ class HttpClient {
       headers: { ...this.client.defaults.headers.common }
     };
   }
+
+  /**
+   * Close the client's keep-alive sockets
+   * Call it once a suite is done with the client, so idle sockets do not keep the process alive.
+   */
+  close() {
+    this.client.defaults.httpAgent.destroy();
+    this.client.defaults.httpsAgent.destroy();
+  }
 }
 
 module.exports = HttpClient;
\ No newline at end of file
@@ -0,0 +1,101 @@
+const { getStrategy, getPath } = require('./pagination');
+
+/**
+ * Async iterator over a paginated collection
+ * Iterating a Paginator yields items; pages() yields whole pages with their responses.
+ * Pages are fetched lazily through HttpClient, so middleware, retries and auth apply to each page.
+ */
+class Paginator {
+  /**
+   * Create a Paginator instance
+   * @param {HttpClient} httpClient - HTTP client used for requests
+   * @param {string} url - Collection URL
+   * @param {object} options - Pagination options
+   * @param {string|object} options.strategy - 'page', 'offset', 'cursor', 'link' or a custom strategy
+   * @param {number} options.pageSize - Items per page
+   * @param {number} options.maxPages - Stop after this many pages
+   * @param {number} options.maxItems - Stop after this many items
+   * @param {string} options.totalCountHeader - Header holding the total number of items, e.g. 'x-total-count'
+   * @param {string} options.itemsPath - Dotted path to the items in the response body (default: the body itself)
+   * @param {object} options.params - Query parameters sent with every page
+   * @param {object} options.config - Additional request config; its params are merged under options.params
+   */
+  constructor(httpClient, url, options = {}) {
+    this.httpClient = httpClient;
+    this.url = url;
+    this.options = { strategy: 'page', pageSize: 10, ...options };
+    // Query parameters in the request config are sent like options.params, which win on conflicts
+    const { params: configParams, ...config } = this.options.config || {};
+    if (configParams) {
+      this.options.params = { ...configParams, ...this.options.params };
+    }
+    this.options.config = config;
+    this.strategy = getStrategy(this.options.strategy);
+    this.total = null;
+  }
+
+  /**
+   * Iterate over pages
+   * @yields {{number: number, items: object[], response: object, total: number|null}} Page
+   */
+  async *pages() {
+    const { maxPages = Infinity, maxItems = Infinity, totalCountHeader, itemsPath, config = {} } = this.options;
+    let request = this.strategy.first(this.options);
+    let pageCount = 0;
+    let fetched = 0;
+    let yielded = 0;
+
+    while (request && pageCount < maxPages && yielded < maxItems) {
+      const response = await this.httpClient.get(request.url || this.url, { ...config, params: request.params });
+      const items = itemsPath ? getPath(response.data, itemsPath) : response.data;
+
+      if (!Array.isArray(items)) {
+        throw new Error(`Expected an array of items in the response from ${request.url || this.url}${itemsPath ? ` at ${itemsPath}` : ''}`);
+      }
+
+      if (totalCountHeader && response.headers[totalCountHeader.toLowerCase()] !== undefined) {
+        this.total = Number(response.headers[totalCountHeader.toLowerCase()]);
+      }
+
+      // An empty page only ends the iteration; it is yielded only when the collection is empty
+      if (items.length === 0 && pageCount > 0) {
+        return;
+      }
+
+      pageCount++;
+      fetched += items.length;
+      const page = { number: pageCount, items: items.slice(0, maxItems - yielded), response, total: this.total };
+      yielded += page.items.length;
+      yield page;
+
+      if (items.length === 0 || (this.total !== null && fetched >= this.total)) {
+        return;
+      }
+      request = this.strategy.next(request, { ...page, items }, this.options);
+    }
+  }
+
+  /**
+   * Iterate over items across pages
+   * @yields {object} Item
+   */
+  async *[Symbol.asyncIterator]() {
+    for await (const page of this.pages()) {
+      yield* page.items;
+    }
+  }
+
+  /**
+   * Collect all items into an array
+   * @returns {Promise<object[]>} Items
+   */
+  async toArray() {
+    const items = [];
+    for await (const item of this) {
+      items.push(item);
+    }
+    return items;
+  }
+}
+
+module.exports = Paginator;
\ No newline at end of file
@@ -0,0 +1,151 @@
+const RetryPolicy = require('./RetryPolicy');
+
+/**
+ * Records resources created through HttpClient and deletes them again
+ * HttpClient.trackResources() installs the tracking middleware, which records every successful POST
+ * together with the location of the created resource (the Location header, or the collection URL
+ * plus the id of the response body). cleanup() removes them in reverse creation order.
+ */
+class ResourceTracker {
+  /**
+   * Create a ResourceTracker instance
+   * @param {object} options - Tracker options
+   * @param {object} options.retry - RetryPolicy options for failed deletes (default: 3 attempts, 100ms base delay)
+   */
+  constructor(options = {}) {
+    this.retryPolicy = new RetryPolicy({ attempts: 3, delay: 100, ...options.retry, methods: ['delete'] });
+    this.resources = [];
+    this.teardowns = {};
+    this.leaks = [];
+  }
+
+  /**
+   * Record a created resource
+   * @param {object} resource - Resource to delete later
+   * @param {string} resource.type - Resource type, i.e. the collection name such as 'posts'
+   * @param {string} resource.url - Absolute URL of the resource
+   * @param {number|string} resource.id - Resource ID, if known
+   * @param {HttpClient} resource.client - Client used to delete the resource
+   * @param {string} resource.createdBy - Request that created it, e.g. 'POST /posts'
+   * @returns {object} The recorded resource
+   */
+  track(resource) {
+    this.resources.push(resource);
+    return resource;
+  }
+
+  /**
+   * Record the resource created by a successful POST
+   * Responses without a Location header or an id are not recorded.
+   * @param {object} ctx - Request context
+   * @param {object} response - HTTP response
+   * @returns {object|null} The recorded resource, or null if its location is unknown
+   */
+  record(ctx, response) {
+    const [path] = ctx.request.url.split('?');
+    const requestUrl = ctx.client.client.getUri({ url: path });
+    const location = response.headers?.location;
+    const id = response.data && typeof response.data === 'object' ? response.data.id : undefined;
+
+    let url = null;
+    if (location) {
+      url = new URL(location, requestUrl).href;
+    } else if (id !== undefined && id !== null) {
+      url = `${requestUrl.replace(/\/$/, '')}/${encodeURIComponent(id)}`;
+    }
+
+    if (!url) {
+      ctx.logger.debug(`Not tracking the response of POST ${ctx.request.url}: no Location header or id`);
+      return null;
+    }
+
+    ctx.logger.debug(`Tracking created resource ${url}`);
+    return this.track({
+      type: path.split('/').filter(Boolean).pop(),
+      url,
+      id: id !== undefined ? id : null,
+      client: ctx.client,
+      createdBy: `POST ${ctx.request.url}`,
+      requestId: ctx.requestId
+    });
+  }
+
+  /**
+   * Replace the DELETE request for one resource type
+   * @param {string} type - Resource type, e.g. 'users'
+   * @param {Function} teardown - Async function (resource, client) removing the resource
+   * @returns {ResourceTracker} This tracker
+   */
+  setTeardown(type, teardown) {
+    this.teardowns[type] = teardown;
+    return this;
+  }
+
+  /**
+   * Delete every tracked resource in reverse creation order
+   * Failed deletes are retried according to the retry policy. Resources that are already gone
+   * (404 or 410) count as deleted. Resources that could not be deleted are returned as leaks.
+   * @returns {Promise<object[]>} Leaks of this cleanup: { type, url, id, createdBy, status, error }
+   */
+  async cleanup() {
+    const leaks = [];
+
+    while (this.resources.length > 0) {
+      const resource = this.resources.pop();
+      try {
+        await this.remove(resource);
+      } catch (error) {
+        const leak = {
+          type: resource.type,
+          url: resource.url,
+          id: resource.id,
+          createdBy: resource.createdBy,
+          status: error.response?.status || null,
+          error: error.message
+        };
+        resource.client.logger.warn(`Could not delete ${resource.url}`, leak);
+        leaks.push(leak);
+      }
+    }
+
+    this.leaks.push(...leaks);
+    return leaks;
+  }
+
+  /**
+   * Delete one resource, retrying failed attempts
+   * @param {object} resource - Tracked resource
+   * @returns {Promise<void>}
+   */
+  async remove(resource) {
+    const teardown = this.teardowns[resource.type] || deleteResource;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await teardown(resource, resource.client);
+        return;
+      } catch (error) {
+        if ([404, 410].includes(error.response?.status)) {
+          return;
+        }
+        if (!this.retryPolicy.shouldRetry(error, 'delete', attempt)) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, this.retryPolicy.getDelay(attempt, error.response)));
+      }
+    }
+  }
+}
+
+/**
+ * Default teardown: DELETE the resource URL
+ * The client's own retries are disabled because the tracker retries itself.
+ * @param {object} resource - Tracked resource
+ * @param {HttpClient} client - Client that created the resource
+ * @returns {Promise} Response
+ */
+function deleteResource(resource, client) {
+  return client.delete(resource.url, { retry: false, throwHttpErrors: true });
+}
+
+module.exports = ResourceTracker;
\ No newline at end of file
@@ -0,0 +1,135 @@
+/**
+ * Retry policy for HTTP requests
+ * Decides whether a failed request may be retried and how long to wait before the next attempt
+ */
+
+const DEFAULT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+class RetryPolicy {
+  /**
+   * Create a RetryPolicy instance
+   * @param {object} options - Retry options
+   * @param {number} options.attempts - Total number of attempts, including the first one
+   * @param {number} options.delay - Base delay in milliseconds before the first retry
+   * @param {number} options.factor - Multiplier applied to the delay after every attempt
+   * @param {number} options.maxDelay - Upper bound for a single delay in milliseconds
+   * @param {number} options.jitter - Fraction (0-1) of the delay that is randomized
+   * @param {string[]} options.methods - HTTP methods that are safe to retry
+   * @param {boolean} options.respectRetryAfter - Whether to honor Retry-After response headers
+   */
+  constructor(options = {}) {
+    this.attempts = Math.max(1, options.attempts || 1);
+    this.delay = options.delay !== undefined ? options.delay : 1000;
+    this.factor = options.factor || 2;
+    this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 30000;
+    this.jitter = options.jitter !== undefined ? options.jitter : 0.5;
+    this.methods = (options.methods || DEFAULT_METHODS).map(method => method.toLowerCase());
+    this.respectRetryAfter = options.respectRetryAfter !== false;
+  }
+
+  /**
+   * Create a new policy with per-request overrides applied
+   * @param {object|boolean} overrides - Options to override, or false to disable retries
+   * @returns {RetryPolicy} New RetryPolicy instance
+   */
+  withOverrides(overrides) {
+    if (overrides === undefined || overrides === true) {
+      return this;
+    }
+
+    if (overrides === false) {
+      return new RetryPolicy({ ...this.toJson(), attempts: 1 });
+    }
+
+    return new RetryPolicy({ ...this.toJson(), ...overrides });
+  }
+
+  /**
+   * Check whether a failed attempt should be retried
+   * @param {Error} error - Error thrown by axios
+   * @param {string} method - HTTP method of the request
+   * @param {number} attempt - Number of attempts made so far
+   * @returns {boolean} True if the request should be retried
+   */
+  shouldRetry(error, method, attempt) {
+    if (attempt >= this.attempts) {
+      return false;
+    }
+
+    if (!this.methods.includes((method || 'get').toLowerCase())) {
+      return false;
+    }
+
+    // Only errors raised by axios describe a failed HTTP exchange
+    // Cancelled requests were stopped on purpose
+    if (!error.isAxiosError || error.code === 'ERR_CANCELED') {
+      return false;
+    }
+
+    // No response means a network error or timeout
+    if (!error.response) {
+      return true;
+    }
+
+    const status = error.response.status;
+    return status === 429 || (status >= 500 && status <= 599);
+  }
+
+  /**
+   * Calculate how long to wait before the next attempt
+   * @param {number} attempt - Number of attempts made so far (1 after the first failure)
+   * @param {object} response - Axios response of the failed attempt, if any
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(attempt, response = null) {
+    const retryAfter = this.respectRetryAfter ? this.parseRetryAfter(response) : null;
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxDelay);
+    }
+
+    const backoff = Math.min(this.delay * Math.pow(this.factor, attempt - 1), this.maxDelay);
+    return Math.round(backoff - backoff * this.jitter * Math.random());
+  }
+
+  /**
+   * Parse the Retry-After header of a response
+   * @param {object} response - Axios response
+   * @returns {number|null} Delay in milliseconds, or null if the header is absent or invalid
+   */
+  parseRetryAfter(response) {
+    const header = response && response.headers && response.headers['retry-after'];
+    if (header === undefined || header === null || header === '') {
+      return null;
+    }
+
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert the policy to a plain options object
+   * @returns {object} Policy options
+   */
+  toJson() {
+    return {
+      attempts: this.attempts,
+      delay: this.delay,
+      factor: this.factor,
+      maxDelay: this.maxDelay,
+      jitter: this.jitter,
+      methods: [...this.methods],
+      respectRetryAfter: this.respectRetryAfter
+    };
+  }
+}
+
+module.exports = RetryPolicy;
\ No newline at end of file
@@ -0,0 +1,84 @@
+const http = require('http');
+const https = require('https');
+const { performance } = require('perf_hooks');
+
+/**
+ * Timing-aware HTTP agents
+ * Record socket and response events for every request so the HttpClient can report
+ * a DNS / connect / TLS / time-to-first-byte / download breakdown
+ */
+
+// Raw event timestamps keyed by the native ClientRequest
+const requestEvents = new WeakMap();
+
+/**
+ * Attach timing listeners to a request issued through an agent
+ * @param {http.ClientRequest} req - Native request
+ */
+function trackRequest(req) {
+  const events = {};
+  requestEvents.set(req, events);
+
+  req.once('socket', (socket) => {
+    events.socket = performance.now();
+
+    if (socket.connecting) {
+      socket.once('lookup', () => { events.lookup = performance.now(); });
+      socket.once('connect', () => { events.connect = performance.now(); });
+      socket.once('secureConnect', () => { events.secureConnect = performance.now(); });
+    }
+  });
+
+  req.once('response', (res) => {
+    events.response = performance.now();
+    res.once('end', () => { events.end = performance.now(); });
+  });
+}
+
+/**
+ * Extend an agent class so every request it handles is tracked
+ * @param {Function} AgentClass - http.Agent or https.Agent
+ * @returns {Function} Timing-aware agent class
+ */
+function withTiming(AgentClass) {
+  return class extends AgentClass {
+    addRequest(req, options) {
+      trackRequest(req);
+      return super.addRequest(req, options);
+    }
+  };
+}
+
+const HttpTimingAgent = withTiming(http.Agent);
+const HttpsTimingAgent = withTiming(https.Agent);
+
+/**
+ * Get the timing breakdown of a completed request
+ * @param {http.ClientRequest} req - Native request, as exposed by axios on response.request
+ * @returns {object|null} Phase durations in milliseconds, or null if the request was not tracked
+ */
+function getRequestTimings(req) {
+  const events = req && requestEvents.get(req);
+  if (!events || events.socket === undefined || events.response === undefined) {
+    return null;
+  }
+
+  const end = events.end !== undefined ? events.end : performance.now();
+  const dnsDone = events.lookup !== undefined ? events.lookup : events.socket;
+  const connectDone = events.connect !== undefined ? events.connect : dnsDone;
+  const tlsDone = events.secureConnect !== undefined ? events.secureConnect : connectDone;
+
+  return {
+    dns: dnsDone - events.socket,
+    connect: connectDone - dnsDone,
+    tls: tlsDone - connectDone,
+    ttfb: events.response - tlsDone,
+    download: end - events.response
+  };
+}
+
+module.exports = {
+  HttpTimingAgent,
+  HttpsTimingAgent,
+  getRequestTimings
+};
\ No newline at end of file
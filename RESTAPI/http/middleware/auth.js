@@ -0,0 +1,35 @@
+/**
+ * Built-in auth middleware
+ * Applies an auth provider's credentials to every attempt and retries once after a 401
+ * when the provider was able to renew its credentials
+ */
+
+/**
+ * Create the auth middleware
+ * @param {IAuthProvider} provider - Auth provider
+ * @returns {Function} Middleware authenticating requests
+ */
+function createAuthMiddleware(provider) {
+  return async function auth(ctx, next) {
+    await provider.authenticate(ctx.request);
+
+    try {
+      return await next();
+    } catch (error) {
+      if (error.response?.status !== 401 || ctx.state.authRetried) {
+        throw error;
+      }
+
+      ctx.state.authRetried = true;
+      if (!(await provider.onUnauthorized(error.response))) {
+        throw error;
+      }
+
+      ctx.logger.debug(`Retrying ${ctx.request.method} request to ${ctx.request.url} with renewed credentials`);
+      await provider.authenticate(ctx.request);
+      return next();
+    }
+  };
+}
+
+module.exports = createAuthMiddleware;
\ No newline at end of file
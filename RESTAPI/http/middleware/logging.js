@@ -0,0 +1,40 @@
+/**
+ * Built-in logging middleware
+ * Logs every request as it is sent and every response or error as it comes back
+ */
+
+/**
+ * Create the logging middleware
+ * @returns {Function} Middleware logging through the logger of the request context
+ */
+function createLoggingMiddleware() {
+  return async function logging(ctx, next) {
+    const { request, logger } = ctx;
+
+    logger.debug(`Making ${request.method} request to ${request.url}`, {
+      headers: request.headers,
+      data: request.data
+    });
+
+    try {
+      const response = await next();
+
+      logger.debug(`Received ${response.status} response from ${request.url}`, {
+        status: response.status,
+        headers: response.headers,
+        dataSize: JSON.stringify(response.data)?.length || 0,
+        responseTime: response.responseTime
+      });
+      return response;
+    } catch (error) {
+      logger.error(`HTTP Error: ${error.response?.status || 'Unknown'}`, error, {
+        url: request.url,
+        method: request.method.toLowerCase(),
+        status: error.response?.status
+      });
+      throw error;
+    }
+  };
+}
+
+module.exports = createLoggingMiddleware;
\ No newline at end of file
@@ -0,0 +1,38 @@
+/**
+ * Built-in retry middleware
+ * Re-runs the rest of the pipeline according to a RetryPolicy
+ */
+
+/**
+ * Create the retry middleware
+ * @param {RetryPolicy} policy - Default retry policy
+ * @returns {Function} Middleware retrying failed requests; honors ctx.options.retry overrides
+ */
+function createRetryMiddleware(policy) {
+  return async function retry(ctx, next) {
+    const requestPolicy = policy.withOverrides(ctx.options.retry);
+
+    while (true) {
+      try {
+        return await next();
+      } catch (error) {
+        if (!requestPolicy.shouldRetry(error, ctx.request.method, ctx.attempt)) {
+          throw error;
+        }
+
+        const delayMs = requestPolicy.getDelay(ctx.attempt, error.response);
+        ctx.logger.warn(`Retrying ${ctx.request.method} request to ${ctx.request.url} in ${delayMs}ms`, {
+          attempt: ctx.attempt + 1,
+          maxAttempts: requestPolicy.attempts,
+          status: error.response?.status,
+          code: error.code
+        });
+
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+        ctx.attempt++;
+      }
+    }
+  };
+}
+
+module.exports = createRetryMiddleware;
\ No newline at end of file
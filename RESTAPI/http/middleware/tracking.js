@@ -0,0 +1,22 @@
+/**
+ * Built-in resource tracking middleware
+ * Records the resources created by successful POST requests in a ResourceTracker
+ */
+
+/**
+ * Create the tracking middleware
+ * @param {ResourceTracker} tracker - Tracker recording created resources
+ * @returns {Function} Middleware tracking created resources; requests with the track: false option are skipped
+ */
+function createTrackingMiddleware(tracker) {
+  return async function tracking(ctx, next) {
+    const response = await next();
+
+    if (ctx.request.method === 'POST' && ctx.options.track !== false && response.status >= 200 && response.status < 300) {
+      tracker.record(ctx, response);
+    }
+    return response;
+  };
+}
+
+module.exports = createTrackingMiddleware;
\ No newline at end of file
@@ -0,0 +1,162 @@
+/**
+ * Pagination strategies
+ * A strategy describes how to request the first page and how to derive the next request from a page.
+ * Requests are { url, params }; returning null from next() ends the iteration.
+ */
+
+const strategies = {
+  /**
+   * Page number and page size parameters (JSONPlaceholder: _page and _limit)
+   */
+  page: {
+    first(options) {
+      return {
+        params: { ...options.params, [options.pageParam || '_page']: 1, [options.limitParam || '_limit']: options.pageSize }
+      };
+    },
+    next(request, page, options) {
+      if (page.items.length < options.pageSize) {
+        return null;
+      }
+      const pageParam = options.pageParam || '_page';
+      return { params: { ...request.params, [pageParam]: request.params[pageParam] + 1 } };
+    }
+  },
+
+  /**
+   * Offset and limit parameters (JSONPlaceholder: _start and _limit)
+   */
+  offset: {
+    first(options) {
+      return {
+        params: { ...options.params, [options.offsetParam || '_start']: 0, [options.limitParam || '_limit']: options.pageSize }
+      };
+    },
+    next(request, page, options) {
+      if (page.items.length < options.pageSize) {
+        return null;
+      }
+      const offsetParam = options.offsetParam || '_start';
+      return { params: { ...request.params, [offsetParam]: request.params[offsetParam] + page.items.length } };
+    }
+  },
+
+  /**
+   * Opaque cursor tokens, read from the response body (cursorPath) or a header (cursorHeader)
+   */
+  cursor: {
+    first(options) {
+      const params = { ...options.params };
+      if (options.limitParam !== null) {
+        params[options.limitParam || 'limit'] = options.pageSize;
+      }
+      return { params };
+    },
+    next(request, page, options) {
+      const cursor = options.cursorHeader
+        ? page.response.headers[options.cursorHeader.toLowerCase()]
+        : getPath(page.response.data, options.cursorPath || 'next_cursor');
+
+      if (cursor === undefined || cursor === null || cursor === '') {
+        return null;
+      }
+      return { params: { ...request.params, [options.cursorParam || 'cursor']: cursor } };
+    }
+  },
+
+  /**
+   * RFC 5988 Link header; the rel="next" URL already carries every query parameter
+   */
+  link: {
+    first(options) {
+      return { params: { ...options.params } };
+    },
+    next(request, page) {
+      const next = parseLinkHeader(page.response.headers.link).next;
+      return next ? { url: next, params: undefined } : null;
+    }
+  }
+};
+
+/**
+ * Look up a strategy by name, or accept a custom strategy object
+ * @param {string|object} strategy - Strategy name or object with first() and next()
+ * @returns {object} Strategy
+ */
+function getStrategy(strategy) {
+  if (strategy && typeof strategy === 'object') {
+    return strategy;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(strategies, strategy)) {
+    throw new Error(`Unknown pagination strategy: ${strategy}. Expected one of ${Object.keys(strategies).join(', ')}`);
+  }
+  return strategies[strategy];
+}
+
+/**
+ * Resolve the pagination options for a URL from the pagination config
+ * Endpoint keys are paths and may contain :params, e.g. '/posts/:id/comments'
+ * @param {object} paginationConfig - Pagination config with defaults and an endpoints map
+ * @param {string} url - Request URL
+ * @returns {object} Default options merged with the matching endpoint's options
+ */
+function resolvePaginationOptions(paginationConfig = {}, url = '') {
+  const { endpoints = {}, ...defaults } = paginationConfig;
+  const path = url.replace(/^[a-z]+:\/\/[^/]+/i, '').split('?')[0];
+
+  const key = Object.keys(endpoints).find(pattern => pattern === path) ||
+    Object.keys(endpoints).find(pattern => {
+      const regex = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/:[^/]+/g, '[^/]+');
+      return new RegExp(`^${regex}$`).test(path);
+    });
+
+  return { ...defaults, ...(key ? endpoints[key] : {}) };
+}
+
+/**
+ * Parse an RFC 5988 Link header
+ * @param {string} header - Link header value
+ * @returns {object} URLs keyed by rel
+ */
+function parseLinkHeader(header) {
+  const links = {};
+  if (!header) {
+    return links;
+  }
+
+  header.split(/,(?=\s*<)/).forEach(part => {
+    const match = part.match(/<([^>]*)>(.*)/);
+    if (!match) {
+      return;
+    }
+
+    const rel = match[2].match(/rel="?([^";]+)"?/);
+    if (rel) {
+      rel[1].trim().split(/\s+/).forEach(name => {
+        links[name] = match[1];
+      });
+    }
+  });
+  return links;
+}
+
+/**
+ * Read a dotted path from an object
+ * @param {object} object - Source object
+ * @param {string} path - Dotted path, e.g. 'meta.next_cursor'
+ * @returns {*} Value, or undefined if missing
+ */
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => {
+    return value === null || value === undefined ? undefined : value[key];
+  }, object);
+}
+
+module.exports = {
+  strategies,
+  getStrategy,
+  resolvePaginationOptions,
+  parseLinkHeader,
+  getPath
+};
\ No newline at end of file
@@ -0,0 +1,183 @@
+const ILogger = require('./ILogger');
+
+/**
+ * In-memory logger implementation
+ * Buffers records instead of printing them, so they can be inspected by tests or reported
+ * only when a test fails (see tests/setup/log-capture-environment.js)
+ */
+class CapturingLogger extends ILogger {
+  /**
+   * Create a CapturingLogger instance
+   * @param {object} options - Logger options
+   * @param {string} options.level - Minimum log level (debug, info, warn, error)
+   * @param {number} options.maxRecords - Keep at most this many records, dropping the oldest
+   */
+  constructor(options = {}) {
+    super();
+    this.level = options.level || 'debug';
+    this.levels = {
+      debug: 0,
+      info: 1,
+      warn: 2,
+      error: 3
+    };
+    this.maxRecords = options.maxRecords || 1000;
+    this.records = [];
+    this.dropped = 0;
+  }
+
+  /**
+   * Check if log level should be output
+   * @param {string} level - Log level to check
+   * @returns {boolean} True if level should be logged
+   */
+  shouldLog(level) {
+    return this.levels[level] >= this.levels[this.level];
+  }
+
+  /**
+   * Store a record
+   * @param {string} level - Log level
+   * @param {string} message - Log message
+   * @param {Error} error - The error object
+   * @param {object} meta - Additional metadata
+   */
+  capture(level, message, error = null, meta = {}) {
+    this.records.push({
+      timestamp: new Date().toISOString(),
+      level,
+      message,
+      error,
+      meta
+    });
+
+    if (this.records.length > this.maxRecords) {
+      this.records.shift();
+      this.dropped++;
+    }
+  }
+
+  /**
+   * Get the captured records
+   * @returns {object[]} Records with timestamp, level, message, error and meta
+   */
+  getRecords() {
+    return this.records.slice();
+  }
+
+  /**
+   * Discard all captured records
+   */
+  clear() {
+    this.records = [];
+    this.dropped = 0;
+  }
+
+  /**
+   * Format the captured records as readable lines
+   * @returns {string} One line per record
+   */
+  format() {
+    const lines = this.records.map(record => {
+      let line = `[${record.timestamp}] ${record.level.toUpperCase()}: ${record.message}`;
+
+      if (record.meta && Object.keys(record.meta).length > 0) {
+        line += ` ${safeStringify(record.meta)}`;
+      }
+      if (record.error) {
+        line += `\n    ${record.error.name || 'Error'}: ${record.error.message}`;
+      }
+      return line;
+    });
+
+    if (this.dropped > 0) {
+      lines.unshift(`... ${this.dropped} earlier records dropped`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Log an info message
+   * @param {string} message - The message to log
+   * @param {object} meta - Additional metadata
+   */
+  info(message, meta = {}) {
+    if (this.shouldLog('info')) {
+      this.capture('info', message, null, meta);
+    }
+  }
+
+  /**
+   * Log a warning message
+   * @param {string} message - The message to log
+   * @param {object} meta - Additional metadata
+   */
+  warn(message, meta = {}) {
+    if (this.shouldLog('warn')) {
+      this.capture('warn', message, null, meta);
+    }
+  }
+
+  /**
+   * Log an error message
+   * @param {string} message - The message to log
+   * @param {Error} error - The error object
+   * @param {object} meta - Additional metadata
+   */
+  error(message, error = null, meta = {}) {
+    if (this.shouldLog('error')) {
+      this.capture('error', message, error, meta);
+    }
+  }
+
+  /**
+   * Log a debug message
+   * @param {string} message - The message to log
+   * @param {object} meta - Additional metadata
+   */
+  debug(message, meta = {}) {
+    if (this.shouldLog('debug')) {
+      this.capture('debug', message, null, meta);
+    }
+  }
+
+  /**
+   * Log a general message with specified level
+   * @param {string} level - Log level (info, warn, error, debug)
+   * @param {string} message - The message to log
+   * @param {object} meta - Additional metadata
+   */
+  log(level, message, meta = {}) {
+    switch (level.toLowerCase()) {
+      case 'info':
+        this.info(message, meta);
+        break;
+      case 'warn':
+        this.warn(message, meta);
+        break;
+      case 'error':
+        this.error(message, null, meta);
+        break;
+      case 'debug':
+        this.debug(message, meta);
+        break;
+      default:
+        this.info(message, meta);
+    }
+  }
+}
+
+/**
+ * Stringify metadata, tolerating circular references
+ * @param {object} meta - Metadata
+ * @returns {string} JSON
+ */
+function safeStringify(meta) {
+  try {
+    return JSON.stringify(meta);
+  } catch (error) {
+    return '[Unserializable metadata]';
+  }
+}
+
+module.exports = CapturingLogger;
\ No newline at end of file
@@ -0,0 +1,87 @@
+const ILogger = require('./ILogger');
+
+/**
+ * Logger with bound context
+ * Merges its bindings into the metadata of every record and passes the record to its parent.
+ * Metadata given at the call site wins over bindings with the same name.
+ */
+class ChildLogger extends ILogger {
+  /**
+   * Create a ChildLogger instance
+   * @param {ILogger} parent - Logger receiving the records
+   * @param {object} bindings - Fields added to every record
+   */
+  constructor(parent, bindings = {}) {
+    super();
+    this.parent = parent;
+    this.bindings = { ...bindings };
+  }
+
+  /**
+   * Merge the bindings into record metadata
+   * @param {object} meta - Additional metadata
+   * @returns {object} Metadata with bindings
+   */
+  bind(meta) {
+    return { ...this.bindings, ...meta };
+  }
+
+  /**
+   * Log an info message
+   * @param {string} message - The message to log
+   * @param {object} meta - Additional metadata
+   */
+  info(message, meta = {}) {
+    this.parent.info(message, this.bind(meta));
+  }
+
+  /**
+   * Log a warning message
+   * @param {string} message - The message to log
+   * @param {object} meta - Additional metadata
+   */
+  warn(message, meta = {}) {
+    this.parent.warn(message, this.bind(meta));
+  }
+
+  /**
+   * Log an error message
+   * @param {string} message - The message to log
+   * @param {Error} error - The error object
+   * @param {object} meta - Additional metadata
+   */
+  error(message, error = null, meta = {}) {
+    this.parent.error(message, error, this.bind(meta));
+  }
+
+  /**
+   * Log a debug message
+   * @param {string} message - The message to log
+   * @param {object} meta - Additional metadata
+   */
+  debug(message, meta = {}) {
+    this.parent.debug(message, this.bind(meta));
+  }
+
+  /**
+   * Log a general message with specified level
+   * @param {string} level - Log level (info, warn, error, debug)
+   * @param {string} message - The message to log
+   * @param {object} meta - Additional metadata
+   */
+  log(level, message, meta = {}) {
+    this.parent.log(level, message, this.bind(meta));
+  }
+
+  /**
+   * Create a child logger with additional bindings
+   * The new child logs straight to the same parent rather than through this one
+   * @param {object} bindings - Fields added to every record
+   * @returns {ChildLogger} Child logger
+   */
+  child(bindings = {}) {
+    return new ChildLogger(this.parent, this.bind(bindings));
+  }
+}
+
+module.exports = ChildLogger;
\ No newline at end of file
@@ -0,0 +1,130 @@
+const ILogger = require('./ILogger');
+
+/**
+ * Logger that fans records out to several transports
+ * Each transport can have its own minimum level on top of the transport's own filtering,
+ * e.g. warnings to the console, everything to a JSON file. A transport that throws does not
+ * stop the others from receiving the record.
+ */
+class CompositeLogger extends ILogger {
+  /**
+   * Create a CompositeLogger instance
+   * @param {Array<ILogger|{logger: ILogger, level: string}>} transports - Loggers, optionally with a minimum level
+   */
+  constructor(transports = []) {
+    super();
+    this.levels = {
+      debug: 0,
+      info: 1,
+      warn: 2,
+      error: 3
+    };
+    this.transports = [];
+    transports.forEach(transport => this.add(transport));
+  }
+
+  /**
+   * Add a transport
+   * @param {ILogger|{logger: ILogger, level: string}} transport - Logger, optionally with a minimum level
+   * @returns {CompositeLogger} This instance for chaining
+   */
+  add(transport) {
+    const entry = typeof transport.info === 'function' ? { logger: transport } : transport;
+    if (entry.level && this.levels[entry.level] === undefined) {
+      throw new Error(`Unknown log level: ${entry.level}. Expected one of ${Object.keys(this.levels).join(', ')}`);
+    }
+
+    this.transports.push({ logger: entry.logger, level: entry.level || 'debug' });
+    return this;
+  }
+
+  /**
+   * Send a record to every transport whose level allows it
+   * @param {string} level - Log level
+   * @param {Function} write - Function logging the record to one transport
+   */
+  dispatch(level, write) {
+    this.transports.forEach(({ logger, level: minLevel }) => {
+      if ((this.levels[level] ?? this.levels.info) < this.levels[minLevel]) {
+        return;
+      }
+
+      try {
+        write(logger);
+      } catch (error) {
+        process.stderr.write(`CompositeLogger: ${logger.constructor.name} failed to log: ${error.message}\n`);
+      }
+    });
+  }
+
+  /**
+   * Log an info message
+   * @param {string} message - The message to log
+   * @param {object} meta - Additional metadata
+   */
+  info(message, meta = {}) {
+    this.dispatch('info', logger => logger.info(message, meta));
+  }
+
+  /**
+   * Log a warning message
+   * @param {string} message - The message to log
+   * @param {object} meta - Additional metadata
+   */
+  warn(message, meta = {}) {
+    this.dispatch('warn', logger => logger.warn(message, meta));
+  }
+
+  /**
+   * Log an error message
+   * @param {string} message - The message to log
+   * @param {Error} error - The error object
+   * @param {object} meta - Additional metadata
+   */
+  error(message, error = null, meta = {}) {
+    this.dispatch('error', logger => logger.error(message, error, meta));
+  }
+
+  /**
+   * Log a debug message
+   * @param {string} message - The message to log
+   * @param {object} meta - Additional metadata
+   */
+  debug(message, meta = {}) {
+    this.dispatch('debug', logger => logger.debug(message, meta));
+  }
+
+  /**
+   * Log a general message with specified level
+   * @param {string} level - Log level (info, warn, error, debug)
+   * @param {string} message - The message to log
+   * @param {object} meta - Additional metadata
+   */
+  log(level, message, meta = {}) {
+    this.dispatch(level.toLowerCase(), logger => logger.log(level, message, meta));
+  }
+
+  /**
+   * Flush transports that buffer output (e.g. JsonLogger with a file)
+   */
+  flush() {
+    this.transports.forEach(({ logger }) => {
+      if (typeof logger.flush === 'function') {
+        logger.flush();
+      }
+    });
+  }
+
+  /**
+   * Close transports that hold resources
+   */
+  close() {
+    this.transports.forEach(({ logger }) => {
+      if (typeof logger.close === 'function') {
+        logger.close();
+      }
+    });
+  }
+}
+
+module.exports = CompositeLogger;
\ No newline at end of file
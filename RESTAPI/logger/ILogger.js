@@ -49,6 +49,18 @@ class ILogger {
   log(level, message, meta = {}) {
     throw new Error('log method must be implemented by logger implementation');
   }
+
+  /**
+   * Create a child logger that adds bound fields to the metadata of every record
+   * Implementations inherit this; override it to bind context in a format-specific way
+   * @param {object} bindings - Fields such as { suite, test, requestId }
+   * @returns {ILogger} Child logger
+   */
+  child(bindings = {}) {
+    // Required here because ChildLogger itself extends ILogger
+    const ChildLogger = require('./ChildLogger');
+    return new ChildLogger(this, bindings);
+  }
 }
 
 module.exports = ILogger;
\ No newline at end of file
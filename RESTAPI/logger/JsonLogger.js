@@ -0,0 +1,323 @@
+const fs = require('fs');
+const path = require('path');
+const ILogger = require('./ILogger');
+
+// Loggers with unflushed file output, flushed together when the process exits
+const openLoggers = new Set();
+
+/**
+ * Structured logger implementation
+ * Writes one JSON record per line (NDJSON) to stdout or to a file, so CI tools can parse the output.
+ * File output is buffered, rotated by size (app.log -> app.log.1 -> app.log.2 ...) and flushed
+ * periodically, when the buffer fills up, on close() and when the process exits.
+ */
+class JsonLogger extends ILogger {
+  /**
+   * Create a JsonLogger instance
+   * @param {object} options - Logger options
+   * @param {string} options.level - Minimum log level (debug, info, warn, error)
+   * @param {string} options.file - File path to write to; omit to write to stdout
+   * @param {number} options.maxSize - Rotate the file before it grows beyond this many bytes
+   * @param {number} options.maxFiles - Number of rotated files to keep
+   * @param {number} options.bufferSize - Flush once this many bytes are buffered
+   * @param {number} options.flushInterval - Flush buffered records every this many milliseconds
+   */
+  constructor(options = {}) {
+    super();
+    this.level = options.level || 'debug';
+    this.levels = {
+      debug: 0,
+      info: 1,
+      warn: 2,
+      error: 3
+    };
+    this.file = options.file ? path.resolve(options.file) : null;
+    this.maxSize = options.maxSize || 10 * 1024 * 1024;
+    this.maxFiles = options.maxFiles !== undefined ? options.maxFiles : 5;
+    this.bufferSize = options.bufferSize || 64 * 1024;
+    this.buffer = [];
+    this.bufferedBytes = 0;
+    this.fd = null;
+    this.size = 0;
+
+    if (this.file) {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      this.timer = setInterval(() => this.flush(), options.flushInterval || 1000);
+      this.timer.unref();
+      openLoggers.add(this);
+    }
+  }
+
+  /**
+   * Check if log level should be output
+   * @param {string} level - Log level to check
+   * @returns {boolean} True if level should be logged
+   */
+  shouldLog(level) {
+    return this.levels[level] >= this.levels[this.level];
+  }
+
+  /**
+   * Build a log record
+   * @param {string} level - Log level
+   * @param {string} message - Log message
+   * @param {Error} error - The error object
+   * @param {object} meta - Additional metadata
+   * @returns {object} Record
+   */
+  createRecord(level, message, error = null, meta = {}) {
+    const record = {
+      timestamp: new Date().toISOString(),
+      level,
+      message
+    };
+
+    if (error) {
+      record.error = serializeError(error);
+    }
+    if (meta && Object.keys(meta).length > 0) {
+      record.meta = meta;
+    }
+    return record;
+  }
+
+  /**
+   * Write a record as one line of JSON
+   * @param {object} record - Record
+   */
+  write(record) {
+    const line = `${safeStringify(record)}\n`;
+
+    if (!this.file) {
+      process.stdout.write(line);
+      return;
+    }
+
+    this.buffer.push(line);
+    this.bufferedBytes += Buffer.byteLength(line);
+    if (this.bufferedBytes >= this.bufferSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Write buffered records to the file, rotating it when it would exceed maxSize
+   */
+  flush() {
+    if (this.buffer.length === 0) {
+      return;
+    }
+
+    const lines = this.buffer;
+    this.buffer = [];
+    this.bufferedBytes = 0;
+    this.open();
+
+    let chunk = '';
+    let chunkSize = 0;
+    lines.forEach(line => {
+      const lineSize = Buffer.byteLength(line);
+      if (this.size + chunkSize + lineSize > this.maxSize && this.size + chunkSize > 0) {
+        this.writeChunk(chunk, chunkSize);
+        chunk = '';
+        chunkSize = 0;
+        this.rotate();
+      }
+      chunk += line;
+      chunkSize += lineSize;
+    });
+    this.writeChunk(chunk, chunkSize);
+  }
+
+  /**
+   * Flush buffered records and release the file
+   */
+  close() {
+    this.flush();
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+    clearInterval(this.timer);
+    openLoggers.delete(this);
+  }
+
+  /**
+   * Open the log file for appending, if not open yet
+   */
+  open() {
+    if (this.fd === null) {
+      this.fd = fs.openSync(this.file, 'a');
+      this.size = fs.fstatSync(this.fd).size;
+    }
+  }
+
+  /**
+   * Append a chunk to the open file
+   * @param {string} chunk - Lines to write
+   * @param {number} chunkSize - Chunk size in bytes
+   */
+  writeChunk(chunk, chunkSize) {
+    if (chunkSize > 0) {
+      fs.writeSync(this.fd, chunk);
+      this.size += chunkSize;
+    }
+  }
+
+  /**
+   * Shift rotated files up by one and start a new, empty log file
+   */
+  rotate() {
+    fs.closeSync(this.fd);
+    this.fd = null;
+
+    if (this.maxFiles > 0) {
+      for (let index = this.maxFiles - 1; index >= 1; index--) {
+        const source = `${this.file}.${index}`;
+        if (fs.existsSync(source)) {
+          fs.renameSync(source, `${this.file}.${index + 1}`);
+        }
+      }
+      fs.renameSync(this.file, `${this.file}.1`);
+    } else {
+      fs.unlinkSync(this.file);
+    }
+
+    this.fd = fs.openSync(this.file, 'a');
+    this.size = 0;
+  }
+
+  /**
+   * Log an info message
+   * @param {string} message - The message to log
+   * @param {object} meta - Additional metadata
+   */
+  info(message, meta = {}) {
+    if (this.shouldLog('info')) {
+      this.write(this.createRecord('info', message, null, meta));
+    }
+  }
+
+  /**
+   * Log a warning message
+   * @param {string} message - The message to log
+   * @param {object} meta - Additional metadata
+   */
+  warn(message, meta = {}) {
+    if (this.shouldLog('warn')) {
+      this.write(this.createRecord('warn', message, null, meta));
+    }
+  }
+
+  /**
+   * Log an error message
+   * @param {string} message - The message to log
+   * @param {Error} error - The error object
+   * @param {object} meta - Additional metadata
+   */
+  error(message, error = null, meta = {}) {
+    if (this.shouldLog('error')) {
+      this.write(this.createRecord('error', message, error, meta));
+    }
+  }
+
+  /**
+   * Log a debug message
+   * @param {string} message - The message to log
+   * @param {object} meta - Additional metadata
+   */
+  debug(message, meta = {}) {
+    if (this.shouldLog('debug')) {
+      this.write(this.createRecord('debug', message, null, meta));
+    }
+  }
+
+  /**
+   * Log a general message with specified level
+   * @param {string} level - Log level (info, warn, error, debug)
+   * @param {string} message - The message to log
+   * @param {object} meta - Additional metadata
+   */
+  log(level, message, meta = {}) {
+    switch (level.toLowerCase()) {
+      case 'info':
+        this.info(message, meta);
+        break;
+      case 'warn':
+        this.warn(message, meta);
+        break;
+      case 'error':
+        this.error(message, null, meta);
+        break;
+      case 'debug':
+        this.debug(message, meta);
+        break;
+      default:
+        this.info(message, meta);
+    }
+  }
+
+  /**
+   * Flush every logger with buffered file output
+   * Runs automatically when the process exits
+   */
+  static flushAll() {
+    openLoggers.forEach(logger => logger.flush());
+  }
+}
+
+process.on('exit', () => JsonLogger.flushAll());
+
+/**
+ * Convert an error into a plain object
+ * @param {Error} error - The error object
+ * @returns {object} Error with name, message, stack and code when present
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { message: String(error) };
+  }
+
+  const serialized = {
+    name: error.name,
+    message: error.message,
+    stack: error.stack
+  };
+  if (error.code) {
+    serialized.code = error.code;
+  }
+  return serialized;
+}
+
+/**
+ * Stringify a record, replacing values JSON cannot represent
+ * Only objects on the current path count as circular, so a shared object is written each time it appears.
+ * @param {object} record - Record
+ * @returns {string} JSON
+ */
+function safeStringify(record) {
+  // Objects from the root to the value being written; the replacer is called with the holder as `this`
+  const ancestors = [];
+
+  return JSON.stringify(record, function replacer(key, value) {
+    if (typeof value === 'bigint') {
+      return value.toString();
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) {
+      ancestors.pop();
+    }
+    if (ancestors.includes(value)) {
+      return '[Circular]';
+    }
+
+    const result = value instanceof Error ? serializeError(value) : value;
+    ancestors.push(result);
+    return result;
+  });
+}
+
+module.exports = JsonLogger;
\ No newline at end of file
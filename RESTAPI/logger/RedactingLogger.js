@@ -0,0 +1,68 @@
+const ILogger = require('./ILogger');
+const Redactor = require('./Redactor');
+
+/**
+ * Logger decorator that masks secrets before records reach the wrapped logger
+ * Messages go through the redaction patterns, metadata and errors through the full Redactor rules.
+ */
+class RedactingLogger extends ILogger {
+  /**
+   * Create a RedactingLogger instance
+   * @param {ILogger} logger - Logger receiving the redacted records
+   * @param {Redactor|object} redactor - Redactor instance or Redactor options
+   */
+  constructor(logger, redactor = {}) {
+    super();
+    this.logger = logger;
+    this.redactor = redactor instanceof Redactor ? redactor : new Redactor(redactor);
+  }
+
+  /**
+   * Log an info message
+   * @param {string} message - The message to log
+   * @param {object} meta - Additional metadata
+   */
+  info(message, meta = {}) {
+    this.logger.info(this.redactor.redactString(message), this.redactor.redact(meta));
+  }
+
+  /**
+   * Log a warning message
+   * @param {string} message - The message to log
+   * @param {object} meta - Additional metadata
+   */
+  warn(message, meta = {}) {
+    this.logger.warn(this.redactor.redactString(message), this.redactor.redact(meta));
+  }
+
+  /**
+   * Log an error message
+   * @param {string} message - The message to log
+   * @param {Error} error - The error object
+   * @param {object} meta - Additional metadata
+   */
+  error(message, error = null, meta = {}) {
+    this.logger.error(this.redactor.redactString(message), this.redactor.redactError(error), this.redactor.redact(meta));
+  }
+
+  /**
+   * Log a debug message
+   * @param {string} message - The message to log
+   * @param {object} meta - Additional metadata
+   */
+  debug(message, meta = {}) {
+    this.logger.debug(this.redactor.redactString(message), this.redactor.redact(meta));
+  }
+
+  /**
+   * Log a general message with specified level
+   * @param {string} level - Log level (info, warn, error, debug)
+   * @param {string} message - The message to log
+   * @param {object} meta - Additional metadata
+   */
+  log(level, message, meta = {}) {
+    this.logger.log(level, this.redactor.redactString(message), this.redactor.redact(meta));
+  }
+}
+
+module.exports = RedactingLogger;
\ No newline at end of file
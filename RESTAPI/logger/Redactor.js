@@ -0,0 +1,222 @@
+const DEFAULT_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'];
+
+const DEFAULT_PATHS = [
+  'password', 'passwd', 'secret', 'token',
+  'accessToken', 'access_token', 'refreshToken', 'refresh_token',
+  'clientSecret', 'client_secret', 'apiKey', 'api_key'
+];
+
+// Default patterns keep their first capture group, so only the secret itself is replaced
+const DEFAULT_PATTERNS = [
+  // Credentials in free text, e.g. "Authorization: Bearer abc.def"
+  { pattern: /\b((?:Bearer|Basic)\s+)[A-Za-z0-9\-._~+/]+=*/gi },
+  // Secrets in query strings and form bodies, e.g. /posts?api_key=abc or client_secret=abc&scope=read
+  { pattern: /((?:^|[?&])(?:api_key|apikey|access_token|refresh_token|id_token|token|password|client_secret)=)[^&#\s]*/gi }
+];
+
+// Authorization schemes kept in masked header values, so the log still shows how a request authenticated
+const AUTH_SCHEME = /^(Bearer|Basic|Digest|Token)\s+\S/i;
+
+/**
+ * Masks secrets in values before they are logged
+ * Three rules apply, each extending built-in defaults:
+ * - headers: keys named like sensitive headers (case-insensitive) are masked wherever they appear
+ * - paths: dotted key paths, matched against the end of a value's key path, so 'password' masks
+ *   any password field and 'user.password' only the one under user; '*' matches any single key
+ * - patterns: regular expressions replaced in every string, including log messages
+ */
+class Redactor {
+  /**
+   * Create a Redactor instance
+   * @param {object} options - Redaction options
+   * @param {boolean} options.enabled - Set to false to log values unchanged
+   * @param {string} options.replacement - Text that replaces masked values
+   * @param {string[]} options.headers - Additional sensitive header names
+   * @param {string[]} options.paths - Additional sensitive key paths
+   * @param {Array<RegExp|{pattern: RegExp, replacement: string}>} options.patterns - Additional patterns
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.replacement = options.replacement || '[REDACTED]';
+    this.headers = new Set([...DEFAULT_HEADERS, ...(options.headers || [])].map(name => name.toLowerCase()));
+    this.paths = [...DEFAULT_PATHS, ...(options.paths || [])].map(path => path.toLowerCase().split('.'));
+    this.patterns = [
+      ...DEFAULT_PATTERNS.map(({ pattern }) => ({ pattern, replacement: `$1${this.replacement}` })),
+      ...(options.patterns || [])
+    ].map(entry => this.normalizePattern(entry));
+  }
+
+  /**
+   * Return a copy of a value with secrets masked
+   * @param {*} value - Value to redact, e.g. log metadata
+   * @returns {*} Redacted copy
+   */
+  redact(value) {
+    if (!this.enabled) {
+      return value;
+    }
+    return this.walk(value, [], new WeakSet());
+  }
+
+  /**
+   * Return a copy of an error with secrets masked
+   * The copy keeps the error's prototype, so it is still an instance of the same class.
+   * HTTP errors carry the request config and response; only their loggable parts are kept,
+   * and the native request object is dropped.
+   * @param {Error} error - Error to redact
+   * @returns {Error} Redacted copy
+   */
+  redactError(error) {
+    if (!this.enabled || !(error instanceof Error)) {
+      return error;
+    }
+
+    const copy = Object.create(Object.getPrototypeOf(error));
+    Object.getOwnPropertyNames(error).forEach(key => {
+      if (key === 'request') {
+        return;
+      }
+
+      const descriptor = Object.getOwnPropertyDescriptor(error, key);
+      if ('value' in descriptor) {
+        descriptor.value = this.redactErrorProperty(key, descriptor.value);
+      }
+      Object.defineProperty(copy, key, descriptor);
+    });
+    return copy;
+  }
+
+  /**
+   * Redact one property of an error
+   * @param {string} key - Property name
+   * @param {*} value - Property value
+   * @returns {*} Redacted value
+   */
+  redactErrorProperty(key, value) {
+    if (key === 'config' && value) {
+      const { method, baseURL, url, params, headers, data, timeout } = value;
+      return this.redact({ method, baseURL, url, params, headers: toPlainObject(headers), data, timeout });
+    }
+
+    if (key === 'response' && value) {
+      const { status, statusText, headers, data } = value;
+      return this.redact({ status, statusText, headers: toPlainObject(headers), data });
+    }
+
+    return this.walk(value, [key], new WeakSet());
+  }
+
+  /**
+   * Apply the patterns to a string
+   * @param {string} text - Text to redact
+   * @returns {string} Redacted text
+   */
+  redactString(text) {
+    if (!this.enabled || typeof text !== 'string') {
+      return text;
+    }
+    return this.patterns.reduce((result, { pattern, replacement }) => result.replace(pattern, replacement), text);
+  }
+
+  /**
+   * Check whether a key path holds a secret
+   * @param {string[]} keyPath - Keys from the root to the value
+   * @returns {boolean} True if the value must be masked
+   */
+  isSensitive(keyPath) {
+    const keys = keyPath.map(key => String(key).toLowerCase());
+    if (this.headers.has(keys[keys.length - 1])) {
+      return true;
+    }
+
+    return this.paths.some(path => {
+      if (path.length > keys.length) {
+        return false;
+      }
+      const tail = keys.slice(keys.length - path.length);
+      return path.every((segment, index) => segment === '*' || segment === tail[index]);
+    });
+  }
+
+  /**
+   * Mask a sensitive value
+   * @param {*} value - Sensitive value
+   * @returns {string} Replacement, keeping a recognized authorization scheme
+   */
+  mask(value) {
+    const scheme = typeof value === 'string' && value.match(AUTH_SCHEME);
+    return scheme ? `${scheme[1]} ${this.replacement}` : this.replacement;
+  }
+
+  /**
+   * Recursively copy a value, masking sensitive keys and redacting strings
+   * @param {*} value - Value to copy
+   * @param {string[]} keyPath - Keys from the root to the value
+   * @param {WeakSet} seen - Objects on the current path, to stop at circular references
+   * @returns {*} Redacted copy
+   */
+  walk(value, keyPath, seen) {
+    if (keyPath.length > 0 && value !== null && value !== undefined && this.isSensitive(keyPath)) {
+      return this.mask(value);
+    }
+
+    if (typeof value === 'string') {
+      return this.redactString(value);
+    }
+
+    if (value instanceof Error) {
+      return this.redactError(value);
+    }
+
+    if (!value || typeof value !== 'object' || value instanceof Date || Buffer.isBuffer(value)) {
+      return value;
+    }
+
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    seen.add(value);
+
+    let copy;
+    if (Array.isArray(value)) {
+      copy = value.map((item, index) => this.walk(item, [...keyPath, index], seen));
+    } else {
+      copy = {};
+      Object.keys(value).forEach(key => {
+        copy[key] = this.walk(value[key], [...keyPath, key], seen);
+      });
+    }
+
+    seen.delete(value);
+    return copy;
+  }
+
+  /**
+   * Normalize a pattern option into a global RegExp and its replacement
+   * @param {RegExp|{pattern: RegExp|string, replacement: string}} entry - Pattern option
+   * @returns {{pattern: RegExp, replacement: string}} Normalized pattern
+   */
+  normalizePattern(entry) {
+    const { pattern, replacement = this.replacement } = entry instanceof RegExp || typeof entry === 'string'
+      ? { pattern: entry }
+      : entry;
+    const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+    const flags = regex.flags.includes('g') ? regex.flags : `${regex.flags}g`;
+
+    return { pattern: new RegExp(regex.source, flags), replacement };
+  }
+}
+
+/**
+ * Convert headers (plain or AxiosHeaders) into a plain object
+ * @param {object} headers - Headers
+ * @returns {object|undefined} Plain headers
+ */
+function toPlainObject(headers) {
+  if (!headers) {
+    return headers;
+  }
+  return typeof headers.toJSON === 'function' ? headers.toJSON() : { ...headers };
+}
+
+module.exports = Redactor;
\ No newline at end of file
@@ -0,0 +1,21 @@
+/**
+ * Default logger factory
+ * Used by components that were not given a logger, such as new HttpClient()
+ */
+
+const ConsoleLogger = require('./ConsoleLogger');
+
+/**
+ * Create the default logger
+ * Inside Jest with the log capture environment, records go to the capture of the running test
+ * file and are only reported for failing tests; everywhere else they are printed to the console.
+ * @returns {ILogger} Logger
+ */
+function createDefaultLogger() {
+  if (global.logCapture) {
+    return global.logCapture;
+  }
+  return new ConsoleLogger();
+}
+
+module.exports = createDefaultLogger;
\ No newline at end of file
@@ -0,0 +1,728 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const ResourceApi = require('../api/ResourceApi');
+
+const ROOT = path.join(__dirname, '..');
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const SAFE_METHODS = ['get', 'head', 'options'];
+const SCHEMA_REF_PREFIX = '#/components/schemas/';
+// OpenAPI string formats that map onto BaseDTO formats; other formats are left out of the DTO
+const DTO_FORMATS = { email: 'email', uri: 'url', url: 'url' };
+
+/**
+ * Convert a name to PascalCase
+ * @param {string} name - Name such as 'pet-store' or 'list_pets'
+ * @returns {string} PascalCase name
+ */
+function pascalCase(name) {
+  return String(name)
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join('');
+}
+
+/**
+ * Convert a name to camelCase
+ * @param {string} name - Name
+ * @returns {string} camelCase name
+ */
+function camelCase(name) {
+  const pascal = pascalCase(name);
+  return pascal[0].toLowerCase() + pascal.slice(1);
+}
+
+/**
+ * Convert a name to a lowercase, dash-separated slug
+ * @param {string} name - Name such as 'Swagger Petstore'
+ * @returns {string} Slug such as 'swagger-petstore'
+ */
+function slugify(name) {
+  return String(name).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).join('-');
+}
+
+/**
+ * Render a property key, quoting it when it is not a valid identifier
+ * @param {string} name - Property name
+ * @returns {string} Source code for the key
+ */
+function renderKey(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : renderValue(name);
+}
+
+/**
+ * Render a property access on an object
+ * @param {string} object - Object expression
+ * @param {string} name - Property name
+ * @returns {string} Source code such as 'params.id' or "params['X-Request-Id']"
+ */
+function renderAccess(object, name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? `${object}.${name}` : `${object}[${renderValue(name)}]`;
+}
+
+/**
+ * Render an object literal argument, on one line when the statement stays within 100 characters
+ * @param {string[]} entries - Rendered 'key: value' entries
+ * @param {string} indent - Indentation of the statement
+ * @param {string} lead - Code before the literal, e.g. 'foo('
+ * @returns {string} Source code
+ */
+function renderObject(entries, indent, lead) {
+  const inline = `{ ${entries.join(', ')} }`;
+  if (`${indent}${lead}${inline});`.length <= 100) {
+    return inline;
+  }
+  return `{\n${entries.map(entry => `${indent}  ${entry}`).join(',\n')}\n${indent}}`;
+}
+
+/**
+ * Render a value as JavaScript source with the repo's quoting style
+ * @param {*} value - JSON value
+ * @returns {string} Source code
+ */
+function renderValue(value) {
+  if (typeof value === 'string') {
+    // JSON escapes backslashes and control characters such as newlines; only the quotes differ
+    return `'${JSON.stringify(value).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(renderValue).join(', ')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, item]) => `${renderKey(key)}: ${renderValue(item)}`);
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+  }
+  return String(value);
+}
+
+/**
+ * Build a require() path from a generated file to a module of this framework or another generated file
+ * @param {string} fromDir - Directory of the generated file
+ * @param {string} target - Absolute path of the required module
+ * @returns {string} Relative require path
+ */
+function requirePath(fromDir, target) {
+  const relative = path.relative(fromDir, target).split(path.sep).join('/');
+  return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+/**
+ * Generates DTOs, resource clients and a contract test suite from an OpenAPI 3 document
+ * Output layout (relative to the output directory):
+ * - dto/<Name>DTO.js - one BaseDTO subclass per object schema in components.schemas
+ * - api/<Segment>Api.js - one ResourceApi subclass per first path segment, one method per operation
+ * - schemas.json - components.schemas converted to JSON Schema 2020-12
+ * - tests/<name>.contract.test.js - Jest suite checking documented status codes and response schemas
+ */
+class OpenApiGenerator {
+  /**
+   * Create an OpenApiGenerator instance
+   * @param {object} spec - Parsed OpenAPI 3 document
+   * @param {object} options - Generator options
+   * @param {string} options.name - Name of the contract suite file and its base URL variable (defaults to a slug of info.title)
+   * @param {string} options.baseUrl - Default base URL of the contract tests (defaults to the first server)
+   * @param {string} options.source - Path of the document, mentioned in generated headers
+   */
+  constructor(spec, options = {}) {
+    if (!spec || typeof spec.openapi !== 'string' || !spec.openapi.startsWith('3.')) {
+      throw new Error(`Expected an OpenAPI 3 document, but got version ${spec && (spec.openapi || spec.swagger)}`);
+    }
+
+    this.spec = spec;
+    this.title = (spec.info && spec.info.title) || 'API';
+    this.name = options.name || slugify(this.title);
+    this.baseUrl = options.baseUrl || (spec.servers && spec.servers[0] && spec.servers[0].url) || '';
+    this.source = options.source || this.title;
+    this.schemas = (spec.components && spec.components.schemas) || {};
+  }
+
+  /**
+   * Load an OpenAPI document from a YAML or JSON file
+   * @param {string} filePath - Path of the document
+   * @param {object} options - Generator options
+   * @returns {OpenApiGenerator} Generator for the document
+   */
+  static load(filePath, options = {}) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const spec = /\.json$/i.test(filePath) ? JSON.parse(text) : yaml.load(text);
+    const source = path.relative(ROOT, path.resolve(filePath)).split(path.sep).join('/');
+    return new OpenApiGenerator(spec, { source, ...options });
+  }
+
+  /**
+   * Generate all files
+   * @param {string} outDir - Directory the files will be written to; require paths are relative to it
+   * @returns {{file: string, content: string}[]} Files relative to outDir
+   */
+  generate(outDir) {
+    const root = path.resolve(outDir);
+    const files = [];
+
+    for (const name of Object.keys(this.schemas).filter(schemaName => this.isDtoSchema(schemaName))) {
+      files.push({ file: `dto/${this.dtoName(name)}.js`, content: this.renderDto(name, path.join(root, 'dto')) });
+    }
+
+    for (const [segment, operations] of Object.entries(this.groupOperations())) {
+      files.push({ file: `api/${pascalCase(segment)}Api.js`, content: this.renderClient(segment, operations, path.join(root, 'api')) });
+    }
+
+    const defs = {};
+    for (const [name, schema] of Object.entries(this.schemas)) {
+      defs[name] = this.toJsonSchema(schema);
+    }
+    files.push({ file: 'schemas.json', content: JSON.stringify(defs, null, 2) });
+    files.push({ file: `tests/${this.name}.contract.test.js`, content: this.renderContractTest(path.join(root, 'tests')) });
+
+    return files;
+  }
+
+  /**
+   * Generate all files and write them to disk
+   * @param {string} outDir - Output directory
+   * @returns {string[]} Absolute paths of the written files
+   */
+  write(outDir) {
+    return this.generate(outDir).map(({ file, content }) => {
+      const target = path.resolve(outDir, file);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, content);
+      return target;
+    });
+  }
+
+  /**
+   * Resolve a local $ref in the document
+   * @param {object} value - Object that may be a reference
+   * @returns {object} Referenced object, or the value itself
+   */
+  resolve(value) {
+    if (!value || typeof value.$ref !== 'string') {
+      return value;
+    }
+    if (!value.$ref.startsWith('#/')) {
+      throw new Error(`Only local $ref values are supported: ${value.$ref}`);
+    }
+
+    let target = this.spec;
+    for (const token of value.$ref.slice(2).split('/')) {
+      target = target && target[token.replace(/~1/g, '/').replace(/~0/g, '~')];
+    }
+    if (target === undefined) {
+      throw new Error(`Cannot resolve $ref: ${value.$ref}`);
+    }
+    return this.resolve(target);
+  }
+
+  /**
+   * Get the component schema name a schema refers to
+   * @param {object} schema - Schema
+   * @returns {string|null} Component name, or null for inline schemas
+   */
+  refName(schema) {
+    return schema && typeof schema.$ref === 'string' && schema.$ref.startsWith(SCHEMA_REF_PREFIX)
+      ? schema.$ref.slice(SCHEMA_REF_PREFIX.length)
+      : null;
+  }
+
+  /**
+   * Check whether a component schema becomes a DTO class
+   * @param {string} name - Component schema name
+   * @returns {boolean} True for object schemas with properties
+   */
+  isDtoSchema(name) {
+    const schema = this.resolve(this.schemas[name]);
+    return Boolean(schema && schema.properties && (schema.type === undefined || schema.type === 'object'));
+  }
+
+  /**
+   * Get the DTO class name of a component schema
+   * @param {string} name - Component schema name
+   * @returns {string} Class name
+   */
+  dtoName(name) {
+    return `${pascalCase(name)}DTO`;
+  }
+
+  /**
+   * Get the DTO class a schema hydrates into
+   * @param {object} schema - Response or property schema
+   * @returns {{dto: string, array: boolean}|null} DTO class name and whether the schema is an array of it
+   */
+  dtoOf(schema) {
+    const name = this.refName(schema);
+    if (name && this.isDtoSchema(name)) {
+      return { dto: this.dtoName(name), array: false };
+    }
+
+    const resolved = this.resolve(schema);
+    if (resolved && resolved.type === 'array') {
+      const itemName = this.refName(resolved.items);
+      if (itemName && this.isDtoSchema(itemName)) {
+        return { dto: this.dtoName(itemName), array: true };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build the BaseDTO field definition of a property
+   * @param {object} property - Property schema
+   * @param {boolean} required - Whether the property is required
+   * @returns {{source: string, dtos: string[]}} Field definition source and the DTO classes it uses
+   */
+  fieldDefinition(property, required) {
+    const nested = this.dtoOf(property);
+    const schema = this.resolve(property) || {};
+    const options = [];
+    const dtos = [];
+
+    if (nested && !nested.array) {
+      options.push(`type: ${nested.dto}`);
+      dtos.push(nested.dto);
+    } else if (nested) {
+      options.push("type: 'array'", `items: ${nested.dto}`);
+      dtos.push(nested.dto);
+    } else if (schema.type) {
+      options.push(`type: ${renderValue(schema.type)}`);
+      if (schema.type === 'array' && schema.items && this.resolve(schema.items).type) {
+        options.push(`items: ${renderValue(this.resolve(schema.items).type)}`);
+      }
+    }
+
+    if (required) {
+      options.push('required: true');
+    } else if (!schema.nullable) {
+      // Leave unset optional properties out of request bodies instead of sending null
+      options.push('omitIfNull: true');
+    }
+    if (schema.default !== undefined) {
+      const isObject = schema.default !== null && typeof schema.default === 'object';
+      options.push(`default: ${isObject ? `() => (${renderValue(schema.default)})` : renderValue(schema.default)}`);
+    }
+    if (schema.enum) {
+      options.push(`enum: ${renderValue(schema.enum.filter(value => value !== null))}`);
+    }
+    if (DTO_FORMATS[schema.format]) {
+      options.push(`format: '${DTO_FORMATS[schema.format]}'`);
+    }
+    if (schema.pattern) {
+      options.push(`pattern: new RegExp(${renderValue(schema.pattern)})`);
+    }
+    if (schema.minimum !== undefined) {
+      options.push(`min: ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined) {
+      options.push(`max: ${schema.maximum}`);
+    }
+    if (schema.minLength !== undefined) {
+      options.push(`minLength: ${schema.minLength}`);
+    }
+    if (schema.maxLength !== undefined) {
+      options.push(`maxLength: ${schema.maxLength}`);
+    }
+
+    return { source: `{ ${options.join(', ')} }`, dtos };
+  }
+
+  /**
+   * Render the DTO class of a component schema
+   * @param {string} name - Component schema name
+   * @param {string} dir - Directory the file is written to
+   * @returns {string} Source code
+   */
+  renderDto(name, dir) {
+    const schema = this.resolve(this.schemas[name]);
+    const required = schema.required || [];
+    const className = this.dtoName(name);
+    const fields = [];
+    const dtos = new Set();
+
+    for (const [property, propertySchema] of Object.entries(schema.properties)) {
+      const field = this.fieldDefinition(propertySchema, required.includes(property));
+      field.dtos.filter(dto => dto !== className).forEach(dto => dtos.add(dto));
+      fields.push(`    ${renderKey(property)}: ${field.source}`);
+    }
+
+    const requires = [`const BaseDTO = require('${requirePath(dir, path.join(ROOT, 'dto/BaseDTO'))}');`]
+      .concat([...dtos].map(dto => `const ${dto} = require('./${dto}');`));
+
+    return `${requires.join('\n')}
+
+/**
+ * Data Transfer Object for ${name} entities
+${schema.description ? ` * ${schema.description}\n` : ''} * Generated from ${this.source} (${SCHEMA_REF_PREFIX}${name}); do not edit by hand
+ * Constructor arguments: (${Object.keys(schema.properties).join(', ')})
+ */
+class ${className} extends BaseDTO {
+  static fields = {
+${fields.join(',\n')}
+  };
+}
+
+module.exports = ${className};`;
+  }
+
+  /**
+   * List all operations with their parameters and responses resolved
+   * @returns {object[]} Operations as { method, path, name, summary, parameters, requestBody, responses }
+   */
+  operations() {
+    const operations = [];
+
+    for (const [route, pathItem] of Object.entries(this.spec.paths || {})) {
+      const shared = (pathItem.parameters || []).map(parameter => this.resolve(parameter));
+
+      for (const method of HTTP_METHODS.filter(candidate => pathItem[candidate])) {
+        const operation = pathItem[method];
+        const own = (operation.parameters || []).map(parameter => this.resolve(parameter));
+        const parameters = shared
+          .filter(parameter => !own.some(other => other.name === parameter.name && other.in === parameter.in))
+          .concat(own);
+        const responses = {};
+        for (const [status, response] of Object.entries(operation.responses || {})) {
+          responses[status] = this.resolve(response);
+        }
+
+        operations.push({
+          method,
+          path: route,
+          name: camelCase(operation.operationId || `${method} ${route.replace(/[{}]/g, '')}`),
+          summary: operation.summary || `${method.toUpperCase()} ${route}`,
+          parameters,
+          requestBody: this.resolve(operation.requestBody) || null,
+          responses
+        });
+      }
+    }
+
+    return operations;
+  }
+
+  /**
+   * Group operations into resource clients by the first segment of their path
+   * @returns {object} Operations keyed by segment, e.g. { posts: [...] }
+   */
+  groupOperations() {
+    const groups = {};
+    for (const operation of this.operations()) {
+      const segment = operation.path.split('/').filter(Boolean)[0] || 'root';
+      (groups[segment] = groups[segment] || []).push(operation);
+    }
+    return groups;
+  }
+
+  /**
+   * Get the JSON schema of a request body or response
+   * @param {object} message - Request body or response object
+   * @returns {object|null} Schema of the JSON content, or null if there is none
+   */
+  jsonContent(message) {
+    const content = (message && message.content) || {};
+    const type = Object.keys(content).find(candidate => /[/+]json\b/.test(candidate) || candidate === '*/*');
+    return type ? content[type] : null;
+  }
+
+  /**
+   * Get the schema of the first 2xx response
+   * @param {object} operation - Operation
+   * @returns {object|null} Response schema
+   */
+  successSchema(operation) {
+    const status = Object.keys(operation.responses).find(candidate => /^2/.test(candidate));
+    const content = status && this.jsonContent(operation.responses[status]);
+    return content ? content.schema : null;
+  }
+
+  /**
+   * Render a resource client for the operations under one path segment
+   * @param {string} segment - First path segment
+   * @param {object[]} operations - Operations under the segment
+   * @param {string} dir - Directory the file is written to
+   * @returns {string} Source code
+   */
+  renderClient(segment, operations, dir) {
+    const className = `${pascalCase(segment)}Api`;
+    const dtos = new Set();
+    const itemOperation = operations.find(operation => operation.method === 'get' && /^\/[^/]+\/\{[^/]+\}$/.test(operation.path));
+    const itemDto = itemOperation && this.dtoOf(this.successSchema(itemOperation));
+    if (itemDto) {
+      dtos.add(itemDto.dto);
+    }
+
+    const methods = operations.map(operation => {
+      const result = this.dtoOf(this.successSchema(operation));
+      if (result) {
+        dtos.add(result.dto);
+      }
+      return this.renderOperation(operation, result);
+    });
+
+    const requires = [`const ResourceApi = require('${requirePath(dir, path.join(ROOT, 'api/ResourceApi'))}');`]
+      .concat([...dtos].map(dto => `const ${dto} = require('../dto/${dto}');`));
+
+    return `${requires.join('\n')}
+
+/**
+ * Typed client for the /${segment} operations of ${this.title}
+ * Generated from ${this.source}; do not edit by hand
+ */
+class ${className} extends ResourceApi {
+  /**
+   * Create a ${className} instance
+   * @param {HttpClient} httpClient - HTTP client used for requests
+   */
+  constructor(httpClient) {
+    super(httpClient, '/${segment}', ${itemDto ? itemDto.dto : 'null'});
+  }
+${methods.join('')}}
+
+module.exports = ${className};`;
+  }
+
+  /**
+   * Render the client method of one operation
+   * @param {object} operation - Operation
+   * @param {{dto: string, array: boolean}|null} result - DTO the response hydrates into
+   * @returns {string} Source code
+   */
+  renderOperation(operation, result) {
+    // Operation names must not shadow the generic ResourceApi methods
+    const name = operation.name in ResourceApi.prototype ? `${operation.name}Operation` : operation.name;
+    const byLocation = location => operation.parameters.filter(parameter => parameter.in === location);
+    const url = /\{/.test(operation.path)
+      ? `\`${operation.path.replace(/\{([^}]+)\}/g, (match, parameter) => `\${encodeURIComponent(${renderAccess('params', parameter)})}`)}\``
+      : renderValue(operation.path);
+    const pick = parameters => parameters.map(parameter => `${renderKey(parameter.name)}: ${renderAccess('params', parameter.name)}`).join(', ');
+    const query = byLocation('query');
+    const headers = byLocation('header');
+    const hasBody = Boolean(operation.requestBody);
+    const returns = result ? `${result.dto}${result.array ? '[]' : ''}` : 'object';
+    const parameterNames = operation.parameters.map(parameter => parameter.name);
+
+    const config = ['...config', `method: '${operation.method}'`, `url: ${url}`];
+    if (query.length > 0) {
+      config.push(`params: { ...config.params, ${pick(query)} }`);
+    }
+    if (headers.length > 0) {
+      config.push(`headers: { ...config.headers, ${pick(headers)} }`);
+    }
+    if (hasBody) {
+      config.push('data: this.toBody(body)');
+    }
+
+    const docs = [
+      `   * ${operation.summary}`,
+      `   * ${operation.method.toUpperCase()} ${operation.path}`,
+      ...(hasBody ? ['   * @param {object} body - Request body (DTO instance or plain object)'] : []),
+      `   * @param {object} params - ${parameterNames.length > 0 ? `Parameters: ${parameterNames.join(', ')}` : 'Unused; kept for a uniform signature'}`,
+      '   * @param {object} config - Additional request config',
+      `   * @returns {Promise<{data: ${returns}, response: object}>} Response data and raw response`
+    ];
+    const signature = `${hasBody ? 'body, ' : ''}params = {}, config = {}`;
+    const data = result ? `this.hydrate(response.data, ${result.dto})` : 'response.data';
+
+    return `
+  /**
+${docs.join('\n')}
+   */
+  async ${name}(${signature}) {
+    const response = await this.httpClient.request(${renderObject(config, '    ', 'const response = await this.httpClient.request(')});
+    return { data: ${data}, response };
+  }
+`;
+  }
+
+  /**
+   * Convert an OpenAPI schema to JSON Schema 2020-12
+   * Handles the OpenAPI 3.0 differences: nullable, boolean exclusiveMinimum/Maximum and
+   * component references, which become '#/$defs/Name'
+   * @param {object} schema - OpenAPI schema
+   * @returns {object} JSON Schema
+   */
+  toJsonSchema(schema) {
+    if (schema === null || typeof schema !== 'object') {
+      return schema;
+    }
+    if (Array.isArray(schema)) {
+      return schema.map(item => this.toJsonSchema(item));
+    }
+    if (typeof schema.$ref === 'string') {
+      const name = this.refName(schema);
+      return name ? { $ref: `#/$defs/${name}` } : this.toJsonSchema(this.resolve(schema));
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(schema)) {
+      if (['nullable', 'example', 'xml', 'externalDocs', 'discriminator'].includes(key)) {
+        continue;
+      }
+      if (['properties', 'patternProperties', '$defs'].includes(key)) {
+        result[key] = Object.fromEntries(Object.entries(value).map(([name, item]) => [name, this.toJsonSchema(item)]));
+      } else if (typeof value === 'object' && value !== null && key !== 'enum' && key !== 'const' && key !== 'default' && key !== 'required') {
+        result[key] = this.toJsonSchema(value);
+      } else {
+        result[key] = value;
+      }
+    }
+
+    if (typeof schema.exclusiveMinimum === 'boolean') {
+      delete result.exclusiveMinimum;
+      if (schema.exclusiveMinimum) {
+        result.exclusiveMinimum = result.minimum;
+        delete result.minimum;
+      }
+    }
+    if (typeof schema.exclusiveMaximum === 'boolean') {
+      delete result.exclusiveMaximum;
+      if (schema.exclusiveMaximum) {
+        result.exclusiveMaximum = result.maximum;
+        delete result.maximum;
+      }
+    }
+    if (schema.nullable === true) {
+      if (result.type) {
+        result.type = [].concat(result.type, 'null');
+      }
+      if (result.enum) {
+        result.enum = [...result.enum, null];
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Pick an example value for a parameter or body
+   * Uses example, then default, then the first enum value, then a value of the right type
+   * @param {object} schema - Schema
+   * @param {*} example - Example given next to the schema
+   * @returns {*} Example value
+   */
+  sampleValue(schema, example) {
+    if (example !== undefined) {
+      return example;
+    }
+
+    const resolved = this.resolve(schema) || {};
+    if (resolved.example !== undefined) {
+      return resolved.example;
+    }
+    if (resolved.default !== undefined) {
+      return resolved.default;
+    }
+    if (resolved.enum) {
+      return resolved.enum[0];
+    }
+    if (resolved.allOf) {
+      return Object.assign({}, ...resolved.allOf.map(part => this.sampleValue(part)));
+    }
+    if (resolved.oneOf || resolved.anyOf) {
+      return this.sampleValue((resolved.oneOf || resolved.anyOf)[0]);
+    }
+
+    switch (resolved.type) {
+      case 'integer':
+      case 'number':
+        return resolved.minimum !== undefined ? resolved.minimum : 1;
+      case 'boolean':
+        return true;
+      case 'array':
+        return [this.sampleValue(resolved.items)];
+      case 'string':
+        return resolved.format === 'email' ? 'contract@example.com' : 'string';
+      default: {
+        const value = {};
+        for (const [name, property] of Object.entries(resolved.properties || {})) {
+          if (!property.readOnly && !this.resolve(property).readOnly) {
+            value[name] = this.sampleValue(property);
+          }
+        }
+        return value;
+      }
+    }
+  }
+
+  /**
+   * Render the contract test suite
+   * @param {string} dir - Directory the file is written to
+   * @returns {string} Source code
+   */
+  renderContractTest(dir) {
+    const variable = `${this.name.replace(/[^a-zA-Z0-9]+/g, '_').toUpperCase()}_BASE_URL`;
+    const version = this.spec.info && this.spec.info.version ? ` ${this.spec.info.version}` : '';
+    const tests = this.operations().map(operation => this.renderContractCase(operation));
+
+    return `const HttpClient = require('${requirePath(dir, path.join(ROOT, 'http/HttpClient'))}');
+const { getEnvironmentConfig, getCurrentEnvironment } = require('${requirePath(dir, path.join(ROOT, 'config/config'))}');
+const { expectContract } = require('${requirePath(dir, path.join(ROOT, 'openapi/contract'))}');
+const $defs = require('../schemas.json');
+
+/**
+ * Contract tests for ${this.title}${version}
+ * Generated from ${this.source}; do not edit by hand
+ * Every operation is called once with example parameters. The status must be documented and the
+ * body must match the documented schema. Operations that change data only run with CONTRACT_UNSAFE=true.
+ * Set ${variable} to test another deployment.
+ */
+describe(${renderValue(`${this.title} contract`)}, () => {
+  const unsafeTest = process.env.CONTRACT_UNSAFE === 'true' ? test : test.skip;
+  let httpClient;
+
+  beforeAll(() => {
+    httpClient = new HttpClient({
+      ...getEnvironmentConfig(getCurrentEnvironment()),
+      baseUrl: process.env.${variable} || ${renderValue(this.baseUrl)},
+      throwHttpErrors: false
+    });
+  });
+${tests.join('')}});`;
+  }
+
+  /**
+   * Render the contract test of one operation
+   * @param {object} operation - Operation
+   * @returns {string} Source code
+   */
+  renderContractCase(operation) {
+    const byLocation = location => operation.parameters.filter(parameter => parameter.in === location && (parameter.required || parameter.example !== undefined));
+    const url = operation.path.replace(/\{([^}]+)\}/g, (match, name) => {
+      const parameter = operation.parameters.find(candidate => candidate.in === 'path' && candidate.name === name);
+      return encodeURIComponent(String(this.sampleValue(parameter && parameter.schema, parameter && parameter.example)));
+    });
+    const sample = parameters => Object.fromEntries(parameters.map(parameter => [parameter.name, this.sampleValue(parameter.schema, parameter.example)]));
+
+    const request = [`method: '${operation.method}'`, `url: ${renderValue(url)}`];
+    const query = byLocation('query');
+    const headers = byLocation('header');
+    if (query.length > 0) {
+      request.push(`params: ${renderValue(sample(query))}`);
+    }
+    if (headers.length > 0) {
+      request.push(`headers: ${renderValue(sample(headers))}`);
+    }
+    const body = this.jsonContent(operation.requestBody);
+    if (body) {
+      request.push(`data: ${renderValue(this.sampleValue(body.schema, body.example))}`);
+    }
+
+    const responses = Object.entries(operation.responses).map(([status, response]) => {
+      const content = this.jsonContent(response);
+      const schema = content && content.schema ? renderValue(this.toJsonSchema(content.schema)) : 'null';
+      return `      ${renderKey(status)}: ${schema}`;
+    });
+
+    const testFn = SAFE_METHODS.includes(operation.method) ? 'test' : 'unsafeTest';
+    return `
+  ${testFn}(${renderValue(`${operation.method.toUpperCase()} ${operation.path} (${operation.name})`)}, async () => {
+    const response = await httpClient.request(${renderObject(request, '    ', 'const response = await httpClient.request(')});
+
+    expectContract(response, {
+${responses.join(',\n')}
+    }, $defs);
+  });
+`;
+  }
+}
+
+module.exports = OpenApiGenerator;
\ No newline at end of file
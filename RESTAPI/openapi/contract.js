@@ -0,0 +1,45 @@
+const { expect } = require('chai');
+const { expectResponse } = require('../assertions/FluentAssertions');
+
+/**
+ * Contract assertions used by the generated OpenAPI test suites
+ */
+
+/**
+ * Find the documented response for a status code
+ * An exact code wins over a range such as '4XX', which wins over 'default'
+ * @param {object} responses - Documented responses keyed by status code, range or 'default'
+ * @param {number} status - Actual status code
+ * @returns {string|null} Matching key, or null if the status is not documented
+ */
+function findDocumentedResponse(responses, status) {
+  const range = `${String(status)[0]}XX`;
+  const key = [String(status), range, range.toLowerCase(), 'default'].find(candidate => candidate in responses);
+  return key || null;
+}
+
+/**
+ * Assert that a response honours the documented contract
+ * The status must be documented, and a body must match the documented schema (if any)
+ * @param {object} response - HTTP response
+ * @param {object} responses - Documented JSON Schemas keyed by status code; null when no body is documented
+ * @param {object} defs - Component schemas referenced as '#/$defs/Name'
+ */
+function expectContract(response, responses, defs = {}) {
+  const { method = '', url } = response.config || {};
+  const key = findDocumentedResponse(responses, response.status);
+
+  if (key === null) {
+    expect.fail(`Expected status ${response.status} of ${method.toUpperCase()} ${url} to be documented, but only ${Object.keys(responses).join(', ')} are`);
+  }
+
+  const schema = responses[key];
+  if (schema && response.data !== '' && response.data !== undefined) {
+    expectResponse(response).toMatchSchema({ ...schema, $defs: defs });
+  }
+}
+
+module.exports = {
+  findDocumentedResponse,
+  expectContract
+};
\ No newline at end of file
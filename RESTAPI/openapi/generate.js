@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Generate DTOs, resource clients and contract tests from an OpenAPI 3 document
+ * Usage: node openapi/generate.js <spec.yaml|spec.json> [--out <dir>] [--name <name>] [--base-url <url>]
+ * The output directory defaults to generated/<name>
+ */
+
+const path = require('path');
+const OpenApiGenerator = require('./OpenApiGenerator');
+
+const OPTIONS = { '--out': 'out', '--name': 'name', '--base-url': 'baseUrl' };
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {object} Spec path and options
+ */
+function parseArgs(args) {
+  const parsed = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (OPTIONS[args[i]]) {
+      parsed[OPTIONS[args[i]]] = args[++i];
+    } else if (!parsed.spec) {
+      parsed.spec = args[i];
+    } else {
+      throw new Error(`Unexpected argument: ${args[i]}`);
+    }
+  }
+
+  if (!parsed.spec) {
+    throw new Error('Usage: node openapi/generate.js <spec.yaml|spec.json> [--out <dir>] [--name <name>] [--base-url <url>]');
+  }
+  return parsed;
+}
+
+if (require.main === module) {
+  try {
+    const { spec, out, ...options } = parseArgs(process.argv.slice(2));
+    const generator = OpenApiGenerator.load(spec, options);
+    const outDir = out || path.join(__dirname, '../generated', generator.name);
+
+    generator.write(outDir).forEach(file => console.log(`Generated ${path.relative(process.cwd(), file)}`));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  parseArgs
+};
\ No newline at end of file
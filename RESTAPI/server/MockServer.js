@@ -0,0 +1,587 @@
+const http = require('http');
+const crypto = require('crypto');
+const ConsoleLogger = require('../logger/ConsoleLogger');
+const { createSeedData } = require('./seed');
+
+// Longest delay served by /delay/:n, in seconds
+const MAX_DELAY_SECONDS = 10;
+
+/**
+ * In-memory JSONPlaceholder-compatible mock server
+ * Serves /posts, /comments and /users with CRUD semantics that persist for the life of the server,
+ * nested routes (/posts/1/comments), field filtering and _page/_limit or _start/_end pagination.
+ * POST /oauth/token stands in for an OAuth2 token endpoint (client_credentials, password and
+ * refresh_token grants); with auth.required set, resource routes reject requests without a valid token.
+ */
+class MockServer {
+  /**
+   * Create a MockServer instance
+   * @param {object} options - Server options
+   * @param {number} options.port - Port to listen on (0 picks a free port)
+   * @param {string} options.host - Host to bind to
+   * @param {Function} options.seed - Function returning the initial collections
+   * @param {ILogger} options.logger - Logger instance
+   * @param {object} options.auth - Token endpoint settings
+   * @param {object[]} options.auth.clients - Accepted clients ({ clientId, clientSecret })
+   * @param {object[]} options.auth.users - Accepted resource owners for the password grant ({ username, password })
+   * @param {number} options.auth.tokenTtl - Access token lifetime in seconds
+   * @param {boolean} options.auth.required - Require a bearer token on resource routes
+   */
+  constructor(options = {}) {
+    this.port = options.port || 0;
+    this.host = options.host || '127.0.0.1';
+    this.seedFactory = options.seed || createSeedData;
+    this.logger = options.logger || new ConsoleLogger({ level: 'warn' });
+    this.server = null;
+    this.auth = {
+      clients: [],
+      users: [],
+      tokenTtl: 3600,
+      required: false,
+      ...options.auth
+    };
+    this.db = {};
+    this.tokens = new Map();
+    this.refreshTokens = new Map();
+    this.reset();
+  }
+
+  /**
+   * Base URL of the running server
+   * @returns {string|null} Server URL, or null if not started
+   */
+  get url() {
+    if (!this.server || !this.server.listening) {
+      return null;
+    }
+    return `http://${this.host}:${this.server.address().port}`;
+  }
+
+  /**
+   * Start listening for requests
+   * @returns {Promise<string>} Server URL
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.logger.debug('Mock server started', { url: this.url });
+    return this.url;
+  }
+
+  /**
+   * Stop the server and close open connections
+   * @returns {Promise} Resolves once the server is closed
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    this.logger.debug('Mock server stopped');
+  }
+
+  /**
+   * Restore the initial seed data
+   */
+  reset() {
+    this.db = this.seedFactory();
+  }
+
+  /**
+   * Revoke all issued access and refresh tokens
+   */
+  revokeTokens() {
+    this.tokens.clear();
+    this.refreshTokens.clear();
+  }
+
+  /**
+   * Replace collections with the given data
+   * @param {object} data - Collections keyed by resource name, e.g. { posts: [...] }
+   * @throws {Error} With status 400 if a name clashes with an inherited Object property
+   */
+  seed(data = {}) {
+    Object.keys(data).forEach(resource => {
+      if (resource in this.db && !this.hasCollection(resource)) {
+        const seedError = new Error(`Invalid collection name: ${resource}`);
+        seedError.status = 400;
+        throw seedError;
+      }
+      this.db[resource] = JSON.parse(JSON.stringify(data[resource]));
+    });
+  }
+
+  /**
+   * Handle an incoming request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handle(req, res) {
+    let result;
+    try {
+      const url = new URL(req.url, `http://${req.headers.host || `${this.host}:${this.port}`}`);
+      const segments = url.pathname.split('/').filter(Boolean).map(decodeSegment);
+      const delayMs = Number(url.searchParams.get('_delay') || 0);
+      const body = await this.readBody(req);
+      if (delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+      result = await this.route(req.method, segments, url, body, req.headers);
+    } catch (error) {
+      result = { status: error.status || 500, body: { error: error.message } };
+    }
+
+    this.logger.debug(`Mock server ${req.method} ${req.url} -> ${result.status}`);
+
+    if (res.destroyed) {
+      return;
+    }
+
+    res.writeHead(result.status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...result.headers
+    });
+    res.end(JSON.stringify(result.body));
+  }
+
+  /**
+   * Read and parse a JSON or form-encoded request body
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<object|null>} Parsed body, or null if empty
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('error', reject);
+      req.on('end', () => {
+        if (raw.trim().length === 0) {
+          resolve(null);
+          return;
+        }
+
+        if ((req.headers['content-type'] || '').startsWith('application/x-www-form-urlencoded')) {
+          resolve(Object.fromEntries(new URLSearchParams(raw)));
+          return;
+        }
+
+        try {
+          resolve(JSON.parse(raw));
+        } catch (error) {
+          const parseError = new Error(`Malformed JSON body: ${error.message}`);
+          parseError.status = 400;
+          reject(parseError);
+        }
+      });
+    });
+  }
+
+  /**
+   * Dispatch a request to the matching handler
+   * @param {string} method - HTTP method
+   * @param {string[]} segments - Path segments
+   * @param {URL} url - Parsed request URL
+   * @param {object|null} body - Parsed request body
+   * @param {object} headers - Request headers
+   * @returns {Promise<object>} Result with status, body and optional headers
+   */
+  async route(method, segments, url, body, headers = {}) {
+    const [resource, id, child] = segments;
+
+    if (resource === '__admin' && method === 'POST') {
+      return this.handleAdmin(id, body);
+    }
+
+    if (resource === 'oauth' && id === 'token' && segments.length === 2 && method === 'POST') {
+      return this.issueToken(body || {}, headers);
+    }
+
+    // httpbin-style delay route, used by timeout tests; capped like httpbin's
+    if (resource === 'delay' && segments.length === 2) {
+      const seconds = Math.min(Math.max(Number(id) || 0, 0), MAX_DELAY_SECONDS);
+      await new Promise(resolve => setTimeout(resolve, seconds * 1000));
+      return { status: 200, body: {} };
+    }
+
+    if (!this.hasCollection(resource) || segments.length > 3) {
+      return notFound();
+    }
+
+    if (this.auth.required && !this.isAuthorized(headers)) {
+      return {
+        status: 401,
+        body: { error: 'invalid_token' },
+        headers: { 'WWW-Authenticate': 'Bearer error="invalid_token"' }
+      };
+    }
+
+    if (body !== null && (typeof body !== 'object' || Array.isArray(body))) {
+      return { status: 400, body: { error: 'Request body must be a JSON object' } };
+    }
+
+    if (segments.length === 1) {
+      if (method === 'GET') return this.list(resource, url);
+      if (method === 'POST') return this.create(resource, body, url);
+    }
+
+    if (segments.length === 2) {
+      if (method === 'GET') return this.get(resource, id);
+      if (method === 'PUT') return this.replace(resource, id, body);
+      if (method === 'PATCH') return this.update(resource, id, body);
+      if (method === 'DELETE') return this.remove(resource, id);
+    }
+
+    if (segments.length === 3 && this.hasCollection(child)) {
+      const foreignKey = `${singular(resource)}Id`;
+      const parentId = Number(id);
+
+      if (method === 'GET') {
+        url.searchParams.set(foreignKey, String(parentId));
+        return this.list(child, url);
+      }
+      if (method === 'POST') {
+        return this.create(child, { ...body, [foreignKey]: parentId }, url);
+      }
+    }
+
+    return notFound();
+  }
+
+  /**
+   * Handle /__admin routes used by test hooks
+   * @param {string} action - reset, seed or revoke-tokens
+   * @param {object|null} body - Seed data
+   * @returns {object} Result
+   */
+  handleAdmin(action, body) {
+    if (action === 'reset') {
+      this.reset();
+      return { status: 200, body: {} };
+    }
+
+    if (action === 'seed') {
+      this.seed(body || {});
+      return { status: 200, body: {} };
+    }
+
+    if (action === 'revoke-tokens') {
+      this.revokeTokens();
+      return { status: 200, body: {} };
+    }
+
+    return notFound();
+  }
+
+  /**
+   * Handle a token request (RFC 6749 section 4.3, 4.4 and 6)
+   * Clients authenticate with HTTP Basic or client_id/client_secret body parameters
+   * @param {object} params - Form parameters
+   * @param {object} headers - Request headers
+   * @returns {object} Result with a token response or an OAuth2 error
+   */
+  issueToken(params, headers) {
+    const credentials = parseBasicCredentials(headers.authorization) ||
+      { username: params.client_id, password: params.client_secret };
+    const client = this.auth.clients.find(candidate =>
+      candidate.clientId === credentials.username && candidate.clientSecret === credentials.password);
+
+    if (!client) {
+      return { status: 401, body: { error: 'invalid_client' } };
+    }
+
+    let username = null;
+
+    if (params.grant_type === 'password') {
+      const user = this.auth.users.find(candidate =>
+        candidate.username === params.username && candidate.password === params.password);
+      if (!user) {
+        return { status: 400, body: { error: 'invalid_grant' } };
+      }
+      username = user.username;
+    } else if (params.grant_type === 'refresh_token') {
+      const grant = this.refreshTokens.get(params.refresh_token);
+      if (!grant || grant.clientId !== client.clientId) {
+        return { status: 400, body: { error: 'invalid_grant' } };
+      }
+      this.refreshTokens.delete(params.refresh_token);
+      username = grant.username;
+    } else if (params.grant_type !== 'client_credentials') {
+      return { status: 400, body: { error: 'unsupported_grant_type' } };
+    }
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    const body = {
+      access_token: accessToken,
+      token_type: 'bearer',
+      expires_in: this.auth.tokenTtl
+    };
+    this.tokens.set(accessToken, { clientId: client.clientId, expiresAt: Date.now() + this.auth.tokenTtl * 1000 });
+
+    // Like most servers, only user-bound grants get a refresh token
+    if (username) {
+      body.refresh_token = crypto.randomBytes(16).toString('hex');
+      this.refreshTokens.set(body.refresh_token, { clientId: client.clientId, username });
+    }
+
+    return { status: 200, body, headers: { 'Cache-Control': 'no-store' } };
+  }
+
+  /**
+   * Check a request for a valid, unexpired bearer token
+   * @param {object} headers - Request headers
+   * @returns {boolean} True if the request carries a valid token
+   */
+  isAuthorized(headers) {
+    const [scheme, accessToken] = (headers.authorization || '').split(' ');
+    const token = scheme && scheme.toLowerCase() === 'bearer' ? this.tokens.get(accessToken) : null;
+    return Boolean(token) && token.expiresAt > Date.now();
+  }
+
+  /**
+   * List a collection with filtering and pagination
+   * @param {string} resource - Collection name
+   * @param {URL} url - Request URL holding the query
+   * @returns {object} Result
+   */
+  list(resource, url) {
+    const query = url.searchParams;
+    let items = this.db[resource];
+
+    // Plain query params filter on field equality; repeated params match any of the values
+    const fields = [...new Set([...query.keys()])].filter(key => !key.startsWith('_'));
+    fields.forEach(field => {
+      const values = query.getAll(field);
+      items = items.filter(item => values.includes(String(item[field])));
+    });
+
+    const total = items.length;
+    const headers = { 'X-Total-Count': String(total) };
+
+    if (query.has('_page')) {
+      const page = Math.max(1, Number(query.get('_page')) || 1);
+      const limit = Math.max(1, Number(query.get('_limit')) || 10);
+      const lastPage = Math.max(1, Math.ceil(total / limit));
+
+      headers.Link = buildLinkHeader(url, page, lastPage);
+      items = items.slice((page - 1) * limit, page * limit);
+    } else if (query.has('_start') || query.has('_end') || query.has('_limit')) {
+      const start = Number(query.get('_start')) || 0;
+      const end = query.has('_end')
+        ? Number(query.get('_end'))
+        : start + (Number(query.get('_limit')) || total);
+      items = items.slice(start, end);
+    }
+
+    return { status: 200, body: items, headers };
+  }
+
+  /**
+   * Get a single item
+   * @param {string} resource - Collection name
+   * @param {string} id - Item ID
+   * @returns {object} Result
+   */
+  get(resource, id) {
+    const item = this.find(resource, id);
+    return item ? { status: 200, body: item } : notFound();
+  }
+
+  /**
+   * Create an item with the next free ID
+   * @param {string} resource - Collection name
+   * @param {object|null} body - Item data
+   * @param {URL} url - Request URL
+   * @returns {object} Result
+   */
+  create(resource, body, url) {
+    const collection = this.db[resource];
+    const nextId = collection.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1;
+    const item = { ...(body || {}), id: nextId };
+
+    collection.push(item);
+    return {
+      status: 201,
+      body: item,
+      headers: { Location: `${url.origin}/${resource}/${nextId}` }
+    };
+  }
+
+  /**
+   * Replace an existing item
+   * @param {string} resource - Collection name
+   * @param {string} id - Item ID
+   * @param {object|null} body - New item data
+   * @returns {object} Result
+   */
+  replace(resource, id, body) {
+    const index = this.findIndex(resource, id);
+    if (index === -1) {
+      return notFound();
+    }
+
+    const item = { ...(body || {}), id: this.db[resource][index].id };
+    this.db[resource][index] = item;
+    return { status: 200, body: item };
+  }
+
+  /**
+   * Merge changes into an existing item
+   * @param {string} resource - Collection name
+   * @param {string} id - Item ID
+   * @param {object|null} body - Partial item data
+   * @returns {object} Result
+   */
+  update(resource, id, body) {
+    const index = this.findIndex(resource, id);
+    if (index === -1) {
+      return notFound();
+    }
+
+    const existing = this.db[resource][index];
+    const item = { ...existing, ...(body || {}), id: existing.id };
+    this.db[resource][index] = item;
+    return { status: 200, body: item };
+  }
+
+  /**
+   * Delete an item and the items that reference it
+   * Like JSONPlaceholder, deleting a missing item still succeeds with an empty object
+   * @param {string} resource - Collection name
+   * @param {string} id - Item ID
+   * @returns {object} Result
+   */
+  remove(resource, id) {
+    const index = this.findIndex(resource, id);
+    if (index !== -1) {
+      const [item] = this.db[resource].splice(index, 1);
+      this.removeDependents(resource, item.id);
+    }
+    return { status: 200, body: {} };
+  }
+
+  /**
+   * Cascade a delete to collections holding a foreign key to the deleted item
+   * @param {string} resource - Collection of the deleted item
+   * @param {number} id - Deleted item ID
+   */
+  removeDependents(resource, id) {
+    const foreignKey = `${singular(resource)}Id`;
+
+    Object.keys(this.db).forEach(name => {
+      const dependents = this.db[name].filter(item => item[foreignKey] === id);
+      this.db[name] = this.db[name].filter(item => item[foreignKey] !== id);
+      dependents.forEach(item => this.removeDependents(name, item.id));
+    });
+  }
+
+  /**
+   * Check whether a collection exists, ignoring properties inherited from Object.prototype
+   * @param {string} resource - Collection name
+   * @returns {boolean} True if the collection exists
+   */
+  hasCollection(resource) {
+    return Object.prototype.hasOwnProperty.call(this.db, resource);
+  }
+
+  /**
+   * Find an item by ID
+   * @param {string} resource - Collection name
+   * @param {string} id - Item ID from the URL
+   * @returns {object|undefined} Item
+   */
+  find(resource, id) {
+    return this.db[resource].find(item => String(item.id) === String(id));
+  }
+
+  /**
+   * Find the index of an item by ID
+   * @param {string} resource - Collection name
+   * @param {string} id - Item ID from the URL
+   * @returns {number} Index, or -1 if missing
+   */
+  findIndex(resource, id) {
+    return this.db[resource].findIndex(item => String(item.id) === String(id));
+  }
+}
+
+/**
+ * Decode one path segment
+ * @param {string} segment - Percent-encoded segment
+ * @returns {string} Decoded segment
+ * @throws {Error} With status 400 if the segment is not valid percent-encoding
+ */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    const decodeError = new Error(`Malformed URL path segment: ${segment}`);
+    decodeError.status = 400;
+    throw decodeError;
+  }
+}
+
+/**
+ * Build a 404 result
+ * @returns {object} Result
+ */
+function notFound() {
+  return { status: 404, body: {} };
+}
+
+/**
+ * Parse HTTP Basic credentials from an Authorization header
+ * @param {string} header - Authorization header value
+ * @returns {object|null} Credentials with username and password, or null if not Basic
+ */
+function parseBasicCredentials(header) {
+  const [scheme, encoded] = (header || '').split(' ');
+  if (!scheme || scheme.toLowerCase() !== 'basic' || !encoded) {
+    return null;
+  }
+
+  const decoded = Buffer.from(encoded, 'base64').toString();
+  const separator = decoded.indexOf(':');
+  return {
+    username: decodeURIComponent(decoded.slice(0, separator)),
+    password: decodeURIComponent(decoded.slice(separator + 1))
+  };
+}
+
+/**
+ * Derive the singular form used for foreign keys (posts -> post)
+ * @param {string} resource - Collection name
+ * @returns {string} Singular name
+ */
+function singular(resource) {
+  return resource.endsWith('s') ? resource.slice(0, -1) : resource;
+}
+
+/**
+ * Build an RFC 5988 Link header for page-based pagination
+ * @param {URL} url - Request URL
+ * @param {number} page - Current page
+ * @param {number} lastPage - Last page
+ * @returns {string} Link header value
+ */
+function buildLinkHeader(url, page, lastPage) {
+  const link = (target, rel) => {
+    const pageUrl = new URL(url.href);
+    pageUrl.searchParams.set('_page', String(target));
+    return `<${pageUrl.href}>; rel="${rel}"`;
+  };
+
+  const links = [link(1, 'first')];
+  if (page > 1) links.push(link(page - 1, 'prev'));
+  if (page < lastPage) links.push(link(page + 1, 'next'));
+  links.push(link(lastPage, 'last'));
+  return links.join(', ');
+}
+
+module.exports = MockServer;
\ No newline at end of file
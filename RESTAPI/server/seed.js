@@ -0,0 +1,65 @@
+/**
+ * Seed data for the local mock server
+ * Mirrors the shape and volume of JSONPlaceholder: 10 users, 100 posts (10 per user)
+ * and 500 comments (5 per post)
+ */
+
+const users = require('./users.json');
+
+const WORDS = [
+  'lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit',
+  'sed', 'do', 'eiusmod', 'tempor', 'incididunt', 'ut', 'labore', 'et', 'dolore',
+  'magna', 'aliqua', 'enim', 'ad', 'minim', 'veniam', 'quis', 'nostrud'
+];
+
+/**
+ * Build a deterministic sentence
+ * @param {number} seed - Number used to pick the words
+ * @param {number} length - Number of words
+ * @returns {string} Sentence
+ */
+function sentence(seed, length) {
+  const words = [];
+  for (let i = 0; i < length; i++) {
+    words.push(WORDS[(seed * 7 + i * 3) % WORDS.length]);
+  }
+  return words.join(' ');
+}
+
+/**
+ * Create a fresh copy of the seed data
+ * @returns {object} Collections keyed by resource name
+ */
+function createSeedData() {
+  const posts = [];
+  const comments = [];
+
+  for (let id = 1; id <= 100; id++) {
+    posts.push({
+      userId: Math.ceil(id / 10),
+      id,
+      title: sentence(id, 6),
+      body: `${sentence(id + 1, 12)}\n${sentence(id + 2, 10)}`
+    });
+  }
+
+  for (let id = 1; id <= 500; id++) {
+    comments.push({
+      postId: Math.ceil(id / 5),
+      id,
+      name: sentence(id, 4),
+      email: `commenter${id}@example.com`,
+      body: sentence(id + 3, 15)
+    });
+  }
+
+  return {
+    posts,
+    comments,
+    users: JSON.parse(JSON.stringify(users))
+  };
+}
+
+module.exports = {
+  createSeedData
+};
\ No newline at end of file
@@ -0,0 +1,273 @@
+const ConsoleLogger = require('../logger/ConsoleLogger');
+const BasicAuthProvider = require('../auth/BasicAuthProvider');
+const BearerTokenProvider = require('../auth/BearerTokenProvider');
+const ApiKeyProvider = require('../auth/ApiKeyProvider');
+const OAuth2ClientCredentialsProvider = require('../auth/OAuth2ClientCredentialsProvider');
+const OAuth2PasswordProvider = require('../auth/OAuth2PasswordProvider');
+const createAuthProvider = require('../auth/createAuthProvider');
+const { expectResponse } = require('../assertions/FluentAssertions');
+const { startMockServer } = require('../utils/test-utils');
+
+const CLIENT = { clientId: 'test-client', clientSecret: 'test-secret' };
+const USER = { username: 'Bret', password: 'secret' };
+
+describe('Auth Provider Tests', () => {
+  const { server, createClient: createMockClient } = startMockServer({
+    auth: { clients: [CLIENT], users: [USER], tokenTtl: 60, required: true }
+  });
+  let baseUrl;
+  let logger;
+
+  beforeAll(() => {
+    baseUrl = server.url;
+  });
+
+  beforeEach(() => {
+    server.revokeTokens();
+    logger = new ConsoleLogger({ level: 'error' });
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Create a client for the mock server
+   * @param {object} config - Extra client config
+   * @returns {HttpClient} Client
+   */
+  function createClient(config = {}) {
+    return createMockClient({ headers: { 'Content-Type': 'application/json' }, ...config }, logger);
+  }
+
+  /**
+   * Create a client credentials provider for the mock server's token endpoint
+   * @param {object} options - Extra provider options
+   * @returns {OAuth2ClientCredentialsProvider} Provider
+   */
+  function createClientCredentials(options = {}) {
+    return new OAuth2ClientCredentialsProvider({ baseUrl, tokenUrl: '/oauth/token', ...CLIENT, ...options });
+  }
+
+  describe('Static providers', () => {
+    let httpClient;
+
+    beforeEach(() => {
+      httpClient = createClient();
+      server.auth.required = false;
+    });
+
+    afterEach(() => {
+      server.auth.required = true;
+    });
+
+    test('should send Basic credentials', async () => {
+      httpClient.setAuthProvider(new BasicAuthProvider({ username: 'user', password: 'pass' }));
+
+      const response = await httpClient.get('/posts/1');
+
+      expect(response.config.headers.Authorization).toBe(`Basic ${Buffer.from('user:pass').toString('base64')}`);
+    });
+
+    test('should send a static bearer token over a header set with setAuthorization', async () => {
+      httpClient.setAuthorization('manual-token');
+      httpClient.setAuthProvider(new BearerTokenProvider({ token: 'provider-token' }));
+
+      const response = await httpClient.get('/posts/1');
+
+      expect(response.config.headers.Authorization).toBe('Bearer provider-token');
+    });
+
+    test('should send an API key as a header or a query parameter', async () => {
+      httpClient.setAuthProvider(new ApiKeyProvider({ key: 'abc123' }));
+      const headerResponse = await httpClient.get('/posts/1');
+      expect(headerResponse.config.headers['X-API-Key']).toBe('abc123');
+
+      httpClient.setAuthProvider(new ApiKeyProvider({ key: 'abc123', in: 'query', name: 'key' }));
+      const queryResponse = await httpClient.get('/posts/1', { params: { _delay: 0 } });
+      expect(queryResponse.config.params).toEqual({ _delay: 0, key: 'abc123' });
+      expect(queryResponse.request.path).toBe('/posts/1?_delay=0&key=abc123');
+    });
+
+    test('should validate provider options', () => {
+      expect(() => new BasicAuthProvider()).toThrow('BasicAuthProvider requires a username');
+      expect(() => new ApiKeyProvider({ key: 'k', in: 'cookie' })).toThrow(/cannot send the key in: cookie/);
+      expect(() => new OAuth2ClientCredentialsProvider({ clientId: 'id' })).toThrow(/requires a tokenUrl/);
+    });
+
+    test('should remove the provider again', async () => {
+      httpClient.setAuthProvider(new BearerTokenProvider({ token: 'provider-token' }));
+      httpClient.setAuthProvider(null);
+
+      const response = await httpClient.get('/posts/1');
+
+      expect(httpClient.getMiddleware()).toEqual(['retry', 'logging']);
+      expect(response.config.headers.Authorization).toBeUndefined();
+    });
+  });
+
+  describe('OAuth2 client credentials', () => {
+    test('should reject requests without a token', async () => {
+      const error = await createClient().get('/posts/1').catch(err => err);
+
+      expect(error.response.status).toBe(401);
+    });
+
+    test('should fetch a token once and reuse it', async () => {
+      const provider = createClientCredentials();
+      jest.spyOn(provider, 'requestToken');
+      const httpClient = createClient();
+      httpClient.setAuthProvider(provider);
+
+      expectResponse(await httpClient.get('/posts/1')).toHaveStatus(200);
+      expectResponse(await httpClient.get('/posts/2')).toHaveStatus(200);
+
+      expect(provider.requestToken).toHaveBeenCalledTimes(1);
+      expect(provider.requestToken).toHaveBeenCalledWith({ grant_type: 'client_credentials' });
+    });
+
+    test('should share one token request between concurrent requests', async () => {
+      const provider = createClientCredentials();
+      jest.spyOn(provider, 'requestToken');
+      const httpClient = createClient();
+      httpClient.setAuthProvider(provider);
+
+      await Promise.all([1, 2, 3].map(id => httpClient.get(`/posts/${id}`)));
+
+      expect(provider.requestToken).toHaveBeenCalledTimes(1);
+    });
+
+    test('should authenticate the client in the request body', async () => {
+      const httpClient = createClient();
+      httpClient.setAuthProvider(createClientCredentials({ clientAuthentication: 'body' }));
+
+      expectResponse(await httpClient.get('/posts/1')).toHaveStatus(200);
+    });
+
+    test('should refresh the token before it expires', async () => {
+      const provider = createClientCredentials({ refreshSkew: 10 });
+      jest.spyOn(provider, 'requestToken');
+      const httpClient = createClient();
+      httpClient.setAuthProvider(provider);
+
+      await httpClient.get('/posts/1');
+      const firstToken = provider.token.accessToken;
+
+      // 55 seconds into a 60 second token: still valid on the server, but inside the refresh skew
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 55000);
+      const response = await httpClient.get('/posts/1');
+
+      expectResponse(response).toHaveStatus(200);
+      expect(provider.requestToken).toHaveBeenCalledTimes(2);
+      expect(provider.token.accessToken).not.toBe(firstToken);
+    });
+
+    test('should retry once with a new token after a 401', async () => {
+      const provider = createClientCredentials();
+      jest.spyOn(provider, 'requestToken');
+      const httpClient = createClient();
+      httpClient.setAuthProvider(provider);
+
+      await httpClient.get('/posts/1');
+      server.revokeTokens();
+      const response = await httpClient.get('/posts/1');
+
+      expectResponse(response).toHaveStatus(200);
+      expect(provider.requestToken).toHaveBeenCalledTimes(2);
+    });
+
+    test('should give up when the renewed token is rejected too', async () => {
+      const provider = createClientCredentials();
+      jest.spyOn(provider, 'requestToken');
+      jest.spyOn(server, 'isAuthorized').mockReturnValue(false);
+      const httpClient = createClient();
+      httpClient.setAuthProvider(provider);
+
+      const error = await httpClient.get('/posts/1').catch(err => err);
+
+      expect(error.response.status).toBe(401);
+      expect(provider.requestToken).toHaveBeenCalledTimes(2);
+    });
+
+    test('should fail requests when the client is rejected by the token endpoint', async () => {
+      const httpClient = createClient();
+      httpClient.setAuthProvider(createClientCredentials({ clientSecret: 'wrong' }));
+
+      const error = await httpClient.get('/posts/1').catch(err => err);
+
+      expect(error.response.status).toBe(401);
+      expect(error.response.data).toEqual({ error: 'invalid_client' });
+    });
+  });
+
+  describe('OAuth2 password grant', () => {
+    /**
+     * Create a password grant provider for the mock server's token endpoint
+     * @param {object} options - Extra provider options
+     * @returns {OAuth2PasswordProvider} Provider
+     */
+    function createPasswordProvider(options = {}) {
+      return new OAuth2PasswordProvider({ baseUrl, tokenUrl: '/oauth/token', ...CLIENT, ...USER, ...options });
+    }
+
+    test('should use the refresh token to renew an expiring token', async () => {
+      const provider = createPasswordProvider({ refreshSkew: 10 });
+      jest.spyOn(provider, 'requestToken');
+      const httpClient = createClient();
+      httpClient.setAuthProvider(provider);
+
+      await httpClient.get('/posts/1');
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 55000);
+      await httpClient.get('/posts/1');
+
+      expect(provider.requestToken.mock.calls.map(([params]) => params.grant_type))
+        .toEqual(['password', 'refresh_token']);
+    });
+
+    test('should fall back to the password grant when the refresh token is revoked', async () => {
+      const provider = createPasswordProvider();
+      jest.spyOn(provider, 'requestToken');
+      jest.spyOn(logger, 'warn').mockImplementation(() => {});
+      const httpClient = createClient();
+      httpClient.setAuthProvider(provider);
+
+      await httpClient.get('/posts/1');
+      server.revokeTokens();
+      expectResponse(await httpClient.get('/posts/1')).toHaveStatus(200);
+
+      expect(provider.requestToken.mock.calls.map(([params]) => params.grant_type))
+        .toEqual(['password', 'refresh_token', 'password']);
+    });
+
+    test('should reject unknown users', async () => {
+      const httpClient = createClient();
+      httpClient.setAuthProvider(createPasswordProvider({ password: 'wrong' }));
+
+      const error = await httpClient.get('/posts/1').catch(err => err);
+
+      expect(error.response.status).toBe(400);
+      expect(error.response.data).toEqual({ error: 'invalid_grant' });
+    });
+  });
+
+  describe('Configuration', () => {
+    test('should create a provider from the auth config', async () => {
+      const httpClient = createClient({
+        auth: { type: 'oauth2-client-credentials', tokenUrl: '/oauth/token', ...CLIENT }
+      });
+
+      expect(httpClient.authProvider).toBeInstanceOf(OAuth2ClientCredentialsProvider);
+      expect(httpClient.getMiddleware()).toEqual(['retry', 'auth', 'logging']);
+      expectResponse(await httpClient.get('/posts/1')).toHaveStatus(200);
+    });
+
+    test('should reject unknown provider types', () => {
+      expect(() => createAuthProvider({ type: 'kerberos' })).toThrow(/Unknown auth provider type: kerberos/);
+      expect(() => createAuthProvider({ type: 'constructor' })).toThrow(/Unknown auth provider type: constructor/);
+      expect(() => createAuthProvider({ type: 'toString' })).toThrow(/Unknown auth provider type: toString/);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const HttpClient = require('../http/HttpClient');
+const ConsoleLogger = require('../logger/ConsoleLogger');
+const { expectResponse } = require('../assertions/FluentAssertions');
+
+describe('HttpClient Cassette Tests', () => {
+  let server;
+  let baseUrl;
+  let requestCount;
+  let cassetteDir;
+  let logger;
+  const clients = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requestCount++;
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        if (req.url === '/posts/999') {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end('{}');
+          return;
+        }
+
+        res.writeHead(req.method === 'POST' ? 201 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ count: requestCount, method: req.method, received: body ? JSON.parse(body) : null }));
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requestCount = 0;
+    cassetteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassettes-'));
+    logger = new ConsoleLogger({ level: 'warn' });
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    clients.splice(0).forEach(client => client.close());
+    fs.rmSync(cassetteDir, { recursive: true, force: true });
+  });
+
+  function createClient(cassette) {
+    const client = new HttpClient({
+      baseUrl,
+      timeout: 2000,
+      headers: { 'Content-Type': 'application/json' },
+      cassette: { dir: cassetteDir, name: 'posts', ...cassette }
+    }, logger);
+    clients.push(client);
+    return client;
+  }
+
+  test('should record interactions to a cassette file', async () => {
+    const client = createClient({ mode: 'record' });
+
+    await client.get('/posts/1');
+    await client.post('/posts', { title: 'Recorded' });
+
+    const cassette = JSON.parse(fs.readFileSync(path.join(cassetteDir, 'posts.json'), 'utf8'));
+    expect(cassette.interactions).toHaveLength(2);
+    expect(cassette.interactions[1]).toMatchObject({
+      request: { method: 'POST', url: `${baseUrl}/posts`, body: { title: 'Recorded' } },
+      response: { status: 201, body: { count: 2, method: 'POST' } }
+    });
+  });
+
+  test('should keep the recordings of every client writing to a cassette', async () => {
+    const first = createClient({ mode: 'record' });
+    const second = createClient({ mode: 'record' });
+
+    await first.get('/posts/1');
+    await second.get('/posts/2');
+    await first.get('/posts/3');
+
+    const cassette = JSON.parse(fs.readFileSync(path.join(cassetteDir, 'posts.json'), 'utf8'));
+    expect(cassette.interactions.map(interaction => interaction.request.url))
+      .toEqual([`${baseUrl}/posts/1`, `${baseUrl}/posts/2`, `${baseUrl}/posts/3`]);
+  });
+
+  test('should replay recorded interactions without hitting the network', async () => {
+    await createClient({ mode: 'record' }).get('/posts/1');
+    requestCount = 0;
+
+    const response = await createClient({ mode: 'replay', strict: true }).get('/posts/1');
+
+    expectResponse(response)
+      .toHaveStatus(200)
+      .toContain({ count: 1, method: 'GET' });
+    expect(requestCount).toBe(0);
+  });
+
+  test('should replay recorded error responses as rejections', async () => {
+    await createClient({ mode: 'record' }).get('/posts/999').catch(() => {});
+    requestCount = 0;
+
+    const error = await createClient({ mode: 'replay', strict: true }).get('/posts/999').catch(err => err);
+
+    expect(error.response.status).toBe(404);
+    expect(requestCount).toBe(0);
+  });
+
+  test('should replay repeated identical requests in recorded order', async () => {
+    const recorder = createClient({ mode: 'record' });
+    await recorder.get('/posts/1');
+    await recorder.get('/posts/1');
+
+    const player = createClient({ mode: 'replay', strict: true });
+    const first = await player.get('/posts/1');
+    const second = await player.get('/posts/1');
+
+    expect([first.data.count, second.data.count]).toEqual([1, 2]);
+  });
+
+  test('should match on request body unless disabled', async () => {
+    await createClient({ mode: 'record' }).post('/posts', { title: 'A' });
+
+    await expect(createClient({ mode: 'replay', strict: true }).post('/posts', { title: 'B' }))
+      .rejects.toThrow(/No cassette interaction matches POST/);
+
+    const response = await createClient({ mode: 'replay', strict: true, match: { body: false } })
+      .post('/posts', { title: 'B' });
+    expect(response.data.received).toEqual({ title: 'A' });
+  });
+
+  test('should match on selected request headers', async () => {
+    const match = { headers: ['X-Tenant'] };
+    await createClient({ mode: 'record', match }).get('/posts/1', { headers: { 'X-Tenant': 'a' } });
+
+    const player = createClient({ mode: 'replay', strict: true, match });
+
+    await expect(player.get('/posts/1', { headers: { 'X-Tenant': 'b' } })).rejects.toThrow(/No cassette/);
+    await expect(player.get('/posts/1', { headers: { 'X-Tenant': 'a' } })).resolves.toMatchObject({ status: 200 });
+  });
+
+  test('should pass unmatched requests to the network when not strict', async () => {
+    const response = await createClient({ mode: 'replay' }).get('/posts/2');
+
+    expectResponse(response).toHaveStatus(200);
+    expect(requestCount).toBe(1);
+  });
+
+  test('should record only missing interactions in auto mode', async () => {
+    await createClient({ mode: 'record' }).get('/posts/1');
+    requestCount = 0;
+
+    const client = createClient({ mode: 'auto' });
+    await client.get('/posts/1');
+    await client.get('/posts/2');
+
+    expect(requestCount).toBe(1);
+    const cassette = JSON.parse(fs.readFileSync(path.join(cassetteDir, 'posts.json'), 'utf8'));
+    expect(cassette.interactions.map(item => item.request.url)).toEqual([
+      `${baseUrl}/posts/1`,
+      `${baseUrl}/posts/2`
+    ]);
+  });
+
+  test('should replay recorded network errors', async () => {
+    const cassettePath = path.join(cassetteDir, 'posts.json');
+    fs.writeFileSync(cassettePath, JSON.stringify({
+      interactions: [{
+        request: { method: 'GET', url: `${baseUrl}/slow`, headers: {}, body: null, raw: false },
+        error: { code: 'ECONNABORTED', message: 'timeout of 1000ms exceeded' }
+      }]
+    }));
+
+    const error = await createClient({ mode: 'replay', strict: true })
+      .get('/slow', { retry: false })
+      .catch(err => err);
+
+    expect(error.code).toBe('ECONNABORTED');
+  });
+});
\ No newline at end of file
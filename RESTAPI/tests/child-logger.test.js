@@ -0,0 +1,133 @@
+const ConsoleLogger = require('../logger/ConsoleLogger');
+const CapturingLogger = require('../logger/CapturingLogger');
+const ChildLogger = require('../logger/ChildLogger');
+const CompositeLogger = require('../logger/CompositeLogger');
+const RedactingLogger = require('../logger/RedactingLogger');
+const ILogger = require('../logger/ILogger');
+
+describe('Child and Composite Logger Tests', () => {
+  describe('child()', () => {
+    test('should merge bound fields into every record', () => {
+      const logger = new CapturingLogger();
+      const child = logger.child({ suite: 'Posts', test: 'should create a post' });
+      const error = new Error('Boom');
+
+      child.info('Info', { url: '/posts' });
+      child.error('Failed', error, { status: 500 });
+      child.log('warn', 'Warned');
+
+      expect(child).toBeInstanceOf(ChildLogger);
+      expect(logger.getRecords().map(({ level, meta }) => ({ level, meta }))).toEqual([
+        { level: 'info', meta: { suite: 'Posts', test: 'should create a post', url: '/posts' } },
+        { level: 'error', meta: { suite: 'Posts', test: 'should create a post', status: 500 } },
+        { level: 'warn', meta: { suite: 'Posts', test: 'should create a post' } }
+      ]);
+      expect(logger.getRecords()[1].error).toBe(error);
+    });
+
+    test('should let call-site metadata override bindings', () => {
+      const logger = new CapturingLogger();
+
+      logger.child({ requestId: 'bound', worker: 1 }).debug('Debug', { requestId: 'override' });
+
+      expect(logger.getRecords()[0].meta).toEqual({ requestId: 'override', worker: 1 });
+    });
+
+    test('should nest children without chaining through each level', () => {
+      const logger = new CapturingLogger();
+
+      const grandchild = logger.child({ suite: 'Posts' }).child({ test: 'a test' }).child({ requestId: 'r1' });
+      grandchild.info('Nested');
+
+      expect(grandchild.parent).toBe(logger);
+      expect(logger.getRecords()[0].meta).toEqual({ suite: 'Posts', test: 'a test', requestId: 'r1' });
+    });
+
+    test('should respect the level of the parent', () => {
+      const logger = new CapturingLogger({ level: 'warn' });
+
+      logger.child({ suite: 'Posts' }).info('Filtered');
+
+      expect(logger.getRecords()).toEqual([]);
+    });
+
+    test('should be available on every ILogger implementation', () => {
+      const console = new ConsoleLogger({ level: 'error' });
+      const redacting = new RedactingLogger(new CapturingLogger());
+
+      expect(console.child({ a: 1 })).toBeInstanceOf(ILogger);
+      redacting.child({ token: 'secret' }).info('Bound secret');
+      expect(redacting.logger.getRecords()[0].meta).toEqual({ token: '[REDACTED]' });
+    });
+  });
+
+  describe('CompositeLogger', () => {
+    test('should fan records out to every transport', () => {
+      const first = new CapturingLogger();
+      const second = new CapturingLogger();
+      const logger = new CompositeLogger([first, second]);
+
+      logger.info('Shared', { id: 1 });
+
+      [first, second].forEach(transport => {
+        expect(transport.getRecords()).toEqual([expect.objectContaining({ message: 'Shared', meta: { id: 1 } })]);
+      });
+    });
+
+    test('should apply per-transport levels', () => {
+      const console = new CapturingLogger();
+      const file = new CapturingLogger();
+      const logger = new CompositeLogger([{ logger: console, level: 'warn' }, { logger: file, level: 'debug' }]);
+
+      logger.debug('Debug');
+      logger.info('Info');
+      logger.warn('Warn');
+      logger.error('Error', new Error('Boom'));
+      logger.log('info', 'Log info');
+
+      expect(console.getRecords().map(record => record.message)).toEqual(['Warn', 'Error']);
+      expect(file.getRecords().map(record => record.message)).toEqual(['Debug', 'Info', 'Warn', 'Error', 'Log info']);
+    });
+
+    test('should keep logging to other transports when one fails', () => {
+      const broken = new CapturingLogger();
+      jest.spyOn(broken, 'info').mockImplementation(() => {
+        throw new Error('Disk full');
+      });
+      const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+      const healthy = new CapturingLogger();
+
+      new CompositeLogger([broken, healthy]).info('Still logged');
+
+      expect(healthy.getRecords()).toHaveLength(1);
+      expect(stderr).toHaveBeenCalledWith('CompositeLogger: CapturingLogger failed to log: Disk full\n');
+      stderr.mockRestore();
+    });
+
+    test('should support child loggers across transports', () => {
+      const first = new CapturingLogger();
+      const second = new CapturingLogger();
+
+      new CompositeLogger([first, second]).child({ requestId: 'r1' }).info('Bound');
+
+      expect(first.getRecords()[0].meta).toEqual({ requestId: 'r1' });
+      expect(second.getRecords()[0].meta).toEqual({ requestId: 'r1' });
+    });
+
+    test('should flush and close transports that support it', () => {
+      const buffered = { info() {}, flush: jest.fn(), close: jest.fn() };
+      const logger = new CompositeLogger([new CapturingLogger()]).add(buffered);
+
+      logger.flush();
+      logger.close();
+
+      expect(buffered.flush).toHaveBeenCalled();
+      expect(buffered.close).toHaveBeenCalled();
+    });
+
+    test('should reject unknown transport levels', () => {
+      expect(() => new CompositeLogger([{ logger: new CapturingLogger(), level: 'verbose' }]))
+        .toThrow('Unknown log level: verbose. Expected one of debug, info, warn, error');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,137 @@
+const PostDTO = require('../dto/PostDTO');
+const CommentDTO = require('../dto/CommentDTO');
+const { expectResponse } = require('../assertions/FluentAssertions');
+const { startMockServer } = require('../utils/test-utils');
+
+const response = {
+  data: [
+    { userId: 1, id: 1, title: 'alpha', address: { city: 'Aston' } },
+    { userId: 1, id: 2, title: 'beta', address: { city: 'Bury' } },
+    { userId: 2, id: 5, title: 'beta', address: { city: 'Crewe' } }
+  ]
+};
+
+describe('Collection Assertion Tests', () => {
+  describe('everyItem', () => {
+    test('should accept a partial object', () => {
+      expectResponse(response)
+        .everyItem({ title: expect.any(String) })
+        .everyItem({ address: { city: expect.stringMatching(/^[A-Z]/) } });
+
+      expect(() => expectResponse(response).everyItem({ userId: 1 })).toThrow([
+        'Expected every item to match {"userId":1}, but 1 of 3 did not:',
+        '  - [2]: {"userId":2,"id":5,"title":"beta","address":{"city":"Crewe"}}'
+      ].join('\n'));
+    });
+
+    test('should accept a predicate', () => {
+      expectResponse(response).everyItem((item, index) => item.id > index);
+
+      expect(() => expectResponse(response).everyItem(function isFirstUser(item) { return item.userId === 1; }))
+        .toThrow('Expected every item to satisfy isFirstUser, but 1 of 3 did not:\n  - [2]: {"userId":2');
+    });
+
+    test('should report assertions thrown by the predicate', () => {
+      expect(() => expectResponse(response).everyItem(item => expect(item.id).toBeLessThan(2))).toThrow([
+        'Expected every item to satisfy the predicate, but 2 of 3 did not:',
+        '  - [1]: expect(received).toBeLessThan(expected)',
+        '  - [2]: expect(received).toBeLessThan(expected)'
+      ].join('\n'));
+    });
+
+    test('should require an array body', () => {
+      expect(() => expectResponse({ data: { id: 1 } }).everyItem({ id: 1 }))
+        .toThrow('Expected the response body to be an array, but it was an object ({"id":1})');
+    });
+  });
+
+  describe('someItem', () => {
+    test('should pass if any item matches', () => {
+      expectResponse(response).someItem({ userId: 2, title: 'beta' }).someItem(item => item.id === 1);
+
+      expect(() => expectResponse(response).someItem({ userId: 3 }))
+        .toThrow('Expected some item to match {"userId":3}, but none of the 3 items did');
+    });
+  });
+
+  describe('toBeSortedBy', () => {
+    test('should check ascending and descending order', () => {
+      expectResponse(response).toBeSortedBy('id').toBeSortedBy('address.city', 'asc').toBeSortedBy('userId');
+      expectResponse({ data: [...response.data].reverse() }).toBeSortedBy('id', 'desc');
+
+      expect(() => expectResponse(response).toBeSortedBy('id', 'desc')).toThrow([
+        'Expected the items to be sorted by id in descending order, but 2 item(s) were out of order:',
+        '  - [1] (2) after [0] (1)',
+        '  - [2] (5) after [1] (2)'
+      ].join('\n'));
+    });
+
+    test('should treat missing or mixed values as out of order', () => {
+      expect(() => expectResponse({ data: [{ id: 1 }, {}, { id: '3' }] }).toBeSortedBy('id')).toThrow([
+        '  - [1] (undefined) after [0] (1)',
+        '  - [2] ("3") after [1] (undefined)'
+      ].join('\n'));
+    });
+
+    test('should reject unknown directions', () => {
+      expect(() => expectResponse(response).toBeSortedBy('id', 'up')).toThrow('Unknown sort direction: up. Expected asc or desc');
+    });
+  });
+
+  describe('toBeUniqueBy', () => {
+    test('should name the items sharing a value', () => {
+      expectResponse(response).toBeUniqueBy('id').toBeUniqueBy('address.city');
+
+      expect(() => expectResponse(response).toBeUniqueBy('title')).toThrow([
+        'Expected every item to have a unique title, but found 1 duplicate value(s):',
+        '  - "beta" at [1], [2]'
+      ].join('\n'));
+    });
+  });
+
+  describe('toHaveLengthBetween', () => {
+    test('should check the length inclusively', () => {
+      expectResponse(response).toHaveLengthBetween(3, 3).toHaveLengthBetween(1, 10);
+
+      expect(() => expectResponse(response).toHaveLengthBetween(4, 10)).toThrow('Expected between 4 and 10 items, but got 3');
+    });
+  });
+
+  describe('eachItemToMatchSchema', () => {
+    test('should report violations with the item index', () => {
+      const posts = { data: [{ id: 1, title: 'Title', body: 'Body' }, { id: 2, title: '', body: 5 }, { id: 3, title: 'Title', body: 'Body' }] };
+
+      expect(() => expectResponse(posts).eachItemToMatchSchema(PostDTO)).toThrow([
+        'Expected every item to match PostDTO, but 1 of 3 did not ([1]):',
+        '  /1/title: must have at least 1 characters',
+        '  /1/body: must be string but was integer'
+      ].join('\n'));
+    });
+
+    test('should accept raw JSON Schemas', () => {
+      expectResponse(response).eachItemToMatchSchema({ type: 'object', required: ['id', 'title'] });
+    });
+  });
+
+  describe('Responses', () => {
+    const { createClient } = startMockServer();
+    let httpClient;
+
+    beforeAll(() => {
+      httpClient = createClient();
+    });
+
+    test('should assert list responses', async () => {
+      expectResponse(await httpClient.get('/posts', { params: { userId: 2 } }))
+        .toHaveLengthBetween(1, 10)
+        .everyItem({ userId: 2 })
+        .toBeSortedBy('id')
+        .toBeUniqueBy('id')
+        .eachItemToMatchSchema(PostDTO);
+
+      expectResponse(await httpClient.get('/posts/1/comments'))
+        .someItem({ email: 'commenter1@example.com' })
+        .eachItemToMatchSchema(CommentDTO);
+    });
+  });
+});
\ No newline at end of file
@@ -1,26 +1,24 @@
 const HttpClient = require('../http/HttpClient');
 const { expectResponse } = require('../assertions/FluentAssertions');
-const fs = require('fs');
-const path = require('path');
+const { loadTestData, useMockServer } = require('../utils/test-utils');
+const { getEnvironmentConfig, getCurrentEnvironment } = require('../config/config');
+
+// JSONPlaceholder does not persist created posts, so reading them back only works against the mock server
+const describeWithMockServer = getEnvironmentConfig(getCurrentEnvironment()).mockServer ? describe : describe.skip;
 
 describe('Data-Driven Tests', () => {
   let httpClient;
-  let testData;
+
+  // Loaded while the tests are collected, since test.each needs the rows before beforeAll runs
+  const testData = loadTestData('test-data.json');
 
   beforeAll(() => {
     httpClient = new HttpClient();
-
-    // Load test data from JSON file
-    const testDataPath = path.join(__dirname, '../data/test-data.json');
-    const rawData = fs.readFileSync(testDataPath, 'utf8');
-    testData = JSON.parse(rawData);
   });
 
-  // Skip this test suite if testData is not loaded properly
-  if (!testData || !Array.isArray(testData)) {
-    test.skip('Test data not loaded properly', () => {});
-    return;
-  }
+  afterAll(() => {
+    httpClient.close();
+  });
 
   describe('POST /posts - Data-driven creation tests', () => {
     test.each(testData.map(item => [
@@ -42,9 +40,9 @@ describe('Data-Driven Tests', () => {
 
         expectResponse(response)
           .toHaveStatus(expectedStatus)
-          .and.toHaveBody()
-          .and.toBeObject()
-          .and.toHaveProperties(['id', 'userId', 'title', 'body']);
+          .and().toHaveBody()
+          .and().toBeObject()
+          .and().toHaveProperties(['id', 'userId', 'title', 'body']);
 
         // Verify the returned data matches what we sent
         expect(response.data.userId).toBe(userId);
@@ -55,7 +53,7 @@ describe('Data-Driven Tests', () => {
     );
   });
 
-  describe('GET /posts - Data-driven retrieval tests', () => {
+  describeWithMockServer('GET /posts - Data-driven retrieval tests', () => {
     // Create test data first, then retrieve it
     let createdPostIds = [];
 
@@ -71,20 +69,22 @@ describe('Data-Driven Tests', () => {
       }
     });
 
-    test.each(createdPostIds.map((id, index) => [
-      id,
-      testData[index].title,
-      testData[index].userId
+    test.each(testData.slice(0, 3).map((item, index) => [
+      item.testName,
+      index,
+      item.title,
+      item.userId
     ]))(
-      'should retrieve post with ID %i',
-      async (postId, expectedTitle, expectedUserId) => {
+      'should retrieve created post: %s',
+      async (testName, index, expectedTitle, expectedUserId) => {
+        const postId = createdPostIds[index];
         const response = await httpClient.get(`/posts/${postId}`);
 
         expectResponse(response)
           .toHaveStatus(200)
-          .and.toHaveBody()
-          .and.toBeObject()
-          .and.toHaveProperties(['id', 'userId', 'title', 'body']);
+          .and().toHaveBody()
+          .and().toBeObject()
+          .and().toHaveProperties(['id', 'userId', 'title', 'body']);
 
         expect(response.data.id).toBe(postId);
         expect(response.data.title).toBe(expectedTitle);
@@ -111,8 +111,8 @@ describe('Data-Driven Tests', () => {
 
         expectResponse(response)
           .toHaveStatus(200)
-          .and.toHaveBody()
-          .and.toBeObject();
+          .and().toHaveBody()
+          .and().toBeObject();
 
         expect(response.data.id).toBe(postId);
         expect(response.data.title).toBe(newTitle);
@@ -139,6 +139,9 @@ describe('Data-Driven Tests', () => {
   });
 
   describe('Query parameter tests', () => {
+    // The suites above add posts to the local mock server; count against the seed data
+    useMockServer();
+
     test.each([
       [1, 10], // userId, expected count
       [2, 10],
@@ -150,13 +153,9 @@ describe('Data-Driven Tests', () => {
 
         expectResponse(response)
           .toHaveStatus(200)
-          .and.toHaveBody()
-          .and.toBeArray();
-
-        // All returned posts should belong to the specified user
-        response.data.forEach(post => {
-          expect(post.userId).toBe(userId);
-        });
+          .and().toHaveBody()
+          .and().toBeArray()
+          .and().everyItem({ userId }); // All returned posts should belong to the specified user
 
         // JSONPlaceholder returns 10 posts per user
         expect(response.data.length).toBe(expectedCount);
@@ -183,7 +182,7 @@ describe('Data-Driven Tests', () => {
 
         expectResponse(response)
           .toHaveStatus(expectedStatus)
-          .and.toHaveBody();
+          .and().toHaveBody();
 
         expect(response.data.title).toBe(title);
         expect(response.data.body).toBe(body);
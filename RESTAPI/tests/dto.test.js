@@ -0,0 +1,349 @@
+const BaseDTO = require('../dto/BaseDTO');
+const PostDTO = require('../dto/PostDTO');
+const CommentDTO = require('../dto/CommentDTO');
+const { UserDTO, AddressDTO, CompanyDTO, GeoDTO } = require('../dto/UserDTO');
+const { createSeedData } = require('../server/seed');
+const { validateSchema } = require('../utils/json-schema');
+
+class TagDTO extends BaseDTO {
+  static fields = {
+    label: { type: 'string', required: true, maxLength: 10 }
+  };
+}
+
+class TodoDTO extends BaseDTO {
+  static fields = {
+    id: { type: 'integer', min: 1, omitIfNull: true },
+    title: { type: 'string', required: true, default: '' },
+    completed: { type: 'boolean', default: false },
+    priority: { type: 'integer', min: 1, max: 5, default: 3 },
+    status: { type: 'string', enum: ['open', 'done'], default: 'open' },
+    code: { type: 'string', pattern: /^[A-Z]{3}-\d+$/ },
+    link: { type: 'string', format: 'url' },
+    tags: { type: 'array', items: TagDTO, default: () => [] },
+    due: { type: 'string', validate: value => (Number.isNaN(Date.parse(value)) ? 'must be a date' : null) }
+  };
+}
+
+describe('DTO Tests', () => {
+  describe('Declared resources', () => {
+    test('should keep positional constructors with field defaults', () => {
+      const post = new PostDTO(null, 1, 'Title', 'Body');
+
+      expect(post).toEqual({ id: null, userId: 1, title: 'Title', body: 'Body' });
+      expect(new PostDTO()).toEqual({ id: null, userId: null, title: '', body: '' });
+      expect(new CommentDTO(1, 2, 'Name')).toMatchObject({ email: '', body: '' });
+    });
+
+    test('should leave out a null ID when converting to JSON', () => {
+      expect(new PostDTO(null, 1, 'Title', 'Body').toJson()).toEqual({ userId: 1, title: 'Title', body: 'Body' });
+      expect(new PostDTO(5, 1, 'Title', 'Body').toJson()).toEqual({ id: 5, userId: 1, title: 'Title', body: 'Body' });
+    });
+
+    test('should hydrate nested DTOs from JSON and serialize them back', () => {
+      const json = {
+        id: 1,
+        name: 'Leanne Graham',
+        username: 'Bret',
+        email: 'Sincere@april.biz',
+        address: { street: 'Kulas Light', suite: 'Apt. 556', city: 'Gwenborough', zipcode: '92998-3874', geo: { lat: '-37.3159', lng: '81.1496' } },
+        phone: '1-770-736-8031 x56442',
+        website: 'hildegard.org',
+        company: { name: 'Romaguera-Crona', catchPhrase: 'Multi-layered client-server neural-net', bs: 'harness real-time e-markets' }
+      };
+
+      const user = UserDTO.fromJson(json);
+
+      expect(user.address).toBeInstanceOf(AddressDTO);
+      expect(user.address.geo).toBeInstanceOf(GeoDTO);
+      expect(user.company).toBeInstanceOf(CompanyDTO);
+      expect(user.toJson()).toEqual(json);
+    });
+
+    test('should keep falsy values such as 0 when reading JSON', () => {
+      expect(PostDTO.fromJson({ id: 0, userId: 0, title: 'Title' })).toMatchObject({ id: 0, userId: 0, body: '' });
+    });
+
+    test('should give every instance its own nested defaults', () => {
+      const first = new UserDTO();
+      const second = new UserDTO();
+
+      first.address.geo.lat = '1';
+
+      expect(second.address.geo.lat).toBe('');
+      expect(first.address).not.toBe(second.address);
+    });
+
+    test('should leave the company out until one is given', () => {
+      const user = new UserDTO(null, 'A', 'a', 'a@b.co');
+
+      expect(user.company).toBeNull();
+      expect(user.validate()).toEqual({ isValid: true, errors: [] });
+      expect(user.toJson().company).toBeNull();
+      expect(validateSchema(UserDTO.toJsonSchema(), user.toJson())).toEqual([]);
+    });
+
+    test('should hydrate plain objects given for nested DTO fields', () => {
+      const address = new AddressDTO('Kulas Light', 'Apt. 556', 'Gwenborough', '92998-3874', { lat: '-37.3159', lng: '81.1496' });
+      const user = UserDTO.create({ name: 'A', username: 'a', email: 'a@b.co', address, company: { name: 'ACME' } });
+
+      expect(address.geo).toBeInstanceOf(GeoDTO);
+      expect(user.company).toBeInstanceOf(CompanyDTO);
+      expect(user.copy({ address: { city: 'Bury', geo: { lat: '91', lng: '0' } } }).validate().errors)
+        .toEqual(['address.geo.lat must be between -90 and 90']);
+      expect(user.validate()).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('should validate required fields, IDs and emails', () => {
+      expect(new CommentDTO(null, 1, 'Name', 'name@example.com', 'Body').validate()).toEqual({ isValid: true, errors: [] });
+      expect(new CommentDTO(0, 1.5, '  ', 'not-an-email', 'Body').validate().errors).toEqual([
+        'id must be at least 1',
+        'postId must be an integer',
+        'name must be a non-empty string',
+        'email must be a valid email address'
+      ]);
+      expect(new UserDTO(1, 'Name', 'user', '', null, '', '', new CompanyDTO('ACME')).validate().errors)
+        .toEqual(['email must be a non-empty string']);
+    });
+
+    test('should copy with overrides into a new instance of the same class', () => {
+      const post = new PostDTO(1, 1, 'Title', 'Body');
+
+      const copy = post.copy({ title: 'Changed' });
+
+      expect(copy).toBeInstanceOf(PostDTO);
+      expect(copy).toEqual(new PostDTO(1, 1, 'Changed', 'Body'));
+      expect(post.title).toBe('Title');
+    });
+
+    test('should compare DTOs by class and data', () => {
+      const post = new PostDTO(1, 1, 'Title', 'Body');
+
+      expect(post.equals(post.copy())).toBe(true);
+      expect(post.equals(post.copy({ body: 'Other' }))).toBe(false);
+      expect(post.equals({ id: 1, userId: 1, title: 'Title', body: 'Body' })).toBe(false);
+      expect(UserDTO.fromJson({ id: 1, address: { city: 'A' } }).equals(UserDTO.fromJson({ id: 1, address: { city: 'A' } }))).toBe(true);
+    });
+  });
+
+  describe('Nested user validation', () => {
+    const validUser = () => UserDTO.fromJson(createSeedData().users[0]);
+
+    test('should accept every seeded user', () => {
+      createSeedData().users.forEach(json => {
+        expect(UserDTO.fromJson(json).validate()).toEqual({ isValid: true, errors: [] });
+      });
+    });
+
+    test('should report coordinates out of range with their path', () => {
+      const user = validUser();
+      user.address.geo = new GeoDTO('-91', '180.5');
+
+      expect(user.validate().errors).toEqual([
+        'address.geo.lat must be between -90 and 90',
+        'address.geo.lng must be between -180 and 180'
+      ]);
+    });
+
+    test('should require coordinates to be numeric strings', () => {
+      const user = validUser();
+      user.address.geo = new GeoDTO('north', 12.5);
+
+      expect(user.validate().errors).toEqual([
+        'address.geo.lat must be a numeric string',
+        'address.geo.lng must be a string'
+      ]);
+    });
+
+    test('should check zipcode, phone, website and company name', () => {
+      const user = validUser().copy({
+        phone: 'call me',
+        website: 'not a website',
+        company: new CompanyDTO(' ')
+      });
+      user.address.zipcode = '1234';
+
+      expect(user.validate().errors).toEqual([
+        'address.zipcode must be a valid ZIP code',
+        'phone must be a valid phone number',
+        'website must be a valid URL',
+        'company.name must be a non-empty string'
+      ]);
+    });
+
+    test.each([
+      ['1-770-736-8031 x56442'],
+      ['(254)954-1289'],
+      ['210.067.6132'],
+      ['+31 20 123 4567']
+    ])('should accept the phone number %s', phone => {
+      expect(validUser().copy({ phone }).validate().isValid).toBe(true);
+    });
+
+    test.each([
+      ['hildegard.org'],
+      ['https://example.com/profile'],
+      ['http://localhost:3000']
+    ])('should accept the website %s', website => {
+      expect(validUser().copy({ website }).validate().isValid).toBe(true);
+    });
+
+    test('should allow empty optional address fields', () => {
+      expect(new AddressDTO().validate()).toEqual({ isValid: true, errors: [] });
+      expect(new CompanyDTO().validate().errors).toEqual(['name must be a non-empty string']);
+    });
+  });
+
+  describe('Parsing modes', () => {
+    test('should read the seed data in strict mode without issues', () => {
+      const { posts, comments, users } = createSeedData();
+
+      expect(() => {
+        posts.forEach(post => PostDTO.fromJson(post, { mode: 'strict' }));
+        comments.forEach(comment => CommentDTO.fromJson(comment, { mode: 'strict' }));
+        users.forEach(user => UserDTO.fromJson(user, { mode: 'strict' }));
+      }).not.toThrow();
+    });
+
+    test('should throw one error listing every issue in strict mode', () => {
+      const json = { id: '7', title: 'Title', views: 3, address: { city: 'A' } };
+
+      const error = (() => {
+        try {
+          PostDTO.fromJson(json, { mode: 'strict' });
+        } catch (err) {
+          return err;
+        }
+        return null;
+      })();
+
+      expect(error.dto).toBe('PostDTO');
+      expect(error.issues).toEqual([
+        { path: '$.views', kind: 'unknown', message: '$.views is not a field of PostDTO' },
+        { path: '$.address', kind: 'unknown', message: '$.address is not a field of PostDTO' },
+        { path: '$.id', kind: 'type', message: '$.id must be an integer but was a string ("7")' },
+        { path: '$.body', kind: 'missing', message: '$.body is required' }
+      ]);
+      expect(error.message).toBe([
+        'PostDTO does not match the JSON data:',
+        '  - $.views is not a field of PostDTO',
+        '  - $.address is not a field of PostDTO',
+        '  - $.id must be an integer but was a string ("7")',
+        '  - $.body is required'
+      ].join('\n'));
+    });
+
+    test('should report nested issues with their JSON paths', () => {
+      const json = { ...createSeedData().users[0], company: 'ACME' };
+      json.address = { ...json.address, geo: [], country: 'NL' };
+
+      expect(() => UserDTO.fromJson(json, { mode: 'strict' })).toThrow(expect.objectContaining({
+        issues: [
+          { path: '$.address.country', kind: 'unknown', message: '$.address.country is not a field of AddressDTO' },
+          { path: '$.address.geo', kind: 'type', message: '$.address.geo must be a GeoDTO but was an array' },
+          { path: '$.company', kind: 'type', message: '$.company must be a CompanyDTO but was a string ("ACME")' }
+        ]
+      }));
+      expect(() => TodoDTO.fromJson({ title: 'Todo', tags: [{ label: 'qa', color: 'red' }] }, { mode: 'strict' }))
+        .toThrow('$.tags[0].color is not a field of TagDTO');
+    });
+
+    test('should require the JSON data to be an object', () => {
+      expect(() => PostDTO.fromJson([1, 2], { mode: 'strict' })).toThrow(expect.objectContaining({
+        issues: [
+          { path: '$', kind: 'type', message: '$ must be an object but was an array' },
+          { path: '$.title', kind: 'missing', message: '$.title is required' },
+          { path: '$.body', kind: 'missing', message: '$.body is required' }
+        ]
+      }));
+      expect(PostDTO.fromJson(null, { mode: 'lenient' }).warnings[0].message).toBe('$ must be an object but was null');
+      expect(PostDTO.fromJson('post', { mode: 'lenient' }).warnings[0].message).toBe('$ must be an object but was a string ("post")');
+      expect(PostDTO.fromJson(null)).toEqual(new PostDTO());
+    });
+
+    test('should coerce values and return warnings in lenient mode', () => {
+      const { dto, warnings } = TodoDTO.fromJson({
+        id: '3',
+        title: 42,
+        completed: 'true',
+        priority: '2.5',
+        owner: 'me'
+      }, { mode: 'lenient' });
+
+      expect(dto).toBeInstanceOf(TodoDTO);
+      expect(dto).toMatchObject({ id: 3, title: '42', completed: true, priority: '2.5' });
+      expect(warnings.map(warning => `${warning.kind} ${warning.message}`)).toEqual([
+        'unknown $.owner is not a field of TodoDTO',
+        'coerced $.id was coerced from a string ("3") to an integer',
+        'coerced $.title was coerced from a number (42) to a string',
+        'coerced $.completed was coerced from a string ("true") to a boolean',
+        'type $.priority must be an integer but was a string ("2.5")'
+      ]);
+      expect(dto.validate().errors).toEqual(['priority must be an integer']);
+    });
+
+    test('should return no warnings for matching data in lenient mode', () => {
+      const { dto, warnings } = PostDTO.fromJson({ id: 0, userId: 1, title: 'Title', body: 'Body' }, { mode: 'lenient' });
+
+      expect(warnings).toEqual([]);
+      expect(dto.id).toBe(0);
+    });
+
+    test('should not check anything without a mode', () => {
+      expect(PostDTO.fromJson({ id: '1', extra: true })).toEqual(new PostDTO('1'));
+      expect(() => PostDTO.fromJson({}, { mode: 'loose' })).toThrow('Unknown parse mode: loose. Expected one of strict, lenient');
+    });
+  });
+
+  describe('BaseDTO', () => {
+    test('should derive behaviour for a new resource from its field declarations', () => {
+      const todo = TodoDTO.fromJson({ title: 'Write tests', tags: [{ label: 'qa' }] });
+
+      expect(todo).toMatchObject({ id: null, completed: false, priority: 3, status: 'open' });
+      expect(todo.tags[0]).toBeInstanceOf(TagDTO);
+      expect(todo.toJson()).toEqual({
+        title: 'Write tests',
+        completed: false,
+        priority: 3,
+        status: 'open',
+        code: null,
+        link: null,
+        tags: [{ label: 'qa' }],
+        due: null
+      });
+      expect(todo.validate().isValid).toBe(true);
+    });
+
+    test('should report range, enum, pattern, format, array and custom violations', () => {
+      const todo = TodoDTO.create({
+        title: 'Todo',
+        completed: 'no',
+        priority: 9,
+        status: 'blocked',
+        code: 'abc',
+        link: 'ftp://example.com',
+        tags: [new TagDTO('much too long'), 'qa'],
+        due: 'someday'
+      });
+
+      expect(todo.validate().errors).toEqual([
+        'completed must be a boolean',
+        'priority must be between 1 and 5',
+        'status must be one of open, done',
+        'code must match /^[A-Z]{3}-\\d+$/',
+        'link must be a valid URL',
+        'tags[0].label must be at most 10 characters long',
+        'tags[1] must be a TagDTO',
+        'due must be a date'
+      ]);
+    });
+
+    test('should reject unknown formats', () => {
+      class BrokenDTO extends BaseDTO {
+        static fields = { value: { type: 'string', format: 'isbn' } };
+      }
+
+      expect(() => new BrokenDTO('x').validate()).toThrow('Unknown format: isbn');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,121 @@
+const MockServer = require('../server/MockServer');
+const ConsoleLogger = require('../logger/ConsoleLogger');
+const { expectResponse } = require('../assertions/FluentAssertions');
+const { expectError, verifyErrorAssertions } = require('../assertions/ErrorAssertions');
+const { startMockServer } = require('../utils/test-utils');
+
+describe('Error Assertion Tests', () => {
+  const { createClient: createMockClient } = startMockServer();
+  let logger;
+
+  beforeEach(() => {
+    logger = new ConsoleLogger({ level: 'error' });
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  /**
+   * Create a client for the mock server
+   * @param {object} config - Extra client config
+   * @returns {HttpClient} Client
+   */
+  function createClient(config = {}) {
+    return createMockClient({ headers: {}, retry: { attempts: 1 }, ...config }, logger);
+  }
+
+  describe('Non-throwing mode', () => {
+    test('should resolve HTTP errors for a non-throwing client', async () => {
+      const response = await createClient({ throwHttpErrors: false }).get('/posts/999999');
+
+      expectResponse(response).toHaveStatus(404);
+    });
+
+    test('should let requests override the client setting', async () => {
+      const throwingClient = createClient();
+      const quietClient = createClient({ throwHttpErrors: false });
+
+      expectResponse(await throwingClient.get('/invalid-endpoint', { throwHttpErrors: false })).toHaveStatus(404);
+      await expectError(quietClient.get('/invalid-endpoint', { throwHttpErrors: true })).toHaveStatus(404);
+    });
+
+    test('should still reject network errors', async () => {
+      const offline = new MockServer();
+      const offlineUrl = await offline.start();
+      await offline.stop();
+
+      const client = createClient({ baseUrl: offlineUrl, throwHttpErrors: false });
+
+      await expectError(client.get('/posts')).toBeNetworkError().toHaveCode('ECONNREFUSED');
+    });
+
+    test('should still log HTTP errors', async () => {
+      await createClient({ throwHttpErrors: false }).get('/posts/999999');
+
+      expect(logger.error).toHaveBeenCalledWith('HTTP Error: 404', expect.any(Error), expect.any(Object));
+    });
+  });
+
+  describe('expectError', () => {
+    test('should assert on status and body of rejected requests', async () => {
+      const error = await expectError(createClient().post('/posts', [1, 2]))
+        .toHaveStatus(400)
+        .toHaveStatusInRange(400, 499)
+        .and()
+        .toContain({ error: 'Request body must be a JSON object' })
+        .toHaveMessage('status code 400');
+
+      expect(error.isAxiosError).toBe(true);
+    });
+
+    test('should accept 4xx responses from non-throwing requests', async () => {
+      const response = await expectError(createClient({ throwHttpErrors: false }).get('/posts/999999'))
+        .toHaveStatus(404)
+        .toHaveBody({})
+        .toHaveMessage(/404/);
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should assert on errors that were already caught', async () => {
+      const error = await createClient().get('/posts/999999').catch(err => err);
+
+      await expectError(error).toHaveStatus(404);
+    });
+
+    test('should assert on timeouts', async () => {
+      await expectError(createClient({ timeout: 50 }).get('/posts?_delay=500'))
+        .toBeTimeout()
+        .toBeNetworkError();
+    });
+
+    test('should fail when the request succeeds', async () => {
+      await expect(expectError(createClient().get('/posts/1')).toHaveStatus(404))
+        .rejects.toThrow('Expected request to fail, but it resolved with status 200');
+    });
+
+    test('should fail with a readable message on mismatches', async () => {
+      await expect(expectError(createClient().get('/posts/999999')).toHaveStatus(400))
+        .rejects.toThrow('Expected status 400, but got 404');
+      await expect(expectError(createClient().get('/posts/999999')).toHaveCode('ENOTFOUND'))
+        .rejects.toThrow('Expected error code ENOTFOUND, but got ERR_BAD_REQUEST');
+      await expect(expectError(createClient().get('/posts/999999')).toBeNetworkError())
+        .rejects.toThrow('Expected a network error, but got status 404');
+    });
+
+    test('should fail status assertions on errors without a response', async () => {
+      await expect(expectError(createClient({ timeout: 50 }).get('/posts?_delay=500')).toHaveStatus(404))
+        .rejects.toThrow('Expected an HTTP error response, but the request failed with ECONNABORTED');
+    });
+
+    test('should report chains that were never awaited', async () => {
+      expectError(createClient().get('/posts/1')).toHaveStatus(404);
+      expectError(createClient().get('/posts/999999')).toHaveStatus(404);
+
+      await expect(verifyErrorAssertions()).rejects.toThrow([
+        '1 error assertion chain(s) were not awaited and failed:',
+        '  - Expected request to fail, but it resolved with status 200: expected false to be true',
+        'Await expectError(...) so the test waits for its assertions.'
+      ].join('\n'));
+      await expect(verifyErrorAssertions()).resolves.toBeUndefined();
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,244 @@
+const ConsoleLogger = require('../logger/ConsoleLogger');
+const PostsApi = require('../api/PostsApi');
+const UsersApi = require('../api/UsersApi');
+const Factory = require('../factories/Factory');
+const SeededRandom = require('../factories/SeededRandom');
+const PostFactory = require('../factories/PostFactory');
+const CommentFactory = require('../factories/CommentFactory');
+const UserFactory = require('../factories/UserFactory');
+const PostDTO = require('../dto/PostDTO');
+const CommentDTO = require('../dto/CommentDTO');
+const { UserDTO } = require('../dto/UserDTO');
+const { generateRandomPostData, generateRandomCommentData, startMockServer } = require('../utils/test-utils');
+const { expectResponse } = require('../assertions/FluentAssertions');
+
+describe('Factory Tests', () => {
+  describe('SeededRandom', () => {
+    test('should repeat the same values for the same seed', () => {
+      const first = new SeededRandom(42);
+      const second = new SeededRandom(42);
+      const values = Array.from({ length: 5 }, () => first.next());
+
+      expect(values).toEqual(Array.from({ length: 5 }, () => second.next()));
+      expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+      expect(new SeededRandom(43).next()).not.toBe(values[0]);
+    });
+
+    test('should keep integers, decimals and digits within bounds', () => {
+      const random = new SeededRandom(7);
+
+      for (let i = 0; i < 200; i++) {
+        const integer = random.integer(1, 3);
+        expect(integer).toBeGreaterThanOrEqual(1);
+        expect(integer).toBeLessThanOrEqual(3);
+        expect(Math.abs(Number(random.decimal(-90, 90)))).toBeLessThanOrEqual(90);
+      }
+      expect(random.digits(5)).toMatch(/^\d{5}$/);
+      expect(random.words(['a'], 3)).toBe('a a a');
+    });
+
+    test('should hash labels to stable seeds', () => {
+      expect(SeededRandom.hash('test')).toBe(SeededRandom.hash('test'));
+      expect(SeededRandom.hash('test')).not.toBe(SeededRandom.hash('tests'));
+    });
+  });
+
+  describe('Seeding', () => {
+    afterEach(() => {
+      Factory.setSeed(process.env.FACTORY_SEED);
+    });
+
+    test('should use the run seed picked by the global setup', () => {
+      expect(process.env.FACTORY_SEED).toMatch(/^\d+$/);
+      expect(Factory.getSeed()).toBe(Number(process.env.FACTORY_SEED));
+    });
+
+    test('should reproduce the same data from the same seed', () => {
+      Factory.setSeed(1234);
+      const first = [PostFactory.build(), CommentFactory.build(), UserFactory.build()].map(dto => dto.toJson());
+
+      Factory.setSeed('1234');
+      const second = [PostFactory.build(), CommentFactory.build(), UserFactory.build()].map(dto => dto.toJson());
+
+      expect(second).toEqual(first);
+      expect(first[0].id).toBe(1);
+    });
+
+    test('should reseed the random stream per label without resetting sequences', () => {
+      Factory.reseed('label');
+      const first = PostFactory.build();
+
+      Factory.reseed('label');
+      const second = PostFactory.build();
+
+      expect(second.title).toBe(first.title);
+      expect(second.id).toBe(first.id + 1);
+    });
+
+    test('should record the seed for the failure report', () => {
+      delete global.factorySeed;
+      PostFactory.build();
+
+      expect(global.factorySeed).toBe(Factory.getSeed());
+    });
+
+    test('should reject invalid seeds', () => {
+      expect(() => Factory.setSeed('abc')).toThrow('Invalid factory seed: abc. Expected an integer between 0 and 4294967295');
+      expect(() => Factory.setSeed(-1)).toThrow('Invalid factory seed: -1');
+    });
+  });
+
+  describe('Building', () => {
+    test('should build valid DTOs of every resource', () => {
+      const dtos = [...PostFactory.buildList(20), ...CommentFactory.buildList(20), ...UserFactory.buildList(20)];
+
+      dtos.forEach(dto => {
+        expect(dto.validate()).toEqual({ isValid: true, errors: [] });
+      });
+      expect(dtos[0]).toBeInstanceOf(PostDTO);
+      expect(dtos[20]).toBeInstanceOf(CommentDTO);
+      expect(dtos[40]).toBeInstanceOf(UserDTO);
+    });
+
+    test('should give unique IDs and emails through sequences', () => {
+      const posts = PostFactory.buildList(5);
+      const emails = [...CommentFactory.buildList(5), ...UserFactory.buildList(5)].map(dto => dto.email);
+
+      expect(new Set(posts.map(post => post.id)).size).toBe(5);
+      expect(posts[1].id).toBe(posts[0].id + 1);
+      expect(new Set(emails).size).toBe(10);
+    });
+
+    describe('across tests', () => {
+      let previous;
+
+      test('should build an ID and email in one test', () => {
+        previous = [PostFactory.build(), UserFactory.build()];
+      });
+
+      test('should not repeat them in the next test', () => {
+        const [post, user] = [PostFactory.build(), UserFactory.build()];
+
+        expect(post.id).toBeGreaterThan(previous[0].id);
+        expect(user.email).not.toBe(previous[1].email);
+      });
+    });
+
+    test('should apply overrides, merging nested DTO fields', () => {
+      const user = UserFactory.with({ name: 'Ada Lovelace', address: { city: 'London' } }).build({ id: 99 });
+
+      expect(user).toMatchObject({ id: 99, name: 'Ada Lovelace' });
+      expect(user.address.city).toBe('London');
+      expect(user.address.street).not.toBe('');
+      expect(user.address.geo.lat).toMatch(/^-?\d+\.\d{4}$/);
+    });
+
+    test('should give every list entry its own overrides', () => {
+      const posts = PostFactory.buildList(3, index => ({ userId: index + 1 }));
+
+      expect(posts.map(post => post.userId)).toEqual([1, 2, 3]);
+    });
+
+    test('should return JSON values from attributes()', () => {
+      const values = PostFactory.attributes({ title: 'Title' });
+
+      expect(values).not.toBeInstanceOf(PostDTO);
+      expect(values).toMatchObject({ title: 'Title' });
+    });
+
+    test('should leave the original factory unchanged', () => {
+      const base = PostFactory.with({ userId: 3 });
+      base.with({ userId: 4 });
+
+      expect(base.build().userId).toBe(3);
+    });
+
+    test('should reject unknown fields', () => {
+      expect(() => PostFactory.build({ views: 1 })).toThrow('Unknown field: views. PostDTO has the fields id, userId, title, body');
+      expect(() => UserFactory.build({ address: { planet: 'Mars' } })).toThrow('Unknown field: planet. AddressDTO has the fields');
+    });
+  });
+
+  describe('Traits', () => {
+    test('should apply named traits', () => {
+      expect(PostFactory.trait('empty').build().validate().isValid).toBe(false);
+      expect(CommentFactory.trait('invalidEmail').build().validate().errors).toEqual(['email must be a valid email address']);
+      expect(UserFactory.trait('outOfRangeGeo').build().validate().errors).toEqual([
+        'address.geo.lat must be between -90 and 90',
+        'address.geo.lng must be between -180 and 180'
+      ]);
+    });
+
+    test('should apply steps in call order', () => {
+      expect(PostFactory.trait('empty').with({ title: 'Title' }).build().title).toBe('Title');
+      expect(PostFactory.with({ title: 'Title' }).trait('empty').build().title).toBe('');
+    });
+
+    test('should report unknown traits', () => {
+      expect(() => PostFactory.trait('draft')).toThrow('Unknown trait: draft. PostFactory has the traits empty');
+    });
+
+    test('should replace free text with Unicode text', () => {
+      const user = UserFactory.withUnicode().build();
+
+      expect(user.name).toMatch(/[^\x00-\x7F]/);
+      expect(user.address.city).toMatch(/[^\x00-\x7F]/);
+      expect(user.email).toMatch(/^[\x00-\x7F]+$/);
+      expect(user.address.zipcode).toMatch(/^\d{5}-\d{4}$/);
+      expect(user.validate().isValid).toBe(true);
+    });
+
+    test('should stretch free text to its maximum length', () => {
+      const post = PostFactory.maxLength().build();
+      const comment = CommentFactory.with({ name: 'abc' }).maxLength(10).build();
+
+      expect(post.title).toHaveLength(255);
+      expect(post.body).toHaveLength(255);
+      expect(comment.name).toBe('abc abc ab');
+      expect(comment.email).not.toHaveLength(10);
+    });
+  });
+
+  describe('Test helpers', () => {
+    test('should generate post and comment data without IDs', () => {
+      const post = generateRandomPostData({ userId: 1 });
+      const comment = generateRandomCommentData(5);
+
+      expect(post).not.toHaveProperty('id');
+      expect(post.userId).toBe(1);
+      expect(comment.postId).toBe(5);
+      expect(CommentDTO.fromJson(comment).validate().isValid).toBe(true);
+    });
+  });
+
+  describe('Against the mock server', () => {
+    const { server, createClient } = startMockServer();
+    let posts;
+    let users;
+
+    beforeAll(() => {
+      const httpClient = createClient({ headers: { 'Content-Type': 'application/json' } }, new ConsoleLogger({ level: 'warn' }));
+
+      posts = new PostsApi(httpClient);
+      users = new UsersApi(httpClient);
+    });
+
+    test('should create generated posts with Unicode text', async () => {
+      const post = PostFactory.withUnicode().build({ id: null });
+      const { data, response } = await posts.create(post);
+
+      expectResponse(response).toHaveStatus(201);
+      expect(data.title).toBe(post.title);
+      expect(data.body).toBe(post.body);
+    });
+
+    test('should serve seeded users built by the factory', async () => {
+      const user = UserFactory.build({ id: 11 });
+      server.seed({ users: [user.toJson()] });
+
+      const { data } = await users.get(11);
+
+      expect(data.equals(user)).toBe(true);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,171 @@
+const ConsoleLogger = require('../logger/ConsoleLogger');
+const GraphBuilder = require('../factories/GraphBuilder');
+const PostFactory = require('../factories/PostFactory');
+const PostDTO = require('../dto/PostDTO');
+const CommentDTO = require('../dto/CommentDTO');
+const { UserDTO } = require('../dto/UserDTO');
+const { startMockServer } = require('../utils/test-utils');
+
+describe('Graph Builder Tests', () => {
+  const { server, createClient } = startMockServer();
+  let httpClient;
+  let builder;
+
+  beforeEach(() => {
+    // A client per test, so middleware added by one test do not affect the next
+    httpClient = createClient({ headers: { 'Content-Type': 'application/json' } }, new ConsoleLogger({ level: 'warn' }));
+    builder = new GraphBuilder(httpClient);
+  });
+
+  /**
+   * Record the method and URL of every request sent through the test's client
+   * @returns {string[]} Requests such as 'POST /users', filled in as they are sent
+   */
+  function recordRequests() {
+    const requests = [];
+    httpClient.use(async (ctx, next) => {
+      requests.push(`${ctx.request.method} ${ctx.request.url}`);
+      return next();
+    });
+    return requests;
+  }
+
+  describe('Building', () => {
+    test('should create a nested graph with server-assigned IDs', async () => {
+      const graph = await builder.build({ users: { count: 3, posts: { count: 2, comments: 5 } } });
+
+      expect(graph.users).toHaveLength(3);
+      expect(graph.all('users')).toHaveLength(3);
+      expect(graph.all('posts')).toHaveLength(6);
+      expect(graph.all('comments')).toHaveLength(30);
+
+      const user = graph.users[2];
+      const post = user.posts[1];
+      const comment = post.comments[4];
+      expect(user.dto).toBeInstanceOf(UserDTO);
+      expect(post.dto).toBeInstanceOf(PostDTO);
+      expect(comment.dto).toBeInstanceOf(CommentDTO);
+      expect(user.id).toBeGreaterThan(10);
+      expect(post.dto.userId).toBe(user.id);
+      expect(comment.dto.postId).toBe(post.id);
+      expect(comment.parent).toBe(post);
+      expect(post.parent).toBe(user);
+    });
+
+    test('should store the graph on the server', async () => {
+      const graph = await builder.build({ users: { posts: { count: 2, comments: 3 } } });
+      const [user] = graph.users;
+
+      const posts = server.db.posts.filter(item => item.userId === user.id);
+      expect(posts.map(item => item.id)).toEqual(user.posts.map(node => node.id));
+
+      const comments = server.db.comments.filter(item => item.postId === user.posts[0].id);
+      expect(comments).toHaveLength(3);
+      expect(comments[0]).toEqual(user.posts[0].comments[0].dto.toJson());
+    });
+
+    test('should create parents before their children', async () => {
+      const requests = recordRequests();
+      await builder.build({ users: { count: 2, posts: { count: 1, comments: 1 } } });
+
+      expect(requests).toEqual([
+        'POST /users', 'POST /users',
+        'POST /posts', 'POST /posts',
+        'POST /comments', 'POST /comments'
+      ]);
+    });
+
+    test('should accept top-level posts and comments', async () => {
+      const graph = await builder.build({ posts: { count: 2, with: { userId: 1 }, comments: 1 }, comments: 1 });
+
+      expect(graph.posts).toHaveLength(2);
+      expect(graph.posts[0].dto.userId).toBe(1);
+      expect(graph.posts[1].comments[0].dto.postId).toBe(graph.posts[1].id);
+      expect(graph.comments).toHaveLength(1);
+      expect(graph.comments[0].parent).toBeNull();
+    });
+
+    test('should use custom factories and overrides', async () => {
+      const graph = await builder.build({
+        users: { with: { name: 'Ada Lovelace' }, posts: { factory: PostFactory.with({ title: 'Notes' }), count: 2 } }
+      });
+
+      expect(graph.users[0].dto.name).toBe('Ada Lovelace');
+      expect(graph.all('posts').map(post => post.title)).toEqual(['Notes', 'Notes']);
+    });
+
+    test('should reject unknown resources, relations and counts', async () => {
+      await expect(builder.build({ todos: 1 })).rejects.toThrow('Unknown resource: todos. Expected one of users, posts, comments');
+      await expect(builder.build({ users: { comments: 1 } })).rejects.toThrow('Unknown relation: users.comments. users can have posts');
+      await expect(builder.build({ constructor: 1 })).rejects.toThrow('Unknown resource: constructor');
+      await expect(builder.build({ users: { constructor: 1 } })).rejects.toThrow('Unknown relation: users.constructor. users can have posts');
+      await expect(builder.build({ users: { posts: -1 } })).rejects.toThrow('Invalid count for users.posts: -1. Expected a non-negative integer');
+    });
+  });
+
+  describe('Teardown', () => {
+    test('should delete the graph in reverse creation order', async () => {
+      const graph = await builder.build({ users: { posts: { count: 2, comments: 1 } } });
+      const ids = graph.all('posts').map(post => post.id);
+      const requests = recordRequests();
+
+      await graph.teardown();
+
+      expect(requests).toEqual([
+        `DELETE /comments/${graph.users[0].posts[1].comments[0].id}`,
+        `DELETE /comments/${graph.users[0].posts[0].comments[0].id}`,
+        `DELETE /posts/${ids[1]}`,
+        `DELETE /posts/${ids[0]}`,
+        `DELETE /users/${graph.users[0].id}`
+      ]);
+      expect(server.db.users.find(item => item.id === graph.users[0].id)).toBeUndefined();
+      expect(server.db.posts.filter(item => ids.includes(item.id))).toEqual([]);
+      expect(graph.all('comments')).toEqual([]);
+    });
+
+    test('should skip items that are already gone', async () => {
+      const graph = await builder.build({ posts: { comments: 2 } });
+      httpClient.use(async (ctx, next) => {
+        if (ctx.request.method === 'DELETE') {
+          return { status: 404, data: {}, headers: {}, config: ctx.request };
+        }
+        return next();
+      });
+
+      await expect(graph.teardown()).resolves.toBeUndefined();
+    });
+
+    test('should try every item and report all failures', async () => {
+      const graph = await builder.build({ posts: { comments: 1 } });
+      const requests = recordRequests();
+      httpClient.use(async (ctx, next) => {
+        if (ctx.request.url.startsWith('/comments/')) {
+          return { status: 500, data: {}, headers: {}, config: ctx.request };
+        }
+        return next();
+      });
+
+      await expect(graph.teardown()).rejects.toThrow(`Graph teardown failed for 1 item(s):\n  - comments/${graph.posts[0].comments[0].id}: status 500`);
+      expect(requests).toHaveLength(2);
+    });
+
+    test('should remove what was created when building fails', async () => {
+      const requests = recordRequests();
+      httpClient.use(async (ctx, next) => {
+        if (ctx.request.method === 'POST' && ctx.request.url === '/comments') {
+          const error = new Error('Request failed with status code 500');
+          error.response = { status: 500, data: {}, headers: {}, config: ctx.request };
+          throw error;
+        }
+        return next();
+      });
+
+      await expect(builder.build({ users: { posts: { comments: 1 } } })).rejects.toThrow('status code 500');
+      expect(requests.slice(-2)).toEqual([
+        expect.stringMatching(/^DELETE \/posts\/\d+$/),
+        expect.stringMatching(/^DELETE \/users\/\d+$/)
+      ]);
+      expect(server.db.users).toHaveLength(10);
+    });
+  });
+});
\ No newline at end of file
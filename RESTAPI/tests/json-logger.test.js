@@ -0,0 +1,186 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonLogger = require('../logger/JsonLogger');
+
+describe('JsonLogger Tests', () => {
+  let dir;
+  let loggers;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-logger-'));
+    loggers = [];
+  });
+
+  afterEach(() => {
+    loggers.forEach(logger => logger.close());
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Create a file logger that is closed after the test
+   * @param {object} options - Logger options
+   * @returns {JsonLogger} Logger
+   */
+  function createFileLogger(options = {}) {
+    const logger = new JsonLogger({ file: path.join(dir, 'test.log'), ...options });
+    loggers.push(logger);
+    return logger;
+  }
+
+  /**
+   * Read NDJSON records from a file
+   * @param {string} file - File name in the temp directory
+   * @returns {object[]} Records
+   */
+  function readRecords(file = 'test.log') {
+    return fs.readFileSync(path.join(dir, file), 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  describe('Records', () => {
+    test('should write one JSON record per line to stdout', () => {
+      const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      const logger = new JsonLogger();
+
+      logger.info('Request sent', { url: '/posts', status: 200 });
+
+      expect(write).toHaveBeenCalledTimes(1);
+      const line = write.mock.calls[0][0];
+      expect(line.endsWith('\n')).toBe(true);
+      expect(JSON.parse(line)).toEqual({
+        timestamp: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+        level: 'info',
+        message: 'Request sent',
+        meta: { url: '/posts', status: 200 }
+      });
+    });
+
+    test('should serialize errors with name, message, stack and code', () => {
+      const logger = createFileLogger();
+      const error = new TypeError('Boom');
+      error.code = 'E_BOOM';
+
+      logger.error('Request failed', error, { url: '/posts' });
+      logger.flush();
+
+      const [record] = readRecords();
+      expect(record.level).toBe('error');
+      expect(record.error).toEqual({ name: 'TypeError', message: 'Boom', stack: error.stack, code: 'E_BOOM' });
+      expect(record.meta).toEqual({ url: '/posts' });
+    });
+
+    test('should omit empty meta and survive circular references', () => {
+      const logger = createFileLogger();
+      const meta = { name: 'loop' };
+      meta.self = meta;
+
+      logger.debug('No meta');
+      logger.debug('Circular', meta);
+      logger.flush();
+
+      const [plain, circular] = readRecords();
+      expect(plain).not.toHaveProperty('meta');
+      expect(circular.meta).toEqual({ name: 'loop', self: '[Circular]' });
+    });
+
+    test('should write shared objects that are not circular each time they appear', () => {
+      const logger = createFileLogger();
+      const headers = { accept: 'application/json' };
+
+      logger.info('Response', { request: { headers }, response: { headers } });
+      logger.flush();
+
+      const [record] = readRecords();
+      expect(record.meta).toEqual({ request: { headers }, response: { headers } });
+    });
+  });
+
+  describe('Level filtering', () => {
+    test('should skip records below the configured level', () => {
+      const logger = createFileLogger({ level: 'warn' });
+
+      logger.debug('debug');
+      logger.info('info');
+      logger.warn('warn');
+      logger.error('error');
+      logger.log('info', 'log info');
+      logger.log('error', 'log error');
+      logger.flush();
+
+      expect(readRecords().map(record => record.message)).toEqual(['warn', 'error', 'log error']);
+    });
+
+    test('should log unknown levels as info', () => {
+      const logger = createFileLogger();
+
+      logger.log('notice', 'Unknown level');
+      logger.flush();
+
+      expect(readRecords()[0].level).toBe('info');
+    });
+  });
+
+  describe('File output', () => {
+    test('should buffer records until flushed', () => {
+      const logger = createFileLogger();
+
+      logger.info('Buffered');
+      expect(fs.existsSync(path.join(dir, 'test.log'))).toBe(false);
+
+      logger.flush();
+      expect(readRecords()).toHaveLength(1);
+    });
+
+    test('should flush when the buffer is full', () => {
+      const logger = createFileLogger({ bufferSize: 200 });
+
+      for (let i = 0; i < 5; i++) {
+        logger.info(`Record ${i}`);
+      }
+
+      expect(readRecords().length).toBeGreaterThan(0);
+    });
+
+    test('should flush all open loggers, as done on process exit', () => {
+      const first = createFileLogger();
+      const second = createFileLogger({ file: path.join(dir, 'other.log') });
+
+      first.info('First');
+      second.info('Second');
+      JsonLogger.flushAll();
+
+      expect(readRecords('test.log')[0].message).toBe('First');
+      expect(readRecords('other.log')[0].message).toBe('Second');
+    });
+
+    test('should append to an existing file', () => {
+      createFileLogger().info('Before');
+      loggers[0].close();
+
+      const logger = createFileLogger();
+      logger.info('After');
+      logger.flush();
+
+      expect(readRecords().map(record => record.message)).toEqual(['Before', 'After']);
+    });
+
+    test('should rotate files by size and keep maxFiles of them', () => {
+      const logger = createFileLogger({ maxSize: 300, maxFiles: 2 });
+
+      for (let i = 0; i < 20; i++) {
+        logger.info(`Record ${i}`, { padding: 'x'.repeat(40) });
+      }
+      logger.flush();
+
+      const files = fs.readdirSync(dir).sort();
+      expect(files).toEqual(['test.log', 'test.log.1', 'test.log.2']);
+      files.forEach(file => expect(fs.statSync(path.join(dir, file)).size).toBeLessThanOrEqual(300));
+
+      const messages = [...readRecords('test.log.2'), ...readRecords('test.log.1'), ...readRecords()]
+        .map(record => record.message);
+      expect(messages[messages.length - 1]).toBe('Record 19');
+      expect(messages).toEqual([...messages].sort((a, b) => Number(a.split(' ')[1]) - Number(b.split(' ')[1])));
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,145 @@
+const { expectResponse } = require('../assertions/FluentAssertions');
+const { query, isDefinite, resolveDeepest } = require('../utils/json-path');
+const { startMockServer } = require('../utils/test-utils');
+
+const posts = [
+  { userId: 1, id: 1, title: 'sunt aut facere', tags: ['news'] },
+  { userId: 1, id: 6, title: 'Quis ut nam', tags: [] },
+  { userId: 2, id: 11, title: 'et ea vero', draft: true }
+];
+
+describe('JSONPath Tests', () => {
+  describe('Evaluation', () => {
+    test('should resolve dot, bracket and index paths', () => {
+      expect(query(posts, '$[0].title')).toEqual([{ path: '$[0].title', value: 'sunt aut facere' }]);
+      expect(query(posts, "$[1]['title']")).toEqual([{ path: '$[1].title', value: 'Quis ut nam' }]);
+      expect(query(posts, '$[-1].id')).toEqual([{ path: '$[2].id', value: 11 }]);
+      expect(query(posts[0], 'tags[0]')).toEqual([{ path: '$.tags[0]', value: 'news' }]);
+      expect(query(posts, '$[0].missing')).toEqual([]);
+    });
+
+    test('should resolve wildcards, unions, slices and recursive descent', () => {
+      expect(query(posts, '$[*].userId').map(match => match.value)).toEqual([1, 1, 2]);
+      expect(query(posts, '$[0].*')).toHaveLength(4);
+      expect(query(posts, "$[0]['id','title']").map(match => match.value)).toEqual([1, 'sunt aut facere']);
+      expect(query(posts, '$[1:].id').map(match => match.value)).toEqual([6, 11]);
+      expect(query([1, 2, 3, 4], '$[::-1]').map(match => match.value)).toEqual([4, 3, 2, 1]);
+      expect(query([1, 2, 3, 4], '$[-2::-2]').map(match => match.value)).toEqual([3, 1]);
+      expect(query([1, 2, 3, 4], '$[3:0:-1]').map(match => match.value)).toEqual([4, 3, 2]);
+      expect(query([1, 2, 3, 4], '$[-1:-3]')).toEqual([]);
+      expect(query({ posts }, '$..id').map(match => match.path)).toEqual(['$.posts[0].id', '$.posts[1].id', '$.posts[2].id']);
+    });
+
+    test('should filter elements', () => {
+      expect(query(posts, '$[?(@.id>5)].id').map(match => match.value)).toEqual([6, 11]);
+      expect(query(posts, '$[?(@.userId == 1 && @.title =~ /^quis/i)].id').map(match => match.value)).toEqual([6]);
+      expect(query(posts, '$[?(@.draft)].id').map(match => match.value)).toEqual([11]);
+      expect(query(posts, '$[?(!@.tags || @.id == 1)].id').map(match => match.value)).toEqual([1, 11]);
+      expect(query(posts, "$[?(@.tags[0] == 'news')].id").map(match => match.value)).toEqual([1]);
+      expect(query({ max: 6, posts }, '$.posts[?(@.id >= $.max)].id').map(match => match.value)).toEqual([6, 11]);
+    });
+
+    test('should tell definite paths apart', () => {
+      expect(isDefinite('$.address.geo.lat')).toBe(true);
+      expect(isDefinite('address.geo.lat')).toBe(true);
+      expect(isDefinite('$[*].id')).toBe(false);
+      expect(isDefinite('$[?(@.id>5)]')).toBe(false);
+    });
+
+    test('should resolve the deepest existing part of a path', () => {
+      expect(resolveDeepest({ address: { geo: {} } }, '$.address.geo.lat')).toEqual({ found: false, path: '$.address.geo', value: {} });
+    });
+
+    test('should reject malformed paths', () => {
+      expect(() => query(posts, '$[0')).toThrow('Invalid JSONPath $[0: unclosed [ at position 1');
+      expect(() => query(posts, '$[?(@.id >)]')).toThrow('missing operand in filter (@.id >)');
+      expect(() => query(posts, '$[?@.id]')).toThrow('filters must be written as ?(<expression>)');
+      expect(() => query(posts, '$[::0]')).toThrow('Invalid JSONPath $[::0]: slice step must not be 0 at position 2');
+      expect(() => query(posts, '$[?(@.title =~ /(/)]')).toThrow(/^Invalid JSONPath \$\[\?\(@\.title =~ \/\(\/\)\]: invalid regular expression \/\(\/ at position \d+$/);
+    });
+  });
+
+  describe('Assertions', () => {
+    const user = {
+      data: {
+        id: 1,
+        name: 'Leanne Graham',
+        address: { city: 'Gwenborough', geo: { lat: '-37.3159', lng: '81.1496' } }
+      }
+    };
+
+    test('should assert that a path exists', () => {
+      expectResponse(user).toHaveJsonPath('$.address.geo.lat').and().toHaveJsonPath('address.city');
+      expectResponse({ data: posts }).toHaveJsonPath('$[?(@.id>5)]');
+
+      expect(() => expectResponse(user).toHaveJsonPath('$.address.geo.alt'))
+        .toThrow('Expected $.address.geo.alt to exist, but it does not exist: $.address.geo resolved to {"lat":"-37.3159","lng":"81.1496"}');
+      expect(() => expectResponse({ data: posts }).toHaveJsonPath('$[?(@.id>50)]'))
+        .toThrow(/^Expected \$\[\?\(@\.id>50\)\] to exist, but it matched nothing in \[\{"userId":1/);
+    });
+
+    test('should compare the value at a path', () => {
+      expectResponse(user)
+        .toHaveValueAt('$.address.geo', { lat: '-37.3159', lng: '81.1496' })
+        .toHaveValueAt('name', expect.stringContaining('Graham'))
+        .toHaveValueAt('$.id', id => id > 0);
+      expectResponse({ data: posts }).toHaveValueAt('$[*].userId', [1, 1, 2]);
+
+      expect(() => expectResponse(user).toHaveValueAt('$.address.geo.lat', '-40'))
+        .toThrow('Expected $.address.geo.lat to equal "-40", but it was "-37.3159"');
+      expect(() => expectResponse(user).toHaveValueAt('$.id', expect.any(String)))
+        .toThrow('Expected $.id to match Any<String>, but it was 1');
+      expect(() => expectResponse({ data: posts }).toHaveValueAt('$[*].id', function isSmall(ids) { return ids.every(id => id < 10); }))
+        .toThrow('Expected $[*].id to satisfy isSmall, but it was [1,6,11]');
+      expect(() => expectResponse(user).toHaveValueAt('$.company.name', 'Romaguera-Crona'))
+        .toThrow('Expected $.company.name to equal "Romaguera-Crona", but it does not exist: $ resolved to');
+    });
+
+    test('should check the type at a path', () => {
+      expectResponse(user)
+        .toHaveTypeAt('$.id', 'integer')
+        .toHaveTypeAt('$.address.geo.lat', 'string')
+        .toHaveTypeAt('address', 'object');
+      expectResponse({ data: posts }).toHaveTypeAt('$[*].userId', 'number');
+
+      expect(() => expectResponse(user).toHaveTypeAt('$.address.geo.lat', 'number'))
+        .toThrow('Expected $.address.geo.lat to be a number, but it was a string ("-37.3159")');
+      expect(() => expectResponse({ data: posts }).toHaveTypeAt('$[*].tags', 'object'))
+        .toThrow('Expected every value at $[*].tags to be an object, but 2 of 2 were not:\n  - $[0].tags was an array (["news"])\n  - $[1].tags was an array ([])');
+    });
+
+    test('should list every value of the wrong type', () => {
+      const response = { data: [{ userId: 1 }, { userId: '2' }, { userId: null }] };
+
+      expect(() => expectResponse(response).toHaveTypeAt('$[*].userId', 'integer')).toThrow([
+        'Expected every value at $[*].userId to be an integer, but 2 of 3 were not:',
+        '  - $[1].userId was a string ("2")',
+        '  - $[2].userId was null'
+      ].join('\n'));
+    });
+
+    test('should reject unknown types', () => {
+      expect(() => expectResponse(user).toHaveTypeAt('$.id', 'float'))
+        .toThrow('Unknown type: float. Expected one of string, number, integer, boolean, object, array, null');
+    });
+  });
+
+  describe('Responses', () => {
+    const { createClient } = startMockServer();
+    let httpClient;
+
+    beforeAll(() => {
+      httpClient = createClient();
+    });
+
+    test('should assert nested fields of API responses', async () => {
+      expectResponse(await httpClient.get('/users/1'))
+        .toHaveValueAt('$.address.geo.lat', '-37.3159')
+        .toHaveTypeAt('$.company.catchPhrase', 'string');
+
+      expectResponse(await httpClient.get('/users/1/posts'))
+        .toHaveValueAt('$[*].userId', ids => ids.every(id => id === 1))
+        .toHaveTypeAt('$[?(@.id > 5)].title', 'string');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,223 @@
+const BaseDTO = require('../dto/BaseDTO');
+const PostDTO = require('../dto/PostDTO');
+const CommentDTO = require('../dto/CommentDTO');
+const { UserDTO } = require('../dto/UserDTO');
+const { expectResponse } = require('../assertions/FluentAssertions');
+const { validateSchema } = require('../utils/json-schema');
+const { validateResponseSchema, startMockServer } = require('../utils/test-utils');
+
+describe('JSON Schema Tests', () => {
+  describe('DTO export', () => {
+    test('should describe a flat DTO', () => {
+      expect(PostDTO.toJsonSchema()).toEqual({
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title: 'PostDTO',
+        type: 'object',
+        properties: {
+          id: { type: ['integer', 'null'], minimum: 1 },
+          userId: { type: ['integer', 'null'], minimum: 1 },
+          title: { type: 'string', minLength: 1 },
+          body: { type: 'string', minLength: 1 }
+        },
+        required: ['title', 'body'],
+        additionalProperties: false
+      });
+    });
+
+    test('should reference nested DTOs through $defs', () => {
+      const schema = UserDTO.toJsonSchema();
+
+      expect(schema.properties.address).toEqual({ $ref: '#/$defs/AddressDTO' });
+      expect(schema.properties.email).toEqual({ type: 'string', format: 'email', minLength: 1 });
+      expect(Object.keys(schema.$defs)).toEqual(['AddressDTO', 'GeoDTO', 'CompanyDTO']);
+      expect(schema.$defs.AddressDTO.properties.geo).toEqual({ $ref: '#/$defs/GeoDTO' });
+    });
+
+    test('should describe a list of DTOs', () => {
+      const schema = CommentDTO.toJsonSchema({ array: true });
+
+      expect(schema).toMatchObject({ title: 'CommentDTO', type: 'array', items: { $ref: '#/$defs/CommentDTO' } });
+      expect(schema.$defs.CommentDTO.required).toEqual(['name', 'email', 'body']);
+    });
+
+    test('should reject patterns whose flags change what they match', () => {
+      class CodeDTO extends BaseDTO {
+        static fields = { code: { type: 'string', pattern: /^abc$/i } };
+      }
+
+      expect(() => CodeDTO.toJsonSchema()).toThrow('Cannot export pattern /^abc$/i to JSON Schema: flags "i" have no JSON Schema equivalent');
+    });
+  });
+
+  describe('validateSchema', () => {
+    const schema = {
+      $defs: {
+        tag: { type: 'string', enum: ['news', 'tech'] },
+        geo: {
+          type: 'object',
+          properties: { lat: { type: 'number', minimum: -90, maximum: 90 } },
+          required: ['lat']
+        }
+      },
+      type: 'object',
+      properties: {
+        id: { type: 'integer', exclusiveMinimum: 0 },
+        title: { type: ['string', 'null'], maxLength: 5 },
+        email: { type: 'string', format: 'email' },
+        tags: { type: 'array', items: { $ref: '#/$defs/tag' }, uniqueItems: true, minItems: 1 },
+        location: { $ref: '#/$defs/geo' },
+        contact: {
+          oneOf: [
+            { type: 'object', properties: { phone: { type: 'string', pattern: '^\\d+$' } }, required: ['phone'] },
+            { type: 'object', properties: { email: { type: 'string' } }, required: ['email'] }
+          ]
+        }
+      },
+      required: ['id', 'title'],
+      additionalProperties: false
+    };
+
+    test('should accept valid data', () => {
+      const data = { id: 1, title: null, email: 'a@b.co', tags: ['news'], location: { lat: 10 }, contact: { phone: '123' } };
+
+      expect(validateSchema(schema, data)).toEqual([]);
+    });
+
+    test('should list every violation with its JSON pointer', () => {
+      const data = {
+        id: 0,
+        email: 'nope',
+        tags: ['news', 'sports', 'news'],
+        location: { lat: 91 },
+        contact: { phone: '123', email: 'a@b.co' },
+        'extra/field': true
+      };
+
+      expect(validateSchema(schema, data)).toEqual([
+        { pointer: '', keyword: 'required', message: "must have required property 'title'" },
+        { pointer: '/id', keyword: 'exclusiveMinimum', message: 'must be > 0' },
+        { pointer: '/email', keyword: 'format', message: 'must match format email' },
+        { pointer: '/tags', keyword: 'uniqueItems', message: 'must not contain duplicate items' },
+        { pointer: '/tags/1', keyword: 'enum', message: 'must be one of "news", "tech"' },
+        { pointer: '/location/lat', keyword: 'maximum', message: 'must be <= 90' },
+        { pointer: '/contact', keyword: 'oneOf', message: 'must match exactly one schema in oneOf, but matched 2' },
+        { pointer: '/extra~1field', keyword: 'additionalProperties', message: 'is not allowed' }
+      ]);
+    });
+
+    test('should report type mismatches without checking further keywords', () => {
+      expect(validateSchema({ type: 'object', required: ['id'] }, [1])).toEqual([
+        { pointer: '', keyword: 'type', message: 'must be object but was array' }
+      ]);
+      expect(validateSchema({ type: 'number' }, 3)).toEqual([]);
+    });
+
+    test('should not count inherited properties as present', () => {
+      expect(validateSchema({ type: 'object', required: ['toString'] }, {})).toEqual([
+        { pointer: '', keyword: 'required', message: "must have required property 'toString'" }
+      ]);
+    });
+
+    test('should support anyOf, allOf, not, if/then/else and prefixItems', () => {
+      expect(validateSchema({ anyOf: [{ type: 'string' }, { type: 'integer' }] }, true)[0].keyword).toBe('anyOf');
+      expect(validateSchema({ allOf: [{ minimum: 2 }, { maximum: 1 }] }, 3)).toHaveLength(1);
+      expect(validateSchema({ not: { const: 'x' } }, 'x')[0].keyword).toBe('not');
+      expect(validateSchema({ if: { minimum: 10 }, then: { multipleOf: 5 }, else: { maximum: 3 } }, 12)[0].keyword).toBe('multipleOf');
+      expect(validateSchema({ prefixItems: [{ type: 'string' }], items: { type: 'integer' } }, ['a', 1, 'b'])).toEqual([
+        { pointer: '/2', keyword: 'type', message: 'must be integer but was string' }
+      ]);
+    });
+
+    test('should use custom formats and ignore unknown ones', () => {
+      const schema = { type: 'string', format: 'zipcode' };
+
+      expect(validateSchema(schema, 'abc')).toEqual([]);
+      expect(validateSchema(schema, 'abc', { formats: { zipcode: value => /^\d{5}$/.test(value) } })).toHaveLength(1);
+    });
+
+    test('should accept legacy patterns and reject invalid ones', () => {
+      expect(validateSchema({ type: 'string', pattern: '^a\\-b$' }, 'a-b')).toEqual([]);
+      expect(validateSchema({ type: 'string', pattern: '^a\\-b$' }, 'ab')[0].keyword).toBe('pattern');
+      expect(() => validateSchema({ type: 'string', pattern: '(' }, 'a')).toThrow('Invalid pattern in schema: (');
+    });
+
+    test('should reject unresolvable references', () => {
+      expect(() => validateSchema({ $ref: '#/$defs/missing' }, 1)).toThrow('Cannot resolve $ref: #/$defs/missing');
+      expect(() => validateSchema({ $ref: '#/toString' }, 5)).toThrow('Cannot resolve $ref: #/toString');
+      expect(() => validateSchema({ $ref: 'https://example.com/schema.json' }, 1))
+        .toThrow('Only local $ref values are supported: https://example.com/schema.json');
+    });
+  });
+
+  describe('toMatchSchema', () => {
+    const { createClient } = startMockServer();
+    let httpClient;
+
+    beforeAll(() => {
+      httpClient = createClient();
+    });
+
+    test('should validate responses against DTO schemas', async () => {
+      expectResponse(await httpClient.get('/users/1')).toMatchSchema(UserDTO);
+      expectResponse(await httpClient.get('/posts/1')).toMatchSchema(PostDTO);
+      expectResponse(await httpClient.get('/posts/1/comments')).toMatchSchema(CommentDTO.toJsonSchema({ array: true }));
+    });
+
+    test('should fail with every violation of the response', async () => {
+      await httpClient.put('/users/1', {
+        id: 1,
+        name: '',
+        username: 'Bret',
+        email: 'Sincere@april.biz',
+        address: { street: 'Kulas Light', zipcode: '1234', geo: { lat: -37.3, lng: '81.1496' } },
+        nickname: 'B'
+      });
+
+      const response = await httpClient.get('/users/1');
+
+      expect(() => expectResponse(response).toMatchSchema(UserDTO)).toThrow([
+        'Expected the response body to match UserDTO, but found 4 violation(s):',
+        '  /name: must have at least 1 characters',
+        '  /address/zipcode: must match format zipcode',
+        '  /address/geo/lat: must be string but was number',
+        '  /nickname: is not allowed'
+      ].join('\n'));
+    });
+
+    test('should accept raw JSON Schemas', () => {
+      const response = { data: { id: 1, status: 'open' } };
+
+      expectResponse(response).toMatchSchema({ type: 'object', properties: { status: { enum: ['open', 'closed'] } } });
+      expect(() => expectResponse(response).toMatchSchema({ type: 'object', required: ['owner'] }))
+        .toThrow("/: must have required property 'owner'");
+    });
+
+    test('should accept maps of property types', () => {
+      const schema = { id: 'number', title: 'string', author: { name: 'string' } };
+
+      expectResponse({ data: { id: 1.5, title: 'Title', author: { name: 'Ada' } } }).toMatchSchema(schema);
+      expect(validateResponseSchema({ data: {} }, { id: 'number', title: 'string' })).toEqual({
+        isValid: false,
+        errors: ["/: must have required property 'id'", "/: must have required property 'title'"]
+      });
+      expect(() => expectResponse({ data: { id: '1', title: 'Title', author: {} } }).toMatchSchema(schema)).toThrow([
+        'found 2 violation(s):',
+        '  /id: must be number but was string',
+        "  /author: must have required property 'name'"
+      ].join('\n'));
+    });
+
+    test('should reject schemas without a JSON Schema keyword', () => {
+      expect(() => validateResponseSchema({ data: {} }, { id: { type: 'integer' } }))
+        .toThrow('Schema has no JSON Schema keyword (properties: id)');
+      expect(() => expectResponse({ data: [] }).eachItemToMatchSchema({ id: { type: 'integer' } })).toThrow('Schema has no JSON Schema keyword');
+      expectResponse({ data: { type: 'post' } }).toMatchSchema({ type: 'object' });
+    });
+
+    test('should back validateResponseSchema', () => {
+      const result = validateResponseSchema({ data: { title: 'Title', body: 5 } }, PostDTO);
+
+      expect(result).toEqual({ isValid: false, errors: ['/body: must be string but was integer'] });
+    });
+  });
+});
\ No newline at end of file
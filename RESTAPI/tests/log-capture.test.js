@@ -0,0 +1,120 @@
+const HttpClient = require('../http/HttpClient');
+const CapturingLogger = require('../logger/CapturingLogger');
+const createDefaultLogger = require('../logger/createDefaultLogger');
+const LogCaptureEnvironment = require('./setup/log-capture-environment');
+
+describe('Log Capture Tests', () => {
+  describe('CapturingLogger', () => {
+    test('should buffer records instead of printing them', () => {
+      const logger = new CapturingLogger();
+      const error = new Error('Boom');
+
+      logger.debug('Debug', { url: '/posts' });
+      logger.error('Failed', error, { status: 500 });
+      logger.log('warn', 'Warned');
+
+      expect(logger.getRecords()).toEqual([
+        { timestamp: expect.any(String), level: 'debug', message: 'Debug', error: null, meta: { url: '/posts' } },
+        { timestamp: expect.any(String), level: 'error', message: 'Failed', error, meta: { status: 500 } },
+        { timestamp: expect.any(String), level: 'warn', message: 'Warned', error: null, meta: {} }
+      ]);
+    });
+
+    test('should filter by level like the other loggers', () => {
+      const logger = new CapturingLogger({ level: 'warn' });
+
+      logger.debug('debug');
+      logger.info('info');
+      logger.warn('warn');
+
+      expect(logger.getRecords().map(record => record.message)).toEqual(['warn']);
+    });
+
+    test('should keep at most maxRecords records', () => {
+      const logger = new CapturingLogger({ maxRecords: 2 });
+
+      ['first', 'second', 'third'].forEach(message => logger.info(message));
+
+      expect(logger.getRecords().map(record => record.message)).toEqual(['second', 'third']);
+      expect(logger.format()).toMatch(/^\.\.\. 1 earlier records dropped\n/);
+    });
+
+    test('should format records as readable lines', () => {
+      const logger = new CapturingLogger();
+
+      logger.info('Plain');
+      logger.error('Failed', new TypeError('Boom'), { status: 500 });
+
+      expect(logger.format()).toMatch(/^\[.+\] INFO: Plain\n\[.+\] ERROR: Failed \{"status":500\}\n {4}TypeError: Boom$/);
+    });
+  });
+
+  describe('Default logger', () => {
+    test('should capture HttpClient logs through the test environment', () => {
+      const httpClient = new HttpClient();
+
+      httpClient.setBaseUrl('http://127.0.0.1:1');
+
+      // The capture is created by the environment, outside the test's module registry
+      expect(httpClient.logger.logger).toBe(global.logCapture);
+      expect(createDefaultLogger()).toBe(global.logCapture);
+      expect(global.logCapture.getRecords().map(record => record.message)).toContain('Updated base URL');
+    });
+
+    test('should start every test with an empty capture', () => {
+      expect(global.logCapture.getRecords()).toEqual([]);
+    });
+  });
+
+  describe('LogCaptureEnvironment', () => {
+    let environment;
+
+    beforeEach(() => {
+      environment = new LogCaptureEnvironment({
+        globalConfig: {},
+        projectConfig: { testEnvironmentOptions: {}, globals: {} }
+      }, { console, docblockPragmas: {}, testPath: __filename });
+    });
+
+    afterEach(async () => {
+      await environment.teardown();
+    });
+
+    /**
+     * Build a jest-circus test entry nested in describe blocks
+     * @param {Array} errors - Test errors
+     * @returns {object} Test entry
+     */
+    function createTestEntry(errors) {
+      const root = { name: 'ROOT_DESCRIBE_BLOCK', parent: undefined };
+      const suite = { name: 'Posts', parent: root };
+      return { name: 'should create a post', parent: suite, errors };
+    }
+
+    test('should attach captured logs to failing tests', async () => {
+      const test = createTestEntry([new Error('expected 201')]);
+
+      await environment.handleTestEvent({ name: 'test_start', test });
+      environment.global.logCapture.debug('Making POST request to /posts', { data: { title: 'x' } });
+      await environment.handleTestEvent({ name: 'test_done', test });
+
+      expect(test.errors).toHaveLength(2);
+      expect(test.errors[1].name).toBe('CapturedLogs');
+      expect(test.errors[1].message).toMatch(
+        /^Captured logs for "Posts › should create a post":\n\[.+\] DEBUG: Making POST request to \/posts \{"data":\{"title":"x"\}\}$/
+      );
+      expect(environment.global.logCapture.getRecords()).toEqual([]);
+    });
+
+    test('should discard logs of passing tests', async () => {
+      const test = createTestEntry([]);
+
+      await environment.handleTestEvent({ name: 'test_start', test });
+      environment.global.logCapture.info('Noise');
+      await environment.handleTestEvent({ name: 'test_done', test });
+
+      expect(test.errors).toEqual([]);
+      expect(environment.global.logCapture.getRecords()).toEqual([]);
+    });
+  });
+});
\ No newline at end of file
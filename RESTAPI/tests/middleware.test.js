@@ -0,0 +1,166 @@
+const ConsoleLogger = require('../logger/ConsoleLogger');
+const { expectResponse } = require('../assertions/FluentAssertions');
+const { startMockServer } = require('../utils/test-utils');
+
+describe('HttpClient Middleware Tests', () => {
+  const { createClient } = startMockServer();
+  let httpClient;
+  let logger;
+
+  beforeEach(() => {
+    logger = new ConsoleLogger({ level: 'error' });
+    jest.spyOn(logger, 'debug');
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    httpClient = createClient({
+      headers: { 'Content-Type': 'application/json' },
+      retry: { attempts: 2, delay: 1, jitter: 0 }
+    }, logger);
+  });
+
+  test('should expose the built-in middleware in pipeline order', () => {
+    expect(httpClient.getMiddleware()).toEqual(['retry', 'logging']);
+  });
+
+  test('should run middleware in order with a normalized context', async () => {
+    const calls = [];
+
+    httpClient.use(async (ctx, next) => {
+      calls.push(`first:${ctx.request.method} ${ctx.request.url}`);
+      const response = await next();
+      calls.push(`first:${response.status}`);
+      return response;
+    }, { name: 'first' });
+    httpClient.use(async (ctx, next) => {
+      calls.push('second');
+      return next();
+    }, { name: 'second' });
+
+    await httpClient.get('/posts/1');
+
+    expect(calls).toEqual(['first:GET /posts/1', 'second', 'first:200']);
+    expect(httpClient.getMiddleware()).toEqual(['retry', 'first', 'second', 'logging']);
+  });
+
+  test('should include default headers in the request context', async () => {
+    let seenHeaders;
+    httpClient.setAuthorization('token-123');
+    httpClient.use(async (ctx, next) => {
+      seenHeaders = ctx.request.headers;
+      return next();
+    });
+
+    await httpClient.get('/posts/1');
+
+    expect(seenHeaders).toMatchObject({
+      'Content-Type': 'application/json',
+      Authorization: 'Bearer token-123'
+    });
+  });
+
+  test('should let middleware rewrite the request', async () => {
+    httpClient.use(async (ctx, next) => {
+      ctx.request.url = '/posts/2';
+      ctx.request.headers['X-Signature'] = 'signed';
+      return next();
+    });
+
+    const response = await httpClient.get('/posts/1');
+
+    expectResponse(response).toContain({ id: 2 });
+    expect(response.config.headers['X-Signature']).toBe('signed');
+  });
+
+  test('should let middleware short-circuit the request', async () => {
+    const cached = { status: 200, data: { id: 1, cached: true }, headers: {} };
+    httpClient.use(async () => cached, { name: 'cache', before: 'retry' });
+
+    const response = await httpClient.get('/posts/1');
+
+    expect(response).toBe(cached);
+    expect(logger.debug).not.toHaveBeenCalledWith(expect.stringContaining('Making GET'), expect.anything());
+  });
+
+  test('should let middleware transform the response', async () => {
+    httpClient.use(async (ctx, next) => {
+      const response = await next();
+      response.data = { ...response.data, transformed: true };
+      return response;
+    });
+
+    const response = await httpClient.get('/posts/1');
+
+    expectResponse(response).toContain({ id: 1, transformed: true });
+  });
+
+  test('should let middleware retry by calling next again', async () => {
+    let attempts = 0;
+    httpClient.use(async (ctx, next) => {
+      attempts++;
+      try {
+        return await next();
+      } catch (error) {
+        ctx.request.url = '/posts/1';
+        attempts++;
+        return next();
+      }
+    });
+
+    const response = await httpClient.get('/missing');
+
+    expectResponse(response).toHaveStatus(200);
+    expect(attempts).toBe(2);
+  });
+
+  test('should remove middleware with the returned function or by name', async () => {
+    const marker = jest.fn((ctx, next) => next());
+    const remove = httpClient.use(marker, { name: 'marker' });
+
+    remove();
+    await httpClient.get('/posts/1');
+    expect(marker).not.toHaveBeenCalled();
+
+    httpClient.use(marker, { name: 'marker' });
+    expect(httpClient.eject('marker')).toBe(true);
+    expect(httpClient.eject('marker')).toBe(false);
+  });
+
+  test('should position middleware relative to named middleware', () => {
+    httpClient.use((ctx, next) => next(), { name: 'metrics', after: 'logging' });
+    httpClient.use((ctx, next) => next(), { name: 'auth', before: 'retry' });
+
+    expect(httpClient.getMiddleware()).toEqual(['auth', 'retry', 'logging', 'metrics']);
+    expect(() => httpClient.use((ctx, next) => next(), { before: 'unknown' })).toThrow(/unknown middleware/);
+  });
+
+  test('should give every request a child logger bound to its request ID', async () => {
+    const seen = [];
+    httpClient.use(async (ctx, next) => {
+      seen.push(ctx.requestId);
+      ctx.logger.debug('From middleware');
+      return next();
+    });
+
+    await httpClient.get('/posts/1');
+    await httpClient.get('/posts/2', { requestId: 'fixed-id' });
+
+    expect(seen[0]).toMatch(/^[0-9a-f-]{36}$/);
+    expect(seen[1]).toBe('fixed-id');
+    expect(logger.debug).toHaveBeenCalledWith('From middleware', { requestId: seen[0] });
+    expect(logger.debug).toHaveBeenCalledWith('Making GET request to /posts/2', expect.objectContaining({
+      requestId: 'fixed-id'
+    }));
+  });
+
+  test('should log requests and errors through the built-in logging middleware', async () => {
+    await expect(httpClient.get('/posts/999999')).rejects.toMatchObject({ response: { status: 404 } });
+
+    expect(logger.debug).toHaveBeenCalledWith('Making GET request to /posts/999999', expect.any(Object));
+    expect(logger.error).toHaveBeenCalledWith('HTTP Error: 404', expect.any(Error), {
+      requestId: expect.any(String),
+      url: '/posts/999999',
+      method: 'get',
+      status: 404
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,178 @@
+const ConsoleLogger = require('../logger/ConsoleLogger');
+const { expectResponse } = require('../assertions/FluentAssertions');
+const { startMockServer } = require('../utils/test-utils');
+
+describe('Mock Server Tests', () => {
+  const { server, createClient } = startMockServer();
+  let httpClient;
+
+  beforeAll(() => {
+    const logger = new ConsoleLogger({ level: 'warn' });
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    httpClient = createClient({ headers: { 'Content-Type': 'application/json' } }, logger);
+  });
+
+  describe('Seed data', () => {
+    test.each([
+      ['/posts', 100],
+      ['/comments', 500],
+      ['/users', 10]
+    ])('should serve %s with %i items', async (url, count) => {
+      const response = await httpClient.get(url);
+
+      expectResponse(response)
+        .toHaveStatus(200)
+        .toBeArray()
+        .toHaveLength(count);
+    });
+
+    test('should return 404 for missing IDs and unknown resources', async () => {
+      for (const url of ['/posts/999999', '/users/0', '/invalid-endpoint']) {
+        const error = await httpClient.get(url).catch(err => err);
+        expect(error.response.status).toBe(404);
+      }
+    });
+
+    test.each([
+      ['GET', '/constructor'],
+      ['GET', '/toString'],
+      ['POST', '/constructor'],
+      ['GET', '/hasOwnProperty/1'],
+      ['GET', '/posts/1/constructor']
+    ])('should return 404 for %s %s named after an Object.prototype property', async (method, url) => {
+      const response = await httpClient.request({ method, url, data: {}, throwHttpErrors: false });
+
+      expectResponse(response).toHaveStatus(404);
+    });
+  });
+
+  describe('CRUD semantics', () => {
+    test('should persist created items', async () => {
+      const created = await httpClient.post('/posts', { userId: 1, title: 'New', body: 'Post' });
+
+      expectResponse(created)
+        .toHaveStatus(201)
+        .toContain({ id: 101, title: 'New' })
+        .toHaveHeader('location');
+
+      const fetched = await httpClient.get('/posts/101');
+      expectResponse(fetched).toEqual({ userId: 1, title: 'New', body: 'Post', id: 101 });
+    });
+
+    test('should replace items on PUT and merge them on PATCH', async () => {
+      await httpClient.put('/posts/1', { title: 'Replaced' });
+      expect((await httpClient.get('/posts/1')).data).toEqual({ id: 1, title: 'Replaced' });
+
+      await httpClient.patch('/posts/2', { title: 'Patched' });
+      expect((await httpClient.get('/posts/2')).data).toMatchObject({ id: 2, userId: 1, title: 'Patched' });
+    });
+
+    test('should return 404 when updating missing items', async () => {
+      const error = await httpClient.put('/posts/999999', { title: 'x' }).catch(err => err);
+      expect(error.response.status).toBe(404);
+    });
+
+    test('should delete items and cascade to their comments', async () => {
+      const response = await httpClient.delete('/posts/1');
+      expectResponse(response).toHaveStatus(200).toEqual({});
+
+      expect((await httpClient.get('/posts/1').catch(err => err)).response.status).toBe(404);
+      expect((await httpClient.get('/comments?postId=1')).data).toEqual([]);
+    });
+
+    test('should reject malformed or non-object JSON bodies with 400', async () => {
+      const malformed = await httpClient.post('/posts', '{invalid json', {
+        transformRequest: [data => data]
+      }).catch(err => err);
+      const nonObject = await httpClient.post('/posts', '{invalid json').catch(err => err);
+
+      expect(malformed.response.status).toBe(400);
+      expect(nonObject.response.status).toBe(400);
+    });
+
+    test('should reject malformed percent-encoding in the path with 400', async () => {
+      const response = await httpClient.get('/posts/%zz', { throwHttpErrors: false });
+
+      expectResponse(response).toHaveStatus(400).toEqual({ error: 'Malformed URL path segment: %zz' });
+    });
+
+    test('should isolate state between resets', async () => {
+      await httpClient.delete('/posts/5');
+      server.reset();
+
+      expectResponse(await httpClient.get('/posts/5')).toHaveStatus(200);
+    });
+
+    test('should cap /delay at 10 seconds', async () => {
+      jest.useFakeTimers();
+      try {
+        let result = null;
+        server.route('GET', ['delay', '600'], new URL('http://localhost/delay/600'), null).then(value => {
+          result = value;
+        });
+
+        await jest.advanceTimersByTimeAsync(10000);
+
+        expect(result).toEqual({ status: 200, body: {} });
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('Nested routes and queries', () => {
+    test('should list nested resources', async () => {
+      const response = await httpClient.get('/posts/1/comments');
+
+      expectResponse(response).toBeArray().toHaveLength(5);
+      response.data.forEach(comment => expect(comment.postId).toBe(1));
+    });
+
+    test('should create nested resources with the parent ID set', async () => {
+      const response = await httpClient.post('/users/3/posts', { title: 'Nested', body: 'Post' });
+
+      expectResponse(response).toHaveStatus(201).toContain({ userId: 3, id: 101 });
+    });
+
+    test('should filter by field values', async () => {
+      const response = await httpClient.get('/posts?userId=1&userId=2');
+
+      expectResponse(response).toHaveLength(20);
+    });
+
+    test('should paginate with _page and _limit', async () => {
+      const response = await httpClient.get('/posts?_page=2&_limit=15');
+
+      expectResponse(response)
+        .toHaveLength(15)
+        .toHaveHeader('x-total-count', '100');
+      expect(response.data[0].id).toBe(16);
+      expect(response.headers.link).toContain('_page=3&_limit=15>; rel="next"');
+      expect(response.headers.link).toContain('_page=7&_limit=15>; rel="last"');
+    });
+
+    test('should slice with _start and _limit', async () => {
+      const response = await httpClient.get('/comments?_start=10&_limit=5');
+
+      expect(response.data.map(comment => comment.id)).toEqual([11, 12, 13, 14, 15]);
+    });
+  });
+
+  describe('Admin routes', () => {
+    test('should seed and reset collections over HTTP', async () => {
+      await httpClient.post('/__admin/seed', { posts: [{ id: 1, userId: 1, title: 'Only', body: 'One' }] });
+      expectResponse(await httpClient.get('/posts')).toHaveLength(1);
+
+      await httpClient.post('/__admin/reset');
+      expectResponse(await httpClient.get('/posts')).toHaveLength(100);
+    });
+
+    test('should reject seeding a collection named after an Object.prototype property', async () => {
+      const response = await httpClient.post('/__admin/seed', { constructor: [] }, { throwHttpErrors: false });
+
+      expectResponse(response).toHaveStatus(400);
+      expectResponse(await httpClient.get('/constructor', { throwHttpErrors: false })).toHaveStatus(404);
+    });
+  });
+});
\ No newline at end of file
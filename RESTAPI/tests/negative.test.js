@@ -1,5 +1,12 @@
 const HttpClient = require('../http/HttpClient');
 const { expectResponse } = require('../assertions/FluentAssertions');
+const { expectError } = require('../assertions/ErrorAssertions');
+const { getEnvironmentConfig, getCurrentEnvironment } = require('../config/config');
+
+// JSONPlaceholder and the local mock server disagree on some invalid operations
+const usesMockServer = Boolean(getEnvironmentConfig(getCurrentEnvironment()).mockServer);
+const testWithMockServer = usesMockServer ? test : test.skip;
+const testWithLiveApi = usesMockServer ? test.skip : test;
 
 describe('Negative Test Cases', () => {
   let httpClient;
@@ -8,15 +15,23 @@ describe('Negative Test Cases', () => {
     httpClient = new HttpClient();
   });
 
+  afterAll(() => {
+    httpClient.close();
+  });
+
   describe('GET with invalid parameters', () => {
     test('should return 404 for non-existent post ID', async () => {
-      try {
-        await httpClient.get('/posts/999999');
-        // If we reach here, the API didn't throw an error as expected
-        fail('Expected request to fail with 404');
-      } catch (error) {
-        expect(error.response.status).toBe(404);
-      }
+      await expectError(httpClient.get('/posts/999999'))
+        .toHaveStatus(404)
+        .toHaveBody({});
+    });
+
+    test('should resolve 404 as a response in non-throwing mode', async () => {
+      const response = await httpClient.get('/posts/999999', { throwHttpErrors: false });
+
+      expectResponse(response)
+        .toHaveStatus(404)
+        .toEqual({});
     });
 
     test('should handle invalid query parameters gracefully', async () => {
@@ -30,24 +45,15 @@ describe('Negative Test Cases', () => {
     });
 
     test('should return 404 for invalid endpoint', async () => {
-      try {
-        await httpClient.get('/invalid-endpoint');
-        fail('Expected request to fail with 404');
-      } catch (error) {
-        expect(error.response.status).toBe(404);
-      }
+      await expectError(httpClient.get('/invalid-endpoint')).toHaveStatus(404);
     });
   });
 
   describe('POST with invalid data', () => {
     test('should handle malformed JSON gracefully', async () => {
-      try {
-        await httpClient.post('/posts', '{invalid json');
-        fail('Expected request to fail due to malformed JSON');
-      } catch (error) {
-        // Axios should catch JSON parsing errors
-        expect(error).toBeDefined();
-      }
+      // Send the string as-is; by default axios would encode it as a valid JSON string
+      await expectError(httpClient.post('/posts', '{invalid json', { transformRequest: [data => data] }))
+        .toHaveStatusInRange(400, 599);
     });
 
     test('should handle empty request body', async () => {
@@ -81,27 +87,27 @@ describe('Negative Test Cases', () => {
   });
 
   describe('PUT with invalid operations', () => {
-    test('should handle PUT on non-existent resource', async () => {
-      const updateData = {
-        userId: 1,
-        title: 'Update Non-existent',
-        body: 'This should not work'
-      };
+    const updateData = {
+      userId: 1,
+      title: 'Update Non-existent',
+      body: 'This should not work'
+    };
 
-      try {
-        // JSONPlaceholder allows updating non-existent resources
-        const response = await httpClient.put('/posts/999999', updateData);
+    testWithLiveApi('should accept PUT on non-existent resource on the live API', async () => {
+      const response = await httpClient.put('/posts/999999', updateData, { throwHttpErrors: false });
 
-        expectResponse(response)
-          .toHaveStatus(200)
-          .and.toHaveBody();
+      // JSONPlaceholder allows updating non-existent resources and echoes the data
+      expectResponse(response)
+        .toHaveStatus(200)
+        .toHaveValueAt('$.title', updateData.title);
+    });
+
+    testWithMockServer('should return 404 for PUT on non-existent resource on the mock server', async () => {
+      const response = await httpClient.put('/posts/999999', updateData, { throwHttpErrors: false });
 
-        // Should return the data we sent
-        expect(response.data.title).toBe(updateData.title);
-      } catch (error) {
-        // If it fails with 500, that's also acceptable for this test
-        expect(error.response.status).toBe(500);
-      }
+      expectResponse(response)
+        .toHaveStatus(404)
+        .toEqual({});
     });
 
     test('should handle PUT with invalid data types', async () => {
@@ -164,17 +170,15 @@ describe('Negative Test Cases', () => {
   describe('Network and timeout scenarios', () => {
     test('should handle request timeout', async () => {
       // Create client with very short timeout
+      // The local mock server provides the same /delay route as httpbin
       const timeoutClient = new HttpClient({
-        baseUrl: 'https://httpbin.org',
+        baseUrl: process.env.MOCK_SERVER_URL || 'https://httpbin.org',
         timeout: 1000 // 1 second timeout
       });
 
-      try {
-        await timeoutClient.get('/delay/5');
-        fail('Expected request to timeout');
-      } catch (error) {
-        expect(error.code).toBe('ECONNABORTED');
-      }
+      await expectError(timeoutClient.get('/delay/5'))
+        .toBeTimeout()
+        .toHaveCode('ECONNABORTED');
     });
 
     test('should handle invalid base URL', async () => {
@@ -182,12 +186,9 @@ describe('Negative Test Cases', () => {
         baseUrl: 'https://invalid-domain-that-does-not-exist.com'
       });
 
-      try {
-        await invalidClient.get('/posts');
-        fail('Expected request to fail with invalid domain');
-      } catch (error) {
-        expect(error.code).toBe('ENOTFOUND');
-      }
+      await expectError(invalidClient.get('/posts'))
+        .toBeNetworkError()
+        .toHaveCode('ENOTFOUND');
     });
 
     test('should handle unsupported HTTP methods', async () => {
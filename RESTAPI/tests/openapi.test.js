@@ -0,0 +1,219 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const OpenApiGenerator = require('../openapi/OpenApiGenerator');
+const { parseArgs } = require('../openapi/generate');
+const { expectContract, findDocumentedResponse } = require('../openapi/contract');
+const { createSeedData } = require('../server/seed');
+const { startMockServer } = require('../utils/test-utils');
+
+const SPEC_PATH = path.join(__dirname, '../data/openapi/jsonplaceholder.yaml');
+
+describe('OpenAPI Generator Tests', () => {
+  let generator;
+  let outDir;
+
+  beforeAll(() => {
+    generator = OpenApiGenerator.load(SPEC_PATH);
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-'));
+    generator.write(outDir);
+  });
+
+  afterAll(() => {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  describe('Generated files', () => {
+    test('should emit DTOs, clients, schemas and a contract suite', () => {
+      expect(generator.generate(outDir).map(({ file }) => file)).toEqual([
+        'dto/NewPostDTO.js',
+        'dto/PostDTO.js',
+        'dto/CommentDTO.js',
+        'dto/GeoDTO.js',
+        'dto/AddressDTO.js',
+        'dto/CompanyDTO.js',
+        'dto/UserDTO.js',
+        'api/PostsApi.js',
+        'api/UsersApi.js',
+        'schemas.json',
+        'tests/jsonplaceholder.contract.test.js'
+      ]);
+    });
+
+    test('should declare DTO fields from the component schemas', () => {
+      const source = fs.readFileSync(path.join(outDir, 'dto/UserDTO.js'), 'utf8');
+
+      expect(source).toContain("const BaseDTO = require('");
+      expect(source).toContain("const AddressDTO = require('./AddressDTO');");
+      expect(source).toContain("email: { type: 'string', required: true, format: 'email' },");
+      expect(source).toContain('address: { type: AddressDTO, omitIfNull: true },');
+      expect(source).toContain("nickname: { type: 'string' }");
+    });
+
+    test('should produce DTOs compatible with the fromJson/toJson/validate contract', () => {
+      const UserDTO = require(path.join(outDir, 'dto/UserDTO'));
+      const GeoDTO = require(path.join(outDir, 'dto/GeoDTO'));
+      const NewPostDTO = require(path.join(outDir, 'dto/NewPostDTO'));
+
+      createSeedData().users.forEach(json => {
+        const user = UserDTO.fromJson(json, { mode: 'strict' });
+        expect(user.validate()).toEqual({ isValid: true, errors: [] });
+        expect(user.toJson()).toEqual({ ...json, nickname: null });
+      });
+      expect(new GeoDTO('north', '1').validate().errors).toEqual(['lat must match /^-?\\d+(\\.\\d+)?$/']);
+      expect(new NewPostDTO(0, '', 'Body').validate().errors).toEqual([
+        'userId must be at least 1',
+        'title must be a non-empty string'
+      ]);
+    });
+
+    test('should convert component schemas to JSON Schema 2020-12', () => {
+      const defs = JSON.parse(fs.readFileSync(path.join(outDir, 'schemas.json'), 'utf8'));
+
+      expect(defs.User.properties.nickname).toEqual({ type: ['string', 'null'] });
+      expect(defs.User.properties.address).toEqual({ $ref: '#/$defs/Address' });
+      expect(generator.toJsonSchema({ type: 'integer', minimum: 0, exclusiveMinimum: true, example: 1 }))
+        .toEqual({ type: 'integer', exclusiveMinimum: 0 });
+      expect(generator.toJsonSchema({ type: 'string', enum: ['a'], nullable: true }))
+        .toEqual({ type: ['string', 'null'], enum: ['a', null] });
+    });
+
+    test('should emit a contract suite that compiles and covers every operation', () => {
+      const source = fs.readFileSync(path.join(outDir, 'tests/jsonplaceholder.contract.test.js'), 'utf8');
+
+      expect(() => new vm.Script(source)).not.toThrow();
+      expect(source).toContain("process.env.JSONPLACEHOLDER_BASE_URL || 'https://jsonplaceholder.typicode.com'");
+      expect(source.match(/^ {2}(test|unsafeTest)\('.*'/gm)).toEqual([
+        "  test('GET /posts (listPosts)'",
+        "  unsafeTest('POST /posts (createPost)'",
+        "  test('GET /posts/{id} (getPost)'",
+        "  unsafeTest('DELETE /posts/{id} (deletePost)'",
+        "  test('GET /posts/{id}/comments (listPostComments)'",
+        "  test('GET /users/{id} (getUser)'"
+      ]);
+      expect(source).toContain("const response = await httpClient.request({ method: 'get', url: '/posts/1' });");
+      expect(source).toContain("params: { userId: 1 }");
+    });
+  });
+
+  describe('Generated clients', () => {
+    const { createClient } = startMockServer();
+    let httpClient;
+
+    beforeAll(() => {
+      httpClient = createClient();
+    });
+
+    test('should call each operation and hydrate the documented DTO', async () => {
+      const PostsApi = require(path.join(outDir, 'api/PostsApi'));
+      const PostDTO = require(path.join(outDir, 'dto/PostDTO'));
+      const CommentDTO = require(path.join(outDir, 'dto/CommentDTO'));
+      const posts = new PostsApi(httpClient);
+
+      const { data: listed } = await posts.listPosts({ userId: 2, _limit: 3 });
+      const { data: post } = await posts.getPost({ id: 4 });
+      const { data: comments } = await posts.listPostComments({ id: 4 });
+      const { data: created, response } = await posts.createPost({ userId: 1, title: 'Title', body: 'Body' });
+
+      expect(listed.map(item => item.userId)).toEqual([2, 2, 2]);
+      expect(post).toBeInstanceOf(PostDTO);
+      expect(post.id).toBe(4);
+      comments.forEach(comment => expect(comment).toBeInstanceOf(CommentDTO));
+      expect(response.status).toBe(201);
+      expect(created).toEqual(new PostDTO(101, 1, 'Title', 'Body'));
+    });
+
+    test('should keep the generic ResourceApi methods', async () => {
+      const UsersApi = require(path.join(outDir, 'api/UsersApi'));
+      const UserDTO = require(path.join(outDir, 'dto/UserDTO'));
+      const AddressDTO = require(path.join(outDir, 'dto/AddressDTO'));
+
+      const { data } = await new UsersApi(httpClient).get(1);
+
+      expect(data).toBeInstanceOf(UserDTO);
+      expect(data.address).toBeInstanceOf(AddressDTO);
+    });
+  });
+
+  describe('Contract assertions', () => {
+    const response = (status, data) => ({ status, data, headers: {}, config: { method: 'get', url: '/posts/1' } });
+
+    test('should prefer exact codes over ranges over default', () => {
+      expect(findDocumentedResponse({ 200: null, '2XX': null, default: null }, 200)).toBe('200');
+      expect(findDocumentedResponse({ '2XX': null, default: null }, 204)).toBe('2XX');
+      expect(findDocumentedResponse({ 200: null, default: null }, 500)).toBe('default');
+      expect(findDocumentedResponse({ 200: null }, 404)).toBeNull();
+    });
+
+    test('should fail for undocumented status codes', () => {
+      expect(() => expectContract(response(500, {}), { 200: null, 404: null }))
+        .toThrow('Expected status 500 of GET /posts/1 to be documented, but only 200, 404 are');
+    });
+
+    test('should validate the body against the documented schema', () => {
+      const defs = { Post: { type: 'object', required: ['id'], properties: { id: { type: 'integer' } } } };
+
+      expect(() => expectContract(response(200, { id: 1 }), { 200: { $ref: '#/$defs/Post' } }, defs)).not.toThrow();
+      expect(() => expectContract(response(200, { id: '1' }), { 200: { $ref: '#/$defs/Post' } }, defs))
+        .toThrow('/id: must be integer but was string');
+      expect(() => expectContract(response(204, ''), { 204: { type: 'object' } })).not.toThrow();
+    });
+  });
+
+  describe('Input handling', () => {
+    test('should reject documents that are not OpenAPI 3', () => {
+      expect(() => new OpenApiGenerator({ swagger: '2.0' })).toThrow('Expected an OpenAPI 3 document, but got version 2.0');
+    });
+
+    test('should reject external references', () => {
+      const spec = { openapi: '3.0.3', info: { title: 'External' }, components: { schemas: { Pet: { $ref: 'pet.yaml' } } } };
+
+      expect(() => new OpenApiGenerator(spec).generate(os.tmpdir())).toThrow('Only local $ref values are supported: pet.yaml');
+    });
+
+    test('should avoid shadowing ResourceApi methods and read JSON documents', () => {
+      const specPath = path.join(outDir, 'spec.json');
+      fs.writeFileSync(specPath, JSON.stringify({
+        openapi: '3.1.0',
+        info: { title: 'Todo Service' },
+        paths: { '/todos/{id}': { delete: { operationId: 'delete', parameters: [{ name: 'id', in: 'path', required: true }], responses: { 204: { description: 'Deleted' } } } } }
+      }));
+
+      const files = OpenApiGenerator.load(specPath).generate(outDir);
+      const client = files.find(({ file }) => file === 'api/TodosApi.js').content;
+
+      expect(files.map(({ file }) => file)).toContain('tests/todo-service.contract.test.js');
+      expect(client).toContain('async deleteOperation(params = {}, config = {}) {');
+      expect(client).toContain("super(httpClient, '/todos', null);");
+    });
+
+    test('should escape quotes and backslashes in titles and property names', () => {
+      const spec = {
+        openapi: '3.0.3',
+        info: { title: "Bob's \\ API" },
+        paths: { '/notes': { get: { operationId: 'listNotes', responses: { 200: { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/Note' } } } } } } } },
+        components: { schemas: { Note: { type: 'object', properties: { "it's": { type: 'string' }, 'back\\slash': { type: 'string' } } } } }
+      };
+
+      const files = new OpenApiGenerator(spec, { name: 'notes' }).generate(outDir);
+      const suite = files.find(({ file }) => file === 'tests/notes.contract.test.js').content;
+
+      files.filter(({ file }) => file.endsWith('.js')).forEach(({ content }) => {
+        expect(() => new vm.Script(content)).not.toThrow();
+      });
+      expect(suite).toContain("describe('Bob\\'s \\\\ API contract', () => {");
+      expect(files.find(({ file }) => file === 'dto/NoteDTO.js').content).toContain("'back\\\\slash': { type: 'string', omitIfNull: true }");
+    });
+
+    test('should parse command line arguments', () => {
+      expect(parseArgs(['spec.yaml', '--out', 'out', '--base-url', 'http://localhost'])).toEqual({
+        spec: 'spec.yaml',
+        out: 'out',
+        baseUrl: 'http://localhost'
+      });
+      expect(() => parseArgs([])).toThrow(/^Usage: node openapi\/generate.js/);
+      expect(() => parseArgs(['a.yaml', 'b.yaml'])).toThrow('Unexpected argument: b.yaml');
+    });
+  });
+});
\ No newline at end of file
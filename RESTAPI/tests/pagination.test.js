@@ -0,0 +1,251 @@
+const http = require('http');
+const Paginator = require('../http/Paginator');
+const ConsoleLogger = require('../logger/ConsoleLogger');
+const { resolvePaginationOptions, parseLinkHeader } = require('../http/pagination');
+const { startMockServer } = require('../utils/test-utils');
+
+describe('Pagination Tests', () => {
+  const { server, createClient: createMockClient } = startMockServer();
+  let baseUrl;
+  let httpClient;
+  let requests;
+
+  beforeAll(() => {
+    baseUrl = server.url;
+  });
+
+  beforeEach(() => {
+    httpClient = createClient();
+  });
+
+  /**
+   * Create a client that records the URL and params of every request
+   * @param {object} config - Extra client config
+   * @param {string} url - Base URL
+   * @returns {HttpClient} Client
+   */
+  function createClient(config = {}, url = baseUrl) {
+    const logger = new ConsoleLogger({ level: 'error' });
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    const client = createMockClient({ baseUrl: url, headers: {}, ...config }, logger);
+    requests = [];
+    client.use(async (ctx, next) => {
+      requests.push({ url: ctx.request.url, params: ctx.request.params });
+      return next();
+    });
+    return client;
+  }
+
+  describe('Page strategy', () => {
+    test('should yield pages until the total count is reached', async () => {
+      const pages = [];
+      for await (const page of httpClient.paginate('/posts', { pageSize: 20, totalCountHeader: 'x-total-count' }).pages()) {
+        pages.push(page);
+      }
+
+      expect(pages.map(page => page.number)).toEqual([1, 2, 3, 4, 5]);
+      expect(pages.map(page => page.items.length)).toEqual([20, 20, 20, 20, 20]);
+      expect(pages[4].items[19].id).toBe(100);
+      expect(pages[0].total).toBe(100);
+      expect(requests).toHaveLength(5);
+      expect(requests[1].params).toEqual({ _page: 2, _limit: 20 });
+    });
+
+    test('should iterate over items across pages', async () => {
+      const ids = [];
+      for await (const post of httpClient.paginate('/posts', { pageSize: 30 })) {
+        ids.push(post.id);
+      }
+
+      expect(ids).toEqual(Array.from({ length: 100 }, (_, i) => i + 1));
+    });
+
+    test('should stop at maxItems without fetching further pages', async () => {
+      const items = await httpClient.paginate('/posts', { pageSize: 10, maxItems: 25 }).toArray();
+
+      expect(items).toHaveLength(25);
+      expect(items[24].id).toBe(25);
+      expect(requests).toHaveLength(3);
+    });
+
+    test('should stop at maxPages', async () => {
+      const items = await httpClient.paginate('/posts', { pageSize: 10, maxPages: 2 }).toArray();
+
+      expect(items).toHaveLength(20);
+      expect(requests).toHaveLength(2);
+    });
+
+    test('should stop on a short page when no total count is available', async () => {
+      const paginator = httpClient.paginate('/users', { pageSize: 4, totalCountHeader: null });
+      const items = await paginator.toArray();
+
+      expect(items).toHaveLength(10);
+      expect(requests).toHaveLength(3);
+      expect(paginator.total).toBeNull();
+    });
+
+    test('should stop on an empty page without yielding it', async () => {
+      const pages = [];
+      for await (const page of httpClient.paginate('/users', { pageSize: 5, totalCountHeader: null }).pages()) {
+        pages.push(page);
+      }
+
+      expect(pages.map(page => page.items.length)).toEqual([5, 5]);
+      expect(requests).toHaveLength(3);
+    });
+
+    test('should send filter params with every page', async () => {
+      const items = await httpClient.paginate('/posts', { pageSize: 3, params: { userId: 2 } }).toArray();
+
+      expect(items).toHaveLength(10);
+      items.forEach(post => expect(post.userId).toBe(2));
+    });
+
+    test('should send params from the request config with every page', async () => {
+      const items = await httpClient.paginate('/posts', { pageSize: 3, config: { params: { userId: 2 } } }).toArray();
+
+      expect(items).toHaveLength(10);
+      items.forEach(post => expect(post.userId).toBe(2));
+    });
+  });
+
+  describe('Offset strategy', () => {
+    test('should advance the offset by the number of items received', async () => {
+      const items = await httpClient.paginate('/comments', {
+        strategy: 'offset',
+        pageSize: 2,
+        params: { postId: 1 }
+      }).toArray();
+
+      expect(items.map(comment => comment.id)).toEqual([1, 2, 3, 4, 5]);
+      expect(requests.map(request => request.params._start)).toEqual([0, 2, 4]);
+    });
+  });
+
+  describe('Link strategy', () => {
+    test('should follow rel="next" links', async () => {
+      const pages = [];
+      for await (const page of httpClient.paginate('/posts', { strategy: 'link', params: { _page: 1, _limit: 30 } }).pages()) {
+        pages.push(page);
+      }
+
+      expect(pages.map(page => page.items.length)).toEqual([30, 30, 30, 10]);
+      expect(requests[1].url).toBe(`${baseUrl}/posts?_page=2&_limit=30`);
+      expect(requests[1].params).toBeUndefined();
+    });
+
+    test('should parse RFC 5988 Link headers', () => {
+      const links = parseLinkHeader('<https://api.test/items?page=2>; rel="next", <https://api.test/items?page=5>; rel="last"');
+
+      expect(links).toEqual({ next: 'https://api.test/items?page=2', last: 'https://api.test/items?page=5' });
+      expect(parseLinkHeader(undefined)).toEqual({});
+    });
+  });
+
+  describe('Cursor strategy', () => {
+    let cursorServer;
+    let cursorUrl;
+    const items = Array.from({ length: 7 }, (_, i) => ({ id: i + 1 }));
+
+    beforeAll(async () => {
+      // Serves items in pages of `limit`, with the cursor in the body and in an X-Next-Cursor header
+      cursorServer = http.createServer((req, res) => {
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        const start = Number(query.get('cursor') || 0);
+        const end = start + Number(query.get('limit') || 3);
+        const nextCursor = end < items.length ? String(end) : null;
+
+        res.writeHead(200, { 'Content-Type': 'application/json', ...(nextCursor ? { 'X-Next-Cursor': nextCursor } : {}) });
+        res.end(JSON.stringify({ data: items.slice(start, end), meta: { next_cursor: nextCursor } }));
+      });
+      await new Promise(resolve => cursorServer.listen(0, '127.0.0.1', resolve));
+      cursorUrl = `http://127.0.0.1:${cursorServer.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => cursorServer.close(resolve));
+    });
+
+    test('should follow cursors from the response body', async () => {
+      const client = createClient({}, cursorUrl);
+
+      const result = await client.paginate('/items', {
+        strategy: 'cursor',
+        pageSize: 3,
+        itemsPath: 'data',
+        cursorPath: 'meta.next_cursor'
+      }).toArray();
+
+      expect(result).toEqual(items);
+      expect(requests.map(request => request.params)).toEqual([
+        { limit: 3 },
+        { limit: 3, cursor: '3' },
+        { limit: 3, cursor: '6' }
+      ]);
+    });
+
+    test('should follow cursors from a response header', async () => {
+      const client = createClient({}, cursorUrl);
+
+      const result = await client.paginate('/items', {
+        strategy: 'cursor',
+        pageSize: 5,
+        itemsPath: 'data',
+        cursorHeader: 'X-Next-Cursor'
+      }).toArray();
+
+      expect(result).toEqual(items);
+      expect(requests).toHaveLength(2);
+    });
+
+    test('should reject responses without an items array', async () => {
+      const client = createClient({}, cursorUrl);
+
+      await expect(client.paginate('/items', { strategy: 'cursor' }).toArray())
+        .rejects.toThrow('Expected an array of items in the response from /items');
+    });
+  });
+
+  describe('Configuration', () => {
+    const pagination = {
+      strategy: 'page',
+      pageSize: 10,
+      endpoints: {
+        '/comments': { strategy: 'offset', pageSize: 50 },
+        '/posts/:id/comments': { strategy: 'offset', pageSize: 2 }
+      }
+    };
+
+    test('should resolve options per endpoint', () => {
+      expect(resolvePaginationOptions(pagination, '/posts')).toEqual({ strategy: 'page', pageSize: 10 });
+      expect(resolvePaginationOptions(pagination, '/comments?postId=1')).toEqual({ strategy: 'offset', pageSize: 50 });
+      expect(resolvePaginationOptions(pagination, 'http://api.test/posts/7/comments'))
+        .toEqual({ strategy: 'offset', pageSize: 2 });
+    });
+
+    test('should use the endpoint strategy from the client config', async () => {
+      const client = createClient({ pagination });
+
+      const paginator = client.paginate('/posts/1/comments');
+      const result = await paginator.toArray();
+
+      expect(paginator).toBeInstanceOf(Paginator);
+      expect(result).toHaveLength(5);
+      expect(requests[0].params).toEqual({ _start: 0, _limit: 2 });
+    });
+
+    test('should let call options override the config', async () => {
+      const client = createClient({ pagination });
+
+      await client.paginate('/comments', { strategy: 'page', pageSize: 100, maxPages: 1 }).toArray();
+
+      expect(requests[0].params).toEqual({ _page: 1, _limit: 100 });
+    });
+
+    test('should reject unknown strategies', () => {
+      expect(() => httpClient.paginate('/posts', { strategy: 'scroll' })).toThrow(/Unknown pagination strategy: scroll/);
+      expect(() => httpClient.paginate('/posts', { strategy: 'constructor' })).toThrow(/Unknown pagination strategy: constructor/);
+    });
+  });
+});
\ No newline at end of file
@@ -9,6 +9,10 @@ describe('Posts API Tests', () => {
     httpClient = new HttpClient();
   });
 
+  afterAll(() => {
+    httpClient.close();
+  });
+
   // GET Tests
   describe('GET /posts', () => {
     test('should get all posts', async () => {
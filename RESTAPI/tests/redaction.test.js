@@ -0,0 +1,254 @@
+const ConsoleLogger = require('../logger/ConsoleLogger');
+const Redactor = require('../logger/Redactor');
+const RedactingLogger = require('../logger/RedactingLogger');
+const ApiKeyProvider = require('../auth/ApiKeyProvider');
+const { startMockServer } = require('../utils/test-utils');
+
+describe('Redaction Tests', () => {
+  describe('Redactor', () => {
+    let redactor;
+
+    beforeEach(() => {
+      redactor = new Redactor();
+    });
+
+    test('should mask sensitive headers in any case, keeping the auth scheme', () => {
+      const redacted = redactor.redact({
+        headers: {
+          Authorization: 'Bearer abc.def',
+          cookie: 'session=1; theme=dark',
+          'X-API-KEY': 'key-123',
+          'Content-Type': 'application/json'
+        }
+      });
+
+      expect(redacted.headers).toEqual({
+        Authorization: 'Bearer [REDACTED]',
+        cookie: '[REDACTED]',
+        'X-API-KEY': '[REDACTED]',
+        'Content-Type': 'application/json'
+      });
+    });
+
+    test('should mask default body fields at any depth', () => {
+      const redacted = redactor.redact({
+        data: { username: 'Bret', password: 'hunter2', tokens: [{ access_token: 'a', refresh_token: 'r' }] }
+      });
+
+      expect(redacted.data).toEqual({
+        username: 'Bret',
+        password: '[REDACTED]',
+        tokens: [{ access_token: '[REDACTED]', refresh_token: '[REDACTED]' }]
+      });
+    });
+
+    test('should match configured paths against the end of the key path', () => {
+      redactor = new Redactor({ paths: ['user.email', 'cards.*.number'] });
+
+      const redacted = redactor.redact({
+        data: {
+          email: 'kept@example.com',
+          user: { email: 'masked@example.com' },
+          cards: [{ number: '4111', brand: 'visa' }]
+        }
+      });
+
+      expect(redacted.data).toEqual({
+        email: 'kept@example.com',
+        user: { email: '[REDACTED]' },
+        cards: [{ number: '[REDACTED]', brand: 'visa' }]
+      });
+    });
+
+    test('should apply default and configured patterns to strings', () => {
+      redactor = new Redactor({ patterns: [/\d{3}-\d{2}-\d{4}/, { pattern: /(ssn:)\w+/i, replacement: '$1***' }] });
+
+      expect(redactor.redactString('GET /posts?api_key=abc123&userId=1')).toBe('GET /posts?api_key=[REDACTED]&userId=1');
+      expect(redactor.redactString('header was Basic dXNlcjpwYXNz')).toBe('header was Basic [REDACTED]');
+      expect(redactor.redactString('SSN 123-45-6789, ssn:abc')).toBe('SSN [REDACTED], ssn:***');
+    });
+
+    test('should redact secrets in form bodies, including a leading one', () => {
+      redactor = new Redactor();
+
+      expect(redactor.redactString('client_secret=abc&x=1')).toBe('client_secret=[REDACTED]&x=1');
+      expect(redactor.redactString('grant_type=refresh_token&refresh_token=live-token&client_id=app'))
+        .toBe('grant_type=refresh_token&refresh_token=[REDACTED]&client_id=app');
+      expect(redactor.redactString('id_token=jwt')).toBe('id_token=[REDACTED]');
+    });
+
+    test('should not modify the original value', () => {
+      const meta = { headers: { Authorization: 'Bearer secret' } };
+
+      redactor.redact(meta);
+
+      expect(meta.headers.Authorization).toBe('Bearer secret');
+    });
+
+    test('should survive circular references', () => {
+      const meta = { name: 'loop' };
+      meta.self = meta;
+
+      expect(redactor.redact(meta)).toEqual({ name: 'loop', self: '[Circular]' });
+    });
+
+    test('should redact errors without losing their class', () => {
+      const error = new TypeError('Failed GET /posts?token=abc');
+      error.code = 'E_FAIL';
+      error.config = { url: '/posts?token=abc', headers: { Authorization: 'Bearer abc' }, httpAgent: {} };
+      error.request = { socket: {} };
+
+      const redacted = redactor.redactError(error);
+
+      expect(redacted).toBeInstanceOf(TypeError);
+      expect(redacted).not.toBe(error);
+      expect(redacted.message).toBe('Failed GET /posts?token=[REDACTED]');
+      expect(redacted.stack).toContain('token=[REDACTED]');
+      expect(redacted.code).toBe('E_FAIL');
+      expect(redacted.config).toMatchObject({ url: '/posts?token=[REDACTED]', headers: { Authorization: 'Bearer [REDACTED]' } });
+      expect(redacted.config).not.toHaveProperty('httpAgent');
+      expect(redacted).not.toHaveProperty('request');
+      expect(error.message).toBe('Failed GET /posts?token=abc');
+    });
+
+    test('should use a custom replacement', () => {
+      redactor = new Redactor({ replacement: '***' });
+
+      expect(redactor.redact({ password: 'x' })).toEqual({ password: '***' });
+      expect(redactor.redactString('/login?password=x')).toBe('/login?password=***');
+    });
+
+    test('should leave values unchanged when disabled', () => {
+      redactor = new Redactor({ enabled: false });
+      const meta = { headers: { Authorization: 'Bearer secret' } };
+
+      expect(redactor.redact(meta)).toBe(meta);
+      expect(redactor.redactString('/posts?token=abc')).toBe('/posts?token=abc');
+    });
+  });
+
+  describe('RedactingLogger', () => {
+    test('should redact messages and metadata before delegating', () => {
+      const inner = new ConsoleLogger({ level: 'error' });
+      jest.spyOn(inner, 'warn');
+      jest.spyOn(inner, 'error').mockImplementation(() => {});
+      const logger = new RedactingLogger(inner);
+      const error = new Error('Boom');
+
+      logger.warn('Retrying /posts?token=abc', { headers: { Cookie: 'a=b' } });
+      logger.error('Failed', error, { password: 'x' });
+
+      expect(inner.warn).toHaveBeenCalledWith('Retrying /posts?token=[REDACTED]', { headers: { Cookie: '[REDACTED]' } });
+      expect(inner.error).toHaveBeenCalledWith('Failed', expect.any(Error), { password: '[REDACTED]' });
+      expect(inner.error.mock.calls[0][1].message).toBe('Boom');
+    });
+  });
+
+  describe('HttpClient', () => {
+    const { createClient } = startMockServer();
+    let logger;
+
+    beforeEach(() => {
+      logger = new ConsoleLogger({ level: 'debug' });
+      jest.spyOn(logger, 'debug').mockImplementation(() => {});
+      jest.spyOn(logger, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    /**
+     * Collect everything passed to the logger as one string
+     * @returns {string} Logged messages and metadata
+     */
+    function loggedOutput() {
+      return JSON.stringify([...logger.debug.mock.calls, ...logger.error.mock.calls]);
+    }
+
+    test('should redact tokens and passwords from request logs', async () => {
+      const httpClient = createClient({ headers: {} }, logger);
+      httpClient.setAuthorization('super-secret-token');
+
+      await httpClient.post('/users', { username: 'new-user', password: 'hunter2' });
+
+      expect(logger.debug).toHaveBeenCalledWith('Making POST request to /users', expect.objectContaining({
+        headers: expect.objectContaining({ Authorization: 'Bearer [REDACTED]' }),
+        data: { username: 'new-user', password: '[REDACTED]' }
+      }));
+      expect(loggedOutput()).not.toContain('super-secret-token');
+      expect(loggedOutput()).not.toContain('hunter2');
+    });
+
+    test('should redact API keys sent as query parameters from error logs', async () => {
+      const httpClient = createClient({ headers: {} }, logger);
+      httpClient.setAuthProvider(new ApiKeyProvider({ key: 'key-123', in: 'query', name: 'api_key' }));
+
+      await httpClient.get('/posts/999999?api_key=key-123').catch(() => {});
+
+      expect(logger.error).toHaveBeenCalledWith('HTTP Error: 404', expect.any(Error), expect.objectContaining({
+        url: '/posts/999999?api_key=[REDACTED]'
+      }));
+      expect(loggedOutput()).not.toContain('key-123');
+    });
+
+    test('should apply configured additions', async () => {
+      const httpClient = createClient({
+        headers: { 'X-Session-Id': 'session-1' },
+        redaction: { headers: ['X-Session-Id'], paths: ['body'] }
+      }, logger);
+
+      await httpClient.post('/posts', { title: 'Title', body: 'Private' });
+
+      expect(loggedOutput()).not.toContain('session-1');
+      expect(loggedOutput()).not.toContain('Private');
+      expect(loggedOutput()).toContain('Title');
+    });
+
+    test('should log unredacted values when redaction is disabled', async () => {
+      const httpClient = createClient({ headers: {}, redaction: { enabled: false } }, logger);
+      httpClient.setAuthorization('visible-token');
+
+      await httpClient.get('/posts/1');
+
+      expect(httpClient.logger).toBe(logger);
+      expect(loggedOutput()).toContain('visible-token');
+    });
+  });
+
+  describe('Configuration', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    /**
+     * Load a fresh copy of the config with the given environment variables
+     * @param {object} vars - Environment variables
+     * @returns {object} Redaction config
+     */
+    function loadRedactionConfig(vars) {
+      Object.assign(process.env, vars);
+      let redaction;
+      jest.isolateModules(() => {
+        redaction = require('../config/config').config.redaction;
+      });
+      return redaction;
+    }
+
+    test('should redact by default', () => {
+      delete process.env.LOG_UNREDACTED;
+      expect(loadRedactionConfig({}).enabled).toBe(true);
+    });
+
+    test('should allow unredacted logs locally but not on CI', () => {
+      delete process.env.CI;
+      expect(loadRedactionConfig({ LOG_UNREDACTED: 'true' }).enabled).toBe(false);
+      expect(loadRedactionConfig({ LOG_UNREDACTED: 'true', CI: 'true' }).enabled).toBe(true);
+      expect(loadRedactionConfig({ LOG_UNREDACTED: 'true', CI: '1' }).enabled).toBe(true);
+      expect(loadRedactionConfig({ LOG_UNREDACTED: 'true', CI: 'false' }).enabled).toBe(false);
+      expect(loadRedactionConfig({ LOG_UNREDACTED: 'true', CI: '0' }).enabled).toBe(false);
+    });
+  });
+});
\ No newline at end of file
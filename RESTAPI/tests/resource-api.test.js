@@ -0,0 +1,136 @@
+const ConsoleLogger = require('../logger/ConsoleLogger');
+const PostsApi = require('../api/PostsApi');
+const CommentsApi = require('../api/CommentsApi');
+const UsersApi = require('../api/UsersApi');
+const PostDTO = require('../dto/PostDTO');
+const CommentDTO = require('../dto/CommentDTO');
+const { UserDTO, AddressDTO } = require('../dto/UserDTO');
+const { expectResponse } = require('../assertions/FluentAssertions');
+const { startMockServer } = require('../utils/test-utils');
+
+describe('Resource API Tests', () => {
+  const { createClient } = startMockServer();
+  let posts;
+  let comments;
+  let users;
+
+  beforeAll(() => {
+    const httpClient = createClient({ headers: { 'Content-Type': 'application/json' } }, new ConsoleLogger({ level: 'warn' }));
+
+    posts = new PostsApi(httpClient);
+    comments = new CommentsApi(httpClient);
+    users = new UsersApi(httpClient);
+  });
+
+  describe('PostsApi', () => {
+    test('should list posts as PostDTO instances', async () => {
+      const { data, response } = await posts.list({ userId: 1 });
+
+      expectResponse(response).toHaveStatus(200);
+      expect(data).toHaveLength(10);
+      data.forEach(post => {
+        expect(post).toBeInstanceOf(PostDTO);
+        expect(post.userId).toBe(1);
+      });
+    });
+
+    test('should list posts matching any of several filter values', async () => {
+      const { data } = await posts.list({ userId: [1, 2] });
+
+      expect(data).toHaveLength(20);
+    });
+
+    test('should get a post by ID', async () => {
+      const { data } = await posts.get(1);
+
+      expect(data).toBeInstanceOf(PostDTO);
+      expect(data.id).toBe(1);
+      expect(data.validate().isValid).toBe(true);
+    });
+
+    test('should create, replace, patch and delete a post', async () => {
+      const { data: created, response } = await posts.create(new PostDTO(null, 1, 'Created', 'Body'));
+      expectResponse(response).toHaveStatus(201);
+      expect(created).toEqual(new PostDTO(101, 1, 'Created', 'Body'));
+
+      const { data: replaced } = await posts.replace(created.id, created.copy({ title: 'Replaced' }));
+      expect(replaced.title).toBe('Replaced');
+
+      const { data: patched } = await posts.patch(created.id, { body: 'Patched' });
+      expect(patched).toEqual(new PostDTO(101, 1, 'Replaced', 'Patched'));
+
+      const { data: deleted, response: deleteResponse } = await posts.delete(created.id);
+      expect(deleted).toBeNull();
+      expectResponse(deleteResponse).toHaveStatus(200);
+    });
+
+    test('should accept plain objects as request bodies', async () => {
+      const { data } = await posts.create({ userId: 2, title: 'Plain', body: 'Object' });
+
+      expect(data).toBeInstanceOf(PostDTO);
+      expect(data.userId).toBe(2);
+    });
+
+    test('should send DTOs given to patch as JSON', async () => {
+      const patch = jest.spyOn(posts.httpClient, 'patch');
+
+      try {
+        const { data } = await posts.patch(1, new PostDTO(null, 1, 'Patched', 'Body'));
+
+        expect(patch).toHaveBeenCalledWith('/posts/1', { userId: 1, title: 'Patched', body: 'Body' }, {});
+        expect(data).toEqual(new PostDTO(1, 1, 'Patched', 'Body'));
+      } finally {
+        patch.mockRestore();
+      }
+    });
+
+    test('should list the comments of a post', async () => {
+      const { data } = await posts.comments(1);
+
+      expect(data).toHaveLength(5);
+      data.forEach(comment => {
+        expect(comment).toBeInstanceOf(CommentDTO);
+        expect(comment.postId).toBe(1);
+      });
+    });
+  });
+
+  describe('CommentsApi', () => {
+    test('should list comments for a post', async () => {
+      const { data } = await comments.forPost(2);
+
+      expect(data.map(comment => comment.postId)).toEqual([2, 2, 2, 2, 2]);
+    });
+
+    test('should create a comment from a CommentDTO', async () => {
+      const comment = new CommentDTO(null, 1, 'Commenter', 'commenter@example.com', 'Nice post');
+
+      const { data } = await comments.create(comment);
+
+      expect(data).toEqual(comment.copy({ id: 501 }));
+    });
+  });
+
+  describe('UsersApi', () => {
+    test('should hydrate nested user objects', async () => {
+      const { data } = await users.get(1);
+
+      expect(data).toBeInstanceOf(UserDTO);
+      expect(data.address).toBeInstanceOf(AddressDTO);
+      expect(data.username).toBe('Bret');
+    });
+
+    test('should list the posts of a user', async () => {
+      const { data } = await users.posts(3, { _limit: 2 });
+
+      expect(data).toHaveLength(2);
+      data.forEach(post => expect(post.userId).toBe(3));
+    });
+  });
+
+  test('should reject with the HTTP error for missing items', async () => {
+    jest.spyOn(posts.httpClient.logger, 'error').mockImplementation(() => {});
+
+    await expect(posts.get(999999)).rejects.toMatchObject({ response: { status: 404 } });
+  });
+});
\ No newline at end of file
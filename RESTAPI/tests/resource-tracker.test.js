@@ -0,0 +1,260 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ResourceTracker = require('../http/ResourceTracker');
+const CapturingLogger = require('../logger/CapturingLogger');
+const PostsApi = require('../api/PostsApi');
+const PostDTO = require('../dto/PostDTO');
+const { cleanupTestData, useResourceTracker, startMockServer } = require('../utils/test-utils');
+const { readLeaks, formatLeaks } = require('../utils/leak-report');
+
+describe('Resource Tracker Tests', () => {
+  const { server, createClient: createMockClient } = startMockServer();
+  let baseUrl;
+  let logger;
+  let httpClient;
+  let tracker;
+
+  beforeAll(() => {
+    baseUrl = server.url;
+  });
+
+  /**
+   * Create a client for the mock server
+   * @returns {HttpClient} Client logging to the test's CapturingLogger
+   */
+  function createClient() {
+    return createMockClient({ headers: { 'Content-Type': 'application/json' } }, logger);
+  }
+
+  /**
+   * Record the method and URL of every request sent through a client
+   * @param {HttpClient} client - Client to observe
+   * @returns {string[]} Requests such as 'DELETE /posts/101', filled in as they are sent
+   */
+  function recordRequests(client) {
+    const requests = [];
+    client.use(async (ctx, next) => {
+      requests.push(`${ctx.request.method} ${ctx.request.url.replace(baseUrl, '')}`);
+      return next();
+    });
+    return requests;
+  }
+
+  /**
+   * Fail requests matching a method and URL prefix with an HTTP error
+   * @param {HttpClient} client - Client to fail requests of
+   * @param {string} method - HTTP method
+   * @param {string} prefix - URL prefix, relative to the base URL
+   * @param {number} status - Status code of the error
+   * @param {number} times - Number of requests to fail (default: all)
+   */
+  function failRequests(client, method, prefix, status, times = Infinity) {
+    let failures = 0;
+    client.use(async (ctx, next) => {
+      if (ctx.request.method === method && ctx.request.url.replace(baseUrl, '').startsWith(prefix) && failures < times) {
+        failures++;
+        const error = new Error(`Request failed with status code ${status}`);
+        error.isAxiosError = true;
+        error.response = { status, data: {}, headers: {}, config: ctx.request };
+        throw error;
+      }
+      return next();
+    });
+  }
+
+  beforeEach(() => {
+    logger = new CapturingLogger();
+    httpClient = createClient();
+    tracker = httpClient.trackResources(new ResourceTracker({ retry: { delay: 0 } }));
+  });
+
+  describe('Tracking', () => {
+    test('should wrap the retry middleware', () => {
+      expect(httpClient.getMiddleware()).toEqual(['tracking', 'retry', 'logging']);
+      expect(httpClient.resourceTracker).toBe(tracker);
+    });
+
+    test('should record successful POSTs with their location', async () => {
+      const { data } = await new PostsApi(httpClient).create(new PostDTO(null, 1, 'Title', 'Body'));
+
+      expect(tracker.resources).toHaveLength(1);
+      expect(tracker.resources[0]).toMatchObject({
+        type: 'posts',
+        url: `${baseUrl}/posts/${data.id}`,
+        id: data.id,
+        client: httpClient,
+        createdBy: 'POST /posts'
+      });
+    });
+
+    test('should use the collection name of nested routes as the type', async () => {
+      await httpClient.post('/posts/1/comments', { name: 'Name', email: 'a@b.co', body: 'Body' });
+
+      expect(tracker.resources[0].type).toBe('comments');
+    });
+
+    test('should fall back to the id in the response body', async () => {
+      httpClient.use(async () => ({ status: 201, data: { id: 7 }, headers: {}, config: {} }));
+      await httpClient.post('/posts?draft=true', {});
+
+      expect(tracker.resources[0].url).toBe(`${baseUrl}/posts/7`);
+    });
+
+    test('should ignore other methods, failed requests, opted-out requests and unlocatable responses', async () => {
+      await httpClient.get('/posts/1');
+      await httpClient.put('/posts/1', { title: 'Title' });
+      await httpClient.post('/posts', {}, { track: false });
+      await httpClient.post('/nothing', {}, { throwHttpErrors: false });
+      await httpClient.post('/__admin/reset', null, { throwHttpErrors: false });
+
+      expect(tracker.resources).toEqual([]);
+    });
+
+    test('should stop tracking when the tracker is removed', async () => {
+      httpClient.trackResources(null);
+      await httpClient.post('/posts', {});
+
+      expect(httpClient.getMiddleware()).toEqual(['retry', 'logging']);
+      expect(tracker.resources).toEqual([]);
+    });
+  });
+
+  describe('Cleanup', () => {
+    test('should delete resources in reverse creation order', async () => {
+      const first = await httpClient.post('/posts', { title: 'First' });
+      const second = await httpClient.post(`/posts/${first.data.id}/comments`, { body: 'Second' });
+      const requests = recordRequests(httpClient);
+
+      const leaks = await tracker.cleanup();
+
+      expect(leaks).toEqual([]);
+      expect(requests).toEqual([`DELETE /comments/${second.data.id}`, `DELETE /posts/${first.data.id}`]);
+      expect(server.db.posts.find(post => post.id === first.data.id)).toBeUndefined();
+      expect(tracker.resources).toEqual([]);
+    });
+
+    test('should delete each resource through the client that created it', async () => {
+      const other = createClient();
+      other.trackResources(tracker);
+      await httpClient.post('/posts', {});
+      await other.post('/posts', {});
+      const requests = recordRequests(other);
+
+      await tracker.cleanup();
+
+      expect(requests).toHaveLength(1);
+    });
+
+    test('should retry failed deletes', async () => {
+      await httpClient.post('/posts', {});
+      failRequests(httpClient, 'DELETE', '/posts/', 503, 2);
+
+      expect(await tracker.cleanup()).toEqual([]);
+      expect(server.db.posts).toHaveLength(100);
+    });
+
+    test('should count resources that are already gone as deleted', async () => {
+      await httpClient.post('/posts', {});
+      failRequests(httpClient, 'DELETE', '/posts/', 404);
+
+      expect(await tracker.cleanup()).toEqual([]);
+    });
+
+    test('should report resources that could not be deleted', async () => {
+      const { data } = await httpClient.post('/posts', {});
+      await httpClient.post('/posts', {});
+      failRequests(httpClient, 'DELETE', `/posts/${data.id}`, 500);
+
+      const leaks = await tracker.cleanup();
+
+      expect(leaks).toEqual([{
+        type: 'posts',
+        url: `${baseUrl}/posts/${data.id}`,
+        id: data.id,
+        createdBy: 'POST /posts',
+        status: 500,
+        error: 'Request failed with status code 500'
+      }]);
+      expect(tracker.leaks).toEqual(leaks);
+      expect(server.db.posts).toHaveLength(101);
+      expect(logger.getRecords().find(record => record.level === 'warn' && record.message === `Could not delete ${baseUrl}/posts/${data.id}`)).toBeDefined();
+    });
+
+    test('should not retry client errors', async () => {
+      await httpClient.post('/posts', {});
+      const requests = recordRequests(httpClient);
+      failRequests(httpClient, 'DELETE', '/posts/', 403);
+
+      const leaks = await tracker.cleanup();
+
+      expect(leaks[0].status).toBe(403);
+      expect(requests).toHaveLength(1);
+    });
+
+    test('should use custom teardown per resource type', async () => {
+      const { data } = await httpClient.post('/users', { name: 'Temporary' });
+      const teardown = jest.fn((resource, client) => client.patch(`/users/${resource.id}`, { active: false }));
+      tracker.setTeardown('users', teardown);
+
+      await tracker.cleanup();
+
+      expect(teardown).toHaveBeenCalledWith(expect.objectContaining({ type: 'users', id: data.id }), httpClient);
+      expect(server.db.users.find(user => user.id === data.id).active).toBe(false);
+    });
+  });
+
+  describe('Test helpers', () => {
+    test('should clean up through cleanupTestData', async () => {
+      await httpClient.post('/posts', {});
+
+      expect(await cleanupTestData(httpClient)).toEqual([]);
+      expect(await cleanupTestData(tracker)).toEqual([]);
+      expect(await cleanupTestData(createClient())).toEqual([]);
+      expect(server.db.posts).toHaveLength(100);
+    });
+
+    test('should still accept an array of created IDs', async () => {
+      await expect(cleanupTestData([101, 102])).resolves.toEqual([]);
+      await expect(cleanupTestData()).resolves.toEqual([]);
+    });
+
+    test('should add leaks to the run report', async () => {
+      const runDir = process.env.RESOURCE_LEAK_DIR;
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'leak-test-'));
+      process.env.RESOURCE_LEAK_DIR = dir;
+
+      try {
+        const { data } = await httpClient.post('/posts', {});
+        failRequests(httpClient, 'DELETE', '/posts/', 500);
+        await cleanupTestData(httpClient);
+
+        const leaks = readLeaks(dir);
+        expect(leaks).toEqual([expect.objectContaining({ id: data.id, source: path.join('tests', 'resource-tracker.test.js') })]);
+        expect(formatLeaks(leaks)).toBe(
+          `1 resource(s) could not be deleted after the tests:\n  - ${baseUrl}/posts/${data.id} (created by POST /posts in ${path.join('tests', 'resource-tracker.test.js')}): Request failed with status code 500`
+        );
+      } finally {
+        process.env.RESOURCE_LEAK_DIR = runDir;
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    describe('useResourceTracker', () => {
+      const suiteTracker = useResourceTracker({ retry: { delay: 0 } });
+      let created;
+
+      test('should track resources created in a test', async () => {
+        httpClient.trackResources(suiteTracker);
+        created = (await httpClient.post('/posts', { title: 'Temporary' })).data;
+
+        expect(suiteTracker.resources).toHaveLength(1);
+      });
+
+      test('should have deleted them after the test', () => {
+        expect(suiteTracker.resources).toEqual([]);
+        expect(server.db.posts.find(post => post.id === created.id)).toBeUndefined();
+      });
+    });
+  });
+});
\ No newline at end of file
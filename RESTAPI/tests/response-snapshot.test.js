@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expectResponse } = require('../assertions/FluentAssertions');
+const { normalizeResponse, diffSnapshots, matchResponseSnapshot } = require('../utils/response-snapshot');
+const { startMockServer } = require('../utils/test-utils');
+
+describe('Response Snapshot Tests', () => {
+  const post = {
+    status: 201,
+    headers: { 'content-type': 'application/json; charset=utf-8', date: 'Sun, 18 Oct 2026 10:00:00 GMT', 'x-powered-by': 'mock' },
+    data: { id: 101, userId: 1, title: 'Title', tags: [{ id: 7, label: 'news' }] }
+  };
+
+  describe('Normalization', () => {
+    test('should keep the status, selected headers and body', () => {
+      expect(normalizeResponse(post)).toEqual({
+        status: 201,
+        headers: { 'content-type': 'application/json; charset=utf-8' },
+        body: post.data
+      });
+      expect(normalizeResponse(post, { headers: ['X-Powered-By'] }).headers).toEqual({ 'x-powered-by': 'mock' });
+    });
+
+    test('should mask ignored paths with type placeholders', () => {
+      const snapshot = normalizeResponse(post, { ignore: ['$.id', '$.tags[*].id', 'headers.date'] });
+
+      expect(snapshot.headers).toEqual({ 'content-type': 'application/json; charset=utf-8', date: '<string>' });
+      expect(snapshot.body).toEqual({ id: '<number>', userId: 1, title: 'Title', tags: [{ id: '<number>', label: 'news' }] });
+      expect(post.data.id).toBe(101);
+    });
+
+    test('should mask with a fixed placeholder', () => {
+      expect(normalizeResponse(post, { ignore: ['title'], placeholder: '[MASKED]' }).body.title).toBe('[MASKED]');
+    });
+  });
+
+  describe('Diff', () => {
+    test('should list changed, added and removed values by path', () => {
+      const stored = { status: 200, body: { id: 1, title: 'Old', tags: ['a', 'b'], author: { name: 'Ada' } } };
+      const current = { status: 200, body: { title: 'New', id: 1, tags: ['a'], author: { name: 'Ada', email: 'a@b.co' } } };
+
+      expect(diffSnapshots(stored, current)).toEqual([
+        'changed $.body.title: "Old" -> "New"',
+        'removed $.body.tags[1]: "b"',
+        'added $.body.author.email: "a@b.co"'
+      ]);
+      expect(diffSnapshots({ body: { id: 1 } }, { body: [1] })).toEqual(['changed $.body: {"id":1} -> [1]']);
+      expect(diffSnapshots(stored, JSON.parse(JSON.stringify(stored)))).toEqual([]);
+    });
+  });
+
+  describe('Storage', () => {
+    const updateMode = global.snapshotUpdateMode;
+    let dir;
+    let file;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-snapshot-'));
+      file = path.join(dir, 'posts.test.js.responses.json');
+      global.snapshotUpdateMode = 'new';
+    });
+
+    afterEach(() => {
+      global.snapshotUpdateMode = updateMode;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should write new snapshots, numbered per test', () => {
+      expect(matchResponseSnapshot(post, { file }).result).toBe('written');
+      expect(matchResponseSnapshot(post, { file, name: 'created' }).result).toBe('written');
+
+      const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const testName = 'Response Snapshot Tests Storage should write new snapshots, numbered per test';
+      expect(Object.keys(stored)).toEqual([`${testName} 1`, `${testName}: created`]);
+      expect(stored[`${testName} 1`].body.title).toBe('Title');
+    });
+
+    test('should fail with a structural diff', () => {
+      matchResponseSnapshot(post, { file, name: 'post', ignore: ['$.id'] });
+      const recreated = { ...post, data: { ...post.data, id: 102 } };
+      const changed = { ...post, data: { ...post.data, id: 102, title: 'Changed' } };
+
+      expect(matchResponseSnapshot(recreated, { file, name: 'post', ignore: ['$.id'] }).result).toBe('matched');
+      expect(() => expectResponse(changed).toMatchResponseSnapshot({ file, name: 'post' })).toThrow([
+        `Response does not match snapshot "Response Snapshot Tests Storage should fail with a structural diff: post" in ${path.relative(process.cwd(), file)} (2 difference(s)):`,
+        '  changed $.body.id: "<number>" -> 102',
+        '  changed $.body.title: "Title" -> "Changed"',
+        'Run Jest with -u to update the snapshot if the change is intended.'
+      ].join('\n'));
+    });
+
+    test('should overwrite mismatching snapshots with -u', () => {
+      matchResponseSnapshot(post, { file, name: 'post' });
+      global.snapshotUpdateMode = 'all';
+
+      const changed = { ...post, status: 200 };
+      expect(matchResponseSnapshot(changed, { file, name: 'post' }).result).toBe('updated');
+      global.snapshotUpdateMode = 'new';
+      expect(matchResponseSnapshot(changed, { file, name: 'post' }).result).toBe('matched');
+    });
+
+    test('should not write snapshots with --ci', () => {
+      global.snapshotUpdateMode = 'none';
+
+      expect(() => expectResponse(post).toMatchResponseSnapshot({ file }))
+        .toThrow('New snapshots are not written with --ci; run Jest without it to write them.');
+      expect(fs.existsSync(file)).toBe(false);
+    });
+  });
+
+  describe('Endpoints', () => {
+    const { createClient } = startMockServer();
+    let httpClient;
+
+    beforeAll(() => {
+      httpClient = createClient();
+    });
+
+    test('should match the posts endpoints', async () => {
+      expectResponse(await httpClient.get('/posts/1')).toMatchResponseSnapshot();
+      expectResponse(await httpClient.get('/posts', { params: { userId: 1 } })).toMatchResponseSnapshot({ ignore: ['$[*].body'] });
+      expectResponse(await httpClient.post('/posts', { userId: 1, title: 'Title', body: 'Body' }))
+        .toMatchResponseSnapshot({ ignore: ['$.id', 'headers.location', 'headers.date'] });
+    });
+
+    test('should match the comments endpoints', async () => {
+      expectResponse(await httpClient.get('/posts/1/comments')).toMatchResponseSnapshot({ ignore: ['$[*].body'] });
+    });
+
+    test('should match the users endpoints', async () => {
+      expectResponse(await httpClient.get('/users/1')).toMatchResponseSnapshot();
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,147 @@
+const http = require('http');
+const HttpClient = require('../http/HttpClient');
+const RetryPolicy = require('../http/RetryPolicy');
+const ConsoleLogger = require('../logger/ConsoleLogger');
+const { expectResponse } = require('../assertions/FluentAssertions');
+
+describe('HttpClient Retry Tests', () => {
+  let server;
+  let baseUrl;
+  let responses;
+  let requestCount;
+  let logger;
+  const clients = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requestCount++;
+      const next = responses.shift() || { status: 200, body: { ok: true } };
+      res.writeHead(next.status, { 'Content-Type': 'application/json', ...next.headers });
+      res.end(JSON.stringify(next.body || {}));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    responses = [];
+    requestCount = 0;
+    logger = new ConsoleLogger({ level: 'error' });
+    jest.spyOn(logger, 'warn');
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    clients.splice(0).forEach(client => client.close());
+  });
+
+  function createClient(retry = { attempts: 3, delay: 10, jitter: 0 }) {
+    const client = new HttpClient({ baseUrl, timeout: 2000, headers: {}, retry }, logger);
+    clients.push(client);
+    return client;
+  }
+
+  describe('Retryable failures', () => {
+    test('should retry GET on 5xx responses until it succeeds', async () => {
+      responses = [{ status: 503 }, { status: 500 }, { status: 200, body: { id: 1 } }];
+
+      const response = await createClient().get('/posts/1');
+
+      expectResponse(response)
+        .toHaveStatus(200)
+        .toContain({ id: 1 });
+      expect(requestCount).toBe(3);
+      expect(logger.warn).toHaveBeenCalledTimes(2);
+    });
+
+    test('should retry on 429 and honor the Retry-After header', async () => {
+      responses = [{ status: 429, headers: { 'Retry-After': '0' } }, { status: 200 }];
+
+      const response = await createClient({ attempts: 2, delay: 5000 }).get('/posts');
+
+      expectResponse(response).toHaveStatus(200);
+      expect(requestCount).toBe(2);
+      expect(logger.warn.mock.calls[0][1]).toMatchObject({ attempt: 2, maxAttempts: 2, status: 429 });
+    });
+
+    test('should give up after the configured number of attempts', async () => {
+      responses = [{ status: 502 }, { status: 502 }, { status: 502 }];
+
+      await expect(createClient().get('/posts')).rejects.toMatchObject({
+        response: { status: 502 }
+      });
+      expect(requestCount).toBe(3);
+    });
+  });
+
+  describe('Non-retryable failures', () => {
+    test('should not retry POST requests', async () => {
+      responses = [{ status: 503 }];
+
+      await expect(createClient().post('/posts', { title: 'x' })).rejects.toMatchObject({
+        response: { status: 503 }
+      });
+      expect(requestCount).toBe(1);
+    });
+
+    test('should not retry 4xx responses other than 429', async () => {
+      responses = [{ status: 404 }];
+
+      await expect(createClient().get('/posts/999')).rejects.toMatchObject({
+        response: { status: 404 }
+      });
+      expect(requestCount).toBe(1);
+    });
+
+    test('should allow disabling retries per request', async () => {
+      responses = [{ status: 500 }];
+
+      await expect(createClient().get('/posts', { retry: false })).rejects.toMatchObject({
+        response: { status: 500 }
+      });
+      expect(requestCount).toBe(1);
+    });
+
+    test('should allow enabling retries for other methods per request', async () => {
+      responses = [{ status: 503 }, { status: 201 }];
+
+      const response = await createClient().post('/posts', {}, { retry: { methods: ['post'] } });
+
+      expectResponse(response).toHaveStatus(201);
+      expect(requestCount).toBe(2);
+    });
+  });
+
+  describe('RetryPolicy backoff', () => {
+    test('should grow the delay exponentially up to maxDelay', () => {
+      const policy = new RetryPolicy({ attempts: 5, delay: 100, factor: 2, maxDelay: 300, jitter: 0 });
+
+      expect([1, 2, 3, 4].map(attempt => policy.getDelay(attempt))).toEqual([100, 200, 300, 300]);
+    });
+
+    test('should keep jittered delays within the jitter range', () => {
+      const policy = new RetryPolicy({ attempts: 3, delay: 1000, jitter: 0.5 });
+
+      for (let i = 0; i < 20; i++) {
+        const delayMs = policy.getDelay(1);
+        expect(delayMs).toBeGreaterThanOrEqual(500);
+        expect(delayMs).toBeLessThanOrEqual(1000);
+      }
+    });
+
+    test('should parse Retry-After given as an HTTP date', () => {
+      const policy = new RetryPolicy({ attempts: 2, maxDelay: 60000 });
+      const retryAt = new Date(Date.now() + 5000).toUTCString();
+
+      const delayMs = policy.getDelay(1, { headers: { 'retry-after': retryAt } });
+
+      expect(delayMs).toBeGreaterThan(3000);
+      expect(delayMs).toBeLessThanOrEqual(5000);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,10 @@
+/**
+ * Jest setup file that runs expectError chains the test forgot to await
+ * Without await a chain resolves after the test has passed; its failures fail the test here instead
+ */
+
+const { verifyErrorAssertions } = require('../../assertions/ErrorAssertions');
+
+afterEach(async () => {
+  await verifyErrorAssertions();
+});
\ No newline at end of file
@@ -0,0 +1,10 @@
+/**
+ * Jest setup file that reseeds the test data factories for every test
+ * A test's generated data depends only on FACTORY_SEED and its name, not on the tests run before it
+ */
+
+const Factory = require('../../factories/Factory');
+
+beforeEach(() => {
+  Factory.reseed(expect.getState().currentTestName);
+});
\ No newline at end of file
@@ -0,0 +1,11 @@
+/**
+ * Fixes the factory seed for the whole run (called by the Jest global setup)
+ * Test files run in separate module registries (and possibly workers), so the seed is picked once
+ * here and handed to all of them through FACTORY_SEED. Set FACTORY_SEED to reproduce a run.
+ */
+
+const Factory = require('../../factories/Factory');
+
+module.exports = async () => {
+  process.env.FACTORY_SEED = String(Factory.getSeed());
+};
\ No newline at end of file
@@ -0,0 +1,14 @@
+/**
+ * Jest global setup
+ * Picks the factory seed and prepares the directory collecting leaked resources
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pickFactorySeed = require('./factory-seed');
+
+module.exports = async () => {
+  await pickFactorySeed();
+  process.env.RESOURCE_LEAK_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'resource-leaks-'));
+};
\ No newline at end of file
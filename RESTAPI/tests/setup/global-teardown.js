@@ -0,0 +1,20 @@
+/**
+ * Jest global teardown
+ * Reports the resources that test files could not delete, then removes the leak directory
+ */
+
+const fs = require('fs');
+const { readLeaks, formatLeaks } = require('../../utils/leak-report');
+
+module.exports = async () => {
+  const dir = process.env.RESOURCE_LEAK_DIR;
+  if (!dir) {
+    return;
+  }
+
+  const leaks = readLeaks(dir);
+  if (leaks.length > 0) {
+    console.warn(`\n${formatLeaks(leaks)}\n`);
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+};
\ No newline at end of file
@@ -0,0 +1,96 @@
+/**
+ * Jest test environment that captures log records per test
+ * Exposes a CapturingLogger as global.logCapture, which the default HttpClient logger writes to.
+ * Records are discarded when a test passes. When it fails, they are attached to the test as an
+ * extra failure, so they appear in the console report and in jest-junit's <failure> output.
+ * Set LOG_CAPTURE=false to print logs live instead.
+ * Failed tests that built data with the factories also report the seed, whether or not logs are captured.
+ * The snapshot update mode (-u, --ci) is exposed as global.snapshotUpdateMode for response snapshots.
+ */
+
+const { TestEnvironment } = require('jest-environment-node');
+const CapturingLogger = require('../../logger/CapturingLogger');
+
+class LogCaptureEnvironment extends TestEnvironment {
+  /**
+   * Create the environment
+   * @param {object} config - Jest project and global config
+   * @param {object} context - Jest environment context
+   */
+  constructor(config, context) {
+    super(config, context);
+
+    this.global.snapshotUpdateMode = config.globalConfig.updateSnapshot;
+
+    if (process.env.LOG_CAPTURE !== 'false') {
+      this.capture = new CapturingLogger();
+      this.global.logCapture = this.capture;
+    }
+  }
+
+  /**
+   * Reset the capture for every test and report it for failures
+   * @param {object} event - jest-circus event
+   */
+  async handleTestEvent(event) {
+    if (event.name === 'test_done' && event.test.errors.length > 0 && this.global.factorySeed !== undefined) {
+      event.test.errors.push(createSeedReport(this.global.factorySeed));
+    }
+
+    if (!this.capture) {
+      return;
+    }
+
+    if (event.name === 'test_start') {
+      this.capture.clear();
+    }
+
+    if (event.name === 'test_done') {
+      if (event.test.errors.length > 0 && this.capture.getRecords().length > 0) {
+        event.test.errors.push(createLogReport(getTestName(event.test), this.capture));
+      }
+      this.capture.clear();
+    }
+  }
+}
+
+/**
+ * Build the full name of a test from its describe blocks
+ * @param {object} test - jest-circus test entry
+ * @returns {string} Full test name
+ */
+function getTestName(test) {
+  const names = [];
+  for (let block = test; block && block.parent; block = block.parent) {
+    names.unshift(block.name);
+  }
+  return names.join(' › ');
+}
+
+/**
+ * Wrap captured records in an error that Jest reports like a failure
+ * @param {string} testName - Full test name
+ * @param {CapturingLogger} capture - Capture holding the test's records
+ * @returns {Error} Error whose message lists the records
+ */
+function createLogReport(testName, capture) {
+  const report = new Error(`Captured logs for "${testName}":\n${capture.format()}`);
+  report.name = 'CapturedLogs';
+  // No stack frames: the records are the useful part
+  report.stack = `${report.name}: ${report.message}`;
+  return report;
+}
+
+/**
+ * Wrap the factory seed in an error that Jest reports like a failure
+ * @param {number} seed - Seed the test data was generated with
+ * @returns {Error} Error whose message tells how to reproduce the data
+ */
+function createSeedReport(seed) {
+  const report = new Error(`Test data was generated with FACTORY_SEED=${seed}. Set it to reproduce this run.`);
+  report.name = 'FactorySeed';
+  report.stack = `${report.name}: ${report.message}`;
+  return report;
+}
+
+module.exports = LogCaptureEnvironment;
\ No newline at end of file
@@ -0,0 +1,25 @@
+/**
+ * Jest setup file for the local environment
+ * Starts a fresh mock server for every test file, so each suite sees the seed data
+ * and nothing it creates leaks into other suites
+ */
+
+const MockServer = require('../../server/MockServer');
+const { getEnvironmentConfig, getCurrentEnvironment } = require('../../config/config');
+
+const envConfig = getEnvironmentConfig(getCurrentEnvironment());
+
+if (envConfig.mockServer) {
+  const server = new MockServer(envConfig.mockServer);
+
+  beforeAll(async () => {
+    process.env.MOCK_SERVER_URL = await server.start();
+    global.mockServer = server;
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    delete process.env.MOCK_SERVER_URL;
+    delete global.mockServer;
+  });
+}
\ No newline at end of file
@@ -0,0 +1,10 @@
+/**
+ * Jest setup file that reports soft assertion chains left without assertAll()
+ * Failures collected by expectResponse(response).soft() fail the test even if the chain is never asserted
+ */
+
+const { verifySoftAssertions } = require('../../assertions/FluentAssertions');
+
+afterEach(() => {
+  verifySoftAssertions();
+});
\ No newline at end of file
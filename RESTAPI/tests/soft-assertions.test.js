@@ -0,0 +1,149 @@
+const { expectResponse, softly, verifySoftAssertions } = require('../assertions/FluentAssertions');
+const { startMockServer } = require('../utils/test-utils');
+
+describe('Soft Assertion Tests', () => {
+  const { server, createClient } = startMockServer();
+  let baseUrl;
+  let httpClient;
+
+  beforeAll(() => {
+    baseUrl = server.url;
+    httpClient = createClient();
+  });
+
+  describe('soft()', () => {
+    test('should report every failure of the chain at once', async () => {
+      const response = await httpClient.get('/users/1');
+      const chain = expectResponse(response)
+        .soft()
+        .toHaveStatus(201)
+        .toHaveValueAt('$.address.geo.lat', '0')
+        .toHaveProperty('id')
+        .toHaveTypeAt('$.id', 'string');
+
+      expect(() => chain.assertAll()).toThrow([
+        '3 of 4 soft assertion(s) failed:',
+        '',
+        `GET ${baseUrl}/users/1 -> 200`,
+        '  1) toHaveStatus(201)',
+        '     Expected status 201, but got 200: expected 200 to equal 201',
+        '     expected: 201',
+        '     actual:   200',
+        '  2) toHaveValueAt("$.address.geo.lat", "0")',
+        '     Expected $.address.geo.lat to equal "0", but it was "-37.3159"',
+        '  3) toHaveTypeAt("$.id", "string")',
+        '     Expected $.id to be a string, but it was a number (1)'
+      ].join('\n'));
+    });
+
+    test('should attach the failures to the error', async () => {
+      const response = await httpClient.get('/posts', { params: { userId: 1 } });
+
+      try {
+        expectResponse(response).soft().toHaveLength(3).everyItem({ userId: 1 }).assertAll();
+        throw new Error('assertAll() did not throw');
+      } catch (error) {
+        expect(error.name).toBe('AssertionError');
+        expect(error.failures).toEqual([{
+          assertion: 'toHaveLength(3)',
+          message: expect.stringContaining('to have a length of 3 but got 10'),
+          expected: 3,
+          actual: 10,
+          request: `GET ${baseUrl}/posts?userId=1 -> 200`
+        }]);
+      }
+    });
+
+    test('should pass when every assertion passes', async () => {
+      const chain = expectResponse(await httpClient.get('/posts/1')).soft().toHaveStatus(200).toHaveValueAt('id', 1);
+
+      expect(chain.assertAll()).toBe(chain);
+    });
+
+    test('should still throw errors that are not assertion failures', () => {
+      const chain = expectResponse({ status: 200, data: { id: 1 } }).soft();
+
+      expect(() => chain.toHaveTypeAt('$.id', 'float')).toThrow('Unknown type: float');
+      expect(() => chain.assertAll()).not.toThrow();
+    });
+
+    test('should report chains that were never asserted', () => {
+      expectResponse({ status: 500, data: null }).soft().toHaveStatus(200);
+
+      expect(() => verifySoftAssertions()).toThrow(/^1 of 1 soft assertion\(s\) failed:\n\nUnknown request -> 500\n {2}1\) toHaveStatus\(200\)/);
+      expect(() => verifySoftAssertions()).not.toThrow();
+    });
+
+    test('should redact secrets in the reported request', () => {
+      const response = {
+        status: 200,
+        config: { method: 'get', baseURL: baseUrl, url: '/posts', params: { userId: 1, apiKey: 'secret-key' } }
+      };
+      const chain = expectResponse(response).soft().toHaveStatus(201);
+
+      expect(() => chain.assertAll()).toThrow(`GET ${baseUrl}/posts?userId=1&apiKey=[REDACTED] -> 200`);
+    });
+  });
+
+  describe('softly()', () => {
+    test('should collect the failures of every chain in the block', async () => {
+      const post = await httpClient.get('/posts/1');
+      const user = await httpClient.get('/users/1');
+
+      expect(() => softly(() => {
+        expectResponse(post).toHaveStatus(200).toHaveValueAt('userId', 2);
+        expectResponse(user).toHaveValueAt('name', expect.stringContaining('Ervin')).toBeArray();
+      })).toThrow(new RegExp([
+        '^3 of 4 soft assertion\\(s\\) failed:',
+        '',
+        `GET ${baseUrl}/posts/1 -> 200`,
+        ' {2}1\\) toHaveValueAt\\("userId", 2\\)',
+        '.*',
+        `GET ${baseUrl}/users/1 -> 200`,
+        ' {2}2\\) toHaveValueAt\\("name", StringContaining "Ervin"\\)',
+        '.*',
+        ' {2}3\\) toBeArray\\(\\)'
+      ].join('\n'), 's'));
+    });
+
+    test('should await async blocks and return their result', async () => {
+      const result = await softly(async () => {
+        expectResponse(await httpClient.get('/posts/2')).toHaveStatus(200).toHaveValueAt('id', 2);
+        return 'done';
+      });
+      expect(result).toBe('done');
+
+      await expect(softly(async () => {
+        expectResponse(await httpClient.get('/posts/2')).toHaveStatus(404).toHaveValueAt('id', 3);
+      })).rejects.toThrow('2 of 2 soft assertion(s) failed');
+    });
+
+    test('should keep the collected failures when the block throws', async () => {
+      const post = await httpClient.get('/posts/1');
+
+      let thrown;
+      try {
+        softly(() => {
+          expectResponse(post).toHaveStatus(404);
+          throw new Error('Setup failed');
+        });
+      } catch (error) {
+        thrown = error;
+      }
+      expect(thrown.message).toMatch(/^Setup failed\n\n1 of 1 soft assertion\(s\) failed:/);
+      expect(thrown.softFailures).toEqual([expect.objectContaining({ assertion: 'toHaveStatus(404)' })]);
+
+      await expect(softly(async () => {
+        expectResponse(post).toHaveValueAt('id', 2);
+        throw new Error('Async setup failed');
+      })).rejects.toThrow(/^Async setup failed\n\n1 of 1 soft assertion\(s\) failed:/);
+      expect(() => verifySoftAssertions()).not.toThrow();
+    });
+
+    test('should leave chains outside the block strict', () => {
+      softly(() => {});
+
+      expect(() => expectResponse({ status: 200 }).toHaveStatus(201)).toThrow('Expected status 201, but got 200');
+    });
+  });
+});
\ No newline at end of file
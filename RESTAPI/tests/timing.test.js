@@ -0,0 +1,85 @@
+const http = require('http');
+const HttpClient = require('../http/HttpClient');
+const ConsoleLogger = require('../logger/ConsoleLogger');
+const { expectResponse } = require('../assertions/FluentAssertions');
+
+describe('HttpClient Timing Tests', () => {
+  let server;
+  let httpClient;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const delayMs = Number(new URL(req.url, 'http://localhost').searchParams.get('delay') || 0);
+      setTimeout(() => {
+        res.writeHead(req.url.startsWith('/missing') ? 404 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ id: 1 }));
+      }, delayMs);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    httpClient = new HttpClient({
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      timeout: 2000,
+      headers: {}
+    }, new ConsoleLogger({ level: 'warn' }));
+  });
+
+  afterAll(async () => {
+    httpClient.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should stamp responses with the total response time', async () => {
+    const response = await httpClient.get('/posts/1?delay=50');
+
+    expect(response.responseTime).toBeGreaterThanOrEqual(45);
+    expect(response.timings.total).toBe(response.responseTime);
+    expectResponse(response).toRespondWithin(2000);
+  });
+
+  test('should include a phase breakdown for Node requests', async () => {
+    const response = await httpClient.get('/posts/1?delay=30');
+
+    expect(response.timings).toEqual(expect.objectContaining({
+      dns: expect.any(Number),
+      connect: expect.any(Number),
+      tls: 0,
+      ttfb: expect.any(Number),
+      download: expect.any(Number)
+    }));
+    expect(response.timings.ttfb).toBeGreaterThanOrEqual(25);
+    expectResponse(response).toRespondWithin(2000, 'ttfb');
+  });
+
+  test('should stamp timing data on error responses', async () => {
+    jest.spyOn(httpClient.logger, 'error').mockImplementation(() => {});
+
+    const error = await httpClient.get('/missing').catch(err => err);
+
+    expect(error.response.status).toBe(404);
+    expect(error.response.responseTime).toEqual(expect.any(Number));
+  });
+
+  test('should fail toRespondWithin when the response is too slow', async () => {
+    const response = await httpClient.get('/posts/1?delay=50');
+
+    expect(() => expectResponse(response).toRespondWithin(10)).toThrow(/below 10ms/);
+  });
+
+  test('should fail toRespondWithin when timing data is missing', () => {
+    const response = { status: 200, data: {} };
+
+    expect(() => expectResponse(response).toRespondWithin(1000)).toThrow(/Expected total timing data/);
+  });
+
+  test('should close its keep-alive sockets', async () => {
+    const client = new HttpClient({ baseUrl: httpClient.getConfig().baseUrl, timeout: 2000, headers: {} }, new ConsoleLogger({ level: 'warn' }));
+    await client.get('/posts/1');
+    const sockets = Object.values(client.client.defaults.httpAgent.freeSockets).flat();
+    expect(sockets).toHaveLength(1);
+
+    client.close();
+
+    expect(sockets[0].destroyed).toBe(true);
+  });
+});
\ No newline at end of file
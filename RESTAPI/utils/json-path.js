@@ -0,0 +1,602 @@
+/**
+ * JSONPath evaluation for response bodies
+ *
+ * Supported syntax:
+ * - `$` root, `.name` and `['name']` children, `[0]` and `[-1]` array indexes
+ * - `*` and `[*]` wildcards, `..name` recursive descent, `[0,2]` and `['a','b']` unions, `[1:3]` and `[::-1]` slices
+ * - `[?(<expression>)]` filters, where the expression compares `@` paths (relative to the element) or `$`
+ *   paths with numbers, strings, true, false and null using ==, !=, <, <=, >, >= and =~ /regex/flags,
+ *   combined with &&, || and !, e.g. `$[?(@.id > 5 && @.title =~ /^qui/i)]`. A bare `@.email` checks existence.
+ *
+ * Paths without a leading `$` are read as dot paths relative to the root, e.g. 'address.geo.lat'.
+ */
+
+const { isDeepStrictEqual } = require('util');
+
+const IDENTIFIER = /^[A-Za-z_$][\w$-]*/;
+
+/**
+ * Build an error for a malformed path
+ * @param {string} path - Path being parsed
+ * @param {number} position - Offset of the problem
+ * @param {string} reason - What is wrong
+ * @returns {Error} Error with the path and position
+ */
+function syntaxError(path, position, reason) {
+  const error = new Error(`Invalid JSONPath ${path}: ${reason} at position ${position}`);
+  error.path = path;
+  error.position = position;
+  return error;
+}
+
+/**
+ * Find the end of a bracketed section, skipping quoted strings and regular expressions
+ * @param {string} text - Text being parsed
+ * @param {number} start - Offset of the opening bracket
+ * @param {string} open - Opening character
+ * @param {string} close - Closing character
+ * @returns {number} Offset of the matching closing character, or -1
+ */
+function findClosing(text, start, open, close) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\'' || char === '"') {
+      i = skipString(text, i);
+    } else if (char === open) {
+      depth++;
+    } else if (char === close) {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find the end of a quoted string
+ * @param {string} text - Text being parsed
+ * @param {number} start - Offset of the opening quote
+ * @returns {number} Offset of the closing quote
+ */
+function skipString(text, start) {
+  const quote = text[start];
+  let i = start + 1;
+  while (i < text.length && text[i] !== quote) {
+    i += text[i] === '\\' ? 2 : 1;
+  }
+  return i;
+}
+
+/**
+ * Read a quoted string literal
+ * @param {string} literal - Literal including its quotes
+ * @returns {string} String value
+ */
+function unquote(literal) {
+  return literal.slice(1, -1).replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Parse the contents of a bracket selector
+ * @param {string} content - Text between the brackets
+ * @param {string} path - Full path for error messages
+ * @param {number} position - Offset of the content in the path
+ * @returns {object} Segment
+ */
+function parseBracket(content, path, position) {
+  const trimmed = content.trim();
+
+  if (trimmed === '*') {
+    return { type: 'wildcard' };
+  }
+
+  if (trimmed.startsWith('?')) {
+    const expression = trimmed.slice(1).trim();
+    if (!expression.startsWith('(') || !expression.endsWith(')')) {
+      throw syntaxError(path, position, 'filters must be written as ?(<expression>)');
+    }
+    const source = expression.slice(1, -1);
+    return { type: 'filter', source, test: parseExpression(source, path, position) };
+  }
+
+  const slice = trimmed.match(/^(-?\d*)\s*:\s*(-?\d*)(?:\s*:\s*(-?\d*))?$/);
+  if (slice) {
+    const step = slice[3] === undefined || slice[3] === '' ? 1 : Number(slice[3]);
+    if (step === 0) {
+      throw syntaxError(path, position, 'slice step must not be 0');
+    }
+    return {
+      type: 'slice',
+      start: slice[1] === '' ? null : Number(slice[1]),
+      end: slice[2] === '' ? null : Number(slice[2]),
+      step
+    };
+  }
+
+  const keys = [];
+  const pattern = /\s*('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|-?\d+)\s*(,|$)/y;
+  let match;
+  while (pattern.lastIndex < trimmed.length && (match = pattern.exec(trimmed))) {
+    keys.push(/^-?\d+$/.test(match[1]) ? Number(match[1]) : unquote(match[1]));
+  }
+  if (keys.length === 0 || pattern.lastIndex < trimmed.length) {
+    throw syntaxError(path, position, `unsupported selector [${content}]`);
+  }
+
+  return keys.length === 1 ? { type: 'child', key: keys[0] } : { type: 'union', keys };
+}
+
+/**
+ * Parse a JSONPath or dot path into segments
+ * @param {string} path - Path such as '$.address.geo.lat', '$[?(@.id>5)]' or 'address.geo.lat'
+ * @returns {object[]} Segments
+ */
+function parse(path) {
+  let text = path.trim();
+  if (!text.startsWith('$')) {
+    text = text.startsWith('[') ? `$${text}` : `$.${text}`;
+  }
+
+  const segments = [];
+  let i = 1;
+
+  while (i < text.length) {
+    if (text.startsWith('..', i)) {
+      i += 2;
+      let inner;
+      if (text[i] === '[') {
+        const end = findClosing(text, i, '[', ']');
+        if (end === -1) {
+          throw syntaxError(path, i, 'unclosed [');
+        }
+        inner = parseBracket(text.slice(i + 1, end), path, i + 1);
+        i = end + 1;
+      } else if (text[i] === '*') {
+        inner = { type: 'wildcard' };
+        i++;
+      } else {
+        const name = text.slice(i).match(IDENTIFIER);
+        if (!name) {
+          throw syntaxError(path, i, 'expected a name after ..');
+        }
+        inner = { type: 'child', key: name[0] };
+        i += name[0].length;
+      }
+      segments.push({ type: 'descendant', segment: inner });
+    } else if (text[i] === '.') {
+      i++;
+      if (text[i] === '*') {
+        segments.push({ type: 'wildcard' });
+        i++;
+      } else {
+        const name = text.slice(i).match(/^[^.[\]\s]+/);
+        if (!name) {
+          throw syntaxError(path, i, 'expected a name after .');
+        }
+        segments.push({ type: 'child', key: /^\d+$/.test(name[0]) ? Number(name[0]) : name[0] });
+        i += name[0].length;
+      }
+    } else if (text[i] === '[') {
+      const end = findClosing(text, i, '[', ']');
+      if (end === -1) {
+        throw syntaxError(path, i, 'unclosed [');
+      }
+      segments.push(parseBracket(text.slice(i + 1, end), path, i + 1));
+      i = end + 1;
+    } else {
+      throw syntaxError(path, i, `unexpected character '${text[i]}'`);
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Split a filter expression into tokens
+ * @param {string} source - Expression text
+ * @param {string} path - Full path for error messages
+ * @param {number} position - Offset of the expression in the path
+ * @returns {object[]} Tokens: { type: 'path'|'literal'|'regex'|'op'|'(' |')'|'!', value }
+ */
+function tokenize(source, path, position) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const rest = source.slice(i);
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '@' || char === '$') {
+      // A path continues with .name, ..name, .* or [...] segments
+      let end = i + 1;
+      while (end < source.length) {
+        if (source[end] === '.') {
+          const name = source.slice(end).match(/^\.\.?(\*|[^\s.[\]()=!<>&|]+)/);
+          if (!name) {
+            break;
+          }
+          end += name[0].length;
+        } else if (source[end] === '[') {
+          const close = findClosing(source, end, '[', ']');
+          if (close === -1) {
+            throw syntaxError(path, position + end, 'unclosed [');
+          }
+          end = close + 1;
+        } else {
+          break;
+        }
+      }
+      tokens.push({ type: 'path', root: char === '$', segments: parse(`$${source.slice(i + 1, end)}`) });
+      i = end;
+    } else if (char === '\'' || char === '"') {
+      const end = skipString(source, i);
+      tokens.push({ type: 'literal', value: unquote(source.slice(i, end + 1)) });
+      i = end + 1;
+    } else if (char === '/' && tokens.length > 0 && tokens[tokens.length - 1].value === '=~') {
+      const regex = rest.match(/^\/((?:[^/\\]|\\.)*)\/([gimsuy]*)/);
+      if (!regex) {
+        throw syntaxError(path, position + i, 'unterminated regular expression');
+      }
+      let value;
+      try {
+        value = new RegExp(regex[1], regex[2]);
+      } catch (error) {
+        throw syntaxError(path, position + i, `invalid regular expression /${regex[1]}/${regex[2]}`);
+      }
+      tokens.push({ type: 'regex', value });
+      i += regex[0].length;
+    } else if (/^-?\d/.test(rest)) {
+      const number = rest.match(/^-?\d+(\.\d+)?([eE][+-]?\d+)?/)[0];
+      tokens.push({ type: 'literal', value: Number(number) });
+      i += number.length;
+    } else if (/^(true|false|null)\b/.test(rest)) {
+      const word = rest.match(/^(true|false|null)/)[0];
+      tokens.push({ type: 'literal', value: JSON.parse(word) });
+      i += word.length;
+    } else {
+      const op = ['==', '!=', '<=', '>=', '=~', '&&', '||', '<', '>', '(', ')', '!'].find(candidate => rest.startsWith(candidate));
+      if (!op) {
+        throw syntaxError(path, position + i, `unexpected character '${char}' in filter`);
+      }
+      tokens.push({ type: ['(', ')', '!'].includes(op) ? op : 'op', value: op });
+      i += op.length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Compare two values with a filter operator
+ * @param {*} left - Left value
+ * @param {string} op - Operator
+ * @param {*} right - Right value (a RegExp for =~)
+ * @returns {boolean} Result; ordering operators need two numbers or two strings
+ */
+function compare(left, op, right) {
+  switch (op) {
+    case '==':
+      return isDeepStrictEqual(left, right);
+    case '!=':
+      return !isDeepStrictEqual(left, right);
+    case '=~':
+      return typeof left === 'string' && right instanceof RegExp && right.test(left);
+    default: {
+      const comparable = (typeof left === 'number' && typeof right === 'number')
+        || (typeof left === 'string' && typeof right === 'string');
+      if (!comparable) {
+        return false;
+      }
+      return { '<': left < right, '<=': left <= right, '>': left > right, '>=': left >= right }[op];
+    }
+  }
+}
+
+/**
+ * Parse a filter expression into a predicate
+ * @param {string} source - Expression text, e.g. '@.id > 5'
+ * @param {string} path - Full path for error messages
+ * @param {number} position - Offset of the expression in the path
+ * @returns {Function} Predicate (element, root) => boolean
+ */
+function parseExpression(source, path, position) {
+  const tokens = tokenize(source, path, position);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const fail = reason => {
+    throw syntaxError(path, position, `${reason} in filter (${source})`);
+  };
+
+  /**
+   * Read an operand
+   * @returns {Function} Function (element, root) => { exists, value }
+   */
+  function operand() {
+    const token = tokens[index++];
+    if (!token) {
+      fail('missing operand');
+    }
+    if (token.type === 'literal' || token.type === 'regex') {
+      return () => ({ exists: true, value: token.value });
+    }
+    if (token.type === 'path') {
+      return (element, root) => {
+        const [match] = evaluate(token.root ? root : element, token.segments, root);
+        return match ? { exists: true, value: match.value } : { exists: false, value: undefined };
+      };
+    }
+    return fail(`unexpected '${token.value}'`);
+  }
+
+  /**
+   * Read a comparison, a bare path (existence check) or a parenthesized expression
+   * @returns {Function} Predicate
+   */
+  function primary() {
+    if (peek() && peek().type === '!') {
+      index++;
+      const inner = primary();
+      return (element, root) => !inner(element, root);
+    }
+    if (peek() && peek().type === '(') {
+      index++;
+      const inner = or();
+      if (!peek() || peek().type !== ')') {
+        fail('missing )');
+      }
+      index++;
+      return inner;
+    }
+
+    const left = operand();
+    if (peek() && peek().type === 'op' && !['&&', '||'].includes(peek().value)) {
+      const op = tokens[index++].value;
+      const right = operand();
+      return (element, root) => {
+        const a = left(element, root);
+        const b = right(element, root);
+        return a.exists && b.exists && compare(a.value, op, b.value);
+      };
+    }
+    return (element, root) => {
+      const result = left(element, root);
+      return result.exists && result.value !== null && result.value !== false;
+    };
+  }
+
+  /**
+   * Read a chain of && operands
+   * @returns {Function} Predicate
+   */
+  function and() {
+    let predicate = primary();
+    while (peek() && peek().value === '&&') {
+      index++;
+      const left = predicate;
+      const right = primary();
+      predicate = (element, root) => left(element, root) && right(element, root);
+    }
+    return predicate;
+  }
+
+  /**
+   * Read a chain of || operands
+   * @returns {Function} Predicate
+   */
+  function or() {
+    let predicate = and();
+    while (peek() && peek().value === '||') {
+      index++;
+      const left = predicate;
+      const right = and();
+      predicate = (element, root) => left(element, root) || right(element, root);
+    }
+    return predicate;
+  }
+
+  const predicate = or();
+  if (index < tokens.length) {
+    fail(`unexpected '${tokens[index].value}'`);
+  }
+  return predicate;
+}
+
+/**
+ * Append a key to a normalized path
+ * @param {string} path - Parent path
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Path such as '$.address.geo' or '$[0]' or "$['odd key']"
+ */
+function appendKey(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}['${key.replace(/'/g, '\\\'')}']`;
+}
+
+/**
+ * Create the node of a child value
+ * @param {object} node - Parent node
+ * @param {string|number} key - Property name or array index
+ * @returns {object} { path, value, parent, key }, where parent is the containing object or array
+ */
+function child(node, key) {
+  return { path: appendKey(node.path, key), value: node.value[key], parent: node.value, key };
+}
+
+/**
+ * List the direct children of a node
+ * @param {object} node - { path, value }
+ * @returns {object[]} Child nodes of arrays and objects
+ */
+function childrenOf(node) {
+  if (Array.isArray(node.value)) {
+    return Array.from(node.value.keys(), index => child(node, index));
+  }
+  if (node.value !== null && typeof node.value === 'object') {
+    return Object.keys(node.value).map(key => child(node, key));
+  }
+  return [];
+}
+
+/**
+ * Select a child by key
+ * @param {object} node - { path, value }
+ * @param {string|number} key - Property name or array index (negative indexes count from the end)
+ * @returns {object[]} The child node, or nothing if it does not exist
+ */
+function childOf(node, key) {
+  const { value } = node;
+  if (Array.isArray(value) && typeof key === 'number') {
+    const index = key < 0 ? value.length + key : key;
+    return index >= 0 && index < value.length ? [child(node, index)] : [];
+  }
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)
+    && Object.prototype.hasOwnProperty.call(value, String(key))) {
+    return [child(node, String(key))];
+  }
+  return [];
+}
+
+/**
+ * Apply one segment to a node
+ * @param {object} segment - Segment
+ * @param {object} node - { path, value }
+ * @param {*} root - Root value for $ paths in filters
+ * @returns {object[]} Matching nodes
+ */
+function applySegment(segment, node, root) {
+  switch (segment.type) {
+    case 'child':
+      return childOf(node, segment.key);
+    case 'union':
+      return segment.keys.flatMap(key => childOf(node, key));
+    case 'wildcard':
+      return childrenOf(node);
+    case 'slice': {
+      if (!Array.isArray(node.value)) {
+        return [];
+      }
+      // Bounds as in RFC 9535: a negative step walks from the end, with -1 as the exclusive lower bound
+      const length = node.value.length;
+      const { step } = segment;
+      const normalize = (index, fallback, min, max) => {
+        if (index === null) {
+          return fallback;
+        }
+        return Math.min(Math.max(index < 0 ? length + index : index, min), max);
+      };
+      const matches = [];
+      if (step > 0) {
+        const end = normalize(segment.end, length, 0, length);
+        for (let i = normalize(segment.start, 0, 0, length); i < end; i += step) {
+          matches.push(child(node, i));
+        }
+      } else {
+        const end = normalize(segment.end, -1, -1, length - 1);
+        for (let i = normalize(segment.start, length - 1, -1, length - 1); i > end; i += step) {
+          matches.push(child(node, i));
+        }
+      }
+      return matches;
+    }
+    case 'filter':
+      return childrenOf(node).filter(element => segment.test(element.value, root));
+    case 'descendant': {
+      const nodes = [];
+      const visit = current => {
+        nodes.push(current);
+        childrenOf(current).forEach(visit);
+      };
+      visit(node);
+      return nodes.flatMap(current => applySegment(segment.segment, current, root));
+    }
+    default:
+      throw new Error(`Unknown JSONPath segment: ${segment.type}`);
+  }
+}
+
+/**
+ * Evaluate parsed segments against a value
+ * @param {*} data - Value to query
+ * @param {object[]} segments - Parsed segments
+ * @param {*} root - Root value for $ paths in filters
+ * @returns {object[]} Matches as { path, value }
+ */
+function evaluate(data, segments, root = data) {
+  return segments.reduce(
+    (nodes, segment) => nodes.flatMap(node => applySegment(segment, node, root)),
+    [{ path: '$', value: data }]
+  );
+}
+
+/**
+ * Find every value matching a path
+ * @param {*} data - Value to query, e.g. a response body
+ * @param {string} path - JSONPath or dot path
+ * @returns {object[]} Matches as { path, value }, where path is the normalized path of the value
+ */
+function query(data, path) {
+  return evaluate(data, parse(path)).map(node => ({ path: node.path, value: node.value }));
+}
+
+/**
+ * Replace every value matching a path, in place
+ * @param {*} data - Value to update
+ * @param {string} path - JSONPath or dot path
+ * @param {Function} replacer - Function (value, path) returning the replacement
+ * @returns {*} The updated value, which is the replacement itself if the path is the root
+ */
+function replace(data, path, replacer) {
+  let result = data;
+  evaluate(data, parse(path)).forEach(node => {
+    if (node.parent === undefined) {
+      result = replacer(node.value, node.path);
+    } else {
+      node.parent[node.key] = replacer(node.value, node.path);
+    }
+  });
+  return result;
+}
+
+/**
+ * Check whether a path can match at most one value (no wildcards, unions, slices, filters or ..)
+ * @param {string} path - JSONPath or dot path
+ * @returns {boolean} True for definite paths
+ */
+function isDefinite(path) {
+  return parse(path).every(segment => segment.type === 'child');
+}
+
+/**
+ * Resolve a definite path as far as it exists
+ * @param {*} data - Value to query
+ * @param {string} path - Definite JSONPath or dot path
+ * @returns {object} { found, value, path } for the full path, or for the deepest existing prefix when not found
+ */
+function resolveDeepest(data, path) {
+  let node = { path: '$', value: data };
+  for (const segment of parse(path)) {
+    const [next] = segment.type === 'child' ? childOf(node, segment.key) : [];
+    if (!next) {
+      return { found: false, value: node.value, path: node.path };
+    }
+    node = next;
+  }
+  return { found: true, value: node.value, path: node.path };
+}
+
+module.exports = {
+  parse,
+  query,
+  replace,
+  appendKey,
+  isDefinite,
+  resolveDeepest
+};
\ No newline at end of file
@@ -0,0 +1,430 @@
+/**
+ * JSON Schema validation (draft 2020-12)
+ * Supports the keywords used to describe REST payloads: type, enum, const, properties, required,
+ * additionalProperties, patternProperties, items, prefixItems, the numeric, string and array
+ * constraints, allOf/anyOf/oneOf/not, if/then/else, format and local $ref (e.g. '#/$defs/AddressDTO').
+ * Unknown keywords are ignored, as the specification requires. resolveSchema also accepts DTO classes and
+ * plain maps of property types, and rejects objects that are neither, since they would match anything.
+ */
+
+const { isDeepStrictEqual } = require('util');
+
+const FORMATS = {
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && !Number.isNaN(Date.parse(value)),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  time: value => /^\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: value => {
+    try {
+      return Boolean(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  },
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  ipv4: value => /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(value),
+  hostname: value => /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i.test(value)
+};
+
+// Keywords this validator applies, plus the common annotations
+const KEYWORDS = new Set([
+  '$schema', '$id', '$ref', '$defs', '$comment', 'title', 'description', 'default', 'examples',
+  'type', 'enum', 'const', 'properties', 'required', 'additionalProperties', 'patternProperties',
+  'minProperties', 'maxProperties', 'items', 'prefixItems', 'minItems', 'maxItems', 'uniqueItems',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'minLength', 'maxLength', 'pattern', 'format', 'allOf', 'anyOf', 'oneOf', 'not', 'if', 'then', 'else'
+]);
+
+const TYPE_NAMES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {*} value - JSON value
+ * @returns {string} One of null, array, integer, number, string, boolean, object
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * Append a property name or index to a JSON pointer
+ * @param {string} pointer - Parent pointer
+ * @param {string|number} token - Property name or array index
+ * @returns {string} Child pointer
+ */
+function childPointer(pointer, token) {
+  return `${pointer}/${String(token).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * Resolve a local $ref against the root schema
+ * @param {object} root - Root schema
+ * @param {string} ref - Reference such as '#/$defs/AddressDTO'
+ * @returns {object|boolean} Referenced schema
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Only local $ref values are supported: ${ref}`);
+  }
+
+  let target = root;
+  for (const token of ref.slice(1).split('/').filter(Boolean)) {
+    const key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (target === null || typeof target !== 'object' || !Object.prototype.hasOwnProperty.call(target, key)) {
+      throw new Error(`Cannot resolve $ref: ${ref}`);
+    }
+    target = target[key];
+  }
+  return target;
+}
+
+/**
+ * Compile a schema pattern
+ * Patterns are tried in Unicode mode first, then without it for patterns such as `\-` that only
+ * the legacy syntax accepts.
+ * @param {string} pattern - Regular expression source
+ * @returns {RegExp} Compiled pattern
+ * @throws {Error} If the pattern is not a valid regular expression in either mode
+ */
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern, 'u');
+  } catch (unicodeError) {
+    try {
+      return new RegExp(pattern);
+    } catch (error) {
+      throw new Error(`Invalid pattern in schema: ${pattern}. ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value
+ * @returns {boolean} True for objects that are not arrays or null
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a value is a property-to-type map, e.g. { id: 'number', title: 'string' }
+ * Maps whose properties are all JSON Schema keywords, such as { type: 'string' }, are schemas instead.
+ * @param {*} value - Value
+ * @returns {boolean} True if every property names a type or holds a nested map
+ */
+function isTypeMap(value) {
+  return isPlainObject(value)
+    && Object.keys(value).some(key => !KEYWORDS.has(key))
+    && Object.values(value).every(type => TYPE_NAMES.includes(type) || isTypeMap(type));
+}
+
+/**
+ * Convert a property-to-type map to a JSON Schema
+ * Every property is required; nested maps describe nested objects.
+ * @param {object} map - Map such as { id: 'number', address: { city: 'string' } }
+ * @returns {object} JSON Schema of an object
+ */
+function typeMapToSchema(map) {
+  const properties = {};
+  for (const [name, type] of Object.entries(map)) {
+    properties[name] = typeof type === 'string' ? { type } : typeMapToSchema(type);
+  }
+  return { type: 'object', properties, required: Object.keys(map) };
+}
+
+/**
+ * Get the JSON Schema to validate against
+ * Accepts a DTO class, a JSON Schema or a property-to-type map such as { id: 'number', title: 'string' }.
+ * @param {object|boolean|Function} schema - Schema in one of the accepted forms
+ * @returns {object|boolean} JSON Schema
+ * @throws {Error} If an object schema has no JSON Schema keyword, so it would accept anything
+ */
+function resolveSchema(schema) {
+  if (schema && typeof schema.toJsonSchema === 'function') {
+    return schema.toJsonSchema();
+  }
+  if (typeof schema === 'boolean') {
+    return schema;
+  }
+  if (!isPlainObject(schema)) {
+    throw new Error(`Expected a JSON Schema or a DTO class, but got ${JSON.stringify(schema)}`);
+  }
+
+  const keys = Object.keys(schema);
+  if (isTypeMap(schema)) {
+    return typeMapToSchema(schema);
+  }
+  if (keys.length > 0 && !keys.some(key => KEYWORDS.has(key))) {
+    throw new Error(`Schema has no JSON Schema keyword (properties: ${keys.join(', ')}); use a DTO class, a JSON Schema or a map of property types`);
+  }
+  return schema;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {object|boolean} schema - JSON Schema
+ * @param {*} data - Value to validate
+ * @param {object} options - Validation options
+ * @param {object} options.formats - Extra formats as { name: value => boolean } or { name: { test } }
+ * @returns {object[]} Violations as { pointer, keyword, message }; empty when the value is valid
+ */
+function validateSchema(schema, data, options = {}) {
+  const formats = { ...FORMATS };
+  for (const [name, format] of Object.entries(options.formats || {})) {
+    formats[name] = typeof format === 'function' ? format : format.test;
+  }
+  const context = { root: schema, formats };
+  return check(context, schema, data, '');
+}
+
+/**
+ * Check a value against a (sub)schema
+ * @param {object} context - Root schema and formats
+ * @param {object|boolean} schema - Schema to apply
+ * @param {*} data - Value
+ * @param {string} pointer - JSON pointer of the value
+ * @returns {object[]} Violations
+ */
+function check(context, schema, data, pointer) {
+  if (schema === true) {
+    return [];
+  }
+  if (schema === false) {
+    return [{ pointer, keyword: 'false', message: 'is not allowed' }];
+  }
+
+  const errors = [];
+  const fail = (keyword, message) => errors.push({ pointer, keyword, message });
+  const type = typeOf(data);
+
+  if (schema.$ref) {
+    errors.push(...check(context, resolveRef(context.root, schema.$ref), data, pointer));
+  }
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+      fail('type', `must be ${types.join(' or ')} but was ${type}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => isDeepStrictEqual(option, data))) {
+    fail('enum', `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && !isDeepStrictEqual(schema.const, data)) {
+    fail('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (type === 'integer' || type === 'number') {
+    checkNumber(schema, data, fail);
+  } else if (type === 'string') {
+    checkString(context, schema, data, fail);
+  } else if (type === 'array') {
+    errors.push(...checkArray(context, schema, data, pointer, fail));
+  } else if (type === 'object') {
+    errors.push(...checkObject(context, schema, data, pointer, fail));
+  }
+
+  errors.push(...checkCombinators(context, schema, data, pointer, fail));
+
+  return errors;
+}
+
+/**
+ * Check numeric constraints
+ * @param {object} schema - Schema
+ * @param {number} data - Number
+ * @param {Function} fail - Records a violation
+ */
+function checkNumber(schema, data, fail) {
+  if (schema.minimum !== undefined && data < schema.minimum) {
+    fail('minimum', `must be >= ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && data > schema.maximum) {
+    fail('maximum', `must be <= ${schema.maximum}`);
+  }
+  if (schema.exclusiveMinimum !== undefined && data <= schema.exclusiveMinimum) {
+    fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+  }
+  if (schema.exclusiveMaximum !== undefined && data >= schema.exclusiveMaximum) {
+    fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+  }
+  if (schema.multipleOf !== undefined && !Number.isInteger(data / schema.multipleOf)) {
+    fail('multipleOf', `must be a multiple of ${schema.multipleOf}`);
+  }
+}
+
+/**
+ * Check string constraints
+ * @param {object} context - Root schema and formats
+ * @param {object} schema - Schema
+ * @param {string} data - String
+ * @param {Function} fail - Records a violation
+ */
+function checkString(context, schema, data, fail) {
+  const length = [...data].length;
+
+  if (schema.minLength !== undefined && length < schema.minLength) {
+    fail('minLength', `must have at least ${schema.minLength} characters`);
+  }
+  if (schema.maxLength !== undefined && length > schema.maxLength) {
+    fail('maxLength', `must have at most ${schema.maxLength} characters`);
+  }
+  if (schema.pattern !== undefined && !compilePattern(schema.pattern).test(data)) {
+    fail('pattern', `must match pattern ${schema.pattern}`);
+  }
+  // Unknown formats are annotations only
+  if (schema.format !== undefined && context.formats[schema.format] && !context.formats[schema.format](data)) {
+    fail('format', `must match format ${schema.format}`);
+  }
+}
+
+/**
+ * Check array constraints and items
+ * @param {object} context - Root schema and formats
+ * @param {object} schema - Schema
+ * @param {Array} data - Array
+ * @param {string} pointer - JSON pointer of the array
+ * @param {Function} fail - Records a violation
+ * @returns {object[]} Violations of the items
+ */
+function checkArray(context, schema, data, pointer, fail) {
+  const errors = [];
+  const prefixItems = schema.prefixItems || [];
+
+  if (schema.minItems !== undefined && data.length < schema.minItems) {
+    fail('minItems', `must have at least ${schema.minItems} items`);
+  }
+  if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+    fail('maxItems', `must have at most ${schema.maxItems} items`);
+  }
+  if (schema.uniqueItems && data.some((item, index) => data.findIndex(other => isDeepStrictEqual(other, item)) !== index)) {
+    fail('uniqueItems', 'must not contain duplicate items');
+  }
+
+  data.forEach((item, index) => {
+    const itemSchema = index < prefixItems.length ? prefixItems[index] : schema.items;
+    if (itemSchema !== undefined) {
+      errors.push(...check(context, itemSchema, item, childPointer(pointer, index)));
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check object constraints and properties
+ * @param {object} context - Root schema and formats
+ * @param {object} schema - Schema
+ * @param {object} data - Object
+ * @param {string} pointer - JSON pointer of the object
+ * @param {Function} fail - Records a violation
+ * @returns {object[]} Violations of the properties
+ */
+function checkObject(context, schema, data, pointer, fail) {
+  const errors = [];
+  const properties = schema.properties || {};
+  const patterns = Object.entries(schema.patternProperties || {}).map(([pattern, subschema]) => [compilePattern(pattern), subschema]);
+  const keys = Object.keys(data);
+
+  for (const name of schema.required || []) {
+    if (!Object.prototype.hasOwnProperty.call(data, name)) {
+      fail('required', `must have required property '${name}'`);
+    }
+  }
+  if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+    fail('minProperties', `must have at least ${schema.minProperties} properties`);
+  }
+  if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+    fail('maxProperties', `must have at most ${schema.maxProperties} properties`);
+  }
+
+  for (const key of keys) {
+    const keyPointer = childPointer(pointer, key);
+    let matched = false;
+
+    if (Object.prototype.hasOwnProperty.call(properties, key)) {
+      matched = true;
+      errors.push(...check(context, properties[key], data[key], keyPointer));
+    }
+    for (const [regex, subschema] of patterns) {
+      if (regex.test(key)) {
+        matched = true;
+        errors.push(...check(context, subschema, data[key], keyPointer));
+      }
+    }
+
+    if (!matched && schema.additionalProperties === false) {
+      errors.push({ pointer: keyPointer, keyword: 'additionalProperties', message: 'is not allowed' });
+    } else if (!matched && schema.additionalProperties !== undefined) {
+      errors.push(...check(context, schema.additionalProperties, data[key], keyPointer));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check allOf, anyOf, oneOf, not and if/then/else
+ * @param {object} context - Root schema and formats
+ * @param {object} schema - Schema
+ * @param {*} data - Value
+ * @param {string} pointer - JSON pointer of the value
+ * @param {Function} fail - Records a violation
+ * @returns {object[]} Violations of allOf subschemas and the then/else branch
+ */
+function checkCombinators(context, schema, data, pointer, fail) {
+  const errors = [];
+  const matches = subschemas => subschemas.filter(subschema => check(context, subschema, data, pointer).length === 0).length;
+
+  for (const subschema of schema.allOf || []) {
+    errors.push(...check(context, subschema, data, pointer));
+  }
+  if (schema.anyOf && matches(schema.anyOf) === 0) {
+    fail('anyOf', 'must match at least one schema in anyOf');
+  }
+  if (schema.oneOf) {
+    const count = matches(schema.oneOf);
+    if (count !== 1) {
+      fail('oneOf', `must match exactly one schema in oneOf, but matched ${count}`);
+    }
+  }
+  if (schema.not !== undefined && check(context, schema.not, data, pointer).length === 0) {
+    fail('not', 'must not match the schema in not');
+  }
+  if (schema.if !== undefined) {
+    const branch = check(context, schema.if, data, pointer).length === 0 ? schema.then : schema.else;
+    if (branch !== undefined) {
+      errors.push(...check(context, branch, data, pointer));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Format violations for assertion messages, one per line
+ * @param {object[]} errors - Violations from validateSchema
+ * @returns {string} Lines such as '  /address/geo/lat: must be string but was number'
+ */
+function formatSchemaErrors(errors) {
+  return errors.map(error => `  ${error.pointer || '/'}: ${error.message}`).join('\n');
+}
+
+module.exports = {
+  validateSchema,
+  resolveSchema,
+  formatSchemaErrors,
+  FORMATS
+};
\ No newline at end of file
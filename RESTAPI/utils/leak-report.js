@@ -0,0 +1,62 @@
+/**
+ * Run-wide report of resources that could not be deleted after the tests
+ * Test files may run in separate worker processes, so every file writes its leaks to the directory
+ * named by RESOURCE_LEAK_DIR, and the global teardown collects them once the run is over.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let fileCounter = 0;
+
+/**
+ * Store leaks for the end-of-run report
+ * No-op when RESOURCE_LEAK_DIR is not set (e.g. outside Jest)
+ * @param {object[]} leaks - Leaks returned by ResourceTracker.cleanup()
+ * @param {string} source - Where the leaks were found, e.g. the test file
+ */
+function recordLeaks(leaks, source = null) {
+  const dir = process.env.RESOURCE_LEAK_DIR;
+  if (!dir || leaks.length === 0) {
+    return;
+  }
+
+  fileCounter++;
+  const file = path.join(dir, `leaks-${process.pid}-${Date.now()}-${fileCounter}.json`);
+  fs.writeFileSync(file, JSON.stringify(leaks.map(leak => ({ ...leak, source }))));
+}
+
+/**
+ * Read every leak stored in a directory
+ * @param {string} dir - Leak directory
+ * @returns {object[]} Leaks
+ */
+function readLeaks(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .flatMap(name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')));
+}
+
+/**
+ * Format leaks for the console
+ * @param {object[]} leaks - Leaks
+ * @returns {string} Report listing each leaked resource and why it could not be deleted
+ */
+function formatLeaks(leaks) {
+  const lines = leaks.map(leak => {
+    const source = leak.source ? ` in ${leak.source}` : '';
+    return `  - ${leak.url} (created by ${leak.createdBy}${source}): ${leak.error}`;
+  });
+  return `${leaks.length} resource(s) could not be deleted after the tests:\n${lines.join('\n')}`;
+}
+
+module.exports = {
+  recordLeaks,
+  readLeaks,
+  formatLeaks
+};
\ No newline at end of file
@@ -0,0 +1,235 @@
+/**
+ * Response snapshots
+ * A snapshot holds the status, selected headers and body of a response. The snapshots of a test file
+ * are stored in __snapshots__/<test file>.responses.json next to it, keyed by test name.
+ * Dynamic values (ids, dates) are masked before they are stored or compared, so they do not cause mismatches.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const jsonPath = require('./json-path');
+
+// Headers stored when no list is given
+const DEFAULT_HEADERS = ['content-type'];
+
+// Longest value shown in a diff line
+const MAX_VALUE_LENGTH = 80;
+
+// Most diff lines shown for one mismatch
+const MAX_DIFF_LINES = 30;
+
+// Snapshot files loaded by this test file, keyed by path
+const files = new Map();
+
+// Snapshots taken so far per test, used to number the next one
+const counters = new Map();
+
+/**
+ * Get the JSON type of a value
+ * @param {*} value - Value
+ * @returns {string} 'null', 'array', or the typeof of the value
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Format a value for a diff line
+ * @param {*} value - Value to show
+ * @returns {string} JSON text, shortened if it is long
+ */
+function formatValue(value) {
+  const text = value === undefined ? 'undefined' : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}...` : text;
+}
+
+/**
+ * Mask a dynamic value
+ * @param {*} value - Value to mask
+ * @param {string} placeholder - Replacement, or 'type' for a placeholder naming the type, e.g. '<number>'
+ * @returns {string} Replacement
+ */
+function mask(value, placeholder = 'type') {
+  return placeholder === 'type' ? `<${typeOf(value)}>` : placeholder;
+}
+
+/**
+ * Reduce a response to what a snapshot stores
+ * Paths in `ignore` starting with 'headers.' name a header, which is stored masked; every other path
+ * is a JSONPath or dot path in the body, e.g. '$.id' or '$[*].id'.
+ * @param {object} response - HTTP response
+ * @param {object} options - Snapshot options
+ * @param {string[]} options.headers - Header names to store (default: content-type)
+ * @param {string[]} options.ignore - Paths of dynamic values to mask
+ * @param {string} options.placeholder - Replacement of masked values (default: 'type', e.g. '<number>')
+ * @returns {object} { status, headers, body }
+ */
+function normalizeResponse(response, options = {}) {
+  const ignore = options.ignore || [];
+  const isHeaderPath = item => item.toLowerCase().startsWith('headers.');
+  const maskedHeaders = ignore.filter(isHeaderPath).map(item => item.slice('headers.'.length).toLowerCase());
+  const names = [...new Set([...(options.headers || DEFAULT_HEADERS), ...maskedHeaders].map(name => name.toLowerCase()))];
+
+  const headers = {};
+  names.forEach(name => {
+    const value = response.headers ? response.headers[name] : undefined;
+    if (value !== undefined) {
+      headers[name] = maskedHeaders.includes(name) ? mask(value, options.placeholder) : value;
+    }
+  });
+
+  let body = response.data === undefined ? null : JSON.parse(JSON.stringify(response.data));
+  ignore.filter(item => !isHeaderPath(item)).forEach(item => {
+    body = jsonPath.replace(body, item, value => mask(value, options.placeholder));
+  });
+
+  return { status: response.status, headers, body };
+}
+
+/**
+ * Compare a stored snapshot with a new one, structurally
+ * Object keys are compared regardless of their order.
+ * @param {*} expected - Stored value
+ * @param {*} actual - New value
+ * @param {string} at - Path of the values
+ * @returns {string[]} One line per difference, e.g. 'changed $.body.title: "a" -> "b"'
+ */
+function diffSnapshots(expected, actual, at = '$') {
+  const expectedType = typeOf(expected);
+  if (expectedType !== typeOf(actual) || (expectedType !== 'object' && expectedType !== 'array')) {
+    return expected === actual ? [] : [`changed ${at}: ${formatValue(expected)} -> ${formatValue(actual)}`];
+  }
+
+  const keys = expectedType === 'array'
+    ? Array.from({ length: Math.max(expected.length, actual.length) }, (_, index) => index)
+    : [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+
+  return keys.flatMap(key => {
+    const childPath = jsonPath.appendKey(at, key);
+    const inExpected = expectedType === 'array' ? key < expected.length : Object.prototype.hasOwnProperty.call(expected, key);
+    const inActual = expectedType === 'array' ? key < actual.length : Object.prototype.hasOwnProperty.call(actual, key);
+    if (!inActual) {
+      return [`removed ${childPath}: ${formatValue(expected[key])}`];
+    }
+    if (!inExpected) {
+      return [`added ${childPath}: ${formatValue(actual[key])}`];
+    }
+    return diffSnapshots(expected[key], actual[key], childPath);
+  });
+}
+
+/**
+ * Get the snapshot file of a test file
+ * @param {string} testPath - Absolute path of the test file
+ * @returns {string} Path such as tests/__snapshots__/posts.test.js.responses.json
+ */
+function snapshotFileFor(testPath) {
+  return path.join(path.dirname(testPath), '__snapshots__', `${path.basename(testPath)}.responses.json`);
+}
+
+/**
+ * Load a snapshot file, once per test file
+ * @param {string} file - Snapshot file path
+ * @returns {object} Snapshots keyed by name
+ */
+function load(file) {
+  if (!files.has(file)) {
+    files.set(file, fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {});
+  }
+  return files.get(file);
+}
+
+/**
+ * Write a snapshot file, with names in sorted order so changes diff cleanly
+ * @param {string} file - Snapshot file path
+ */
+function save(file) {
+  const snapshots = files.get(file);
+  const sorted = {};
+  Object.keys(snapshots).sort().forEach(name => {
+    sorted[name] = snapshots[name];
+  });
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(sorted, null, 2)}\n`);
+}
+
+/**
+ * Compare a response with its stored snapshot
+ * Snapshots are named after the running test and numbered per test, e.g. 'Posts should get a post 1'.
+ * The update mode comes from Jest (global.snapshotUpdateMode, set by the test environment):
+ * 'new' writes missing snapshots, 'all' (jest -u) also overwrites mismatching ones, 'none' (jest --ci) writes nothing.
+ * @param {object} response - HTTP response
+ * @param {object} options - Snapshot options, see normalizeResponse
+ * @param {string} options.name - Name added to the test name, instead of a number
+ * @param {string} options.file - Snapshot file (default: next to the running test file)
+ * @returns {object} { pass, result: 'matched'|'written'|'updated'|'missing'|'mismatch', name, file, message }
+ */
+function matchResponseSnapshot(response, options = {}) {
+  const state = typeof expect !== 'undefined' && expect.getState ? expect.getState() : {};
+  if (!options.file && !state.testPath) {
+    throw new Error('Response snapshots need a running Jest test or options.file');
+  }
+
+  const file = options.file || snapshotFileFor(state.testPath);
+  const testName = state.currentTestName || 'snapshot';
+  let name;
+  if (options.name) {
+    name = `${testName}: ${options.name}`;
+  } else {
+    const counterKey = `${file}\n${testName}`;
+    counters.set(counterKey, (counters.get(counterKey) || 0) + 1);
+    name = `${testName} ${counters.get(counterKey)}`;
+  }
+
+  const mode = global.snapshotUpdateMode || 'new';
+  const snapshots = load(file);
+  const actual = normalizeResponse(response, options);
+  const relativeFile = path.relative(process.cwd(), file);
+
+  if (snapshots[name] === undefined) {
+    if (mode === 'none') {
+      return {
+        pass: false,
+        result: 'missing',
+        name,
+        file,
+        message: `Snapshot "${name}" does not exist in ${relativeFile}. New snapshots are not written with --ci; run Jest without it to write them.`
+      };
+    }
+    snapshots[name] = actual;
+    save(file);
+    return { pass: true, result: 'written', name, file };
+  }
+
+  const differences = diffSnapshots(snapshots[name], actual);
+  if (differences.length === 0) {
+    return { pass: true, result: 'matched', name, file };
+  }
+
+  if (mode === 'all') {
+    snapshots[name] = actual;
+    save(file);
+    return { pass: true, result: 'updated', name, file };
+  }
+
+  const shown = differences.slice(0, MAX_DIFF_LINES).map(line => `  ${line}`);
+  if (differences.length > MAX_DIFF_LINES) {
+    shown.push(`  ... and ${differences.length - MAX_DIFF_LINES} more`);
+  }
+  return {
+    pass: false,
+    result: 'mismatch',
+    name,
+    file,
+    message: `Response does not match snapshot "${name}" in ${relativeFile} (${differences.length} difference(s)):\n${shown.join('\n')}\nRun Jest with -u to update the snapshot if the change is intended.`
+  };
+}
+
+module.exports = {
+  normalizeResponse,
+  diffSnapshots,
+  matchResponseSnapshot
+};
\ No newline at end of file
@@ -4,6 +4,15 @@
 
 const fs = require('fs');
 const path = require('path');
+const BaseDTO = require('../dto/BaseDTO');
+const { validateSchema, resolveSchema } = require('./json-schema');
+const PostFactory = require('../factories/PostFactory');
+const CommentFactory = require('../factories/CommentFactory');
+const ResourceTracker = require('../http/ResourceTracker');
+const HttpClient = require('../http/HttpClient');
+const MockServer = require('../server/MockServer');
+const ConsoleLogger = require('../logger/ConsoleLogger');
+const { recordLeaks } = require('./leak-report');
 
 /**
  * Load test data from JSON file
@@ -23,57 +32,23 @@ function loadTestData(filename) {
 
 /**
  * Generate random test data for posts
+ * Seeded through PostFactory, so the data is reproducible with FACTORY_SEED
  * @param {object} overrides - Properties to override in the generated data
- * @returns {object} Random post data
+ * @returns {object} Random post data (without an id)
  */
 function generateRandomPostData(overrides = {}) {
-  const titles = [
-    'Test Post Title',
-    'Another Test Post',
-    'Sample Content',
-    'Random Post',
-    'Generated Test Data'
-  ];
-
-  const bodies = [
-    'This is a test post body with some content.',
-    'Another test post with different content.',
-    'Sample post content for testing purposes.',
-    'Random content generated for test cases.',
-    'Test data body with various information.'
-  ];
-
-  return {
-    userId: Math.floor(Math.random() * 10) + 1,
-    title: titles[Math.floor(Math.random() * titles.length)],
-    body: bodies[Math.floor(Math.random() * bodies.length)],
-    ...overrides
-  };
+  return PostFactory.build({ id: null, ...overrides }).toJson();
 }
 
 /**
  * Generate random test data for comments
+ * Seeded through CommentFactory, so the data is reproducible with FACTORY_SEED
  * @param {number} postId - Post ID the comment belongs to
  * @param {object} overrides - Properties to override
- * @returns {object} Random comment data
+ * @returns {object} Random comment data (without an id)
  */
 function generateRandomCommentData(postId, overrides = {}) {
-  const names = ['John Doe', 'Jane Smith', 'Bob Johnson', 'Alice Brown', 'Charlie Wilson'];
-  const emails = [
-    'john@example.com',
-    'jane@example.com',
-    'bob@example.com',
-    'alice@example.com',
-    'charlie@example.com'
-  ];
-
-  return {
-    postId: postId || Math.floor(Math.random() * 100) + 1,
-    name: names[Math.floor(Math.random() * names.length)],
-    email: emails[Math.floor(Math.random() * emails.length)],
-    body: 'This is a test comment with some content for testing purposes.',
-    ...overrides
-  };
+  return CommentFactory.build({ id: null, ...(postId ? { postId } : {}), ...overrides }).toJson();
 }
 
 /**
@@ -111,39 +86,16 @@ async function retryWithBackoff(fn, maxAttempts = 3, initialDelay = 1000) {
 }
 
 /**
- * Validate response against a schema
+ * Validate a response body against a JSON Schema
  * @param {object} response - HTTP response object
- * @param {object} schema - Schema to validate against
- * @returns {object} Validation result
+ * @param {object|Function} schema - JSON Schema, a DTO class to take the schema from, or a map of
+ *   property types such as { id: 'number', title: 'string' }
+ * @returns {object} Validation result with isValid boolean and errors array ('pointer: message')
  */
 function validateResponseSchema(response, schema) {
-  const errors = [];
-  const data = response.data;
-
-  function validateObject(obj, schemaObj, path = '') {
-    for (const key in schemaObj) {
-      const fullPath = path ? `${path}.${key}` : key;
-
-      if (!(key in obj)) {
-        errors.push(`Missing property: ${fullPath}`);
-        continue;
-      }
-
-      const expectedType = schemaObj[key];
-      const actualValue = obj[key];
-      const actualType = typeof actualValue;
-
-      if (expectedType === 'array' && !Array.isArray(actualValue)) {
-        errors.push(`Property ${fullPath} should be an array, got ${actualType}`);
-      } else if (expectedType !== 'array' && actualType !== expectedType) {
-        errors.push(`Property ${fullPath} should be ${expectedType}, got ${actualType}`);
-      } else if (expectedType === 'object' && actualValue !== null) {
-        validateObject(actualValue, schemaObj[key], fullPath);
-      }
-    }
-  }
-
-  validateObject(data, schema);
+  const jsonSchema = resolveSchema(schema);
+  const errors = validateSchema(jsonSchema, response.data, { formats: BaseDTO.FORMATS })
+    .map(error => `${error.pointer || '/'}: ${error.message}`);
 
   return {
     isValid: errors.length === 0,
@@ -194,14 +146,103 @@ function createTestFixtures() {
 }
 
 /**
- * Clean up test data (for JSONPlaceholder, this is a no-op since it doesn't persist)
- * @param {Array} createdIds - Array of created resource IDs
- * @returns {Promise} Cleanup promise
+ * Clean up test data by deleting the resources recorded by a resource tracker
+ * Resources that cannot be deleted are logged and added to the end-of-run leak report.
+ * An array of created IDs (the earlier signature) names no resource type or client, so nothing is deleted for it.
+ * @param {ResourceTracker|HttpClient|Array} tracker - Tracker, or a client with resource tracking enabled
+ * @returns {Promise<object[]>} Resources that could not be deleted
+ */
+async function cleanupTestData(tracker) {
+  const resourceTracker = tracker && tracker.resourceTracker !== undefined ? tracker.resourceTracker : tracker;
+  if (!resourceTracker || Array.isArray(resourceTracker)) {
+    return [];
+  }
+
+  const leaks = await resourceTracker.cleanup();
+  const testPath = typeof expect !== 'undefined' ? expect.getState().testPath : null;
+  recordLeaks(leaks, testPath ? path.relative(process.cwd(), testPath) : null);
+  return leaks;
+}
+
+/**
+ * Reset the local mock server to its seed data, optionally replacing some collections
+ * No-op when the suite is not running against the local mock server
+ * @param {object} seed - Collections to load after the reset, e.g. { posts: [...] }
+ */
+function resetMockServer(seed = null) {
+  if (!global.mockServer) {
+    return;
+  }
+
+  global.mockServer.reset();
+  if (seed) {
+    global.mockServer.seed(seed);
+  }
+}
+
+/**
+ * Register hooks that reset (and optionally seed) the local mock server for the current suite
+ * @param {object} options - Hook options
+ * @param {string} options.scope - Reset before each test ('each') or once before the suite ('all')
+ * @param {object} options.seed - Collections to load after every reset
+ */
+function useMockServer(options = {}) {
+  const hook = options.scope === 'all' ? beforeAll : beforeEach;
+  hook(() => resetMockServer(options.seed));
+}
+
+/**
+ * Start a mock server of the suite's own, independent of the environment's server
+ * Registers hooks that start it before the suite, reset it before each test and stop it after the suite,
+ * closing the clients made by createClient().
+ * The server's URL is available as `server.url` once the suite has started.
+ * @param {object} options - MockServer options
+ * @param {boolean} options.reset - Set to false to keep the server's state between tests
+ * @returns {{server: MockServer, createClient: Function}} Server and a factory for clients pointed at it
+ */
+function startMockServer(options = {}) {
+  const { reset = true, ...serverOptions } = options;
+  const server = new MockServer(serverOptions);
+  const clients = [];
+
+  beforeAll(() => server.start());
+  afterAll(() => {
+    clients.forEach(client => client.close());
+    return server.stop();
+  });
+  if (reset) {
+    beforeEach(() => server.reset());
+  }
+
+  return {
+    server,
+    /**
+     * Create a client for the mock server
+     * @param {object} config - Config merged over { baseUrl, timeout: 2000 }
+     * @param {ILogger} logger - Logger (defaults to a ConsoleLogger at level error)
+     * @returns {HttpClient} Client
+     */
+    createClient(config = {}, logger = new ConsoleLogger({ level: 'error' })) {
+      const client = new HttpClient({ baseUrl: server.url, timeout: 2000, ...config }, logger);
+      clients.push(client);
+      return client;
+    }
+  };
+}
+
+/**
+ * Register hooks that delete the resources created during each test (or the whole suite)
+ * Install the returned tracker on the suite's clients with httpClient.trackResources(tracker).
+ * @param {object} options - Hook options
+ * @param {string} options.scope - Clean up after each test ('each', default) or once after the suite ('all')
+ * @param {object} options.retry - RetryPolicy options for failed deletes
+ * @returns {ResourceTracker} Tracker shared by the suite
  */
-async function cleanupTestData(createdIds) {
-  // JSONPlaceholder doesn't actually persist data, so cleanup is not needed
-  // In a real API, this would delete the created resources
-  return Promise.resolve();
+function useResourceTracker(options = {}) {
+  const tracker = new ResourceTracker({ retry: options.retry });
+  const hook = options.scope === 'all' ? afterAll : afterEach;
+  hook(() => cleanupTestData(tracker));
+  return tracker;
 }
 
 module.exports = {
@@ -212,5 +253,9 @@ module.exports = {
   retryWithBackoff,
   validateResponseSchema,
   createTestFixtures,
-  cleanupTestData
+  cleanupTestData,
+  resetMockServer,
+  useMockServer,
+  startMockServer,
+  useResourceTracker
 };
\ No newline at end of file